@@ -4,22 +4,77 @@ import LoginPage from './components/LoginPage'
 import SignUpPage from './components/SignUpPage'
 import DashboardPage from './components/DashboardPage'
 import ForgotPasswordPage from './components/ForgotPasswordPage'
+import ResetPasswordPage from './components/ResetPasswordPage'
+import OutboxPage from './components/OutboxPage'
+import ComponentGalleryPage from './components/ComponentGalleryPage'
+import SecuritySettingsPage from './components/SecuritySettingsPage'
+import ProfilePage from './components/ProfilePage'
+import OAuthCallbackPage from './components/OAuthCallbackPage'
+import MockIdentityProviderPage from './components/MockIdentityProviderPage'
+import MagicLinkPage from './components/MagicLinkPage'
+import VerifyEmailPage from './components/VerifyEmailPage'
+import ProtectedRoute from './components/ProtectedRoute'
+import GuestOnlyRoute from './components/GuestOnlyRoute'
+import { PERMISSIONS } from './services/permissions'
+import { authConfig } from './services/authConfig'
+import { OAUTH_CALLBACK_PATH } from './services/oauth'
+import { MOCK_IDP_PATH } from './services/oauthProviders'
 import { AuthProvider } from './hooks/useAuth'
+import { ToastProvider } from './hooks/useToast'
+import { I18nProvider, ProfileLanguageSync } from './hooks/useI18n'
+import { ThemeProvider } from './hooks/useTheme'
 import './App.css'
 
-function App() {
+/**
+ * @param {Object} authAdapter - Auth adapter for AuthProvider (default: the configured one)
+ */
+function App({ authAdapter }) {
   return (
-    <AuthProvider>
-      <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
-        <Routes>
-          <Route path="/" element={<LoginPage />} />
-          <Route path="/login" element={<LoginPage />} />
-          <Route path="/signup" element={<SignUpPage />} />
-          <Route path="/dashboard" element={<DashboardPage />} />
-          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
-        </Routes>
-      </div>
-    </AuthProvider>
+    <I18nProvider>
+      <ToastProvider>
+        <AuthProvider adapter={authAdapter}>
+          <ProfileLanguageSync />
+          <ThemeProvider>
+            <div className="min-h-screen bg-gradient-to-br from-page-start via-page-mid to-page-end">
+              <Routes>
+                {/* Guests only - signed-in users are sent back to where they were going */}
+                <Route element={<GuestOnlyRoute />}>
+                  <Route path="/" element={<LoginPage />} />
+                  <Route path="/login" element={<LoginPage />} />
+                  <Route path="/signup" element={<SignUpPage />} />
+                  <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+                </Route>
+
+                {/* Emailed links work whether or not someone is signed in */}
+                <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+                <Route path="/magic/:token" element={<MagicLinkPage />} />
+                <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+
+                {/* Social login redirects back here from the provider */}
+                <Route path={OAUTH_CALLBACK_PATH} element={<OAuthCallbackPage />} />
+
+                {/* Signed-in users only; missing permissions render a 403 page and
+                    requireVerifiedEmail holds a route back until the email is verified */}
+                <Route element={<ProtectedRoute permission={PERMISSIONS.dashboardView} />}>
+                  <Route path="/dashboard" element={<DashboardPage />} />
+                </Route>
+                <Route element={<ProtectedRoute permission={PERMISSIONS.profileEdit} />}>
+                  <Route path="/profile" element={<ProfilePage />} />
+                </Route>
+                <Route element={<ProtectedRoute permission={PERMISSIONS.securityManage} requireVerifiedEmail />}>
+                  <Route path="/settings/security" element={<SecuritySettingsPage />} />
+                </Route>
+
+                {/* Development tools */}
+                {import.meta.env.DEV && <Route path="/dev/outbox" element={<OutboxPage />} />}
+                {import.meta.env.DEV && <Route path="/dev/components" element={<ComponentGalleryPage />} />}
+                {authConfig.useMockIdentityProvider && <Route path={MOCK_IDP_PATH} element={<MockIdentityProviderPage />} />}
+              </Routes>
+            </div>
+          </ThemeProvider>
+        </AuthProvider>
+      </ToastProvider>
+    </I18nProvider>
   )
 }
 
@@ -0,0 +1,58 @@
+import React, { forwardRef } from 'react'
+import { CheckCircle, AlertCircle, AlertTriangle, Info } from 'lucide-react'
+
+// Status colors are theme tokens (see theme.css), so alerts and toasts follow light and dark mode
+export const ALERT_STYLES = {
+  success: {
+    bg: 'bg-success-soft border-success-border',
+    text: 'text-success-strong',
+    icon: CheckCircle,
+    iconColor: 'text-success'
+  },
+  error: {
+    bg: 'bg-danger-soft border-danger-border',
+    text: 'text-danger-strong',
+    icon: AlertCircle,
+    iconColor: 'text-danger'
+  },
+  warning: {
+    bg: 'bg-warning-soft border-warning-border',
+    text: 'text-warning-strong',
+    icon: AlertTriangle,
+    iconColor: 'text-warning'
+  },
+  info: {
+    bg: 'bg-info-soft border-info-border',
+    text: 'text-info-strong',
+    icon: Info,
+    iconColor: 'text-info'
+  }
+}
+
+/**
+ * Inline status message, e.g. a lockout notice or demo hint inside a form
+ * Static by default; pass role="alert" for messages that appear in response to an action.
+ * Other props go to the outer <div>, and so does the ref.
+ * @param {string} type - 'success', 'error', 'warning' or 'info' (default)
+ * @param {React.ReactNode} title - Bold first line
+ * @param {Function|null} icon - Lucide icon replacing the type's own; null for none
+ * @param {React.ReactNode} children - Message
+ */
+const Alert = forwardRef(({ type = 'info', title, icon, className = '', children, ...divProps }, ref) => {
+  const styles = ALERT_STYLES[type] || ALERT_STYLES.info
+  const Icon = icon === undefined ? styles.icon : icon
+
+  return (
+    <div ref={ref} className={`p-4 rounded-lg border ${styles.bg} text-sm ${styles.text} flex items-start gap-3 ${className}`} {...divProps}>
+      {Icon && <Icon className={`h-4 w-4 mt-0.5 flex-shrink-0 ${styles.iconColor}`} aria-hidden="true" />}
+      <div className="flex-1 space-y-1">
+        {title && <p className="font-medium">{title}</p>}
+        {children}
+      </div>
+    </div>
+  )
+})
+
+Alert.displayName = 'Alert'
+
+export default Alert
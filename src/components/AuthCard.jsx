@@ -0,0 +1,90 @@
+import React, { forwardRef } from 'react'
+
+const TONE_STYLES = {
+  brand: {
+    badge: 'bg-gradient-to-r from-brand-start to-brand-end animate-pulse-hover',
+    icon: 'text-white',
+    title: 'gradient-text'
+  },
+  accent: {
+    badge: 'bg-gradient-to-r from-accent-start to-accent-end animate-pulse-hover',
+    icon: 'text-white',
+    title: 'gradient-text'
+  },
+  success: {
+    badge: 'bg-success-soft',
+    icon: 'text-success',
+    title: 'text-fg'
+  },
+  danger: {
+    badge: 'bg-danger-soft',
+    icon: 'text-danger',
+    title: 'text-fg'
+  }
+}
+
+/**
+ * Centered page layout of the signed-out screens: header badge, title, card and footer
+ * The ref points at the card.
+ * @param {Function} icon - Lucide icon in the round badge above the title
+ * @param {React.ReactNode} title - Page heading
+ * @param {React.ReactNode} description - Text under the heading
+ * @param {string} tone - 'brand' (default), 'accent', or 'success' / 'danger' for outcome screens
+ * @param {React.ReactNode} toolbar - Row above the header, such as a back link or the language switcher
+ * @param {React.ReactNode} footer - Content under the card, such as a link to the other auth page
+ * @param {React.ReactNode} children - Card content; no card is drawn without it
+ */
+const AuthCard = forwardRef(({
+  icon: Icon,
+  title,
+  description,
+  tone = 'brand',
+  toolbar,
+  footer,
+  children
+}, ref) => {
+  const styles = TONE_STYLES[tone] || TONE_STYLES.brand
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full space-y-8 animate-fade-in">
+        {toolbar && <div className="animate-slide-in">{toolbar}</div>}
+
+        {/* Header */}
+        {title && (
+          <div className="text-center animate-slide-in">
+            {Icon && (
+              <div className={`mx-auto h-16 w-16 ${styles.badge} rounded-full flex items-center justify-center mb-6`}>
+                <Icon className={`h-8 w-8 ${styles.icon}`} />
+              </div>
+            )}
+            <h2 className={`text-3xl font-bold ${styles.title} mb-2`}>
+              {title}
+            </h2>
+            {description && (
+              <p className="text-fg-muted text-sm leading-relaxed">
+                {description}
+              </p>
+            )}
+          </div>
+        )}
+
+        {children && (
+          <div ref={ref} className="bg-surface rounded-2xl shadow-xl p-8 border border-line-subtle">
+            {children}
+          </div>
+        )}
+
+        {footer && (
+          <div className="text-center text-sm text-fg-subtle">
+            {footer}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+})
+
+AuthCard.displayName = 'AuthCard'
+
+export default AuthCard
@@ -0,0 +1,146 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { ZoomIn, ZoomOut } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import { cropAvatar } from '../services/profile'
+
+const VIEWPORT_SIZE = 240 // px
+const MAX_ZOOM = 3
+
+/**
+ * Square avatar crop: drag the picture to position it, use the slider to zoom
+ * The crop is kept as the centre point in source pixels plus a zoom factor, so
+ * zooming keeps the same spot in the middle.
+ * @param {string} src - Object URL of the chosen image
+ * @param {Function} onCrop - Called with the cropped JPEG data URL
+ * @param {Function} onCancel - Called when the crop is abandoned
+ * @param {Function} onError - Called when the image cannot be read
+ */
+const AvatarCropper = ({ src, onCrop, onCancel, onError }) => {
+  const { t } = useI18n()
+  const imageRef = useRef(null)
+  const dragRef = useRef(null)
+  const [image, setImage] = useState(null) // { width, height }
+  const [zoom, setZoom] = useState(1)
+  const [center, setCenter] = useState({ x: 0, y: 0 })
+
+  useEffect(() => {
+    const img = new Image()
+    img.onload = () => {
+      imageRef.current = img
+      setImage({ width: img.naturalWidth, height: img.naturalHeight })
+      setCenter({ x: img.naturalWidth / 2, y: img.naturalHeight / 2 })
+      setZoom(1)
+    }
+    img.onerror = () => onError?.()
+    img.src = src
+  }, [src])
+
+  if (!image) return null
+
+  // At zoom 1 the shorter side fills the viewport
+  const scale = (VIEWPORT_SIZE / Math.min(image.width, image.height)) * zoom
+
+  /**
+   * Keep the crop square inside the image
+   */
+  const clampCenter = ({ x, y }, atScale = scale) => {
+    const half = VIEWPORT_SIZE / atScale / 2
+    return {
+      x: Math.min(Math.max(x, half), image.width - half),
+      y: Math.min(Math.max(y, half), image.height - half)
+    }
+  }
+
+  const handleZoom = (e) => {
+    const nextZoom = Number(e.target.value)
+    const nextScale = (VIEWPORT_SIZE / Math.min(image.width, image.height)) * nextZoom
+    setZoom(nextZoom)
+    setCenter(current => clampCenter(current, nextScale))
+  }
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = { pointerX: e.clientX, pointerY: e.clientY, center }
+  }
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+    // Moving the picture right shows more of its left side
+    setCenter(clampCenter({
+      x: drag.center.x - (e.clientX - drag.pointerX) / scale,
+      y: drag.center.y - (e.clientY - drag.pointerY) / scale
+    }))
+  }
+
+  const handlePointerUp = () => {
+    dragRef.current = null
+  }
+
+  const handleApply = () => {
+    const size = VIEWPORT_SIZE / scale
+    onCrop(cropAvatar(imageRef.current, { x: center.x - size / 2, y: center.y - size / 2, size }))
+  }
+
+  return (
+    <div className="space-y-4 animate-fade-in">
+      <div
+        className="relative mx-auto overflow-hidden rounded-lg bg-gray-900 cursor-move touch-none select-none"
+        style={{ width: VIEWPORT_SIZE, height: VIEWPORT_SIZE }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <img
+          src={src}
+          alt={t('avatarCropper.preview')}
+          draggable={false}
+          className="absolute max-w-none pointer-events-none"
+          style={{
+            width: image.width * scale,
+            height: image.height * scale,
+            left: VIEWPORT_SIZE / 2 - center.x * scale,
+            top: VIEWPORT_SIZE / 2 - center.y * scale
+          }}
+        />
+        {/* Circle showing what the avatar will look like */}
+        <div className="absolute inset-0 rounded-full pointer-events-none shadow-[0_0_0_9999px_rgba(0,0,0,0.5)]" />
+      </div>
+
+      <label className="flex items-center gap-3 text-fg-subtle">
+        <ZoomOut className="h-4 w-4" />
+        <input
+          type="range"
+          min="1"
+          max={MAX_ZOOM}
+          step="0.01"
+          value={zoom}
+          onChange={handleZoom}
+          className="flex-1"
+          aria-label={t('avatarCropper.zoom')}
+        />
+        <ZoomIn className="h-4 w-4" />
+      </label>
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm font-medium text-fg-muted hover:bg-surface-sunken rounded-lg transition-colors"
+        >
+          {t('common.cancel')}
+        </button>
+        <button
+          type="button"
+          onClick={handleApply}
+          className="px-4 py-2 text-sm font-medium text-white bg-primary hover:bg-primary-strong rounded-lg transition-colors"
+        >
+          {t('avatarCropper.apply')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default AvatarCropper
@@ -0,0 +1,15 @@
+import React from 'react'
+import { useAuthorization } from '../hooks/useAuthorization'
+
+/**
+ * Render children only when the signed-in user meets the requirements
+ * @param {string|string[]} permission - Permission(s), all of which are required
+ * @param {string|string[]} role - Role(s), any of which is enough
+ * @param {ReactNode} fallback - Rendered instead when access is denied (default: nothing)
+ */
+const Can = ({ permission, role, fallback = null, children }) => {
+  const { isAllowed } = useAuthorization()
+  return isAllowed({ permission, role }) ? <>{children}</> : fallback
+}
+
+export default Can
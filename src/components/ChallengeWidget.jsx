@@ -0,0 +1,64 @@
+import React, { useState } from 'react'
+import { ShieldCheck } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import { authConfig } from '../services/authConfig'
+import { createFakeChallengeResponse } from '../services/humanChallenge'
+
+/**
+ * Local stand-in for a CAPTCHA: ticking the box produces a response the fake verifier accepts
+ */
+const FakeChallenge = ({ onVerify }) => {
+  const { t } = useI18n()
+  const [isChecked, setIsChecked] = useState(false)
+
+  const handleChange = (e) => {
+    setIsChecked(e.target.checked)
+    onVerify(e.target.checked ? createFakeChallengeResponse() : '')
+  }
+
+  return (
+    <label className="flex items-center gap-3 p-4 border border-line rounded-lg bg-surface-muted cursor-pointer">
+      <input
+        type="checkbox"
+        checked={isChecked}
+        onChange={handleChange}
+        className="custom-checkbox"
+        data-testid="fake-challenge"
+      />
+      <span className="flex-1 text-sm text-fg-muted">{t('login.notARobot')}</span>
+      <ShieldCheck className={`h-5 w-5 ${isChecked ? 'text-success' : 'text-fg-subtle'}`} />
+    </label>
+  )
+}
+
+/**
+ * Widgets by challenge provider id; a real provider registers its widget here
+ * and passes the matching verifier to the backend (see services/humanChallenge)
+ */
+export const CHALLENGE_WIDGETS = {
+  fake: FakeChallenge
+}
+
+/**
+ * Human-verification widget shown after repeated failed sign-ins
+ * Remount it (change its key) to start over once a response has been used.
+ * @param {Function} onVerify - Called with the response string, or '' when it is withdrawn
+ * @param {string} provider - Challenge provider id (default: from authConfig)
+ */
+const ChallengeWidget = ({ onVerify, provider = authConfig.challengeProvider }) => {
+  const { t } = useI18n()
+  const Widget = CHALLENGE_WIDGETS[provider]
+  if (!Widget) {
+    console.error(`Unknown challenge provider: ${provider}`)
+    return null
+  }
+
+  return (
+    <div className="space-y-2 animate-slide-in">
+      <p className="text-xs text-fg-muted">{t('login.challengePrompt')}</p>
+      <Widget onVerify={onVerify} />
+    </div>
+  )
+}
+
+export default ChallengeWidget
@@ -0,0 +1,94 @@
+import React from 'react'
+import { Mail, Send } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useForm } from '../hooks/useForm'
+import { useI18n } from '../hooks/useI18n'
+import { translateFieldErrors } from '../services/authAdapter'
+import { changeEmailSchema } from '../services/formSchemas'
+import LoadingSpinner from './LoadingSpinner'
+import TextField from './TextField'
+import PasswordField from './PasswordField'
+import ResendVerificationButton from './ResendVerificationButton'
+
+/**
+ * Change email section of the security settings
+ * The new address has to be verified before it replaces the current one.
+ * @param {Function} onNotify - Called with (message, type) for toast notifications
+ */
+const ChangeEmailSettings = ({ onNotify }) => {
+  const { user, changeEmail } = useAuth()
+  const { t } = useI18n()
+
+  const handleChangeEmail = async ({ newEmail, password }, form) => {
+    try {
+      await changeEmail(newEmail, password)
+      form.reset()
+      onNotify(t('changeEmail.sent', { email: newEmail }), 'success')
+    } catch (error) {
+      const fieldErrors = translateFieldErrors(error, t)
+      if (fieldErrors) {
+        form.setFieldErrors(fieldErrors)
+      } else {
+        onNotify(t('changeEmail.failed'), 'error')
+      }
+    }
+  }
+
+  const form = useForm({
+    schema: changeEmailSchema,
+    initialValues: { newEmail: '', password: '' },
+    onSubmit: handleChangeEmail
+  })
+  const { isSubmitting } = form
+
+  return (
+    <section className="bg-surface rounded-xl shadow-sm border p-6 animate-fade-in">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-fg flex items-center gap-2">
+          <Mail className="h-5 w-5" />
+          {t('common.emailLabel')}
+        </h3>
+        <p className="text-sm text-fg-muted mt-1">
+          {t('changeEmail.current', { email: <span className="font-medium text-fg">{user?.email}</span> })}
+        </p>
+      </div>
+
+      {user?.pendingEmail && (
+        <div className="bg-warning-soft border border-warning-border rounded-lg p-4 mb-6 space-y-3">
+          <p className="text-sm text-warning-strong">
+            {t('changeEmail.pending', { email: <strong>{user.pendingEmail}</strong> })}
+          </p>
+          <ResendVerificationButton />
+        </div>
+      )}
+
+      <form onSubmit={form.handleSubmit} className="space-y-4">
+        <TextField
+          {...form.getFieldProps('newEmail')}
+          label={t('changeEmail.newEmail')}
+          type="email"
+          autoComplete="email"
+          placeholder={t('changeEmail.newEmailPlaceholder')}
+        />
+        <PasswordField
+          {...form.getFieldProps('password')}
+          label={t('common.currentPassword')}
+          autoComplete="current-password"
+        />
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isSubmitting || form.hasErrors}
+            className="flex items-center justify-center gap-2 px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary-strong transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? <LoadingSpinner size="small" variant="inverse" /> : <Send className="h-4 w-4" />}
+            {t('changeEmail.submit')}
+          </button>
+        </div>
+      </form>
+    </section>
+  )
+}
+
+export default ChangeEmailSettings
@@ -0,0 +1,92 @@
+import React, { useMemo } from 'react'
+import { KeyRound, Save } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useForm } from '../hooks/useForm'
+import { useI18n } from '../hooks/useI18n'
+import { translateFieldErrors } from '../services/authAdapter'
+import { createChangePasswordSchema } from '../services/formSchemas'
+import LoadingSpinner from './LoadingSpinner'
+import PasswordField from './PasswordField'
+import PasswordStrengthMeter from './PasswordStrengthMeter'
+
+/**
+ * Change password section of the security settings
+ * The new password follows the same policy as sign up; other sessions are signed out.
+ * @param {Function} onNotify - Called with (message, type) for toast notifications
+ */
+const ChangePasswordSettings = ({ onNotify }) => {
+  const { user, changePassword } = useAuth()
+  const { t } = useI18n()
+  const schema = useMemo(() => createChangePasswordSchema(user), [user?.email, user?.firstName, user?.lastName])
+
+  const handleChangePassword = async ({ currentPassword, newPassword }, form) => {
+    try {
+      await changePassword(currentPassword, newPassword)
+      form.reset()
+      onNotify(t('changePassword.success'), 'success')
+    } catch (error) {
+      const fieldErrors = translateFieldErrors(error, t)
+      if (fieldErrors) {
+        form.setFieldErrors(fieldErrors)
+      } else {
+        onNotify(t('changePassword.failed'), 'error')
+      }
+    }
+  }
+
+  const form = useForm({
+    schema,
+    initialValues: { currentPassword: '', newPassword: '', confirmPassword: '' },
+    onSubmit: handleChangePassword
+  })
+  const { values, isSubmitting } = form
+
+  return (
+    <section className="bg-surface rounded-xl shadow-sm border p-6 animate-fade-in">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-fg flex items-center gap-2">
+          <KeyRound className="h-5 w-5" />
+          {t('common.passwordLabel')}
+        </h3>
+        <p className="text-sm text-fg-muted mt-1">
+          {t('changePassword.hint')}
+        </p>
+      </div>
+
+      <form onSubmit={form.handleSubmit} className="space-y-4">
+        <PasswordField
+          {...form.getFieldProps('currentPassword')}
+          label={t('common.currentPassword')}
+          autoComplete="current-password"
+        />
+        <PasswordField
+          {...form.getFieldProps('newPassword')}
+          label={t('common.newPassword')}
+          autoComplete="new-password"
+          placeholder={t('signup.passwordPlaceholder')}
+        >
+          <PasswordStrengthMeter password={values.newPassword} userInputs={user} />
+        </PasswordField>
+        <PasswordField
+          {...form.getFieldProps('confirmPassword')}
+          label={t('common.confirmNewPassword')}
+          autoComplete="new-password"
+          showValidIcon
+        />
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isSubmitting || form.hasErrors}
+            className="flex items-center justify-center gap-2 px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary-strong transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? <LoadingSpinner size="small" variant="inverse" /> : <Save className="h-4 w-4" />}
+            {t('changePassword.submit')}
+          </button>
+        </div>
+      </form>
+    </section>
+  )
+}
+
+export default ChangePasswordSettings
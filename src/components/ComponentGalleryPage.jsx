@@ -0,0 +1,150 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, LayoutGrid, Mail, User, Send, Shield } from 'lucide-react'
+import Field from './Field'
+import Input from './Input'
+import PasswordInput from './PasswordInput'
+import SubmitButton from './SubmitButton'
+import AuthCard from './AuthCard'
+import Alert from './Alert'
+import LanguageSwitcher from './LanguageSwitcher'
+import ThemeToggle from './ThemeToggle'
+
+/**
+ * Titled block of the gallery
+ */
+const GallerySection = ({ title, children }) => (
+  <section className="space-y-4">
+    <h2 className="text-sm font-semibold text-fg-subtle uppercase tracking-wide">{title}</h2>
+    <div className="bg-surface rounded-xl shadow-sm border border-line-subtle p-6">
+      {children}
+    </div>
+  </section>
+)
+
+/**
+ * Development component gallery (/dev/components)
+ * Shows the shared form and layout components in each of their states, so changes
+ * to them can be reviewed in both themes and in right-to-left languages.
+ */
+const ComponentGalleryPage = () => {
+  const [name, setName] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+
+  /**
+   * Show the busy state of the demo submit button for a moment
+   */
+  const simulateSubmit = (e) => {
+    e.preventDefault()
+    setIsLoading(true)
+    setTimeout(() => setIsLoading(false), 1500)
+  }
+
+  return (
+    <div className="min-h-screen bg-surface-muted">
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <div className="flex items-center justify-between">
+          <Link
+            to="/login"
+            className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+            Back to Login
+          </Link>
+          <div className="flex items-center gap-3">
+            <ThemeToggle />
+            <LanguageSwitcher />
+          </div>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <div className="h-10 w-10 bg-gradient-to-r from-brand-start to-brand-end rounded-full flex items-center justify-center">
+            <LayoutGrid className="h-6 w-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold text-fg">Component Gallery</h1>
+            <p className="text-sm text-fg-subtle">Shared components of the auth pages in each state</p>
+          </div>
+        </div>
+
+        <GallerySection title="Field & Input">
+          <div className="grid gap-6 sm:grid-cols-2">
+            <Field name="gallery-default" label="Default" icon={User}>
+              <Input
+                name="gallery-default"
+                placeholder="Type something"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            </Field>
+            <Field name="gallery-valid" label="Valid" icon={Mail}>
+              <Input name="gallery-valid" type="email" defaultValue="john@example.com" isValid />
+            </Field>
+            <Field name="gallery-error" label="Error" icon={Mail} error="Please enter a valid email address">
+              <Input name="gallery-error" type="email" defaultValue="john@" error="Please enter a valid email address" />
+            </Field>
+            <Field name="gallery-validating" label="Validating" icon={Mail}>
+              <Input name="gallery-validating" type="email" defaultValue="jane@example.com" validating />
+            </Field>
+            <Field name="gallery-disabled" label="Disabled">
+              <Input name="gallery-disabled" defaultValue="Read only" disabled />
+            </Field>
+          </div>
+        </GallerySection>
+
+        <GallerySection title="PasswordInput">
+          <div className="grid gap-6 sm:grid-cols-2">
+            <Field name="gallery-password" label="Password">
+              <PasswordInput name="gallery-password" defaultValue="Secret123!" />
+            </Field>
+            <Field name="gallery-password-error" label="With error" error="Passwords do not match">
+              <PasswordInput name="gallery-password-error" defaultValue="Secret" error="Passwords do not match" />
+            </Field>
+          </div>
+        </GallerySection>
+
+        <GallerySection title="SubmitButton">
+          <form className="grid gap-4 sm:grid-cols-2" onSubmit={simulateSubmit}>
+            <SubmitButton isLoading={isLoading} loadingText="Submitting...">
+              Brand (click me)
+            </SubmitButton>
+            <SubmitButton variant="accent" icon={Send} type="button">
+              Accent with icon
+            </SubmitButton>
+            <SubmitButton isLoading loadingText="Loading..." type="button">
+              Loading
+            </SubmitButton>
+            <SubmitButton disabled type="button">
+              Disabled
+            </SubmitButton>
+          </form>
+        </GallerySection>
+
+        <GallerySection title="Alert">
+          <div className="space-y-4">
+            <Alert type="success" title="Success">Your changes have been saved.</Alert>
+            <Alert type="error" title="Error">Something went wrong. Please try again.</Alert>
+            <Alert type="warning" title="Warning">Your session expires in 5 minutes.</Alert>
+            <Alert type="info">An info message without a title.</Alert>
+            <Alert type="info" icon={null} title="Without icon">Hints such as the demo credentials.</Alert>
+          </div>
+        </GallerySection>
+
+        <GallerySection title="AuthCard">
+          <div className="rounded-lg bg-gradient-to-br from-page-start via-page-mid to-page-end">
+            <AuthCard
+              icon={Shield}
+              title="Card Title"
+              description="A short description under the title"
+              footer="Footer content, such as a link to the other auth page"
+            >
+              <p className="text-sm text-fg-muted">Card content goes here.</p>
+            </AuthCard>
+          </div>
+        </GallerySection>
+      </main>
+    </div>
+  )
+}
+
+export default ComponentGalleryPage
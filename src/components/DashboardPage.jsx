@@ -1,67 +1,126 @@
 import React from 'react'
 import { useNavigate } from 'react-router-dom'
-import { LogOut, User, Shield, CheckCircle, Clock, TrendingUp } from 'lucide-react'
+import { LogOut, User, Shield, CheckCircle, Clock, Timer, Wifi, WifiOff } from 'lucide-react'
 import { useAuth } from '../hooks/useAuth'
+import { useToast } from '../hooks/useToast'
+import { useI18n } from '../hooks/useI18n'
+import { useAuthorization } from '../hooks/useAuthorization'
+import { useNow } from '../hooks/useNow'
+import { useOnlineStatus } from '../hooks/useOnlineStatus'
+import { formatDuration } from '../hooks/useCountdown'
+import { PERMISSIONS } from '../services/permissions'
+import { getLoginMethodLabel } from '../services/oauthProviders'
+import { getDisplayName } from '../services/profile'
+import { getSecurityLevel } from '../services/securityLevel'
+import Can from './Can'
+import EmailVerificationBanner from './EmailVerificationBanner'
+import LanguageSwitcher from './LanguageSwitcher'
+import ThemeToggle from './ThemeToggle'
+import UserAvatar from './UserAvatar'
 
 /**
  * Dashboard page component - shown after successful login
- * Features: User info display, logout functionality, welcome message
+ * Features: User info display, logout functionality, welcome message,
+ * live session time, expiry, security level and connection status
  */
 const DashboardPage = () => {
   const navigate = useNavigate()
-  const { user, logout, isAuthenticated } = useAuth()
-
-  // Redirect if not authenticated
-  React.useEffect(() => {
-    if (!isAuthenticated) {
-      navigate('/login')
-    }
-  }, [isAuthenticated, navigate])
+  const { user, logout, persistenceMode, sessionExpiresAt } = useAuth()
+  const { roles, can } = useAuthorization()
+  const { notify } = useToast()
+  const { t, language } = useI18n()
+  const now = useNow()
+  const isOnline = useOnlineStatus()
 
   /**
    * Handle logout with confirmation
    */
-  const handleLogout = () => {
-    if (window.confirm('Are you sure you want to logout?')) {
-      logout()
+  const handleLogout = async () => {
+    if (window.confirm(t('dashboard.logoutConfirm'))) {
+      await logout()
+      notify(t('dashboard.signedOut'), 'info')
       navigate('/login')
     }
   }
 
-  const stats = [
-    { label: 'Login Status', value: 'Active', icon: CheckCircle, color: 'text-green-600' },
-    { label: 'Session Time', value: '5 min', icon: Clock, color: 'text-blue-600' },
-    { label: 'Security Level', value: 'High', icon: Shield, color: 'text-purple-600' },
-    { label: 'Activity', value: 'Online', icon: TrendingUp, color: 'text-orange-600' }
-  ]
+  const loginTime = user?.loginTime ? new Date(user.loginTime).getTime() : null
+  const security = getSecurityLevel(user, now)
+  const missingChecks = security.checks
+    .filter(check => !check.passed)
+    .map(check => t(`security.check.${check.id}`))
 
-  if (!isAuthenticated) {
-    return null
-  }
+  const stats = [
+    {
+      id: 'sessionTime',
+      label: t('dashboard.sessionTime'),
+      value: loginTime ? formatDuration(now - loginTime, language) : t('dashboard.unknown'),
+      detail: loginTime
+        ? t('dashboard.since', { time: new Date(loginTime).toLocaleTimeString(language, { hour: '2-digit', minute: '2-digit' }) })
+        : null,
+      icon: Clock,
+      color: 'text-info'
+    },
+    {
+      id: 'sessionExpiry',
+      label: t('dashboard.sessionExpiresIn'),
+      value: sessionExpiresAt ? formatDuration(sessionExpiresAt - now, language) : t('dashboard.never'),
+      detail: persistenceMode === 'local' ? t('dashboard.rememberedOnDevice') : t('dashboard.endsWithTab'),
+      icon: Timer,
+      color: 'text-warning'
+    },
+    {
+      id: 'securityLevel',
+      label: t('dashboard.securityLevel'),
+      value: t(`security.level.${security.level}`),
+      detail: missingChecks.length > 0
+        ? t('dashboard.missingChecks', {
+          checks: new Intl.ListFormat(language, { style: 'short', type: 'unit' }).format(missingChecks)
+        })
+        : t('dashboard.allChecksPassed'),
+      icon: Shield,
+      color: security.color,
+      permission: PERMISSIONS.securityManage
+    },
+    {
+      id: 'connection',
+      label: t('dashboard.connection'),
+      value: isOnline ? t('dashboard.online') : t('dashboard.offline'),
+      detail: isOnline ? null : t('dashboard.checkConnection'),
+      icon: isOnline ? Wifi : WifiOff,
+      color: isOnline ? 'text-success' : 'text-fg-subtle'
+    }
+  ].filter(stat => !stat.permission || can(stat.permission))
 
   return (
-    <div className="min-h-screen bg-gray-50">
+    <div className="min-h-screen bg-surface-muted">
       {/* Header */}
-      <header className="bg-white shadow-sm border-b">
+      <header className="bg-surface shadow-sm border-b">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex justify-between items-center py-4">
             <div className="flex items-center gap-3">
-              <div className="h-10 w-10 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full flex items-center justify-center">
+              <div className="h-10 w-10 bg-gradient-to-r from-brand-start to-brand-end rounded-full flex items-center justify-center">
                 <Shield className="h-6 w-6 text-white" />
               </div>
-              <h1 className="text-xl font-bold text-gray-900">Dashboard</h1>
+              <h1 className="text-xl font-bold text-fg">{t('dashboard.title')}</h1>
             </div>
             
             <div className="flex items-center gap-4">
-              <div className="text-sm text-gray-600">
-                Welcome, <span className="font-medium text-gray-900">{user?.email}</span>
+              <ThemeToggle />
+              <LanguageSwitcher />
+              <div className="flex items-center gap-2 text-sm text-fg-muted">
+                <UserAvatar user={user} size="small" />
+                <span>
+                  {t('dashboard.welcomeUser', {
+                    name: <span className="font-medium text-fg">{getDisplayName(user)}</span>
+                  })}
+                </span>
               </div>
               <button
                 onClick={handleLogout}
-                className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-red-600 hover:text-red-700 hover:bg-red-50 rounded-lg transition-colors"
+                className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-danger hover:text-danger-strong hover:bg-danger-soft rounded-lg transition-colors"
               >
-                <LogOut className="h-4 w-4" />
-                Logout
+                <LogOut className="h-4 w-4 rtl:rotate-180" />
+                {t('dashboard.logout')}
               </button>
             </div>
           </div>
@@ -70,18 +129,18 @@ const DashboardPage = () => {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <EmailVerificationBanner />
+
         {/* Welcome Section */}
-        <div className="bg-white rounded-xl shadow-sm border p-6 mb-8 animate-fade-in">
+        <div className="bg-surface rounded-xl shadow-sm border p-6 mb-8 animate-fade-in">
           <div className="flex items-center gap-4">
-            <div className="h-16 w-16 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full flex items-center justify-center">
-              <User className="h-8 w-8 text-white" />
-            </div>
+            <UserAvatar user={user} />
             <div>
-              <h2 className="text-2xl font-bold text-gray-900 mb-1">
-                Welcome to your Dashboard!
+              <h2 className="text-2xl font-bold text-fg mb-1">
+                {t('dashboard.welcomeTitle')}
               </h2>
-              <p className="text-gray-600">
-                You have successfully logged in. Your session is secure and active.
+              <p className="text-fg-muted">
+                {t('dashboard.welcomeText')}
               </p>
             </div>
           </div>
@@ -92,11 +151,12 @@ const DashboardPage = () => {
           {stats.map((stat, index) => {
             const Icon = stat.icon
             return (
-              <div key={stat.label} className="bg-white rounded-xl shadow-sm border p-6 animate-fade-in" style={{animationDelay: `${index * 0.1}s`}}>
+              <div key={stat.id} className="bg-surface rounded-xl shadow-sm border p-6 animate-fade-in" style={{animationDelay: `${index * 0.1}s`}}>
                 <div className="flex items-center justify-between">
                   <div>
-                    <p className="text-sm text-gray-500 font-medium">{stat.label}</p>
+                    <p className="text-sm text-fg-subtle font-medium">{stat.label}</p>
                     <p className={`text-lg font-bold ${stat.color} mt-1`}>{stat.value}</p>
+                    {stat.detail && <p className="text-xs text-fg-subtle mt-1">{stat.detail}</p>}
                   </div>
                   <Icon className={`h-8 w-8 ${stat.color}`} />
                 </div>
@@ -106,41 +166,64 @@ const DashboardPage = () => {
         </div>
 
         {/* User Information */}
-        <div className="bg-white rounded-xl shadow-sm border p-6 animate-fade-in">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Account Information</h3>
+        <div className="bg-surface rounded-xl shadow-sm border p-6 animate-fade-in">
+          <h3 className="text-lg font-semibold text-fg mb-4">{t('dashboard.accountInformation')}</h3>
           <div className="space-y-4">
             <div className="flex items-center justify-between py-3 border-b">
-              <span className="text-gray-600 font-medium">Email Address</span>
-              <span className="text-gray-900">{user?.email}</span>
+              <span className="text-fg-muted font-medium">{t('common.emailLabel')}</span>
+              <span className="text-fg">
+                {user?.email}
+                {user?.emailVerified === false && <span className="ms-2 text-xs text-warning-strong">{t('dashboard.notVerified')}</span>}
+              </span>
+            </div>
+            <div className="flex items-center justify-between py-3 border-b">
+              <span className="text-fg-muted font-medium">{t('dashboard.loginMethod')}</span>
+              <span className="text-fg">{getLoginMethodLabel(user?.loginMethod)}</span>
             </div>
             <div className="flex items-center justify-between py-3 border-b">
-              <span className="text-gray-600 font-medium">Login Method</span>
-              <span className="text-gray-900">Email & Password</span>
+              <span className="text-fg-muted font-medium">{t('dashboard.twoFactor')}</span>
+              <span className="text-fg">{user?.twoFactorEnabled ? t('dashboard.enabled') : t('dashboard.notEnabled')}</span>
             </div>
             <div className="flex items-center justify-between py-3 border-b">
-              <span className="text-gray-600 font-medium">Account Status</span>
-              <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+              <span className="text-fg-muted font-medium">{t('dashboard.role')}</span>
+              <span className="text-fg capitalize">{roles.join(', ')}</span>
+            </div>
+            <div className="flex items-center justify-between py-3 border-b">
+              <span className="text-fg-muted font-medium">{t('dashboard.accountStatus')}</span>
+              <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium bg-success-soft text-success-strong">
                 <CheckCircle className="h-3 w-3" />
-                Active
+                {t('dashboard.active')}
               </span>
             </div>
             <div className="flex items-center justify-between py-3">
-              <span className="text-gray-600 font-medium">Remember Me</span>
-              <span className="text-gray-900">{user?.rememberMe ? 'Enabled' : 'Disabled'}</span>
+              <span className="text-fg-muted font-medium">{t('dashboard.sessionPersistence')}</span>
+              <span className="text-fg">
+                {persistenceMode === 'local' ? t('dashboard.rememberedOnDevice') : t('dashboard.tabOnly')}
+              </span>
             </div>
           </div>
         </div>
 
         {/* Action Buttons */}
         <div className="flex gap-4 mt-8">
-          <button className="flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium">
-            <User className="h-4 w-4" />
-            Edit Profile
-          </button>
-          <button className="flex items-center gap-2 px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors font-medium">
-            <Shield className="h-4 w-4" />
-            Security Settings
-          </button>
+          <Can permission={PERMISSIONS.profileEdit}>
+            <button
+              onClick={() => navigate('/profile')}
+              className="flex items-center gap-2 px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary-strong transition-colors font-medium"
+            >
+              <User className="h-4 w-4" />
+              {t('dashboard.editProfile')}
+            </button>
+          </Can>
+          <Can permission={PERMISSIONS.securityManage}>
+            <button
+              onClick={() => navigate('/settings/security')}
+              className="flex items-center gap-2 px-6 py-3 border border-line text-fg-muted rounded-lg hover:bg-surface-muted transition-colors font-medium"
+            >
+              <Shield className="h-4 w-4" />
+              {t('dashboard.securitySettings')}
+            </button>
+          </Can>
         </div>
       </main>
     </div>
@@ -0,0 +1,35 @@
+import React from 'react'
+import { MailWarning } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import ResendVerificationButton from './ResendVerificationButton'
+
+/**
+ * Reminder shown to signed-in users whose email address is not verified yet
+ * Renders nothing once the address is verified.
+ */
+const EmailVerificationBanner = () => {
+  const { user } = useAuth()
+  const { t } = useI18n()
+
+  if (user?.emailVerified !== false) return null
+
+  return (
+    <div className="bg-warning-soft border border-warning-border rounded-xl p-6 mb-8 animate-fade-in">
+      <div className="flex items-start gap-4">
+        <MailWarning className="h-6 w-6 text-warning flex-shrink-0" />
+        <div className="space-y-3">
+          <div>
+            <h3 className="text-sm font-semibold text-warning-strong">{t('emailVerification.bannerTitle')}</h3>
+            <p className="text-sm text-warning-strong mt-1">
+              {t('emailVerification.bannerText', { email: <strong>{user.email}</strong> })}
+            </p>
+          </div>
+          <ResendVerificationButton />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EmailVerificationBanner
@@ -0,0 +1,42 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { MailWarning, ArrowLeft } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import ResendVerificationButton from './ResendVerificationButton'
+
+/**
+ * Page shown instead of routes that require a verified email address
+ */
+const EmailVerificationRequiredPage = () => {
+  const { user } = useAuth()
+  const { t } = useI18n()
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full text-center animate-fade-in">
+        <div className="mx-auto h-16 w-16 bg-warning-soft rounded-full flex items-center justify-center mb-6">
+          <MailWarning className="h-8 w-8 text-warning" />
+        </div>
+        <h2 className="text-3xl font-bold text-fg mb-2">
+          {t('emailVerification.requiredTitle')}
+        </h2>
+        <p className="text-fg-muted text-sm leading-relaxed mb-6">
+          {t('emailVerification.requiredText', { email: <strong>{user?.email}</strong> })}
+        </p>
+        <div className="bg-surface rounded-2xl shadow-xl p-6 border border-line-subtle mb-6">
+          <ResendVerificationButton />
+        </div>
+        <Link
+          to="/dashboard"
+          className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+        >
+          <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+          {t('common.backToDashboard')}
+        </Link>
+      </div>
+    </div>
+  )
+}
+
+export default EmailVerificationRequiredPage
@@ -0,0 +1,63 @@
+import React, { forwardRef } from 'react'
+import { AlertCircle } from 'lucide-react'
+
+/**
+ * Label with an optional leading icon
+ */
+export const FieldLabel = ({ htmlFor, icon: Icon, children }) => (
+  <label htmlFor={htmlFor} className="text-sm font-medium text-fg-muted flex items-center gap-2">
+    {Icon && <Icon className="h-4 w-4" />}
+    {children}
+  </label>
+)
+
+/**
+ * Id of a field's error message, for the input's aria-describedby
+ */
+export const getErrorId = (name) => `${name}-error`
+
+/**
+ * Accessibility attributes linking an input to its error message
+ */
+export const getErrorProps = (name, error) => ({
+  'aria-invalid': error ? true : undefined,
+  'aria-describedby': error ? getErrorId(name) : undefined
+})
+
+/**
+ * Inline error message under a field
+ * @param {string} name - Field name; the message gets the id the input points to
+ * @param {string} error - Error message
+ */
+export const FieldError = ({ name, error }) => {
+  if (!error) return null
+
+  return (
+    <p id={name ? getErrorId(name) : undefined} className="text-danger text-xs flex items-center gap-1 animate-slide-in">
+      <AlertCircle className="h-3 w-3" />
+      {error}
+    </p>
+  )
+}
+
+/**
+ * Form field layout: label, the control passed as children, then the error message
+ * Pair it with Input, PasswordInput or any control whose id is `name` and which
+ * spreads getErrorProps(name, error), so the error is announced with the control.
+ * @param {string} name - Id of the control the label is for
+ * @param {string} label - Label text
+ * @param {Function} icon - Lucide icon shown before the label
+ * @param {string} error - Error message
+ * @param {React.ReactNode} children - The control, then any hints or meters under it
+ */
+const Field = forwardRef(({ name, label, icon, error = '', children }, ref) => (
+  <div ref={ref} className="space-y-2">
+    {label && <FieldLabel htmlFor={name} icon={icon}>{label}</FieldLabel>}
+    {children}
+    <FieldError name={name} error={error} />
+  </div>
+))
+
+Field.displayName = 'Field'
+
+export default Field
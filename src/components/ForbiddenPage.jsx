@@ -0,0 +1,37 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { ShieldOff, ArrowLeft } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+
+/**
+ * 403 page shown when a signed-in user lacks the role or permission a route requires
+ */
+const ForbiddenPage = () => {
+  const { t } = useI18n()
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full text-center animate-fade-in">
+        <div className="mx-auto h-16 w-16 bg-danger-soft rounded-full flex items-center justify-center mb-6">
+          <ShieldOff className="h-8 w-8 text-danger" />
+        </div>
+        <p className="text-sm font-semibold text-danger mb-2">{t('forbidden.code')}</p>
+        <h2 className="text-3xl font-bold text-fg mb-2">
+          {t('forbidden.title')}
+        </h2>
+        <p className="text-fg-muted text-sm leading-relaxed mb-6">
+          {t('forbidden.text')}
+        </p>
+        <Link
+          to="/dashboard"
+          className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+        >
+          <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+          {t('common.backToDashboard')}
+        </Link>
+      </div>
+    </div>
+  )
+}
+
+export default ForbiddenPage
@@ -0,0 +1,43 @@
+import React from 'react'
+import { Navigate, Outlet, useLocation } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import LoadingSpinner from './LoadingSpinner'
+
+/**
+ * Work out where to go after signing in
+ * Uses the location saved by ProtectedRoute, falling back to the given path.
+ * @param {Object} location - Current router location
+ * @param {string} fallback - Path used when no URL was remembered
+ * @returns {string}
+ */
+export const getReturnTo = (location, fallback = '/dashboard') => {
+  const from = location.state?.from
+  if (!from?.pathname) return fallback
+  return `${from.pathname}${from.search || ''}${from.hash || ''}`
+}
+
+/**
+ * Route guard for pages only guests should see (login, signup, password reset)
+ * Signed-in users are sent back to the URL they originally requested, or the dashboard.
+ * Wraps `children`, or renders nested routes through <Outlet /> when used as a layout route.
+ */
+const GuestOnlyRoute = ({ children }) => {
+  const { isAuthenticated, isLoading } = useAuth()
+  const location = useLocation()
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    )
+  }
+
+  if (isAuthenticated) {
+    return <Navigate to={getReturnTo(location)} replace />
+  }
+
+  return children ?? <Outlet />
+}
+
+export default GuestOnlyRoute
@@ -0,0 +1,70 @@
+import React, { forwardRef } from 'react'
+import { CheckCircle, AlertCircle } from 'lucide-react'
+import LoadingSpinner from './LoadingSpinner'
+import { getErrorProps } from './Field'
+
+/**
+ * Input classes for the field states: error, valid or untouched
+ */
+export const getInputClassName = ({ error, isValid, hasTrailingButton = false }) =>
+  `w-full px-4 py-3 ${hasTrailingButton ? 'pe-12 ' : ''}border rounded-lg focus-ring input-glow transition-all duration-200 ${
+    error
+      ? 'border-danger-border bg-danger-soft'
+      : isValid
+      ? 'border-success-border bg-success-soft'
+      : 'border-line bg-surface-muted'
+  } hover:border-primary focus:bg-surface`
+
+/**
+ * Text input with red (error) and green (valid) states and a matching status icon
+ * Any other prop goes to the <input>, and the ref points at it.
+ * @param {string} name - Input name, also the id unless `id` is given
+ * @param {string} error - Error message; marks the input invalid and links it to the message
+ * @param {boolean} isValid - Show the valid state
+ * @param {boolean} validating - Show a spinner while an async check runs
+ * @param {boolean} showValidIcon - Show a check mark in the valid state (default: true)
+ * @param {React.ReactNode} trailingButton - Button inside the end of the input, such as a visibility toggle
+ */
+const Input = forwardRef(({
+  name,
+  id = name,
+  type = 'text',
+  error = '',
+  isValid = false,
+  validating = false,
+  showValidIcon = true,
+  trailingButton,
+  className = '',
+  ...inputProps
+}, ref) => {
+  // Status icons make room for the trailing button
+  const iconPosition = trailingButton ? 'end-10' : 'end-3'
+
+  return (
+    <div className="relative">
+      <input
+        ref={ref}
+        id={id}
+        name={name}
+        type={type}
+        className={`${getInputClassName({ error, isValid, hasTrailingButton: !!trailingButton })} ${className}`}
+        {...getErrorProps(id, error)}
+        {...inputProps}
+      />
+      {trailingButton}
+      {validating ? (
+        <span className={`absolute ${iconPosition} top-3.5`}>
+          <LoadingSpinner size="small" variant="muted" />
+        </span>
+      ) : error ? (
+        <AlertCircle className={`absolute ${iconPosition} top-3 h-5 w-5 text-danger`} />
+      ) : isValid && showValidIcon ? (
+        <CheckCircle className={`absolute ${iconPosition} top-3 h-5 w-5 text-success`} />
+      ) : null}
+    </div>
+  )
+})
+
+Input.displayName = 'Input'
+
+export default Input
@@ -0,0 +1,43 @@
+import React from 'react'
+import { Globe } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import { LANGUAGES } from '../services/i18n'
+
+/**
+ * Compact language picker; the choice is remembered for later visits
+ * Each language is listed under its own name so it can be found without reading the current one.
+ * While signed in the choice is saved as the profile language (see ProfileLanguageSync).
+ */
+const LanguageSwitcher = () => {
+  const { user, updateProfile } = useAuth()
+  const { language, setLanguage, t } = useI18n()
+
+  const handleChange = (e) => {
+    const nextLanguage = e.target.value
+    setLanguage(nextLanguage)
+    if (user) {
+      updateProfile({ locale: nextLanguage }).catch(error => {
+        console.error('Language update error:', error)
+      })
+    }
+  }
+
+  return (
+    <label className="inline-flex items-center gap-2 text-sm text-fg-muted">
+      <Globe className="h-4 w-4" aria-hidden="true" />
+      <select
+        value={language}
+        onChange={handleChange}
+        aria-label={t('common.language')}
+        className="bg-transparent border border-line rounded-lg px-2 py-1 hover:border-primary focus:outline-none focus:ring-2 focus:ring-primary transition-colors"
+      >
+        {LANGUAGES.map(option => (
+          <option key={option.code} value={option.code} lang={option.code}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+export default LanguageSwitcher
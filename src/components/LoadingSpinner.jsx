@@ -3,24 +3,25 @@ import React from 'react'
 /**
  * Reusable loading spinner component
  * @param {string} size - Size of spinner: 'small', 'medium', 'large'
- * @param {string} color - Color of spinner: 'blue', 'white', 'gray'
+ * @param {string} variant - 'primary' (brand color), 'inverse' (on brand-colored buttons)
+ *                           or 'muted' (inside inputs); all follow the active theme
  */
-const LoadingSpinner = ({ size = 'medium', color = 'blue' }) => {
+const LoadingSpinner = ({ size = 'medium', variant = 'primary' }) => {
   const sizeClasses = {
     small: 'h-4 w-4',
     medium: 'h-6 w-6', 
     large: 'h-8 w-8'
   }
 
-  const colorClasses = {
-    blue: 'text-blue-600',
-    white: 'text-white',
-    gray: 'text-gray-600'
+  const variantClasses = {
+    primary: 'text-link',
+    inverse: 'text-white',
+    muted: 'text-fg-subtle'
   }
 
   return (
     <svg 
-      className={`animate-spin ${sizeClasses[size]} ${colorClasses[color]}`} 
+      className={`animate-spin ${sizeClasses[size]} ${variantClasses[variant]}`} 
       xmlns="http://www.w3.org/2000/svg" 
       fill="none" 
       viewBox="0 0 24 24"
@@ -1,327 +1,272 @@
 import React, { useState } from 'react'
-import { useNavigate, Link } from 'react-router-dom'
-import { Mail, Lock, Eye, EyeOff, Shield, CheckCircle, AlertCircle } from 'lucide-react'
+import { Link, useLocation } from 'react-router-dom'
+import { Mail, Shield, Fingerprint, Clock } from 'lucide-react'
 import { useAuth } from '../hooks/useAuth'
+import { useToast } from '../hooks/useToast'
+import { useForm } from '../hooks/useForm'
+import { useI18n } from '../hooks/useI18n'
+import { formatCountdown, useCountdown } from '../hooks/useCountdown'
+import {
+  ChallengeRequiredError,
+  InvalidCredentialsError,
+  TooManyAttemptsError,
+  translateFieldErrors
+} from '../services/authAdapter'
+import { loginSchema } from '../services/formSchemas'
+import { PASSKEY_ERROR_MESSAGES, PasskeyError, isPasskeySupported } from '../services/webauthn'
 import LoadingSpinner from './LoadingSpinner'
-import Toast from './Toast'
+import AuthCard from './AuthCard'
+import Alert from './Alert'
+import SubmitButton from './SubmitButton'
+import TextField from './TextField'
+import PasswordField from './PasswordField'
+import TwoFactorChallenge from './TwoFactorChallenge'
+import SocialLoginButtons from './SocialLoginButtons'
+import MagicLinkForm from './MagicLinkForm'
+import ChallengeWidget from './ChallengeWidget'
+import LanguageSwitcher from './LanguageSwitcher'
+import ThemeToggle from './ThemeToggle'
+import { getReturnTo } from './GuestOnlyRoute'
 
 /**
  * Modern login page component with authentication and form validation
- * Features: Real-time validation, loading states, error handling, remember me functionality
+ * Features: Real-time validation, loading states, error handling, remember me functionality,
+ * two-factor code step for accounts with 2FA enabled, passwordless sign in with a passkey,
+ * social login with the configured OAuth providers, emailed sign-in links,
+ * lockout countdown and verification challenge after repeated failed attempts
  */
 const LoginPage = () => {
-  const navigate = useNavigate()
-  const { login, isAuthenticated, isLoading } = useAuth()
-  const [formData, setFormData] = useState({
-    email: '',
-    password: '',
-    rememberMe: false
-  })
-  const [showPassword, setShowPassword] = useState(false)
-  const [errors, setErrors] = useState({})
-  const [toast, setToast] = useState({ show: false, message: '', type: '' })
-  const [isSubmitting, setIsSubmitting] = useState(false)
-
-  // Redirect if already authenticated
-  React.useEffect(() => {
-    if (isAuthenticated) {
-      navigate('/dashboard')
-    }
-  }, [isAuthenticated, navigate])
-
-  /**
-   * Real-time email validation
-   */
-  const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    return emailRegex.test(email)
-  }
+  const { login, loginWithPasskey, twoFactorRequired, oauthProviders } = useAuth()
+  const location = useLocation()
+  const { notify } = useToast()
+  const { t } = useI18n()
+  const [isPasskeyPending, setIsPasskeyPending] = useState(false)
+  const [mode, setMode] = useState('password') // password | magic
+  const [throttle, setThrottle] = useState({ until: null, locked: false })
+  const [challengeRequired, setChallengeRequired] = useState(false)
+  const [challengeResponse, setChallengeResponse] = useState('')
+  const [challengeKey, setChallengeKey] = useState(0)
+  const secondsLeft = useCountdown(throttle.until)
 
   /**
-   * Handle input changes with real-time validation
+   * Authenticate once the form passes validation
    */
-  const handleInputChange = (e) => {
-    const { name, value, type, checked } = e.target
-    const inputValue = type === 'checkbox' ? checked : value
-
-    setFormData(prev => ({
-      ...prev,
-      [name]: inputValue
-    }))
+  const handleLogin = async ({ email, password, rememberMe }, form) => {
+    try {
+      const success = await login(email, password, rememberMe, { challengeResponse })
+      
+      // On success GuestOnlyRoute sends the user back to the page they asked for
+      if (!success) {
+        notify(t('login.failed'), 'error')
+      }
+    } catch (error) {
+      // Repeated failures: wait out the backoff or lockout shown in the form
+      if (error instanceof TooManyAttemptsError) {
+        setThrottle({ until: Date.now() + error.retryAfter * 1000, locked: error.locked })
+        return
+      }
+      if (error instanceof ChallengeRequiredError) {
+        setChallengeRequired(true)
+        notify(t('login.completeChallenge'), 'warning')
+        return
+      }
 
-    // Real-time validation
-    if (name === 'email' && value) {
-      if (!validateEmail(value)) {
-        setErrors(prev => ({ ...prev, email: 'Please enter a valid email address' }))
-      } else {
-        setErrors(prev => ({ ...prev, email: '' }))
+      // Show server-side validation messages next to the matching fields
+      const fieldErrors = translateFieldErrors(error, t)
+      if (fieldErrors) {
+        form.setFieldErrors(fieldErrors)
+        notify(t('common.fixErrors'), 'error')
+        return
       }
-    }
 
-    if (name === 'password' && value) {
-      if (value.length < 6) {
-        setErrors(prev => ({ ...prev, password: 'Password must be at least 6 characters' }))
-      } else {
-        setErrors(prev => ({ ...prev, password: '' }))
+      notify(t('common.genericError'), 'error')
+    } finally {
+      // Challenge responses are single use
+      if (challengeResponse) {
+        setChallengeResponse('')
+        setChallengeKey(prev => prev + 1)
       }
     }
   }
 
+  const form = useForm({
+    schema: loginSchema,
+    initialValues: { email: '', password: '', rememberMe: false },
+    onSubmit: handleLogin,
+    onInvalid: () => notify(t('common.fixErrors'), 'error')
+  })
+  const { values, isSubmitting } = form
+
   /**
-   * Handle form submission with validation and authentication
+   * Sign in with a passkey - no email or password needed
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    setIsSubmitting(true)
-    
-    // Validate form
-    const newErrors = {}
-    
-    if (!formData.email) {
-      newErrors.email = 'Email is required'
-    } else if (!validateEmail(formData.email)) {
-      newErrors.email = 'Please enter a valid email address'
-    }
-    
-    if (!formData.password) {
-      newErrors.password = 'Password is required'
-    } else if (formData.password.length < 6) {
-      newErrors.password = 'Password must be at least 6 characters'
-    }
-    
-    setErrors(newErrors)
-    
-    if (Object.keys(newErrors).length > 0) {
-      setIsSubmitting(false)
-      setToast({
-        show: true,
-        message: 'Please fix the errors above',
-        type: 'error'
-      })
-      return
-    }
+  const handlePasskeyLogin = async () => {
+    setIsPasskeyPending(true)
 
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1500))
-      
-      const success = await login(formData.email, formData.password, formData.rememberMe)
-      
-      if (success) {
-        setToast({
-          show: true,
-          message: 'Login successful! Redirecting...',
-          type: 'success'
-        })
-        
-        setTimeout(() => {
-          navigate('/dashboard')
-        }, 1000)
+      // On success GuestOnlyRoute sends the user back to the page they asked for
+      await loginWithPasskey(values.rememberMe)
+    } catch (error) {
+      console.error('Passkey login error:', error)
+      if (error instanceof PasskeyError && error.reason === 'cancelled') {
+        notify(t('login.passkeyCancelled'), 'warning')
+      } else if (error instanceof PasskeyError) {
+        notify(t(PASSKEY_ERROR_MESSAGES[error.reason] || 'login.passkeyFailed'), 'error')
+      } else if (error instanceof InvalidCredentialsError) {
+        // Unknown passkey or failed signature check
+        notify(t('login.passkeyRejected'), 'error')
       } else {
-        setToast({
-          show: true,
-          message: 'Login failed. Please check your credentials.',
-          type: 'error'
-        })
+        notify(t('login.passkeyFailed'), 'error')
       }
-    } catch (error) {
-      setToast({
-        show: true,
-        message: 'An error occurred. Please try again.',
-        type: 'error'
-      })
-    } finally {
-      setIsSubmitting(false)
+      setIsPasskeyPending(false)
     }
   }
 
-  /**
-   * Toggle password visibility
-   */
-  const togglePasswordVisibility = () => {
-    setShowPassword(prev => !prev)
-  }
-
-  /**
-   * Close toast notification
-   */
-  const closeToast = () => {
-    setToast({ show: false, message: '', type: '' })
-  }
-
-  if (isLoading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <LoadingSpinner size="large" />
-      </div>
-    )
+  // Password accepted - ask for the second factor
+  if (twoFactorRequired) {
+    return <TwoFactorChallenge />
   }
 
   return (
-    <div className="min-h-screen flex items-center justify-center px-4 py-12">
-      {/* Toast Notification */}
-      {toast.show && (
-        <Toast
-          message={toast.message}
-          type={toast.type}
-          onClose={closeToast}
+    <AuthCard
+      icon={Shield}
+      title={t('login.title')}
+      description={t('login.subtitle')}
+      toolbar={
+        <div className="flex items-center justify-end gap-3">
+          <ThemeToggle />
+          <LanguageSwitcher />
+        </div>
+      }
+      footer={t('login.noAccount', {
+        link: (
+          <Link to="/signup" className="text-link hover:text-link-hover font-medium hover:underline transition-colors">
+            {t('login.signUpLink')}
+          </Link>
+        )
+      })}
+    >
+      {mode === 'magic' ? (
+        <MagicLinkForm
+          initialEmail={values.email}
+          rememberMe={values.rememberMe}
+          onUsePassword={() => setMode('password')}
+          onError={(message) => notify(message, 'error')}
         />
-      )}
+      ) : (
+        <form className="space-y-6" onSubmit={form.handleSubmit}>
+          <TextField
+            {...form.getFieldProps('email')}
+            label={t('common.emailLabel')}
+            icon={Mail}
+            type="email"
+            autoComplete="email"
+            placeholder={t('login.emailPlaceholder')}
+          />
 
-      <div className="max-w-md w-full space-y-8 animate-fade-in">
-        {/* Header */}
-        <div className="text-center animate-slide-in">
-          <div className="mx-auto h-16 w-16 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full flex items-center justify-center mb-6 animate-pulse-hover">
-            <Shield className="h-8 w-8 text-white" />
+          <PasswordField
+            {...form.getFieldProps('password')}
+            placeholder={t('login.passwordPlaceholder')}
+          />
+
+          {/* Remember Me & Forgot Password */}
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                name="rememberMe"
+                checked={values.rememberMe}
+                onChange={form.handleChange}
+                className="custom-checkbox"
+              />
+              <span className="text-sm text-fg-muted">{t('login.rememberMe')}</span>
+            </label>
+            
+            <Link
+              to="/forgot-password"
+              className="text-sm text-link hover:text-link-hover hover:underline transition-colors"
+            >
+              {t('login.forgotPassword')}
+            </Link>
           </div>
-          <h2 className="text-3xl font-bold gradient-text mb-2">
-            Welcome Back
-          </h2>
-          <p className="text-gray-600 text-sm leading-relaxed">
-            Sign in to access your secure dashboard
-          </p>
-        </div>
 
-        {/* Login Form */}
-        <div className="bg-white rounded-2xl shadow-xl p-8 border border-gray-100">
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            {/* Email Field */}
-            <div className="space-y-2">
-              <label htmlFor="email" className="text-sm font-medium text-gray-700 flex items-center gap-2">
-                <Mail className="h-4 w-4" />
-                Email Address
-              </label>
-              <div className="relative">
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  className={`w-full px-4 py-3 border rounded-lg focus-ring input-glow transition-all duration-200 ${
-                    errors.email 
-                      ? 'border-red-300 bg-red-50' 
-                      : formData.email && !errors.email
-                      ? 'border-green-300 bg-green-50'
-                      : 'border-gray-300 bg-gray-50'
-                  } hover:border-blue-400 focus:bg-white`}
-                  placeholder="Enter your email"
-                  value={formData.email}
-                  onChange={handleInputChange}
-                />
-                {formData.email && !errors.email && (
-                  <CheckCircle className="absolute right-3 top-3 h-5 w-5 text-green-500" />
-                )}
-                {errors.email && (
-                  <AlertCircle className="absolute right-3 top-3 h-5 w-5 text-red-500" />
-                )}
-              </div>
-              {errors.email && (
-                <p className="text-red-600 text-xs flex items-center gap-1 animate-slide-in">
-                  <AlertCircle className="h-3 w-3" />
-                  {errors.email}
-                </p>
-              )}
-            </div>
+          {/* Human Verification */}
+          {challengeRequired && (
+            <ChallengeWidget key={challengeKey} onVerify={setChallengeResponse} />
+          )}
 
-            {/* Password Field */}
-            <div className="space-y-2">
-              <label htmlFor="password" className="text-sm font-medium text-gray-700 flex items-center gap-2">
-                <Lock className="h-4 w-4" />
-                Password
-              </label>
-              <div className="relative">
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  required
-                  className={`w-full px-4 py-3 pr-12 border rounded-lg focus-ring input-glow transition-all duration-200 ${
-                    errors.password 
-                      ? 'border-red-300 bg-red-50' 
-                      : formData.password && !errors.password
-                      ? 'border-green-300 bg-green-50'
-                      : 'border-gray-300 bg-gray-50'
-                  } hover:border-blue-400 focus:bg-white`}
-                  placeholder="Enter your password"
-                  value={formData.password}
-                  onChange={handleInputChange}
-                />
-                <button
-                  type="button"
-                  className="absolute right-3 top-3 text-gray-400 hover:text-gray-600 transition-colors"
-                  onClick={togglePasswordVisibility}
-                  aria-label={showPassword ? 'Hide password' : 'Show password'}
-                >
-                  {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
-                </button>
-</div>
-              {errors.password && (
-                <p className="text-red-600 text-xs flex items-center gap-1 animate-slide-in">
-                  <AlertCircle className="h-3 w-3" />
-                  {errors.password}
-                </p>
-              )}
-            </div>
+          {/* Lockout Countdown */}
+          {secondsLeft > 0 && (
+            <Alert type="error" icon={Clock} role="alert" className="animate-slide-in">
+              {t('login.throttled', {
+                locked: throttle.locked,
+                time: <strong>{formatCountdown(secondsLeft)}</strong>
+              })}
+            </Alert>
+          )}
 
-            {/* Remember Me & Forgot Password */}
-            <div className="flex items-center justify-between">
-              <label className="flex items-center gap-2 cursor-pointer">
-                <input
-                  type="checkbox"
-                  name="rememberMe"
-                  checked={formData.rememberMe}
-                  onChange={handleInputChange}
-                  className="custom-checkbox"
-                />
-                <span className="text-sm text-gray-600">Remember me</span>
-              </label>
-              
-              <Link
-                to="/forgot-password"
-                className="text-sm text-blue-600 hover:text-blue-800 hover:underline transition-colors"
-              >
-                Forgot password?
-              </Link>
-            </div>
+          {/* Submit Button */}
+          <SubmitButton
+            isLoading={isSubmitting}
+            loadingText={t('login.submitting')}
+            disabled={
+              secondsLeft > 0 ||
+              (challengeRequired && !challengeResponse) ||
+              form.hasErrors
+            }
+          >
+            {t('login.submit')}
+          </SubmitButton>
 
-            {/* Submit Button */}
+          <div className="text-center">
             <button
-              type="submit"
-              disabled={isSubmitting || Object.values(errors).some(error => error)}
-              className="w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent rounded-lg text-white font-medium bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transform hover:scale-[1.02] active:scale-[0.98] transition-all duration-200 shadow-lg hover:shadow-xl"
+              type="button"
+              onClick={() => setMode('magic')}
+              className="text-sm text-link hover:text-link-hover hover:underline transition-colors"
             >
-              {isSubmitting ? (
-                <>
-                  <LoadingSpinner size="small" color="white" />
-                  Signing In...
-                </>
-              ) : (
-                'Sign In'
-              )}
+              {t('login.useMagicLink')}
             </button>
-          </form>
-
-          {/* Demo Credentials */}
-          <div className="mt-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
-            <p className="text-xs text-blue-800 font-medium mb-2">Demo Credentials:</p>
-            <p className="text-xs text-blue-700">Email: any valid email format</p>
-            <p className="text-xs text-blue-700">Password: any password (6+ characters)</p>
           </div>
+        </form>
+      )}
+
+      {/* Passwordless Options */}
+      {(isPasskeySupported() || oauthProviders.length > 0) && (
+        <div className="flex items-center gap-3 my-6">
+          <div className="flex-1 border-t border-line-subtle" />
+          <span className="text-xs text-fg-subtle uppercase">{t('common.or')}</span>
+          <div className="flex-1 border-t border-line-subtle" />
         </div>
+      )}
 
-        {/* Footer */}
-        <div className="text-center">
-          <p className="text-sm text-gray-500">
-            Don't have an account?{' '}
-            <Link to="/signup" className="text-blue-600 hover:text-blue-800 font-medium hover:underline transition-colors">
-              Sign up here
-            </Link>
-          </p>
+      {/* Passkey Sign In */}
+      {isPasskeySupported() && (
+        <div className="mb-3">
+          <button
+            type="button"
+            onClick={handlePasskeyLogin}
+            disabled={isPasskeyPending || isSubmitting}
+            className="w-full flex justify-center items-center gap-2 py-3 px-4 border border-line rounded-lg text-fg-muted font-medium bg-surface hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-surface focus:ring-primary disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            {isPasskeyPending ? <LoadingSpinner size="small" /> : <Fingerprint className="h-5 w-5" />}
+            {t('login.passkey')}
+          </button>
         </div>
-      </div>
-    </div>
+      )}
+
+      {/* Social Login */}
+      <SocialLoginButtons
+        rememberMe={values.rememberMe}
+        returnTo={getReturnTo(location)}
+        onError={() => notify(t('login.socialFailed'), 'error')}
+      />
+
+      {/* Demo Credentials */}
+      <Alert type="info" icon={null} title={t('login.demoTitle')} className="mt-6">
+        <p>{t('login.demoSignUp')}</p>
+        <p>{t('login.demoSignIn')}</p>
+      </Alert>
+    </AuthCard>
   )
 }
 
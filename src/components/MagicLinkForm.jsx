@@ -0,0 +1,104 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Mail, Send, CheckCircle } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useForm } from '../hooks/useForm'
+import { useI18n } from '../hooks/useI18n'
+import { emailOnlySchema } from '../services/formSchemas'
+import SubmitButton from './SubmitButton'
+import TextField from './TextField'
+
+/**
+ * Passwordless sign in: emails a single-use link that completes on /magic/:token
+ * @param {string} initialEmail - Email typed in the password form, if any
+ * @param {boolean} rememberMe - Whether the session started from the link is remembered
+ * @param {Function} onUsePassword - Switch back to the password form
+ * @param {Function} onError - Called with a message when the request fails
+ */
+const MagicLinkForm = ({ initialEmail = '', rememberMe = false, onUsePassword, onError }) => {
+  const { requestMagicLink } = useAuth()
+  const { t } = useI18n()
+  const [isSent, setIsSent] = useState(false)
+
+  const form = useForm({
+    schema: emailOnlySchema,
+    initialValues: { email: initialEmail },
+    onSubmit: async ({ email }) => {
+      try {
+        await requestMagicLink(email, rememberMe)
+        setIsSent(true)
+      } catch (error) {
+        console.error('Magic link error:', error)
+        onError?.(t('magicLink.failed'))
+      }
+    }
+  })
+  const { values, isSubmitting } = form
+
+  if (isSent) {
+    return (
+      <div className="text-center space-y-4 animate-fade-in">
+        <div className="mx-auto h-12 w-12 bg-success-soft rounded-full flex items-center justify-center">
+          <CheckCircle className="h-6 w-6 text-success" />
+        </div>
+        <p className="text-sm text-fg-muted">
+          {t('magicLink.sent', { email: <strong>{values.email}</strong>, minutes: 15 })}
+        </p>
+        {import.meta.env.DEV && (
+          <p className="text-xs text-fg-subtle">
+            {t('common.devOutbox', {
+              link: (
+                <Link to="/dev/outbox" className="text-link hover:text-link-hover hover:underline">
+                  {t('common.devOutboxLink')}
+                </Link>
+              )
+            })}
+          </p>
+        )}
+        <button
+          type="button"
+          onClick={() => setIsSent(false)}
+          className="text-link hover:text-link-hover font-medium text-sm hover:underline transition-colors"
+        >
+          {t('magicLink.sendAnother')}
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <form className="space-y-6" onSubmit={form.handleSubmit}>
+      <TextField
+        {...form.getFieldProps('email')}
+        label={t('common.emailLabel')}
+        icon={Mail}
+        type="email"
+        autoComplete="email"
+        placeholder={t('login.emailPlaceholder')}
+      >
+        <p className="text-xs text-fg-subtle">{t('magicLink.hint')}</p>
+      </TextField>
+
+      <SubmitButton
+        icon={Send}
+        isLoading={isSubmitting}
+        loadingText={t('common.sending')}
+        disabled={form.hasErrors}
+      >
+        {t('magicLink.submit')}
+      </SubmitButton>
+
+      <div className="text-center">
+        <button
+          type="button"
+          onClick={onUsePassword}
+          className="text-sm text-link hover:text-link-hover hover:underline transition-colors"
+        >
+          {t('magicLink.usePassword')}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default MagicLinkForm
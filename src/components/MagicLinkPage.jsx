@@ -0,0 +1,82 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom'
+import { AlertCircle, ArrowLeft } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import LoadingSpinner from './LoadingSpinner'
+import TwoFactorChallenge from './TwoFactorChallenge'
+
+/**
+ * Sign-in page reached from an emailed link (/magic/:token)
+ * Features: Single-use token check, two-factor step for accounts with 2FA, expired link state
+ */
+const MagicLinkPage = () => {
+  const { token } = useParams()
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const { verifyMagicLink, isAuthenticated, twoFactorRequired } = useAuth()
+  const { t } = useI18n()
+  const [status, setStatus] = useState('checking') // checking | done | invalid
+  const handledRef = useRef(false)
+
+  // Links are single use, so make sure the token is only submitted once
+  useEffect(() => {
+    if (handledRef.current) return
+    handledRef.current = true
+
+    verifyMagicLink(token, searchParams.get('remember') === '1')
+      .then(() => setStatus('done'))
+      .catch(error => {
+        console.error('Magic link error:', error)
+        setStatus('invalid')
+      })
+  }, [])
+
+  // Continue once signed in; a cancelled two-factor step goes back to the login page
+  useEffect(() => {
+    if (status !== 'done') return
+    if (isAuthenticated) {
+      navigate('/dashboard', { replace: true })
+    } else if (!twoFactorRequired) {
+      navigate('/login', { replace: true })
+    }
+  }, [status, isAuthenticated, twoFactorRequired])
+
+  if (status === 'done' && twoFactorRequired) {
+    return <TwoFactorChallenge />
+  }
+
+  if (status === 'invalid') {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4 py-12">
+        <div className="max-w-md w-full text-center animate-fade-in">
+          <div className="mx-auto h-16 w-16 bg-danger-soft rounded-full flex items-center justify-center mb-6">
+            <AlertCircle className="h-8 w-8 text-danger" />
+          </div>
+          <h2 className="text-3xl font-bold text-fg mb-2">
+            {t('common.linkExpired')}
+          </h2>
+          <p className="text-fg-muted text-sm leading-relaxed mb-6">
+            {t('magicLink.expiredText')}
+          </p>
+          <Link
+            to="/login"
+            className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+            {t('common.backToLogin')}
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col items-center justify-center gap-4">
+      <LoadingSpinner size="large" />
+      <p className="text-sm text-fg-muted">{t('common.signingIn')}</p>
+    </div>
+  )
+}
+
+export default MagicLinkPage
@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { Mail, User, AlertCircle } from 'lucide-react'
+import { oauthProviders as defaultProviders } from '../services/authConfig'
+import { OAUTH_CALLBACK_PATH } from '../services/oauth'
+import { createMockIdentityProvider } from '../mocks/mockIdentityProvider'
+
+/**
+ * Stand-in provider sign-in page (/mock-idp/authorize)
+ * Plays the part of Google/GitHub/Microsoft for the demo backend: pick the account
+ * to sign in with, then return to /auth/callback with a code or an access_denied error.
+ * @param {Object[]} providers - Mocked providers (default: from authConfig)
+ * @param {Object} identityProvider - Code issuer (default: localStorage-backed mock)
+ */
+const MockIdentityProviderPage = ({
+  providers = defaultProviders,
+  identityProvider = createMockIdentityProvider()
+}) => {
+  const [searchParams] = useSearchParams()
+  const params = Object.fromEntries(searchParams.entries())
+  const provider = providers.find(candidate => candidate.id === params.provider)
+  const [profile, setProfile] = useState({
+    email: `demo.${params.provider}@example.com`,
+    givenName: 'Demo',
+    familyName: `${provider?.name || ''} User`.trim()
+  })
+
+  // Reject requests a real provider would refuse before showing a sign-in form
+  const requestError = useMemo(() => {
+    if (!provider) return 'Unknown provider'
+    if (params.client_id !== provider.clientId) return 'Unknown client'
+    if (params.redirect_uri !== `${window.location.origin}${OAUTH_CALLBACK_PATH}`) return 'Redirect URI is not registered'
+    if (params.response_type !== 'code' || !params.state) return 'Malformed authorization request'
+    return ''
+  }, [provider, params.client_id, params.redirect_uri, params.response_type, params.state])
+
+  const redirectBack = (query) => {
+    const url = new URL(params.redirect_uri)
+    Object.entries({ ...query, state: params.state }).forEach(([name, value]) => url.searchParams.set(name, value))
+    window.location.assign(url.toString())
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    try {
+      const code = identityProvider.authorize({
+        issuer: provider.issuer,
+        clientId: params.client_id,
+        redirectUri: params.redirect_uri,
+        codeChallenge: params.code_challenge,
+        codeChallengeMethod: params.code_challenge_method,
+        nonce: params.nonce
+      }, profile)
+      redirectBack({ code })
+    } catch (error) {
+      redirectBack({ error: 'invalid_request', error_description: error.message })
+    }
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setProfile(prev => ({ ...prev, [name]: value }))
+  }
+
+  const inputClassName = 'w-full px-4 py-3 border border-line bg-surface-muted rounded-lg focus-ring transition-all duration-200 hover:border-primary focus:bg-surface'
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12 bg-surface-muted">
+      <div className="max-w-md w-full bg-surface rounded-2xl shadow-xl p-8 border border-line-subtle space-y-6">
+        <p className="text-xs font-semibold uppercase tracking-wide text-warning-strong bg-warning-soft border border-warning-border rounded px-3 py-2">
+          Test identity provider - no real {provider?.name || 'provider'} account is used
+        </p>
+
+        {requestError ? (
+          <div className="text-center space-y-2">
+            <AlertCircle className="mx-auto h-8 w-8 text-danger" />
+            <h2 className="text-xl font-bold text-fg">Invalid sign-in request</h2>
+            <p className="text-sm text-fg-muted">{requestError}</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="flex items-center gap-3">
+              <span className={`h-10 w-10 rounded-full ${provider.color} text-white font-bold flex items-center justify-center`}>
+                {provider.name[0]}
+              </span>
+              <div>
+                <h2 className="text-xl font-bold text-fg">Sign in with {provider.name}</h2>
+                <p className="text-sm text-fg-muted">to continue to {window.location.host}</p>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="idpEmail" className="text-sm font-medium text-fg-muted flex items-center gap-2">
+                <Mail className="h-4 w-4" />
+                Email Address
+              </label>
+              <input id="idpEmail" name="email" type="email" required className={inputClassName} value={profile.email} onChange={handleChange} />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label htmlFor="idpGivenName" className="text-sm font-medium text-fg-muted flex items-center gap-2">
+                  <User className="h-4 w-4" />
+                  First Name
+                </label>
+                <input id="idpGivenName" name="givenName" type="text" className={inputClassName} value={profile.givenName} onChange={handleChange} />
+              </div>
+              <div className="space-y-2">
+                <label htmlFor="idpFamilyName" className="text-sm font-medium text-fg-muted">
+                  Last Name
+                </label>
+                <input id="idpFamilyName" name="familyName" type="text" className={inputClassName} value={profile.familyName} onChange={handleChange} />
+              </div>
+            </div>
+
+            <p className="text-xs text-fg-subtle">
+              {provider.name} will share your name and email address with this app.
+            </p>
+
+            <div className="flex gap-4">
+              <button
+                type="button"
+                onClick={() => redirectBack({ error: 'access_denied' })}
+                className="flex-1 px-6 py-3 border border-line text-fg-muted rounded-lg hover:bg-surface-muted transition-colors font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary-strong transition-colors font-medium"
+              >
+                Continue
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MockIdentityProviderPage
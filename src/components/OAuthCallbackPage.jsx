@@ -0,0 +1,95 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { AlertCircle, ArrowLeft } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import { OAuthError } from '../services/oauth'
+import LoadingSpinner from './LoadingSpinner'
+import TwoFactorChallenge from './TwoFactorChallenge'
+
+// Message ids for the OAuthError reasons; anything else gets the generic failure message
+const OAUTH_ERROR_MESSAGES = {
+  state_mismatch: 'oauth.stateMismatch',
+  expired: 'oauth.expired',
+  denied: 'oauth.denied'
+}
+
+/**
+ * Landing page for social login redirects (/auth/callback)
+ * Verifies the response, signs the user in and continues to the page they started from.
+ */
+const OAuthCallbackPage = () => {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const { completeOAuthLogin, isAuthenticated, twoFactorRequired } = useAuth()
+  const { t } = useI18n()
+  const [status, setStatus] = useState('working') // working | done | error
+  const [returnTo, setReturnTo] = useState('/dashboard')
+  const [errorMessageId, setErrorMessageId] = useState('oauth.failed')
+  const handledRef = useRef(false)
+
+  // Codes are single use, so make sure the response is only processed once
+  useEffect(() => {
+    if (handledRef.current) return
+    handledRef.current = true
+
+    completeOAuthLogin(searchParams)
+      .then(result => {
+        setReturnTo(result.returnTo)
+        setStatus('done')
+      })
+      .catch(error => {
+        console.error('Social login error:', error)
+        setErrorMessageId((error instanceof OAuthError && OAUTH_ERROR_MESSAGES[error.reason]) || 'oauth.failed')
+        setStatus('error')
+      })
+  }, [])
+
+  // Continue once signed in; a cancelled two-factor step goes back to the login page
+  useEffect(() => {
+    if (status !== 'done') return
+    if (isAuthenticated) {
+      navigate(returnTo, { replace: true })
+    } else if (!twoFactorRequired) {
+      navigate('/login', { replace: true })
+    }
+  }, [status, isAuthenticated, twoFactorRequired])
+
+  if (status === 'done' && twoFactorRequired) {
+    return <TwoFactorChallenge />
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4 py-12">
+        <div className="max-w-md w-full text-center animate-fade-in">
+          <div className="mx-auto h-16 w-16 bg-danger-soft rounded-full flex items-center justify-center mb-6">
+            <AlertCircle className="h-8 w-8 text-danger" />
+          </div>
+          <h2 className="text-3xl font-bold text-fg mb-2">
+            {t('oauth.failedTitle')}
+          </h2>
+          <p className="text-fg-muted text-sm leading-relaxed mb-6">
+            {t(errorMessageId)}
+          </p>
+          <Link
+            to="/login"
+            className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+            {t('common.backToLogin')}
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col items-center justify-center gap-4">
+      <LoadingSpinner size="large" />
+      <p className="text-sm text-fg-muted">{t('common.signingIn')}</p>
+    </div>
+  )
+}
+
+export default OAuthCallbackPage
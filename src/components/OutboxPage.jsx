@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Inbox, ArrowLeft, ExternalLink, Trash2, RefreshCw } from 'lucide-react'
+import { defaultMailer } from '../services/mailer'
+
+/**
+ * Development outbox (/dev/outbox)
+ * Lists emails "sent" by the in-browser backend so their links can be followed locally.
+ * @param {Object} mailer - Outbox mailer to read from (default: shared dev outbox)
+ */
+const OutboxPage = ({ mailer = defaultMailer }) => {
+  const [messages, setMessages] = useState(() => mailer.list())
+
+  // Pick up emails sent from other tabs
+  useEffect(() => {
+    const handleStorage = () => setMessages(mailer.list())
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [mailer])
+
+  /**
+   * Remove every stored message
+   */
+  const clearOutbox = () => {
+    mailer.clear()
+    setMessages([])
+  }
+
+  /**
+   * Turn an absolute link into an in-app path when it points at this origin
+   */
+  const toAppPath = (url) => {
+    const parsed = new URL(url, window.location.origin)
+    return parsed.origin === window.location.origin
+      ? `${parsed.pathname}${parsed.search}${parsed.hash}`
+      : null
+  }
+
+  return (
+    <div className="min-h-screen bg-surface-muted">
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <Link
+          to="/login"
+          className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+        >
+          <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+          Back to Login
+        </Link>
+
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="h-10 w-10 bg-gradient-to-r from-brand-start to-brand-end rounded-full flex items-center justify-center">
+              <Inbox className="h-6 w-6 text-white" />
+            </div>
+            <div>
+              <h1 className="text-xl font-bold text-fg">Dev Outbox</h1>
+              <p className="text-sm text-fg-subtle">Emails sent by the local backend</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setMessages(mailer.list())}
+              className="flex items-center gap-2 px-3 py-2 text-sm font-medium text-fg-muted hover:bg-surface-sunken rounded-lg transition-colors"
+            >
+              <RefreshCw className="h-4 w-4" />
+              Refresh
+            </button>
+            <button
+              onClick={clearOutbox}
+              disabled={messages.length === 0}
+              className="flex items-center gap-2 px-3 py-2 text-sm font-medium text-danger hover:bg-danger-soft rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Trash2 className="h-4 w-4" />
+              Clear
+            </button>
+          </div>
+        </div>
+
+        {messages.length === 0 ? (
+          <div className="bg-surface rounded-xl shadow-sm border p-8 text-center text-sm text-fg-subtle">
+            No emails yet.
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {messages.map(message => {
+              const appPath = message.actionUrl && toAppPath(message.actionUrl)
+              return (
+                <li key={message.id} className="bg-surface rounded-xl shadow-sm border p-6 animate-fade-in">
+                  <div className="flex items-start justify-between gap-4 mb-2">
+                    <div>
+                      <p className="font-semibold text-fg">{message.subject}</p>
+                      <p className="text-xs text-fg-subtle">To: {message.to}</p>
+                    </div>
+                    <time className="text-xs text-fg-subtle whitespace-nowrap" dateTime={message.sentAt}>
+                      {new Date(message.sentAt).toLocaleString()}
+                    </time>
+                  </div>
+                  <p className="text-sm text-fg-muted leading-relaxed">{message.text}</p>
+                  {message.actionUrl && (
+                    appPath ? (
+                      <Link
+                        to={appPath}
+                        className="inline-flex items-center gap-2 mt-4 text-sm font-medium text-link hover:text-link-hover hover:underline"
+                      >
+                        <ExternalLink className="h-4 w-4" />
+                        {message.actionLabel || 'Open link'}
+                      </Link>
+                    ) : (
+                      <a
+                        href={message.actionUrl}
+                        className="inline-flex items-center gap-2 mt-4 text-sm font-medium text-link hover:text-link-hover hover:underline"
+                      >
+                        <ExternalLink className="h-4 w-4" />
+                        {message.actionLabel || 'Open link'}
+                      </a>
+                    )
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default OutboxPage
@@ -0,0 +1,116 @@
+import React, { useState } from 'react'
+import { Fingerprint, KeyRound, Plus } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import { translateFieldErrors } from '../services/authAdapter'
+import { PASSKEY_ERROR_MESSAGES, PasskeyError, isPasskeySupported } from '../services/webauthn'
+import LoadingSpinner from './LoadingSpinner'
+import { FieldError, getErrorProps } from './Field'
+
+/**
+ * Passkey section of the security settings
+ * Lists registered passkeys and registers new ones with the browser's passkey prompt.
+ * @param {Function} onNotify - Called with (message, type) for toast notifications
+ */
+const PasskeySettings = ({ onNotify }) => {
+  const { user, registerPasskey } = useAuth()
+  const { t, language } = useI18n()
+  const [name, setName] = useState('')
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const passkeys = user?.passkeys || []
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString(language) : t('common.never'))
+
+  const handleRegister = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setError('')
+
+    try {
+      await registerPasskey(name)
+      setName('')
+      onNotify(t('passkeys.registered'), 'success')
+    } catch (error) {
+      const fieldErrors = translateFieldErrors(error, t)
+      if (fieldErrors?.passkey) {
+        setError(fieldErrors.passkey)
+      } else if (error instanceof PasskeyError) {
+        onNotify(
+          t(PASSKEY_ERROR_MESSAGES[error.reason] || 'passkeys.registerFailed'),
+          error.reason === 'cancelled' ? 'warning' : 'error'
+        )
+      } else {
+        onNotify(t('passkeys.registerFailed'), 'error')
+      }
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <section className="bg-surface rounded-xl shadow-sm border p-6 animate-fade-in">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-fg flex items-center gap-2">
+          <Fingerprint className="h-5 w-5" />
+          {t('passkeys.title')}
+        </h3>
+        <p className="text-sm text-fg-muted mt-1">
+          {t('passkeys.hint')}
+        </p>
+      </div>
+
+      {passkeys.length > 0 && (
+        <ul className="divide-y border rounded-lg mb-6">
+          {passkeys.map(passkey => (
+            <li key={passkey.id} className="flex items-center justify-between gap-4 px-4 py-3">
+              <div className="flex items-center gap-3">
+                <KeyRound className="h-5 w-5 text-fg-subtle" />
+                <div>
+                  <p className="text-sm font-medium text-fg">{passkey.name}</p>
+                  <p className="text-xs text-fg-subtle">{t('passkeys.added', { date: formatDate(passkey.createdAt) })}</p>
+                </div>
+              </div>
+              <p className="text-xs text-fg-subtle text-end">{t('passkeys.lastUsed', { date: formatDate(passkey.lastUsedAt) })}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isPasskeySupported() ? (
+        <form onSubmit={handleRegister} className="space-y-2">
+          <label htmlFor="passkeyName" className="text-sm font-medium text-fg-muted">
+            {t('passkeys.nameLabel')}
+          </label>
+          <div className="flex flex-col sm:flex-row gap-4">
+            <input
+              id="passkeyName"
+              type="text"
+              maxLength={50}
+              {...getErrorProps('passkeyName', error)}
+              className={`flex-1 px-4 py-3 border rounded-lg focus-ring input-glow transition-all duration-200 ${
+                error ? 'border-danger-border bg-danger-soft' : 'border-line bg-surface-muted'
+              } hover:border-primary focus:bg-surface`}
+              placeholder={t('passkeys.namePlaceholder')}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="flex items-center justify-center gap-2 px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary-strong transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? <LoadingSpinner size="small" variant="inverse" /> : <Plus className="h-4 w-4" />}
+              {t('passkeys.register')}
+            </button>
+          </div>
+          <FieldError name="passkeyName" error={error} />
+        </form>
+      ) : (
+        <p className="text-sm text-fg-subtle">{t('passkeys.unsupported')}</p>
+      )}
+    </section>
+  )
+}
+
+export default PasskeySettings
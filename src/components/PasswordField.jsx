@@ -0,0 +1,50 @@
+import React, { forwardRef } from 'react'
+import { Lock } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import Field from './Field'
+import PasswordInput from './PasswordInput'
+
+/**
+ * Labelled password input with a show/hide toggle, driven by useForm's getFieldProps
+ * A Field around a PasswordInput; other props go to the input, and so does the ref.
+ * @param {string} name - Field name, also used as the input id
+ * @param {string} label - Label text (default: "Password" in the current language)
+ * @param {string} value - Current value
+ * @param {string} error - Error message
+ * @param {boolean} validating - Whether an async check, such as the breach check, is running
+ * @param {Function} onChange - Change handler
+ * @param {boolean} showValidIcon - Show a check mark once the value is valid (e.g. a matching confirmation)
+ * @param {React.ReactNode} children - Extra content under the input, such as a strength meter
+ */
+const PasswordField = forwardRef(({
+  name,
+  label,
+  value,
+  error = '',
+  validating = false,
+  required = true,
+  children,
+  ...inputProps
+}, ref) => {
+  const { t } = useI18n()
+
+  return (
+    <Field name={name} label={label ?? t('common.passwordLabel')} icon={Lock} error={error}>
+      <PasswordInput
+        ref={ref}
+        {...inputProps}
+        name={name}
+        value={value}
+        error={error}
+        validating={validating}
+        isValid={!!value && !error && !validating}
+        required={required}
+      />
+      {children}
+    </Field>
+  )
+})
+
+PasswordField.displayName = 'PasswordField'
+
+export default PasswordField
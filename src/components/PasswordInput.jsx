@@ -0,0 +1,38 @@
+import React, { forwardRef, useState } from 'react'
+import { Eye, EyeOff } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import Input from './Input'
+
+/**
+ * Password input with a show/hide toggle
+ * Takes the same props as Input; the check mark of the valid state is off unless
+ * asked for, since most passwords cannot be judged while typing.
+ */
+const PasswordInput = forwardRef(({ autoComplete = 'current-password', showValidIcon = false, ...inputProps }, ref) => {
+  const { t } = useI18n()
+  const [showPassword, setShowPassword] = useState(false)
+
+  return (
+    <Input
+      ref={ref}
+      {...inputProps}
+      type={showPassword ? 'text' : 'password'}
+      autoComplete={autoComplete}
+      showValidIcon={showValidIcon}
+      trailingButton={
+        <button
+          type="button"
+          className="absolute end-3 top-3 text-fg-subtle hover:text-fg-muted transition-colors"
+          onClick={() => setShowPassword(prev => !prev)}
+          aria-label={showPassword ? t('common.hidePassword') : t('common.showPassword')}
+        >
+          {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+        </button>
+      }
+    />
+  )
+})
+
+PasswordInput.displayName = 'PasswordInput'
+
+export default PasswordInput
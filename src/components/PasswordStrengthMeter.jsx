@@ -0,0 +1,47 @@
+import React from 'react'
+import { AlertCircle } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import { estimatePasswordStrength, getPasswordStrengthInfo } from '../services/passwordStrength'
+import { getPersonalInfo } from '../services/passwordPolicy'
+
+/**
+ * Password strength bar shown under new-password inputs, with a hint on how to improve it
+ * @param {string} password - Password being typed
+ * @param {Object} userInputs - email and names of the account, which make a password easier to guess
+ */
+const PasswordStrengthMeter = ({ password, userInputs = {} }) => {
+  const { t } = useI18n()
+  if (!password) return null
+
+  const { score, feedback } = estimatePasswordStrength(password, getPersonalInfo(userInputs))
+  const strengthInfo = getPasswordStrengthInfo(score)
+  const hint = feedback.warning || feedback.suggestions[0]
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-fg-muted">{t('passwordStrength.label')}</span>
+        <span className={`text-xs font-medium ${strengthInfo.color}`}>
+          {strengthInfo.text}
+        </span>
+      </div>
+      <div className="w-full bg-surface-sunken rounded-full h-2">
+        <div 
+          className={`h-2 rounded-full transition-all duration-300 ${strengthInfo.bgColor}`}
+          style={{ width: `${((score + 1) / 5) * 100}%` }}
+        ></div>
+      </div>
+      {hint && (
+        <p className="text-xs text-fg-muted flex items-start gap-1">
+          <AlertCircle className="h-3 w-3 mt-0.5 flex-shrink-0" />
+          <span>
+            {hint}
+            {feedback.warning && feedback.suggestions.length > 0 && `. ${feedback.suggestions[0]}`}
+          </span>
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default PasswordStrengthMeter
@@ -0,0 +1,238 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, Camera, Globe, Clock, Save, Trash2, User } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useToast } from '../hooks/useToast'
+import { useForm } from '../hooks/useForm'
+import { useI18n } from '../hooks/useI18n'
+import { translateFieldErrors } from '../services/authAdapter'
+import { profileSchema } from '../services/formSchemas'
+import { LOCALE_OPTIONS, getDisplayName, getProfileValues, getTimeZones } from '../services/profile'
+import LoadingSpinner from './LoadingSpinner'
+import TextField from './TextField'
+import { FieldError, getErrorProps } from './Field'
+import SelectField from './SelectField'
+import AvatarCropper from './AvatarCropper'
+import UserAvatar from './UserAvatar'
+
+const MAX_UPLOAD_MB = 10 // before cropping
+
+/**
+ * Profile page (/profile)
+ * Features: Name, display name, cropped avatar upload, time zone and language;
+ * changes show immediately and are rolled back if saving fails
+ */
+const ProfilePage = () => {
+  const { user, updateProfile } = useAuth()
+  const { notify } = useToast()
+  const { t } = useI18n()
+  const [cropSource, setCropSource] = useState(null)
+  const fileInputRef = useRef(null)
+  const timeZoneOptions = useMemo(() => getTimeZones().map(zone => ({ value: zone, label: zone.replace(/_/g, ' ') })), [])
+
+  /**
+   * Save the profile once the form passes validation
+   */
+  const handleSave = async (values, form) => {
+    try {
+      await updateProfile(values)
+      notify(t('profile.saved'), 'success')
+    } catch (error) {
+      console.error('Profile update error:', error)
+      const fieldErrors = translateFieldErrors(error, t)
+      if (fieldErrors) {
+        form.setFieldErrors(fieldErrors)
+        notify(t('common.fixErrors'), 'error')
+        return
+      }
+      // Retry submits the same values again
+      notify(t('profile.saveFailed'), 'error', {
+        action: { label: t('common.retry'), onClick: () => form.handleSubmit() }
+      })
+    }
+  }
+
+  const form = useForm({
+    schema: profileSchema,
+    initialValues: getProfileValues(user),
+    onSubmit: handleSave,
+    onInvalid: () => notify(t('common.fixErrors'), 'error')
+  })
+  const { values, errors, isSubmitting } = form
+
+  // Release the object URL of an abandoned or applied crop
+  useEffect(() => {
+    if (!cropSource) return
+    return () => URL.revokeObjectURL(cropSource)
+  }, [cropSource])
+
+  /**
+   * Open the cropper for the chosen image
+   */
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    if (!/^image\/(png|jpeg|webp)$/.test(file.type)) {
+      form.setFieldErrors({ avatarUrl: t('validation.avatarType') })
+      return
+    }
+    if (file.size > MAX_UPLOAD_MB * 1024 * 1024) {
+      form.setFieldErrors({ avatarUrl: t('profile.imageTooLarge', { size: MAX_UPLOAD_MB }) })
+      return
+    }
+    form.setFieldErrors({ avatarUrl: '' })
+    setCropSource(URL.createObjectURL(file))
+  }
+
+  const handleCrop = (dataUrl) => {
+    form.setValue('avatarUrl', dataUrl)
+    setCropSource(null)
+  }
+
+  const handleCropError = () => {
+    form.setFieldErrors({ avatarUrl: t('profile.imageUnreadable') })
+    setCropSource(null)
+  }
+
+  // Preview the form's values, e.g. a freshly cropped avatar before it is saved
+  const preview = { ...user, ...values }
+
+  return (
+    <div className="min-h-screen bg-surface-muted">
+      {/* Header */}
+      <header className="bg-surface shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center gap-3">
+              <UserAvatar user={user} size="small" />
+              <h1 className="text-xl font-bold text-fg">{getDisplayName(user)}</h1>
+            </div>
+            <Link
+              to="/dashboard"
+              className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+            >
+              <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+              {t('common.backToDashboard')}
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <form className="bg-surface rounded-xl shadow-sm border p-6 space-y-6 animate-fade-in" onSubmit={form.handleSubmit}>
+          <h2 className="text-lg font-semibold text-fg">{t('profile.title')}</h2>
+
+          {/* Avatar */}
+          <div className="space-y-3">
+            {cropSource ? (
+              <AvatarCropper
+                src={cropSource}
+                onCrop={handleCrop}
+                onCancel={() => setCropSource(null)}
+                onError={handleCropError}
+              />
+            ) : (
+              <div className="flex items-center gap-4">
+                <UserAvatar user={preview} size="large" />
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    type="button"
+                    onClick={() => fileInputRef.current?.click()}
+                    {...getErrorProps('avatarUrl', errors.avatarUrl)}
+                    className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-link hover:bg-primary-soft border border-primary-border rounded-lg transition-colors"
+                  >
+                    <Camera className="h-4 w-4" />
+                    {values.avatarUrl ? t('profile.changePhoto') : t('profile.uploadPhoto')}
+                  </button>
+                  {values.avatarUrl && (
+                    <button
+                      type="button"
+                      onClick={() => form.setValue('avatarUrl', null)}
+                      className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-danger hover:bg-danger-soft rounded-lg transition-colors"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                      {t('profile.removePhoto')}
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/png,image/jpeg,image/webp"
+              className="hidden"
+              onChange={handleFileChange}
+            />
+            <FieldError name="avatarUrl" error={errors.avatarUrl} />
+          </div>
+
+          {/* Name Fields */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <TextField
+              {...form.getFieldProps('firstName')}
+              label={t('signup.firstName')}
+              icon={User}
+              autoComplete="given-name"
+            />
+            <TextField
+              {...form.getFieldProps('lastName')}
+              label={t('signup.lastName')}
+              autoComplete="family-name"
+            />
+          </div>
+
+          <TextField
+            {...form.getFieldProps('displayName')}
+            label={t('profile.displayName')}
+            autoComplete="nickname"
+            placeholder={[values.firstName, values.lastName].filter(Boolean).join(' ')}
+            required={false}
+          >
+            <p className="text-xs text-fg-subtle">{t('profile.displayNameHint')}</p>
+          </TextField>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <SelectField
+              {...form.getFieldProps('timezone')}
+              label={t('profile.timezone')}
+              icon={Clock}
+              options={timeZoneOptions}
+            />
+            <SelectField
+              {...form.getFieldProps('locale')}
+              label={t('common.language')}
+              icon={Globe}
+              options={LOCALE_OPTIONS}
+            />
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={isSubmitting || form.hasErrors || !!cropSource}
+              className="inline-flex items-center gap-2 px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary-strong transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? (
+                <>
+                  <LoadingSpinner size="small" variant="inverse" />
+                  {t('common.saving')}
+                </>
+              ) : (
+                <>
+                  <Save className="h-4 w-4" />
+                  {t('profile.save')}
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+      </main>
+    </div>
+  )
+}
+
+export default ProfilePage
@@ -0,0 +1,48 @@
+import React from 'react'
+import { Navigate, Outlet, useLocation } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+import { isAuthorized } from '../services/permissions'
+import LoadingSpinner from './LoadingSpinner'
+import ForbiddenPage from './ForbiddenPage'
+import EmailVerificationRequiredPage from './EmailVerificationRequiredPage'
+
+/**
+ * Route guard for pages that require a signed-in user
+ * Waits for the stored session to be restored, then sends guests to the login page,
+ * remembering the requested URL so they can be returned to it after signing in.
+ * Signed-in users missing a required permission or role get a 403 page; with
+ * `requireVerifiedEmail`, users who have not verified their email are asked to do so first.
+ * Wraps `children`, or renders nested routes through <Outlet /> when used as a layout route.
+ * @param {string} redirectTo - Where to send guests (default: /login)
+ * @param {string|string[]} permission - Permission(s), all of which are required
+ * @param {string|string[]} role - Role(s), any of which is enough
+ * @param {boolean} requireVerifiedEmail - Block the route until the user's email is verified
+ */
+const ProtectedRoute = ({ children, redirectTo = '/login', permission, role, requireVerifiedEmail = false }) => {
+  const { user, isAuthenticated, isLoading } = useAuth()
+  const location = useLocation()
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    )
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to={redirectTo} replace state={{ from: location }} />
+  }
+
+  if (!isAuthorized(user, { permission, role })) {
+    return <ForbiddenPage />
+  }
+
+  if (requireVerifiedEmail && user.emailVerified === false) {
+    return <EmailVerificationRequiredPage />
+  }
+
+  return children ?? <Outlet />
+}
+
+export default ProtectedRoute
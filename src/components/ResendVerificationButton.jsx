@@ -0,0 +1,75 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Send } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import { formatCountdown, useCountdown } from '../hooks/useCountdown'
+import { TooManyAttemptsError } from '../services/authAdapter'
+import LoadingSpinner from './LoadingSpinner'
+
+/**
+ * Button sending the signed-in user a new email verification link
+ * Disabled with a countdown while the backend's resend limit is in effect.
+ */
+const ResendVerificationButton = () => {
+  const { resendVerificationEmail } = useAuth()
+  const { t } = useI18n()
+  const [resendAvailableAt, setResendAvailableAt] = useState(null)
+  const [isSending, setIsSending] = useState(false)
+  const [message, setMessage] = useState(null) // { type: 'success' | 'error', text }
+  const secondsLeft = useCountdown(resendAvailableAt)
+
+  const handleResend = async () => {
+    setIsSending(true)
+    setMessage(null)
+    try {
+      const retryAfter = await resendVerificationEmail()
+      setResendAvailableAt(Date.now() + retryAfter * 1000)
+      setMessage({ type: 'success', text: t('emailVerification.sent') })
+    } catch (error) {
+      console.error('Resend verification error:', error)
+      if (error instanceof TooManyAttemptsError) {
+        setResendAvailableAt(Date.now() + error.retryAfter * 1000)
+        setMessage({ type: 'error', text: t('emailVerification.tooSoon') })
+      } else {
+        setMessage({ type: 'error', text: t('emailVerification.failed') })
+      }
+    } finally {
+      setIsSending(false)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={isSending || secondsLeft > 0}
+        className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-warning-strong bg-warning-soft hover:bg-warning-border rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSending ? <LoadingSpinner size="small" /> : <Send className="h-4 w-4" />}
+        {secondsLeft > 0
+          ? t('emailVerification.resendIn', { time: formatCountdown(secondsLeft) })
+          : t('emailVerification.resend')}
+      </button>
+      {message && (
+        <p className={`text-xs ${message.type === 'success' ? 'text-success-strong' : 'text-danger'}`}>
+          {message.text}
+        </p>
+      )}
+      {import.meta.env.DEV && (
+        <p className="text-xs text-fg-subtle">
+          {t('common.devOutbox', {
+            link: (
+              <Link to="/dev/outbox" className="text-link hover:text-link-hover hover:underline">
+                {t('common.devOutboxLink')}
+              </Link>
+            )
+          })}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default ResendVerificationButton
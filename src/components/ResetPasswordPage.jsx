@@ -0,0 +1,171 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { ArrowLeft, CheckCircle, AlertCircle, KeyRound } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useToast } from '../hooks/useToast'
+import { useForm } from '../hooks/useForm'
+import { useI18n } from '../hooks/useI18n'
+import { InvalidTokenError, translateFieldErrors } from '../services/authAdapter'
+import { createResetPasswordSchema } from '../services/formSchemas'
+import LoadingSpinner from './LoadingSpinner'
+import AuthCard from './AuthCard'
+import SubmitButton from './SubmitButton'
+import PasswordField from './PasswordField'
+import PasswordStrengthMeter from './PasswordStrengthMeter'
+
+/**
+ * Reset password page reached from the emailed link (/reset-password/:token)
+ * Features: Token check on load, same password rules as sign up, success/expired states
+ */
+const ResetPasswordPage = () => {
+  const { token } = useParams()
+  const { verifyPasswordResetToken, resetPassword } = useAuth()
+  const { notify } = useToast()
+  const { t } = useI18n()
+  const [status, setStatus] = useState('checking') // checking | ready | invalid | success
+  const [email, setEmail] = useState('')
+
+  // Check the link before showing the form
+  useEffect(() => {
+    let isCurrent = true
+
+    verifyPasswordResetToken(token)
+      .then(result => {
+        if (!isCurrent) return
+        setEmail(result.email)
+        setStatus('ready')
+      })
+      .catch(() => {
+        if (isCurrent) setStatus('invalid')
+      })
+
+    return () => {
+      isCurrent = false
+    }
+  }, [token])
+
+  /**
+   * Store the new password once both fields are valid
+   */
+  const handleResetPassword = async ({ password }, form) => {
+    try {
+      await resetPassword(token, password)
+      setStatus('success')
+    } catch (error) {
+      const fieldErrors = translateFieldErrors(error, t)
+      if (fieldErrors) {
+        form.setFieldErrors(fieldErrors)
+      } else if (error instanceof InvalidTokenError) {
+        setStatus('invalid')
+      } else {
+        notify(t('resetPassword.failed'), 'error')
+      }
+    }
+  }
+
+  // The account's email is known once the link checks out; the policy rejects passwords containing it
+  const schema = useMemo(() => createResetPasswordSchema(email), [email])
+
+  const form = useForm({
+    schema,
+    initialValues: { password: '', confirmPassword: '' },
+    onSubmit: handleResetPassword
+  })
+
+  if (status === 'checking') {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    )
+  }
+
+  const backLink = (
+    <Link
+      to="/login"
+      className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+    >
+      <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+      {t('common.backToLogin')}
+    </Link>
+  )
+
+  if (status === 'invalid') {
+    return (
+      <AuthCard
+        icon={AlertCircle}
+        tone="danger"
+        title={t('common.linkExpired')}
+        description={t('resetPassword.invalidText')}
+        toolbar={backLink}
+        footer={
+          <Link
+            to="/forgot-password"
+            className="text-link hover:text-link-hover font-medium hover:underline transition-colors"
+          >
+            {t('resetPassword.requestNew')}
+          </Link>
+        }
+      />
+    )
+  }
+
+  if (status === 'success') {
+    return (
+      <AuthCard
+        icon={CheckCircle}
+        tone="success"
+        title={t('resetPassword.successTitle')}
+        description={t('resetPassword.successText')}
+        toolbar={backLink}
+        footer={
+          <Link
+            to="/login"
+            className="text-link hover:text-link-hover font-medium hover:underline transition-colors"
+          >
+            {t('resetPassword.signIn')}
+          </Link>
+        }
+      />
+    )
+  }
+
+  return (
+    <AuthCard
+      icon={KeyRound}
+      title={t('resetPassword.title')}
+      description={t('resetPassword.subtitle', { email: <strong>{email}</strong> })}
+      toolbar={backLink}
+    >
+      <form onSubmit={form.handleSubmit} className="space-y-6">
+        <PasswordField
+          {...form.getFieldProps('password')}
+          label={t('common.newPassword')}
+          autoComplete="new-password"
+          placeholder={t('signup.passwordPlaceholder')}
+        >
+          {/* Password Strength Indicator */}
+          <PasswordStrengthMeter password={form.values.password} userInputs={{ email }} />
+        </PasswordField>
+
+        <PasswordField
+          {...form.getFieldProps('confirmPassword')}
+          label={t('common.confirmNewPassword')}
+          autoComplete="new-password"
+          placeholder={t('resetPassword.confirmPlaceholder')}
+        />
+
+        {/* Submit Button */}
+        <SubmitButton
+          isLoading={form.isSubmitting}
+          loadingText={t('resetPassword.submitting')}
+          disabled={form.hasErrors}
+        >
+          {t('resetPassword.submit')}
+        </SubmitButton>
+      </form>
+    </AuthCard>
+  )
+}
+
+export default ResetPasswordPage
@@ -0,0 +1,62 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, Shield } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useToast } from '../hooks/useToast'
+import { useI18n } from '../hooks/useI18n'
+import TwoFactorSettings from './TwoFactorSettings'
+import PasskeySettings from './PasskeySettings'
+import ChangePasswordSettings from './ChangePasswordSettings'
+import ChangeEmailSettings from './ChangeEmailSettings'
+import SessionSettings from './SessionSettings'
+
+/**
+ * Security settings page (/settings/security)
+ * Features: Change password and email, two-factor authentication setup with recovery codes,
+ * passkey registration, active sessions with sign out
+ */
+const SecuritySettingsPage = () => {
+  const { user } = useAuth()
+  const { notify } = useToast()
+  const { t } = useI18n()
+
+  return (
+    <div className="min-h-screen bg-surface-muted">
+      {/* Header */}
+      <header className="bg-surface shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center gap-3">
+              <div className="h-10 w-10 bg-gradient-to-r from-brand-start to-brand-end rounded-full flex items-center justify-center">
+                <Shield className="h-6 w-6 text-white" />
+              </div>
+              <h1 className="text-xl font-bold text-fg">{t('securitySettings.title')}</h1>
+            </div>
+            <Link
+              to="/dashboard"
+              className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+            >
+              <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+              {t('common.backToDashboard')}
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <p className="text-sm text-fg-muted">
+          {t('securitySettings.intro', { email: <span className="font-medium text-fg">{user?.email}</span> })}
+        </p>
+
+        <ChangePasswordSettings onNotify={notify} />
+        <ChangeEmailSettings onNotify={notify} />
+        <TwoFactorSettings onNotify={notify} />
+        <PasskeySettings onNotify={notify} />
+        <SessionSettings onNotify={notify} />
+      </main>
+    </div>
+  )
+}
+
+export default SecuritySettingsPage
@@ -0,0 +1,49 @@
+import React, { forwardRef } from 'react'
+import Field, { getErrorProps } from './Field'
+import { getInputClassName } from './Input'
+
+/**
+ * Labelled select with validation states, driven by useForm's getFieldProps
+ * The ref points at the <select>.
+ * @param {string} name - Field name, also used as the select id
+ * @param {string} label - Label text
+ * @param {Function} icon - Lucide icon shown before the label
+ * @param {Array<{value: string, label: string}>} options - Choices
+ * @param {string} value - Selected value
+ * @param {string} error - Error message
+ * @param {Function} onChange - Change handler
+ * @param {React.ReactNode} children - Extra content under the select, such as hints
+ */
+const SelectField = forwardRef(({
+  name,
+  label,
+  icon,
+  options,
+  value,
+  error = '',
+  onChange,
+  required = true,
+  children
+}, ref) => (
+  <Field name={name} label={label} icon={icon} error={error}>
+    <select
+      ref={ref}
+      id={name}
+      name={name}
+      required={required}
+      className={getInputClassName({ error })}
+      {...getErrorProps(name, error)}
+      value={value}
+      onChange={onChange}
+    >
+      {options.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+    {children}
+  </Field>
+))
+
+SelectField.displayName = 'SelectField'
+
+export default SelectField
@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react'
+import { Laptop, LogOut, MonitorSmartphone, Smartphone } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import LoadingSpinner from './LoadingSpinner'
+
+const isMobileDevice = (device) => /iOS|Android/.test(device)
+
+/**
+ * Active sessions section of the security settings
+ * Lists where the account is signed in and signs out individual or all other sessions.
+ * @param {Function} onNotify - Called with (message, type) for toast notifications
+ */
+const SessionSettings = ({ onNotify }) => {
+  const { listSessions, revokeSession, signOutOtherSessions } = useAuth()
+  const { t, language } = useI18n()
+  const [sessions, setSessions] = useState(null)
+  const [busyId, setBusyId] = useState(null) // session being revoked, or 'others'
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString(language) : t('common.unknown'))
+
+  const loadSessions = async () => {
+    try {
+      setSessions(await listSessions())
+    } catch (error) {
+      console.error('Session list error:', error)
+      setSessions([])
+      onNotify(t('sessions.loadFailed'), 'error')
+    }
+  }
+
+  useEffect(() => {
+    loadSessions()
+  }, [])
+
+  const handleRevoke = async (sessionId) => {
+    setBusyId(sessionId)
+    try {
+      await revokeSession(sessionId)
+      onNotify(t('sessions.revoked'), 'success')
+      await loadSessions()
+    } catch (error) {
+      console.error('Revoke session error:', error)
+      onNotify(t('sessions.revokeFailed'), 'error')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleSignOutOthers = async () => {
+    if (!window.confirm(t('sessions.signOutOthersConfirm'))) return
+
+    setBusyId('others')
+    try {
+      await signOutOtherSessions()
+      onNotify(t('sessions.othersRevoked'), 'success')
+      await loadSessions()
+    } catch (error) {
+      console.error('Sign out other sessions error:', error)
+      onNotify(t('sessions.othersRevokeFailed'), 'error')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <section className="bg-surface rounded-xl shadow-sm border p-6 animate-fade-in">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-fg flex items-center gap-2">
+          <MonitorSmartphone className="h-5 w-5" />
+          {t('sessions.title')}
+        </h3>
+        <p className="text-sm text-fg-muted mt-1">
+          {t('sessions.hint')}
+        </p>
+      </div>
+
+      {sessions === null ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <ul className="divide-y border rounded-lg mb-6">
+          {sessions.map(session => {
+            const Icon = isMobileDevice(session.device) ? Smartphone : Laptop
+            return (
+              <li key={session.id} className="flex items-center justify-between gap-4 px-4 py-3">
+                <div className="flex items-center gap-3">
+                  <Icon className="h-5 w-5 text-fg-subtle" />
+                  <div>
+                    <p className="text-sm font-medium text-fg flex items-center gap-2">
+                      {session.device}
+                      {session.current && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-success-soft text-success-strong">
+                          {t('sessions.current')}
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-fg-subtle">
+                      {t('sessions.activity', {
+                        signedIn: formatDate(session.createdAt),
+                        lastActive: formatDate(session.lastActiveAt)
+                      })}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(session.id)}
+                    disabled={busyId !== null}
+                    className="flex items-center gap-2 px-3 py-2 text-sm font-medium text-danger hover:text-danger-strong hover:bg-danger-soft rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {busyId === session.id ? <LoadingSpinner size="small" /> : <LogOut className="h-4 w-4" />}
+                    {t('sessions.signOut')}
+                  </button>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <button
+        type="button"
+        onClick={handleSignOutOthers}
+        disabled={busyId !== null || sessions === null}
+        className="flex items-center gap-2 px-6 py-3 border border-danger-border text-danger rounded-lg hover:bg-danger-soft transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {busyId === 'others' ? <LoadingSpinner size="small" /> : <LogOut className="h-4 w-4" />}
+        {t('sessions.signOutOthers')}
+      </button>
+    </section>
+  )
+}
+
+export default SessionSettings
@@ -1,579 +1,208 @@
-import React, { useState } from 'react'
-import { useNavigate, Link } from 'react-router-dom'
-import { Mail, Lock, Eye, EyeOff, User, Shield, CheckCircle, AlertCircle } from 'lucide-react'
+import React, { useMemo, useState } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { Mail, User, Shield } from 'lucide-react'
 import { useAuth } from '../hooks/useAuth'
-import LoadingSpinner from './LoadingSpinner'
-import Toast from './Toast'
+import { useToast } from '../hooks/useToast'
+import { useForm } from '../hooks/useForm'
+import { useI18n } from '../hooks/useI18n'
+import { translateFieldErrors } from '../services/authAdapter'
+import { DuplicateEmailError } from '../services/userRepository'
+import { createSignupSchema } from '../services/formSchemas'
+import AuthCard from './AuthCard'
+import Alert from './Alert'
+import SubmitButton from './SubmitButton'
+import TextField from './TextField'
+import { FieldError, getErrorProps } from './Field'
+import PasswordField from './PasswordField'
+import PasswordStrengthMeter from './PasswordStrengthMeter'
+import SocialLoginButtons from './SocialLoginButtons'
+import LanguageSwitcher from './LanguageSwitcher'
+import ThemeToggle from './ThemeToggle'
+import { getReturnTo } from './GuestOnlyRoute'
 
 /**
  * Modern sign up page component with registration and form validation
- * Features: Real-time validation, password strength checking, loading states, error handling
+ * Features: Real-time validation, email availability check while typing, password strength checking,
+ * loading states, error handling,
+ * sign up through the configured OAuth providers
  */
 const SignUpPage = () => {
-  const navigate = useNavigate()
-  const { signup, isAuthenticated, isLoading } = useAuth()
-  const [formData, setFormData] = useState({
-    firstName: '',
-    lastName: '',
-    email: '',
-    password: '',
-    confirmPassword: '',
-    agreeToTerms: false
-  })
-  const [showPassword, setShowPassword] = useState(false)
-  const [showConfirmPassword, setShowConfirmPassword] = useState(false)
-  const [errors, setErrors] = useState({})
-  const [toast, setToast] = useState({ show: false, message: '', type: '' })
-  const [isSubmitting, setIsSubmitting] = useState(false)
-  const [passwordStrength, setPasswordStrength] = useState(0)
-
-  // Redirect if already authenticated
-  React.useEffect(() => {
-    if (isAuthenticated) {
-      navigate('/dashboard')
-    }
-  }, [isAuthenticated, navigate])
-
-  /**
-   * Real-time email validation
-   */
-  const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    return emailRegex.test(email)
-  }
-
-  /**
-   * Calculate password strength
-   */
-  const calculatePasswordStrength = (password) => {
-    let strength = 0
-    if (password.length >= 8) strength += 1
-    if (/[A-Z]/.test(password)) strength += 1
-    if (/[a-z]/.test(password)) strength += 1
-    if (/[0-9]/.test(password)) strength += 1
-    if (/[^A-Za-z0-9]/.test(password)) strength += 1
-    return strength
-  }
-
-  /**
-   * Get password strength text and color
-   */
-  const getPasswordStrengthInfo = (strength) => {
-    const strengthLevels = [
-      { text: 'Very Weak', color: 'text-red-500', bgColor: 'bg-red-500' },
-      { text: 'Weak', color: 'text-orange-500', bgColor: 'bg-orange-500' },
-      { text: 'Fair', color: 'text-yellow-500', bgColor: 'bg-yellow-500' },
-      { text: 'Good', color: 'text-blue-500', bgColor: 'bg-blue-500' },
-      { text: 'Strong', color: 'text-green-500', bgColor: 'bg-green-500' }
-    ]
-    return strengthLevels[strength] || strengthLevels[0]
-  }
-
-  /**
-   * Handle input changes with real-time validation
-   */
-  const handleInputChange = (e) => {
-    const { name, value, type, checked } = e.target
-    const inputValue = type === 'checkbox' ? checked : value
-
-    setFormData(prev => ({
-      ...prev,
-      [name]: inputValue
-    }))
-
-    // Real-time validation
-    if (name === 'firstName' && value) {
-      if (value.length < 2) {
-        setErrors(prev => ({ ...prev, firstName: 'First name must be at least 2 characters' }))
-      } else {
-        setErrors(prev => ({ ...prev, firstName: '' }))
-      }
-    }
-
-    if (name === 'lastName' && value) {
-      if (value.length < 2) {
-        setErrors(prev => ({ ...prev, lastName: 'Last name must be at least 2 characters' }))
-      } else {
-        setErrors(prev => ({ ...prev, lastName: '' }))
-      }
-    }
-
-    if (name === 'email' && value) {
-      if (!validateEmail(value)) {
-        setErrors(prev => ({ ...prev, email: 'Please enter a valid email address' }))
-      } else {
-        setErrors(prev => ({ ...prev, email: '' }))
-      }
-    }
-
-    if (name === 'password') {
-      const strength = calculatePasswordStrength(value)
-      setPasswordStrength(strength)
-      
-      if (value && value.length < 8) {
-        setErrors(prev => ({ ...prev, password: 'Password must be at least 8 characters' }))
-      } else {
-        setErrors(prev => ({ ...prev, password: '' }))
-      }
-
-      // Check confirm password match if it exists
-      if (formData.confirmPassword && value !== formData.confirmPassword) {
-        setErrors(prev => ({ ...prev, confirmPassword: 'Passwords do not match' }))
-      } else if (formData.confirmPassword) {
-        setErrors(prev => ({ ...prev, confirmPassword: '' }))
-      }
-    }
-
-    if (name === 'confirmPassword' && value) {
-      if (value !== formData.password) {
-        setErrors(prev => ({ ...prev, confirmPassword: 'Passwords do not match' }))
-      } else {
-        setErrors(prev => ({ ...prev, confirmPassword: '' }))
-      }
-    }
-  }
+  const { signup, checkEmailAvailable, oauthProviders } = useAuth()
+  const location = useLocation()
+  const { notify } = useToast()
+  const { t } = useI18n()
 
   /**
-   * Handle form submission with validation and registration
+   * Register the account once the form passes validation
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    setIsSubmitting(true)
-    
-    // Validate form
-    const newErrors = {}
-    
-    if (!formData.firstName) {
-      newErrors.firstName = 'First name is required'
-    } else if (formData.firstName.length < 2) {
-      newErrors.firstName = 'First name must be at least 2 characters'
-    }
-
-    if (!formData.lastName) {
-      newErrors.lastName = 'Last name is required'
-    } else if (formData.lastName.length < 2) {
-      newErrors.lastName = 'Last name must be at least 2 characters'
-    }
-    
-    if (!formData.email) {
-      newErrors.email = 'Email is required'
-    } else if (!validateEmail(formData.email)) {
-      newErrors.email = 'Please enter a valid email address'
-    }
-    
-    if (!formData.password) {
-      newErrors.password = 'Password is required'
-    } else if (formData.password.length < 8) {
-      newErrors.password = 'Password must be at least 8 characters'
-    }
-
-    if (!formData.confirmPassword) {
-      newErrors.confirmPassword = 'Please confirm your password'
-    } else if (formData.password !== formData.confirmPassword) {
-      newErrors.confirmPassword = 'Passwords do not match'
-    }
-
-    if (!formData.agreeToTerms) {
-      newErrors.agreeToTerms = 'You must agree to the terms and conditions'
-    }
-    
-    setErrors(newErrors)
-    
-    if (Object.keys(newErrors).length > 0) {
-      setIsSubmitting(false)
-      setToast({
-        show: true,
-        message: 'Please fix the errors above',
-        type: 'error'
-      })
-      return
-    }
-
+  const handleSignup = async ({ firstName, lastName, email, password }, form) => {
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      
-      const success = await signup({
-        firstName: formData.firstName,
-        lastName: formData.lastName,
-        email: formData.email,
-        password: formData.password
-      })
+      const success = await signup({ firstName, lastName, email, password })
       
-      if (success) {
-        setToast({
-          show: true,
-          message: 'Account created successfully! Redirecting...',
-          type: 'success'
-        })
-        
-        setTimeout(() => {
-          navigate('/dashboard')
-        }, 1000)
-      } else {
-        setToast({
-          show: true,
-          message: 'Registration failed. Please try again.',
-          type: 'error'
-        })
+      // On success GuestOnlyRoute sends the new user on to the dashboard
+      if (!success) {
+        notify(t('signup.failed'), 'error')
       }
     } catch (error) {
-      setToast({
-        show: true,
-        message: 'An error occurred. Please try again.',
-        type: 'error'
-      })
-    } finally {
-      setIsSubmitting(false)
-    }
-  }
-
-  /**
-   * Toggle password visibility
-   */
-  const togglePasswordVisibility = () => {
-    setShowPassword(prev => !prev)
-  }
-
-  /**
-   * Toggle confirm password visibility
-   */
-  const toggleConfirmPasswordVisibility = () => {
-    setShowConfirmPassword(prev => !prev)
-  }
-
-  /**
-   * Close toast notification
-   */
-  const closeToast = () => {
-    setToast({ show: false, message: '', type: '' })
-  }
+      // Show server-side validation messages next to the matching fields
+      const fieldErrors = translateFieldErrors(error, t)
+      if (fieldErrors) {
+        form.setFieldErrors(fieldErrors)
+        notify(
+          error instanceof DuplicateEmailError
+            ? t('signup.duplicateEmail')
+            : t('common.fixErrors'),
+          'error'
+        )
+        return
+      }
 
-  if (isLoading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <LoadingSpinner size="large" />
-      </div>
-    )
+      notify(t('common.genericError'), 'error')
+    }
   }
 
-  const strengthInfo = getPasswordStrengthInfo(passwordStrength)
+  // Taken addresses are flagged while typing instead of after submit
+  const schema = useMemo(() => createSignupSchema(checkEmailAvailable), [checkEmailAvailable])
+
+  const form = useForm({
+    schema,
+    initialValues: {
+      firstName: '',
+      lastName: '',
+      email: '',
+      password: '',
+      confirmPassword: '',
+      agreeToTerms: false
+    },
+    onSubmit: handleSignup,
+    onInvalid: () => notify(t('common.fixErrors'), 'error')
+  })
+  const { values, errors, isSubmitting } = form
 
   return (
-    <div className="min-h-screen flex items-center justify-center px-4 py-12">
-      {/* Toast Notification */}
-      {toast.show && (
-        <Toast
-          message={toast.message}
-          type={toast.type}
-          onClose={closeToast}
-        />
-      )}
-
-      <div className="max-w-md w-full space-y-8 animate-fade-in">
-        {/* Header */}
-        <div className="text-center animate-slide-in">
-          <div className="mx-auto h-16 w-16 bg-gradient-to-r from-green-600 to-blue-600 rounded-full flex items-center justify-center mb-6 animate-pulse-hover">
-            <Shield className="h-8 w-8 text-white" />
-          </div>
-          <h2 className="text-3xl font-bold gradient-text mb-2">
-            Create Account
-          </h2>
-          <p className="text-gray-600 text-sm leading-relaxed">
-            Join us today and get started with your secure dashboard
-          </p>
+    <AuthCard
+      icon={Shield}
+      tone="accent"
+      title={t('signup.title')}
+      description={t('signup.subtitle')}
+      toolbar={
+        <div className="flex items-center justify-end gap-3">
+          <ThemeToggle />
+          <LanguageSwitcher />
+        </div>
+      }
+      footer={t('signup.haveAccount', {
+        link: (
+          <Link to="/login" className="text-link hover:text-link-hover font-medium hover:underline transition-colors">
+            {t('common.signInLink')}
+          </Link>
+        )
+      })}
+    >
+      <form className="space-y-6" onSubmit={form.handleSubmit}>
+        {/* Name Fields */}
+        <div className="grid grid-cols-2 gap-4">
+          <TextField
+            {...form.getFieldProps('firstName')}
+            label={t('signup.firstName')}
+            icon={User}
+            autoComplete="given-name"
+            placeholder={t('signup.firstNamePlaceholder')}
+          />
+          <TextField
+            {...form.getFieldProps('lastName')}
+            label={t('signup.lastName')}
+            autoComplete="family-name"
+            placeholder={t('signup.lastNamePlaceholder')}
+          />
         </div>
 
-        {/* Sign Up Form */}
-        <div className="bg-white rounded-2xl shadow-xl p-8 border border-gray-100">
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            {/* Name Fields */}
-            <div className="grid grid-cols-2 gap-4">
-              {/* First Name */}
-              <div className="space-y-2">
-                <label htmlFor="firstName" className="text-sm font-medium text-gray-700 flex items-center gap-2">
-                  <User className="h-4 w-4" />
-                  First Name
-                </label>
-                <div className="relative">
-                  <input
-                    id="firstName"
-                    name="firstName"
-                    type="text"
-                    autoComplete="given-name"
-                    required
-                    className={`w-full px-4 py-3 border rounded-lg focus-ring input-glow transition-all duration-200 ${
-                      errors.firstName 
-                        ? 'border-red-300 bg-red-50' 
-                        : formData.firstName && !errors.firstName
-                        ? 'border-green-300 bg-green-50'
-                        : 'border-gray-300 bg-gray-50'
-                    } hover:border-blue-400 focus:bg-white`}
-                    placeholder="John"
-                    value={formData.firstName}
-                    onChange={handleInputChange}
-                  />
-                  {formData.firstName && !errors.firstName && (
-                    <CheckCircle className="absolute right-3 top-3 h-5 w-5 text-green-500" />
-                  )}
-                  {errors.firstName && (
-                    <AlertCircle className="absolute right-3 top-3 h-5 w-5 text-red-500" />
-                  )}
-                </div>
-                {errors.firstName && (
-                  <p className="text-red-600 text-xs flex items-center gap-1 animate-slide-in">
-                    <AlertCircle className="h-3 w-3" />
-                    {errors.firstName}
-                  </p>
-                )}
-              </div>
-
-              {/* Last Name */}
-              <div className="space-y-2">
-                <label htmlFor="lastName" className="text-sm font-medium text-gray-700">
-                  Last Name
-                </label>
-                <div className="relative">
-                  <input
-                    id="lastName"
-                    name="lastName"
-                    type="text"
-                    autoComplete="family-name"
-                    required
-                    className={`w-full px-4 py-3 border rounded-lg focus-ring input-glow transition-all duration-200 ${
-                      errors.lastName 
-                        ? 'border-red-300 bg-red-50' 
-                        : formData.lastName && !errors.lastName
-                        ? 'border-green-300 bg-green-50'
-                        : 'border-gray-300 bg-gray-50'
-                    } hover:border-blue-400 focus:bg-white`}
-                    placeholder="Doe"
-                    value={formData.lastName}
-                    onChange={handleInputChange}
-                  />
-                  {formData.lastName && !errors.lastName && (
-                    <CheckCircle className="absolute right-3 top-3 h-5 w-5 text-green-500" />
-                  )}
-                  {errors.lastName && (
-                    <AlertCircle className="absolute right-3 top-3 h-5 w-5 text-red-500" />
-                  )}
-                </div>
-                {errors.lastName && (
-                  <p className="text-red-600 text-xs flex items-center gap-1 animate-slide-in">
-                    <AlertCircle className="h-3 w-3" />
-                    {errors.lastName}
-                  </p>
-                )}
-              </div>
-            </div>
-
-            {/* Email Field */}
-            <div className="space-y-2">
-              <label htmlFor="email" className="text-sm font-medium text-gray-700 flex items-center gap-2">
-                <Mail className="h-4 w-4" />
-                Email Address
-              </label>
-              <div className="relative">
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  className={`w-full px-4 py-3 border rounded-lg focus-ring input-glow transition-all duration-200 ${
-                    errors.email 
-                      ? 'border-red-300 bg-red-50' 
-                      : formData.email && !errors.email
-                      ? 'border-green-300 bg-green-50'
-                      : 'border-gray-300 bg-gray-50'
-                  } hover:border-blue-400 focus:bg-white`}
-                  placeholder="john.doe@example.com"
-                  value={formData.email}
-                  onChange={handleInputChange}
-                />
-                {formData.email && !errors.email && (
-                  <CheckCircle className="absolute right-3 top-3 h-5 w-5 text-green-500" />
-                )}
-                {errors.email && (
-                  <AlertCircle className="absolute right-3 top-3 h-5 w-5 text-red-500" />
-                )}
-              </div>
-              {errors.email && (
-                <p className="text-red-600 text-xs flex items-center gap-1 animate-slide-in">
-                  <AlertCircle className="h-3 w-3" />
-                  {errors.email}
-                </p>
-              )}
-            </div>
-
-            {/* Password Field */}
-            <div className="space-y-2">
-              <label htmlFor="password" className="text-sm font-medium text-gray-700 flex items-center gap-2">
-                <Lock className="h-4 w-4" />
-                Password
-              </label>
-              <div className="relative">
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="new-password"
-                  required
-                  className={`w-full px-4 py-3 pr-12 border rounded-lg focus-ring input-glow transition-all duration-200 ${
-                    errors.password 
-                      ? 'border-red-300 bg-red-50' 
-                      : formData.password && !errors.password
-                      ? 'border-green-300 bg-green-50'
-                      : 'border-gray-300 bg-gray-50'
-                  } hover:border-blue-400 focus:bg-white`}
-                  placeholder="Create a strong password"
-                  value={formData.password}
-                  onChange={handleInputChange}
-                />
-                <button
-                  type="button"
-                  className="absolute right-3 top-3 text-gray-400 hover:text-gray-600 transition-colors"
-                  onClick={togglePasswordVisibility}
-                  aria-label={showPassword ? 'Hide password' : 'Show password'}
-                >
-                  {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
-                </button>
-              </div>
-              
-              {/* Password Strength Indicator */}
-              {formData.password && (
-                <div className="space-y-2">
-                  <div className="flex items-center justify-between">
-                    <span className="text-xs text-gray-600">Password strength:</span>
-                    <span className={`text-xs font-medium ${strengthInfo.color}`}>
-                      {strengthInfo.text}
-                    </span>
-                  </div>
-                  <div className="w-full bg-gray-200 rounded-full h-2">
-                    <div 
-                      className={`h-2 rounded-full transition-all duration-300 ${strengthInfo.bgColor}`}
-                      style={{ width: `${(passwordStrength / 5) * 100}%` }}
-                    ></div>
-                  </div>
-                </div>
-              )}
-              
-              {errors.password && (
-                <p className="text-red-600 text-xs flex items-center gap-1 animate-slide-in">
-                  <AlertCircle className="h-3 w-3" />
-                  {errors.password}
-                </p>
-              )}
-            </div>
+        <TextField
+          {...form.getFieldProps('email')}
+          label={t('common.emailLabel')}
+          icon={Mail}
+          type="email"
+          autoComplete="email"
+          placeholder={t('signup.emailPlaceholder')}
+        />
 
-            {/* Confirm Password Field */}
-            <div className="space-y-2">
-              <label htmlFor="confirmPassword" className="text-sm font-medium text-gray-700 flex items-center gap-2">
-                <Lock className="h-4 w-4" />
-                Confirm Password
-              </label>
-              <div className="relative">
-                <input
-                  id="confirmPassword"
-                  name="confirmPassword"
-                  type={showConfirmPassword ? 'text' : 'password'}
-                  autoComplete="new-password"
-                  required
-                  className={`w-full px-4 py-3 pr-12 border rounded-lg focus-ring input-glow transition-all duration-200 ${
-                    errors.confirmPassword 
-                      ? 'border-red-300 bg-red-50' 
-                      : formData.confirmPassword && !errors.confirmPassword && formData.password === formData.confirmPassword
-                      ? 'border-green-300 bg-green-50'
-                      : 'border-gray-300 bg-gray-50'
-                  } hover:border-blue-400 focus:bg-white`}
-                  placeholder="Confirm your password"
-                  value={formData.confirmPassword}
-                  onChange={handleInputChange}
-                />
-                <button
-                  type="button"
-                  className="absolute right-3 top-3 text-gray-400 hover:text-gray-600 transition-colors"
-                  onClick={toggleConfirmPasswordVisibility}
-                  aria-label={showConfirmPassword ? 'Hide password' : 'Show password'}
-                >
-                  {showConfirmPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
-                </button>
-                {formData.confirmPassword && !errors.confirmPassword && formData.password === formData.confirmPassword && (
-                  <CheckCircle className="absolute right-10 top-3 h-5 w-5 text-green-500" />
-                )}
-              </div>
-              {errors.confirmPassword && (
-                <p className="text-red-600 text-xs flex items-center gap-1 animate-slide-in">
-                  <AlertCircle className="h-3 w-3" />
-                  {errors.confirmPassword}
-                </p>
-              )}
-            </div>
+        <PasswordField
+          {...form.getFieldProps('password')}
+          autoComplete="new-password"
+          placeholder={t('signup.passwordPlaceholder')}
+        >
+          {/* Password Strength Indicator */}
+          <PasswordStrengthMeter password={values.password} userInputs={values} />
+        </PasswordField>
+
+        <PasswordField
+          {...form.getFieldProps('confirmPassword')}
+          label={t('signup.confirmPassword')}
+          autoComplete="new-password"
+          placeholder={t('signup.confirmPasswordPlaceholder')}
+          showValidIcon
+        />
 
-            {/* Terms Agreement */}
-            <div className="space-y-2">
-              <label className="flex items-start gap-3 cursor-pointer">
-                <input
-                  type="checkbox"
-                  name="agreeToTerms"
-                  checked={formData.agreeToTerms}
-                  onChange={handleInputChange}
-                  className="custom-checkbox mt-1"
-                />
-                <span className="text-sm text-gray-600 leading-relaxed">
-                  I agree to the{' '}
-                  <a href="#" className="text-blue-600 hover:text-blue-800 hover:underline">
-                    Terms of Service
-                  </a>{' '}
-                  and{' '}
-                  <a href="#" className="text-blue-600 hover:text-blue-800 hover:underline">
-                    Privacy Policy
+        {/* Terms Agreement */}
+        <div className="space-y-2">
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              name="agreeToTerms"
+              checked={values.agreeToTerms}
+              onChange={form.handleChange}
+              className="custom-checkbox mt-1"
+              {...getErrorProps('agreeToTerms', errors.agreeToTerms)}
+            />
+            <span className="text-sm text-fg-muted leading-relaxed">
+              {t('signup.agree', {
+                terms: (
+                  <a href="#" className="text-link hover:text-link-hover hover:underline">
+                    {t('signup.terms')}
                   </a>
-                </span>
-              </label>
-              {errors.agreeToTerms && (
-                <p className="text-red-600 text-xs flex items-center gap-1 animate-slide-in">
-                  <AlertCircle className="h-3 w-3" />
-                  {errors.agreeToTerms}
-                </p>
-              )}
-            </div>
-
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={isSubmitting || Object.values(errors).some(error => error) || !formData.agreeToTerms}
-              className="w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent rounded-lg text-white font-medium bg-gradient-to-r from-green-600 to-blue-600 hover:from-green-700 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed transform hover:scale-[1.02] active:scale-[0.98] transition-all duration-200 shadow-lg hover:shadow-xl"
-            >
-              {isSubmitting ? (
-                <>
-                  <LoadingSpinner size="small" color="white" />
-                  Creating Account...
-                </>
-              ) : (
-                'Create Account'
-              )}
-            </button>
-          </form>
+                ),
+                privacy: (
+                  <a href="#" className="text-link hover:text-link-hover hover:underline">
+                    {t('signup.privacy')}
+                  </a>
+                )
+              })}
+            </span>
+          </label>
+          <FieldError name="agreeToTerms" error={errors.agreeToTerms} />
+        </div>
 
-          {/* Demo Notice */}
-          <div className="mt-6 p-4 bg-green-50 rounded-lg border border-green-200">
-            <p className="text-xs text-green-800 font-medium mb-2">Demo Registration:</p>
-            <p className="text-xs text-green-700">Fill in any valid information - this is a demo app!</p>
+        {/* Submit Button */}
+        <SubmitButton
+          variant="accent"
+          isLoading={isSubmitting}
+          loadingText={t('signup.submitting')}
+          disabled={form.hasErrors || !values.agreeToTerms}
+        >
+          {t('signup.submit')}
+        </SubmitButton>
+      </form>
+
+      {/* Social Sign Up */}
+      {oauthProviders.length > 0 && (
+        <>
+          <div className="flex items-center gap-3 my-6">
+            <div className="flex-1 border-t border-line-subtle" />
+            <span className="text-xs text-fg-subtle uppercase">{t('common.or')}</span>
+            <div className="flex-1 border-t border-line-subtle" />
           </div>
-        </div>
+          <SocialLoginButtons
+            returnTo={getReturnTo(location)}
+            onError={() => notify(t('signup.socialFailed'), 'error')}
+          />
+        </>
+      )}
 
-        {/* Footer */}
-        <div className="text-center">
-          <p className="text-sm text-gray-500">
-            Already have an account?{' '}
-            <Link to="/login" className="text-blue-600 hover:text-blue-800 font-medium hover:underline transition-colors">
-              Sign in here
-            </Link>
-          </p>
-        </div>
-      </div>
-    </div>
+      {/* Demo Notice */}
+      <Alert type="success" icon={null} title={t('signup.demoTitle')} className="mt-6">
+        <p>{t('signup.demoText')}</p>
+      </Alert>
+    </AuthCard>
   )
 }
 
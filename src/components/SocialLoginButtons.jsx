@@ -0,0 +1,56 @@
+import React, { useState } from 'react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import LoadingSpinner from './LoadingSpinner'
+
+/**
+ * "Continue with ..." buttons for every configured social login provider
+ * Renders nothing when no provider is available.
+ * @param {boolean} rememberMe - Persistence mode for the resulting session
+ * @param {string} returnTo - Path to open once signed in
+ * @param {Function} onError - Called with the error when the redirect cannot start
+ */
+const SocialLoginButtons = ({ rememberMe = false, returnTo = '/dashboard', onError }) => {
+  const { oauthProviders, loginWithOAuth } = useAuth()
+  const { t } = useI18n()
+  const [pendingProvider, setPendingProvider] = useState(null)
+
+  if (oauthProviders.length === 0) return null
+
+  const handleClick = async (providerId) => {
+    setPendingProvider(providerId)
+    try {
+      // The page unloads on success
+      await loginWithOAuth(providerId, { rememberMe, returnTo })
+    } catch (error) {
+      console.error('Social login error:', error)
+      setPendingProvider(null)
+      onError?.(error)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      {oauthProviders.map(provider => (
+        <button
+          key={provider.id}
+          type="button"
+          onClick={() => handleClick(provider.id)}
+          disabled={pendingProvider !== null}
+          className="w-full flex justify-center items-center gap-3 py-3 px-4 border border-line rounded-lg text-fg-muted font-medium bg-surface hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-surface focus:ring-primary disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+        >
+          {pendingProvider === provider.id ? (
+            <LoadingSpinner size="small" />
+          ) : (
+            <span className={`h-5 w-5 rounded-full ${provider.color} text-white text-xs font-bold flex items-center justify-center`} aria-hidden="true">
+              {provider.name[0]}
+            </span>
+          )}
+          {t('login.continueWith', { provider: provider.name })}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default SocialLoginButtons
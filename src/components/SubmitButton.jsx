@@ -0,0 +1,52 @@
+import React, { forwardRef } from 'react'
+import LoadingSpinner from './LoadingSpinner'
+
+const VARIANT_CLASSES = {
+  brand: 'from-brand-start to-brand-end hover:from-brand-start-strong hover:to-brand-end-strong focus:ring-primary',
+  accent: 'from-accent-start to-accent-end hover:from-accent-start-strong hover:to-accent-end-strong focus:ring-accent-start'
+}
+
+/**
+ * Full-width gradient button that submits a form, with a spinner while it is busy
+ * Other props (disabled, onClick, ...) go to the <button>, and so does the ref.
+ * @param {boolean} isLoading - Show the spinner and loadingText; also disables the button
+ * @param {React.ReactNode} loadingText - Label while loading (default: children)
+ * @param {Function} icon - Lucide icon shown before the label when not loading
+ * @param {string} variant - 'brand' (default) or 'accent' gradient
+ * @param {string} type - Button type (default: 'submit')
+ */
+const SubmitButton = forwardRef(({
+  isLoading = false,
+  loadingText,
+  icon: Icon,
+  variant = 'brand',
+  type = 'submit',
+  disabled = false,
+  children,
+  ...buttonProps
+}, ref) => (
+  <button
+    ref={ref}
+    type={type}
+    disabled={disabled || isLoading}
+    aria-busy={isLoading || undefined}
+    className={`w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent rounded-lg text-white font-medium bg-gradient-to-r ${VARIANT_CLASSES[variant]} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-surface disabled:opacity-50 disabled:cursor-not-allowed transform hover:scale-[1.02] active:scale-[0.98] transition-all duration-200 shadow-lg hover:shadow-xl`}
+    {...buttonProps}
+  >
+    {isLoading ? (
+      <>
+        <LoadingSpinner size="small" variant="inverse" />
+        {loadingText ?? children}
+      </>
+    ) : (
+      <>
+        {Icon && <Icon className="h-4 w-4" />}
+        {children}
+      </>
+    )}
+  </button>
+))
+
+SubmitButton.displayName = 'SubmitButton'
+
+export default SubmitButton
@@ -0,0 +1,46 @@
+import React, { forwardRef } from 'react'
+import Field from './Field'
+import Input from './Input'
+
+/**
+ * Labelled text input with validation states, driven by useForm's getFieldProps
+ * A Field around an Input; other props (type, placeholder, autoComplete, ...) go to the
+ * input, and so does the ref.
+ * @param {string} name - Field name, also used as the input id
+ * @param {string} label - Label text
+ * @param {Function} icon - Lucide icon shown before the label
+ * @param {string} value - Current value
+ * @param {string} error - Error message
+ * @param {boolean} validating - Whether an async check is running
+ * @param {Function} onChange - Change handler
+ * @param {React.ReactNode} children - Extra content under the input, such as hints
+ */
+const TextField = forwardRef(({
+  name,
+  label,
+  icon,
+  value,
+  error = '',
+  validating = false,
+  required = true,
+  children,
+  ...inputProps
+}, ref) => (
+  <Field name={name} label={label} icon={icon} error={error}>
+    <Input
+      ref={ref}
+      {...inputProps}
+      name={name}
+      value={value}
+      error={error}
+      validating={validating}
+      isValid={!!value && !error && !validating}
+      required={required}
+    />
+    {children}
+  </Field>
+))
+
+TextField.displayName = 'TextField'
+
+export default TextField
@@ -0,0 +1,40 @@
+import React from 'react'
+import { Sun, Moon, Monitor } from 'lucide-react'
+import { useTheme } from '../hooks/useTheme'
+import { useI18n } from '../hooks/useI18n'
+
+const MODE_ICONS = {
+  light: Sun,
+  dark: Moon,
+  system: Monitor
+}
+
+/**
+ * Light / dark / system switch; the choice is remembered per user
+ */
+const ThemeToggle = () => {
+  const { mode, setMode } = useTheme()
+  const { t } = useI18n()
+
+  return (
+    <div role="group" aria-label={t('theme.label')} className="inline-flex items-center gap-1 p-1 rounded-lg border border-line bg-surface">
+      {Object.entries(MODE_ICONS).map(([option, Icon]) => (
+        <button
+          key={option}
+          type="button"
+          onClick={() => setMode(option)}
+          aria-pressed={mode === option}
+          title={t(`theme.${option}`)}
+          className={`p-1.5 rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-primary ${
+            mode === option ? 'bg-primary-soft text-link' : 'text-fg-subtle hover:text-fg'
+          }`}
+        >
+          <Icon className="h-4 w-4" aria-hidden="true" />
+          <span className="sr-only">{t(`theme.${option}`)}</span>
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default ThemeToggle
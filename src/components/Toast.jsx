@@ -1,81 +1,91 @@
-import React, { useEffect } from 'react'
-import { CheckCircle, AlertCircle, X } from 'lucide-react'
+import React, { useEffect, useRef, useState } from 'react'
+import { X } from 'lucide-react'
+import { useI18n } from '../hooks/useI18n'
+import { ALERT_STYLES } from './Alert'
+
+// Errors and warnings interrupt the screen reader; the rest wait their turn
+const ALERT_TYPES = ['error', 'warning']
 
 /**
- * Toast notification component for success/error messages
+ * Toast notification, rendered in a stack by ToastProvider (see hooks/useToast)
+ * The auto-close timer pauses while the pointer or keyboard focus is on the toast.
  * @param {string} message - The message to display
- * @param {string} type - Type: 'success', 'error', 'warning'
+ * @param {string} type - Type: 'success', 'error', 'warning', 'info'
+ * @param {Object} action - Optional { label, onClick } button, e.g. "Undo" or "Retry"
+ * @param {number} count - How many times the same message was shown (badge from 2)
+ * @param {number} version - Changes when the toast is shown again, restarting the timer
  * @param {function} onClose - Function to call when toast is closed
- * @param {number} duration - Auto-close duration in milliseconds (default: 5000)
+ * @param {number} duration - Auto-close duration in milliseconds (default: 5000, 0 keeps it open)
  */
-const Toast = ({ message, type = 'success', onClose, duration = 5000 }) => {
+const Toast = ({ message, type = 'success', action, count = 1, version = 0, onClose, duration = 5000 }) => {
+  const { t } = useI18n()
+  const [isPaused, setIsPaused] = useState(false)
+  const remainingRef = useRef(duration)
+
+  // Showing the same message again gives it the full duration
   useEffect(() => {
-    if (duration > 0) {
-      const timer = setTimeout(() => {
-        onClose()
-      }, duration)
-      
-      return () => clearTimeout(timer)
-    }
-  }, [duration, onClose])
+    remainingRef.current = duration
+  }, [duration, version])
+
+  useEffect(() => {
+    if (duration <= 0 || isPaused) return
 
-  const getToastStyles = () => {
-    switch (type) {
-      case 'success':
-        return {
-          bg: 'bg-green-50 border-green-200',
-          text: 'text-green-800',
-          icon: CheckCircle,
-          iconColor: 'text-green-600'
-        }
-      case 'error':
-        return {
-          bg: 'bg-red-50 border-red-200',
-          text: 'text-red-800',
-          icon: AlertCircle,
-          iconColor: 'text-red-600'
-        }
-      case 'warning':
-        return {
-          bg: 'bg-yellow-50 border-yellow-200',
-          text: 'text-yellow-800',
-          icon: AlertCircle,
-          iconColor: 'text-yellow-600'
-        }
-      default:
-        return {
-          bg: 'bg-blue-50 border-blue-200',
-          text: 'text-blue-800',
-          icon: CheckCircle,
-          iconColor: 'text-blue-600'
-        }
+    const startedAt = Date.now()
+    const timer = setTimeout(onClose, remainingRef.current)
+    return () => {
+      clearTimeout(timer)
+      remainingRef.current -= Date.now() - startedAt
     }
-  }
+  }, [duration, version, isPaused, onClose])
 
-  const styles = getToastStyles()
+  const styles = ALERT_STYLES[type] || ALERT_STYLES.info
   const Icon = styles.icon
 
+  const handleAction = () => {
+    action.onClick()
+    onClose()
+  }
+
   return (
-    <div className="fixed top-4 right-4 z-50 animate-fade-in">
-      <div className={`max-w-sm w-full ${styles.bg} border rounded-lg shadow-lg p-4`}>
-        <div className="flex items-start gap-3">
-          <Icon className={`h-5 w-5 ${styles.iconColor} flex-shrink-0 mt-0.5`} />
-          <div className="flex-1">
-            <p className={`text-sm font-medium ${styles.text} leading-relaxed`}>
-              {message}
-            </p>
-          </div>
-          <button
-            onClick={onClose}
-            className={`${styles.text} hover:opacity-70 transition-opacity flex-shrink-0`}
-            aria-label="Close notification"
-          >
-            <X className="h-4 w-4" />
-          </button>
+    <div
+      role={ALERT_TYPES.includes(type) ? 'alert' : 'status'}
+      aria-atomic="true"
+      className={`max-w-sm w-full ${styles.bg} border rounded-lg shadow-lg p-4 animate-fade-in`}
+      onMouseEnter={() => setIsPaused(true)}
+      onMouseLeave={() => setIsPaused(false)}
+      onFocus={() => setIsPaused(true)}
+      onBlur={() => setIsPaused(false)}
+    >
+      <div className="flex items-start gap-3">
+        <Icon className={`h-5 w-5 ${styles.iconColor} flex-shrink-0 mt-0.5`} aria-hidden="true" />
+        <div className="flex-1">
+          <p className={`text-sm font-medium ${styles.text} leading-relaxed`}>
+            {message}
+            {count > 1 && (
+              <span className="ms-2 px-1.5 py-0.5 rounded-full text-xs bg-surface/70" aria-label={t('toast.count', { count })}>×{count}</span>
+            )}
+          </p>
+          {action && (
+            <button
+              type="button"
+              onClick={handleAction}
+              className={`mt-2 text-sm font-semibold ${styles.text} underline hover:opacity-70 transition-opacity`}
+            >
+              {action.label}
+            </button>
+          )}
         </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className={`${styles.text} hover:opacity-70 transition-opacity flex-shrink-0`}
+          aria-label={t('toast.close')}
+        >
+          <X className="h-4 w-4" />
+        </button>
       </div>
     </div>
   )
 }
 
-export default Toast
\ No newline at end of file
+export default Toast
@@ -0,0 +1,135 @@
+import React, { useState } from 'react'
+import { Smartphone, KeyRound, ArrowLeft } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useToast } from '../hooks/useToast'
+import { useI18n } from '../hooks/useI18n'
+import { InvalidTokenError, getFieldErrors } from '../services/authAdapter'
+import AuthCard from './AuthCard'
+import Field from './Field'
+import Input from './Input'
+import SubmitButton from './SubmitButton'
+
+/**
+ * Second login step for accounts with two-factor authentication
+ * Accepts a code from the authenticator app or, after switching modes, a recovery code.
+ */
+const TwoFactorChallenge = () => {
+  const { verifyTwoFactor, cancelTwoFactor } = useAuth()
+  const { notify } = useToast()
+  const { t } = useI18n()
+  const [code, setCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  /**
+   * Keep authenticator codes to digits only
+   */
+  const handleCodeChange = (e) => {
+    const { value } = e.target
+    setCode(useRecoveryCode ? value : value.replace(/\D/g, '').slice(0, 6))
+    setError('')
+  }
+
+  /**
+   * Switch between authenticator and recovery codes
+   */
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev)
+    setCode('')
+    setError('')
+  }
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!useRecoveryCode && code.length !== 6) {
+      setError(t('twoFactor.codeRequired', { digits: 6 }))
+      return
+    }
+    if (useRecoveryCode && !code.trim()) {
+      setError(t('twoFactor.recoveryCodeRequired'))
+      return
+    }
+
+    setIsSubmitting(true)
+
+    try {
+      // On success GuestOnlyRoute sends the user on to the page they asked for
+      await verifyTwoFactor(code)
+    } catch (error) {
+      // A wrong code stays on this step; an expired or exhausted attempt needs a fresh sign in
+      if (getFieldErrors(error)?.code) {
+        setError(t('twoFactor.invalidCode'))
+      } else {
+        notify(
+          error instanceof InvalidTokenError
+            ? t('twoFactor.expired')
+            : t('twoFactor.failed'),
+          'error'
+        )
+      }
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <AuthCard
+      icon={useRecoveryCode ? KeyRound : Smartphone}
+      title={t('twoFactor.title')}
+      description={useRecoveryCode ? t('twoFactor.recoveryInstructions') : t('twoFactor.appInstructions', { digits: 6 })}
+      toolbar={
+        <button
+          type="button"
+          onClick={cancelTwoFactor}
+          className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+        >
+          <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+          {t('common.backToLogin')}
+        </button>
+      }
+    >
+      <form className="space-y-6" onSubmit={handleSubmit}>
+        <Field
+          name="code"
+          label={useRecoveryCode ? t('twoFactor.recoveryLabel') : t('twoFactor.codeLabel')}
+          icon={KeyRound}
+          error={error}
+        >
+          <Input
+            name="code"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            required
+            error={error}
+            className="tracking-widest text-center font-mono text-lg"
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            value={code}
+            onChange={handleCodeChange}
+          />
+        </Field>
+
+        {/* Submit Button */}
+        <SubmitButton isLoading={isSubmitting} loadingText={t('twoFactor.verifying')}>
+          {t('twoFactor.verify')}
+        </SubmitButton>
+      </form>
+
+      <div className="mt-6 text-center">
+        <button
+          type="button"
+          onClick={toggleRecoveryCode}
+          className="text-sm text-link hover:text-link-hover hover:underline transition-colors"
+        >
+          {useRecoveryCode ? t('twoFactor.useApp') : t('twoFactor.useRecoveryCode')}
+        </button>
+      </div>
+    </AuthCard>
+  )
+}
+
+export default TwoFactorChallenge
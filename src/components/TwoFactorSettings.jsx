@@ -0,0 +1,302 @@
+import React, { useEffect, useState } from 'react'
+import QRCode from 'qrcode'
+import { Smartphone, ShieldCheck, ShieldAlert, KeyRound, Copy, Download } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import { translateFieldErrors } from '../services/authAdapter'
+import LoadingSpinner from './LoadingSpinner'
+import { FieldError, getErrorProps } from './Field'
+
+/**
+ * Two-factor authentication section of the security settings
+ * Steps: idle -> enrolling (QR code + first code) -> recovery codes; disabling asks for the password.
+ * @param {Function} onNotify - Called with (message, type) for toast notifications
+ */
+const TwoFactorSettings = ({ onNotify }) => {
+  const { user, beginTotpEnrollment, confirmTotpEnrollment, disableTotp } = useAuth()
+  const { t } = useI18n()
+  const [step, setStep] = useState('idle') // idle | enrolling | recovery | disabling
+  const [enrollment, setEnrollment] = useState(null)
+  const [qrCodeUrl, setQrCodeUrl] = useState('')
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState([])
+  const [errors, setErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  // Render the otpauth:// URI as a QR code for authenticator apps
+  useEffect(() => {
+    if (!enrollment) return
+
+    let isCurrent = true
+    QRCode.toDataURL(enrollment.otpauthUrl, { margin: 1, width: 192 })
+      .then(url => {
+        if (isCurrent) setQrCodeUrl(url)
+      })
+      .catch(error => console.error('QR code error:', error))
+
+    return () => {
+      isCurrent = false
+    }
+  }, [enrollment])
+
+  const reset = () => {
+    setStep('idle')
+    setEnrollment(null)
+    setQrCodeUrl('')
+    setCode('')
+    setPassword('')
+    setErrors({})
+  }
+
+  /**
+   * Show an adapter error inline when it targets a field, otherwise as a toast
+   */
+  const handleError = (error, fallbackMessage) => {
+    const fieldErrors = translateFieldErrors(error, t)
+    if (fieldErrors) {
+      setErrors(fieldErrors)
+    } else {
+      onNotify(fallbackMessage, 'error')
+    }
+  }
+
+  const handleStart = async () => {
+    setIsSubmitting(true)
+    try {
+      setEnrollment(await beginTotpEnrollment())
+      setStep('enrolling')
+    } catch (error) {
+      handleError(error, t('twoFactorSettings.startFailed'))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleConfirm = async (e) => {
+    e.preventDefault()
+    if (code.length !== 6) {
+      setErrors({ code: t('twoFactor.codeRequired', { digits: 6 }) })
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      setRecoveryCodes(await confirmTotpEnrollment(code))
+      setStep('recovery')
+      setErrors({})
+      onNotify(t('twoFactorSettings.enabled'), 'success')
+    } catch (error) {
+      handleError(error, t('twoFactorSettings.confirmFailed'))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleDisable = async (e) => {
+    e.preventDefault()
+    if (!password) {
+      setErrors({ password: t('password.required') })
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      await disableTotp(password)
+      reset()
+      onNotify(t('twoFactorSettings.disabled'), 'success')
+    } catch (error) {
+      handleError(error, t('twoFactorSettings.disableFailed'))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'))
+      onNotify(t('twoFactorSettings.copied'), 'success')
+    } catch (error) {
+      onNotify(t('twoFactorSettings.copyFailed'), 'error')
+    }
+  }
+
+  const downloadRecoveryCodes = () => {
+    const blob = new Blob([`${t('twoFactorSettings.fileHeader', { email: user?.email })}\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' })
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = 'recovery-codes.txt'
+    link.click()
+    URL.revokeObjectURL(link.href)
+  }
+
+  // Inputs have their own ids, since "code" and "password" are taken by other forms on the page
+  const fieldError = (field, inputId) => <FieldError name={inputId} error={errors[field]} />
+
+  const inputClassName = (field) => `w-full px-4 py-3 border rounded-lg focus-ring input-glow transition-all duration-200 ${
+    errors[field] ? 'border-danger-border bg-danger-soft' : 'border-line bg-surface-muted'
+  } hover:border-primary focus:bg-surface`
+
+  const primaryButton = 'flex items-center justify-center gap-2 px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary-strong transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed'
+  const secondaryButton = 'flex items-center justify-center gap-2 px-6 py-3 border border-line text-fg-muted rounded-lg hover:bg-surface-muted transition-colors font-medium'
+
+  return (
+    <section className="bg-surface rounded-xl shadow-sm border p-6 animate-fade-in">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-fg flex items-center gap-2">
+            <Smartphone className="h-5 w-5" />
+            {t('twoFactor.title')}
+          </h3>
+          <p className="text-sm text-fg-muted mt-1">
+            {t('twoFactorSettings.hint')}
+          </p>
+        </div>
+        {user?.twoFactorEnabled ? (
+          <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium bg-success-soft text-success-strong">
+            <ShieldCheck className="h-3 w-3" />
+            {t('twoFactorSettings.on')}
+          </span>
+        ) : (
+          <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium bg-warning-soft text-warning-strong">
+            <ShieldAlert className="h-3 w-3" />
+            {t('twoFactorSettings.off')}
+          </span>
+        )}
+      </div>
+
+      {step === 'idle' && !user?.twoFactorEnabled && (
+        <button type="button" onClick={handleStart} disabled={isSubmitting} className={primaryButton}>
+          {isSubmitting ? <LoadingSpinner size="small" variant="inverse" /> : <ShieldCheck className="h-4 w-4" />}
+          {t('twoFactorSettings.setUp')}
+        </button>
+      )}
+
+      {step === 'idle' && user?.twoFactorEnabled && (
+        <button type="button" onClick={() => setStep('disabling')} className={secondaryButton}>
+          <ShieldAlert className="h-4 w-4" />
+          {t('twoFactorSettings.turnOff')}
+        </button>
+      )}
+
+      {step === 'enrolling' && enrollment && (
+        <form onSubmit={handleConfirm} className="space-y-6">
+          <div className="flex flex-col sm:flex-row gap-6 items-center sm:items-start">
+            <div className="h-48 w-48 flex-shrink-0 border rounded-lg flex items-center justify-center bg-surface">
+              {qrCodeUrl
+                ? <img src={qrCodeUrl} alt={t('twoFactorSettings.qrAlt')} className="h-full w-full" />
+                : <LoadingSpinner />}
+            </div>
+            <div className="space-y-3 text-sm text-fg-muted">
+              <p>{t('twoFactorSettings.scanStep')}</p>
+              <p>{t('twoFactorSettings.manualKey')}</p>
+              <code className="block px-3 py-2 bg-surface-sunken rounded font-mono text-fg break-all select-all">
+                {enrollment.secret.match(/.{1,4}/g).join(' ')}
+              </code>
+              <p>{t('twoFactorSettings.codeStep', { digits: 6 })}</p>
+            </div>
+          </div>
+
+          <div className="space-y-2 max-w-xs">
+            <label htmlFor="totpCode" className="text-sm font-medium text-fg-muted flex items-center gap-2">
+              <KeyRound className="h-4 w-4" />
+              {t('twoFactorSettings.codeLabel')}
+            </label>
+            <input
+              id="totpCode"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className={`${inputClassName('code')} tracking-widest text-center font-mono`}
+              {...getErrorProps('totpCode', errors.code)}
+              placeholder="123456"
+              value={code}
+              onChange={(e) => {
+                setCode(e.target.value.replace(/\D/g, '').slice(0, 6))
+                setErrors({})
+              }}
+            />
+            {fieldError('code', 'totpCode')}
+          </div>
+
+          <div className="flex gap-4">
+            <button type="submit" disabled={isSubmitting} className={primaryButton}>
+              {isSubmitting && <LoadingSpinner size="small" variant="inverse" />}
+              {t('twoFactorSettings.confirm')}
+            </button>
+            <button type="button" onClick={reset} className={secondaryButton}>
+              {t('common.cancel')}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === 'recovery' && (
+        <div className="space-y-4">
+          <div className="p-4 bg-warning-soft rounded-lg border border-warning-border text-sm text-warning-strong">
+            {t('twoFactorSettings.recoveryWarning')}
+          </div>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-fg">
+            {recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode} className="px-3 py-2 bg-surface-sunken rounded text-center">{recoveryCode}</li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap gap-4">
+            <button type="button" onClick={copyRecoveryCodes} className={secondaryButton}>
+              <Copy className="h-4 w-4" />
+              {t('twoFactorSettings.copy')}
+            </button>
+            <button type="button" onClick={downloadRecoveryCodes} className={secondaryButton}>
+              <Download className="h-4 w-4" />
+              {t('twoFactorSettings.download')}
+            </button>
+            <button type="button" onClick={reset} className={primaryButton}>
+              {t('twoFactorSettings.savedCodes')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'disabling' && (
+        <form onSubmit={handleDisable} className="space-y-4 max-w-sm">
+          <p className="text-sm text-fg-muted">
+            {t('twoFactorSettings.disableHint')}
+          </p>
+          <div className="space-y-2">
+            <label htmlFor="disablePassword" className="text-sm font-medium text-fg-muted">
+              {t('common.currentPassword')}
+            </label>
+            <input
+              id="disablePassword"
+              type="password"
+              autoComplete="current-password"
+              className={inputClassName('password')}
+              {...getErrorProps('disablePassword', errors.password)}
+              value={password}
+              onChange={(e) => {
+                setPassword(e.target.value)
+                setErrors({})
+              }}
+            />
+            {fieldError('password', 'disablePassword')}
+          </div>
+          <div className="flex gap-4">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="flex items-center justify-center gap-2 px-6 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting && <LoadingSpinner size="small" variant="inverse" />}
+              {t('twoFactorSettings.disable')}
+            </button>
+            <button type="button" onClick={reset} className={secondaryButton}>
+              {t('common.cancel')}
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  )
+}
+
+export default TwoFactorSettings
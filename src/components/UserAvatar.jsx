@@ -0,0 +1,44 @@
+import React from 'react'
+import { getDisplayName } from '../services/profile'
+
+const SIZE_CLASSES = {
+  small: 'h-10 w-10 text-sm',
+  medium: 'h-16 w-16 text-xl',
+  large: 'h-24 w-24 text-3xl'
+}
+
+/**
+ * User picture, or their initials when no avatar has been uploaded
+ * @param {Object} user - User with avatarUrl and names
+ * @param {string} size - 'small', 'medium' or 'large'
+ */
+const UserAvatar = ({ user, size = 'medium' }) => {
+  const name = getDisplayName(user)
+  const initials = name
+    .split(/[\s@]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('')
+
+  if (user?.avatarUrl) {
+    return (
+      <img
+        src={user.avatarUrl}
+        alt={name}
+        className={`${SIZE_CLASSES[size]} rounded-full object-cover flex-shrink-0`}
+      />
+    )
+  }
+
+  return (
+    <div
+      className={`${SIZE_CLASSES[size]} bg-gradient-to-r from-brand-start to-brand-end rounded-full flex items-center justify-center text-white font-semibold flex-shrink-0`}
+      aria-label={name}
+    >
+      {initials}
+    </div>
+  )
+}
+
+export default UserAvatar
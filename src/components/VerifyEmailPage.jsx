@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { AlertCircle, ArrowLeft, CheckCircle } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useI18n } from '../hooks/useI18n'
+import LoadingSpinner from './LoadingSpinner'
+
+/**
+ * Page reached from the emailed verification link (/verify-email/:token)
+ * Features: Single-use token check, updates the signed-in user when it is their account
+ */
+const VerifyEmailPage = () => {
+  const { token } = useParams()
+  const { verifyEmail, isAuthenticated, isLoading } = useAuth()
+  const { t } = useI18n()
+  const [status, setStatus] = useState('checking') // checking | verified | invalid
+  const [email, setEmail] = useState('')
+  const handledRef = useRef(false)
+
+  // Wait for the stored session so the signed-in user can be updated, then submit the token once
+  useEffect(() => {
+    if (isLoading || handledRef.current) return
+    handledRef.current = true
+
+    verifyEmail(token)
+      .then(result => {
+        setEmail(result.email)
+        setStatus('verified')
+      })
+      .catch(error => {
+        console.error('Email verification error:', error)
+        setStatus('invalid')
+      })
+  }, [isLoading])
+
+  const continueLink = isAuthenticated
+    ? { to: '/dashboard', label: t('emailVerification.goToDashboard') }
+    : { to: '/login', label: t('common.backToLogin') }
+
+  if (status === 'checking') {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4">
+        <LoadingSpinner size="large" />
+        <p className="text-sm text-fg-muted">{t('emailVerification.checking')}</p>
+      </div>
+    )
+  }
+
+  const isVerified = status === 'verified'
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 py-12">
+      <div className="max-w-md w-full text-center animate-fade-in">
+        <div className={`mx-auto h-16 w-16 rounded-full flex items-center justify-center mb-6 ${isVerified ? 'bg-success-soft' : 'bg-danger-soft'}`}>
+          {isVerified
+            ? <CheckCircle className="h-8 w-8 text-success" />
+            : <AlertCircle className="h-8 w-8 text-danger" />}
+        </div>
+        <h2 className="text-3xl font-bold text-fg mb-2">
+          {isVerified ? t('emailVerification.verifiedTitle') : t('common.linkExpired')}
+        </h2>
+        <p className="text-fg-muted text-sm leading-relaxed mb-6">
+          {isVerified
+            ? t('emailVerification.verifiedText', { email: <strong>{email}</strong> })
+            : t('emailVerification.invalidText')}
+        </p>
+        <Link
+          to={continueLink.to}
+          className="inline-flex items-center gap-2 text-link hover:text-link-hover transition-colors text-sm font-medium"
+        >
+          <ArrowLeft className="h-4 w-4 rtl:rotate-180" />
+          {continueLink.label}
+        </Link>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmailPage
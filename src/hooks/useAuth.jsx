@@ -1,4 +1,25 @@
-import React, { createContext, useContext, useState, useEffect } from 'react'
+import React, { createContext, useContext, useState, useEffect, useMemo, useRef } from 'react'
+import {
+  ChallengeRequiredError,
+  InvalidTokenError,
+  TooManyAttemptsError,
+  assertAuthAdapter,
+  getFieldErrors
+} from '../services/authAdapter'
+import { defaultAuthAdapter, oauthProviders as defaultOAuthProviders } from '../services/authConfig'
+import { consumeAuthorizationResponse, createAuthorizationRequest } from '../services/oauth'
+import { createSessionChannel } from '../services/sessionChannel'
+import { createPasskey, getPasskeyAssertion } from '../services/webauthn'
+import { getSessionAction, getSessionExpiry } from '../services/sessionManager'
+import { translate } from '../services/i18n'
+import {
+  PERSISTENCE_MODES,
+  clearStoredSession,
+  getPersistenceMode,
+  loadSession,
+  saveSession,
+  updateStoredSession
+} from '../services/sessionPersistence'
 
 /**
  * Authentication context and provider
@@ -20,154 +41,580 @@ export const useAuth = () => {
 
 /**
  * Authentication provider component
+ * @param {Object} adapter - Auth adapter implementing the contract in services/authAdapter (default: from authConfig)
+ * @param {Object[]} oauthProviders - Social login providers (default: from authConfig)
  */
-export const AuthProvider = ({ children }) => {
+export const AuthProvider = ({ children, adapter = defaultAuthAdapter, oauthProviders = defaultOAuthProviders }) => {
+  const authAdapter = useMemo(() => assertAuthAdapter(adapter), [adapter])
   const [user, setUser] = useState(null)
   const [isAuthenticated, setIsAuthenticated] = useState(false)
   const [isLoading, setIsLoading] = useState(true)
+  const [persistenceMode, setPersistenceMode] = useState(null)
+  const [sessionCheck, setSessionCheck] = useState(0)
+  const [pendingTwoFactor, setPendingTwoFactor] = useState(null)
+  const channelRef = useRef(null)
 
   /**
-   * Initialize auth state from localStorage on app start
+   * Restore the stored session (remembered or tab-only) on app start
    */
   useEffect(() => {
-    const initializeAuth = () => {
+    const initializeAuth = async () => {
       try {
-        const storedUser = localStorage.getItem('user')
-        const storedAuth = localStorage.getItem('isAuthenticated')
+        const storedSession = loadSession()
         
-        if (storedUser && storedAuth === 'true') {
-          setUser(JSON.parse(storedUser))
-          setIsAuthenticated(true)
+        if (storedSession) {
+          // Let the adapter confirm the account still exists and return fresh data
+          const currentUser = await authAdapter.getCurrentUser(storedSession.user)
+
+          if (currentUser) {
+            const restoredUser = { ...storedSession.user, ...currentUser }
+            setUser(restoredUser)
+            setIsAuthenticated(true)
+            setPersistenceMode(getPersistenceMode())
+            updateStoredSession(restoredUser, getSessionExpiry(authAdapter.getTokens?.(), restoredUser))
+          } else {
+            clearStoredSession()
+          }
         }
       } catch (error) {
         console.error('Error initializing auth:', error)
         // Clear potentially corrupted data
-        localStorage.removeItem('user')
-        localStorage.removeItem('isAuthenticated')
+        clearStoredSession()
       } finally {
         setIsLoading(false)
       }
     }
 
-    // Add small delay to simulate loading
-    setTimeout(initializeAuth, 500)
-  }, [])
+    initializeAuth()
+  }, [authAdapter])
+
+  /**
+   * Notify other tabs about a session change
+   */
+  const broadcast = (type, payload) => {
+    channelRef.current?.post(type, payload)
+  }
 
   /**
-   * Login function - accepts any valid email format and password 6+ chars
+   * Store the signed-in user in state and the matching persistence mode
+   */
+  const startSession = (userData, rememberMe) => {
+    const mode = rememberMe ? PERSISTENCE_MODES.local : PERSISTENCE_MODES.session
+    saveSession(userData, { mode, expiresAt: getSessionExpiry(authAdapter.getTokens?.(), userData) })
+
+    setUser(userData)
+    setIsAuthenticated(true)
+    setPersistenceMode(mode)
+  }
+
+  /**
+   * Start the session for a user the adapter just authenticated
+   * @param {Object} authenticatedUser - User returned by the adapter
+   * @param {boolean} rememberMe - Whether to remember user session
+   * @param {string} loginMethod - 'password', 'passkey', 'magic_link' or a social provider id
+   */
+  const completeLogin = (authenticatedUser, rememberMe, loginMethod = 'password') => {
+    const userData = {
+      ...authenticatedUser,
+      rememberMe,
+      loginMethod,
+      loginTime: new Date().toISOString()
+    }
+    startSession(userData, rememberMe)
+    broadcast('login', { user: userData })
+  }
+
+  /**
+   * Login function - verifies the credentials through the adapter
+   * Accounts with two-factor authentication are not signed in yet: `twoFactorRequired`
+   * becomes true and the code must be submitted with verifyTwoFactor.
    * @param {string} email - User email address
    * @param {string} password - User password
    * @param {boolean} rememberMe - Whether to remember user session
-   * @returns {boolean} - Success status
+   * @param {Object} options
+   * @param {string} options.challengeResponse - Solved human-verification challenge, once one is required
+   * @returns {boolean} - Whether the credentials were accepted
+   * @throws {Error} - Errors carrying `fieldErrors` so the form can show them inline;
+   *                   TooManyAttemptsError and ChallengeRequiredError after repeated failures
    */
-  const login = async (email, password, rememberMe = false) => {
+  const login = async (email, password, rememberMe = false, { challengeResponse } = {}) => {
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000))
-      
-      // Basic validation (for demo purposes)
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-      if (!emailRegex.test(email)) {
-        throw new Error('Invalid email format')
+      const result = await authAdapter.login({ email, password, rememberMe, challengeResponse })
+
+      if (result.twoFactorRequired) {
+        setPendingTwoFactor({ challengeToken: result.challengeToken, rememberMe, loginMethod: 'password' })
+        return true
       }
-      
-      if (password.length < 6) {
-        throw new Error('Password must be at least 6 characters')
+
+      completeLogin(result, rememberMe)
+      return true
+    } catch (error) {
+      console.error('Login error:', error)
+      if (getFieldErrors(error) || error instanceof TooManyAttemptsError || error instanceof ChallengeRequiredError) {
+        throw error
+      }
+      return false
+    }
+  }
+
+  /**
+   * Signup function - registers a new account and signs it in
+   * @param {Object} details - firstName, lastName, email and password
+   * @param {boolean} rememberMe - Whether to remember user session
+   * @returns {boolean} - Success status
+   * @throws {Error} - DuplicateEmailError or API errors, with `fieldErrors` when applicable
+   */
+  const signup = async (details, rememberMe = false) => {
+    const newUser = await authAdapter.signup(details)
+    completeLogin(newUser, rememberMe)
+    return true
+  }
+
+  /**
+   * Whether an email address can still be used to sign up
+   * @param {string} email - Address to check
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Cancels the request when a newer check supersedes it
+   * @returns {Promise<boolean>}
+   */
+  const checkEmailAvailable = (email, { signal } = {}) => {
+    return authAdapter.checkEmailAvailable(email, { signal })
+  }
+
+  /**
+   * Finish a two-factor login with an authenticator or recovery code
+   * @param {string} code - 6-digit code or a recovery code
+   * @throws {Error} - ValidationError for a wrong code; InvalidTokenError when the
+   *                   attempt expired (the password step has to be repeated)
+   */
+  const verifyTwoFactor = async (code) => {
+    if (!pendingTwoFactor) {
+      throw new InvalidTokenError(translate('twoFactor.expired'))
+    }
+
+    try {
+      const { challengeToken, rememberMe, loginMethod } = pendingTwoFactor
+      const verifiedUser = await authAdapter.verifyTwoFactorLogin({ challengeToken, code, rememberMe })
+      setPendingTwoFactor(null)
+      completeLogin(verifiedUser, rememberMe, loginMethod)
+    } catch (error) {
+      if (error instanceof InvalidTokenError) {
+        setPendingTwoFactor(null)
       }
-      
-      // Create user object
-      const userData = {
-        email,
-        rememberMe,
-        loginTime: new Date().toISOString(),
-        id: Date.now().toString() // Simple ID generation
+      throw error
+    }
+  }
+
+  /**
+   * Sign in with a passkey stored on this device or a security key
+   * Passkeys verify the user themselves, so no two-factor step follows.
+   * @param {boolean} rememberMe - Whether to remember user session
+   * @throws {Error} - PasskeyError when the browser prompt fails or is cancelled,
+   *                   InvalidCredentialsError when the passkey is not accepted
+   */
+  const loginWithPasskey = async (rememberMe = false) => {
+    const options = await authAdapter.beginPasskeyLogin()
+    const credential = await getPasskeyAssertion(options)
+    const authenticatedUser = await authAdapter.finishPasskeyLogin({ credential, rememberMe })
+    completeLogin(authenticatedUser, rememberMe, 'passkey')
+  }
+
+  /**
+   * Send the browser to a social login provider
+   * The flow continues on /auth/callback with completeOAuthLogin.
+   * @param {string} providerId - Id from the provider list
+   * @param {Object} options - rememberMe, returnTo (path to open once signed in)
+   */
+  const loginWithOAuth = async (providerId, { rememberMe = false, returnTo = '/dashboard' } = {}) => {
+    const provider = oauthProviders.find(candidate => candidate.id === providerId)
+    if (!provider) {
+      throw new Error(`Unknown sign-in provider: ${providerId}`)
+    }
+    window.location.assign(await createAuthorizationRequest(provider, { rememberMe, returnTo }))
+  }
+
+  /**
+   * Finish a social login from the provider's redirect
+   * Accounts with 2FA end up with `twoFactorRequired` set, as after a password login.
+   * @param {URLSearchParams} params - Query string of the callback URL
+   * @returns {{returnTo: string}} - Where to go once signed in
+   * @throws {Error} - OAuthError for a forged, expired or cancelled response;
+   *                   InvalidCredentialsError when the provider's answer is rejected
+   */
+  const completeOAuthLogin = async (params) => {
+    const { provider, code, codeVerifier, redirectUri, nonce, rememberMe, returnTo } = consumeAuthorizationResponse(params)
+    const result = await authAdapter.finishOAuthLogin({ provider, code, codeVerifier, redirectUri, nonce, rememberMe })
+
+    if (result.twoFactorRequired) {
+      setPendingTwoFactor({ challengeToken: result.challengeToken, rememberMe, loginMethod: provider })
+    } else {
+      completeLogin(result, rememberMe, provider)
+    }
+    return { returnTo }
+  }
+
+  /**
+   * Create a passkey for the signed-in user
+   * @param {string} name - Label shown in the passkey list
+   * @throws {Error} - PasskeyError from the browser prompt, or errors carrying `fieldErrors`
+   */
+  const registerPasskey = async (name) => {
+    const options = await authAdapter.beginPasskeyRegistration(user)
+    const credential = await createPasskey(options)
+    const updatedUser = await authAdapter.finishPasskeyRegistration(user, { credential, name })
+    broadcast('refresh', { user: updateUser(updatedUser) })
+  }
+
+  /**
+   * Abandon a pending two-factor login and go back to the password step
+   */
+  const cancelTwoFactor = () => {
+    setPendingTwoFactor(null)
+  }
+
+  /**
+   * Start TOTP enrollment for the signed-in user
+   * @returns {{secret: string, otpauthUrl: string}} - Data for the QR code
+   */
+  const beginTotpEnrollment = async () => {
+    return authAdapter.beginTotpEnrollment(user)
+  }
+
+  /**
+   * Confirm TOTP enrollment with the first code from the authenticator app
+   * @param {string} code - 6-digit code
+   * @returns {string[]} - Recovery codes, shown to the user once
+   * @throws {ValidationError} - When the code does not match
+   */
+  const confirmTotpEnrollment = async (code) => {
+    const result = await authAdapter.confirmTotpEnrollment(user, code)
+    broadcast('refresh', { user: updateUser(result.user) })
+    return result.recoveryCodes
+  }
+
+  /**
+   * Turn off two-factor authentication after re-entering the password
+   * @param {string} password - Current password
+   * @throws {ValidationError} - When the password is wrong
+   */
+  const disableTotp = async (password) => {
+    const updatedUser = await authAdapter.disableTotp(user, password)
+    broadcast('refresh', { user: updateUser(updatedUser) })
+  }
+
+  /**
+   * Save profile changes, showing them right away
+   * The user is updated optimistically and rolled back if the adapter rejects the changes.
+   * @param {Object} changes - Profile fields to change (see services/profile)
+   * @throws {Error} - Errors carrying `fieldErrors` so the form can show them inline
+   */
+  const updateProfile = async (changes) => {
+    const previous = Object.fromEntries(Object.keys(changes).map(name => [name, user[name] ?? null]))
+    updateUser(changes)
+
+    try {
+      const savedUser = await authAdapter.updateProfile(user, changes)
+      broadcast('refresh', { user: updateUser(savedUser) })
+    } catch (error) {
+      updateUser(previous)
+      throw error
+    }
+  }
+
+  /**
+   * Change the password of the signed-in user; other sessions are signed out
+   * @param {string} currentPassword - Password the user signs in with today
+   * @param {string} newPassword - Replacement, checked against the password policy
+   * @throws {ValidationError} - With `fieldErrors` for currentPassword or newPassword
+   */
+  const changePassword = async (currentPassword, newPassword) => {
+    const updatedUser = await authAdapter.changePassword(user, { currentPassword, newPassword })
+    broadcast('refresh', { user: updateUser(updatedUser) })
+  }
+
+  /**
+   * Start moving the account to a new email address
+   * The address becomes `user.pendingEmail` and replaces the current one once verified.
+   * @param {string} newEmail - New address, which is sent a verification link
+   * @param {string} password - Current password
+   * @throws {ValidationError} - With `fieldErrors` for newEmail or password
+   */
+  const changeEmail = async (newEmail, password) => {
+    const updatedUser = await authAdapter.changeEmail(user, { newEmail, password })
+    broadcast('refresh', { user: updateUser(updatedUser) })
+  }
+
+  /**
+   * Active sessions of the signed-in user, the current one marked with `current`
+   * @returns {Promise<Object[]>}
+   */
+  const listSessions = () => {
+    return authAdapter.listSessions(user)
+  }
+
+  /**
+   * Sign out one of the user's other sessions
+   * @param {string} sessionId - Id from listSessions
+   */
+  const revokeSession = async (sessionId) => {
+    await authAdapter.revokeSession(user, sessionId)
+  }
+
+  /**
+   * Sign out every session of the user except this one
+   */
+  const signOutOtherSessions = async () => {
+    const updatedUser = await authAdapter.revokeOtherSessions(user)
+    broadcast('refresh', { user: updateUser(updatedUser) })
+  }
+
+  /**
+   * Ask the adapter to send password reset instructions
+   * @param {string} email - Account email address
+   */
+  const requestPasswordReset = async (email) => {
+    await authAdapter.requestPasswordReset(email)
+  }
+
+  /**
+   * Check a password reset link before showing the new-password form
+   * @param {string} token - Token from the emailed link
+   * @returns {{email: string}} - Account the link belongs to
+   * @throws {InvalidTokenError} - When the link is unknown, used or expired
+   */
+  const verifyPasswordResetToken = async (token) => {
+    return authAdapter.verifyPasswordResetToken(token)
+  }
+
+  /**
+   * Set a new password from a reset link; existing sessions are signed out
+   * @param {string} token - Token from the emailed link
+   * @param {string} password - New password
+   * @throws {Error} - InvalidTokenError, or errors carrying `fieldErrors`
+   */
+  const resetPassword = async (token, password) => {
+    await authAdapter.resetPassword({ token, password })
+  }
+
+  /**
+   * Email a single-use sign-in link
+   * Resolves the same way whether or not the account exists.
+   * @param {string} email - Account email address
+   * @param {boolean} rememberMe - Whether the session started from the link is remembered
+   */
+  const requestMagicLink = async (email, rememberMe = false) => {
+    await authAdapter.requestMagicLink({ email, rememberMe })
+  }
+
+  /**
+   * Sign in from an emailed link
+   * Accounts with 2FA end up with `twoFactorRequired` set, as after a password login.
+   * @param {string} token - Token from the emailed link
+   * @param {boolean} rememberMe - Whether to remember user session
+   * @throws {InvalidTokenError} - When the link is unknown, used or expired
+   */
+  const verifyMagicLink = async (token, rememberMe = false) => {
+    const result = await authAdapter.verifyMagicLink({ token, rememberMe })
+
+    if (result.twoFactorRequired) {
+      setPendingTwoFactor({ challengeToken: result.challengeToken, rememberMe, loginMethod: 'magic_link' })
+    } else {
+      completeLogin(result, rememberMe, 'magic_link')
+    }
+  }
+
+  /**
+   * Confirm an email address from the emailed verification link
+   * @param {string} token - Token from the emailed link
+   * @returns {{email: string}} - Address that was verified
+   * @throws {InvalidTokenError} - When the link is unknown, used or expired
+   */
+  const verifyEmail = async (token) => {
+    const result = await authAdapter.verifyEmail({ token })
+
+    // The link may be opened while signed in to the account it verifies (or is moving to)
+    if (user && (user.email === result.email || user.pendingEmail === result.email)) {
+      const currentUser = await authAdapter.getCurrentUser(user)
+      if (currentUser) {
+        broadcast('refresh', { user: updateUser(currentUser) })
       }
-      
-      // Update state
-      setUser(userData)
-      setIsAuthenticated(true)
-      
-      // Persist to localStorage if remember me is checked
-      if (rememberMe) {
-        localStorage.setItem('user', JSON.stringify(userData))
-        localStorage.setItem('isAuthenticated', 'true')
-      } else {
-        // Use sessionStorage for temporary sessions
-        sessionStorage.setItem('user', JSON.stringify(userData))
-        sessionStorage.setItem('isAuthenticated', 'true')
+    }
+    return result
+  }
+
+  /**
+   * Send the signed-in user a new verification link
+   * @returns {number} - Seconds until another email may be requested
+   * @throws {TooManyAttemptsError} - When one was sent too recently; `retryAfter` says how long to wait
+   */
+  const resendVerificationEmail = async () => {
+    const result = await authAdapter.resendVerificationEmail(user)
+    broadcast('refresh', { user: updateUser(result.user) })
+    return result.retryAfter
+  }
+
+  /**
+   * Refresh the session through the adapter (rotating tokens where supported)
+   * Logs out when the adapter can no longer refresh the session.
+   * @returns {boolean} - Whether the session is still valid
+   */
+  const refresh = async () => {
+    if (!user) return false
+
+    try {
+      const freshUser = await authAdapter.refresh(user)
+      if (!freshUser) {
+        logout()
+        return false
       }
-      
+      const updatedUser = updateUser(freshUser)
+      broadcast('refresh', { user: updatedUser })
       return true
     } catch (error) {
-      console.error('Login error:', error)
+      console.error('Refresh error:', error)
+      logout()
       return false
     }
   }
 
   /**
-   * Logout function - clears user data and redirects
+   * Clear the user from state and storage
    */
-  const logout = () => {
+  const clearSession = () => {
     setUser(null)
     setIsAuthenticated(false)
-    
-    // Clear all stored data
-    localStorage.removeItem('user')
-    localStorage.removeItem('isAuthenticated')
-    sessionStorage.removeItem('user')
-    sessionStorage.removeItem('isAuthenticated')
+    setPersistenceMode(null)
+    clearStoredSession()
+  }
+
+  /**
+   * Logout function - revokes the session, clears user data and signs out other tabs
+   * The adapter goes first: it needs the stored tokens that clearSession removes.
+   */
+  const logout = async () => {
+    try {
+      await authAdapter.logout(user)
+    } catch (error) {
+      console.error('Logout error:', error)
+    }
+
+    clearSession()
+    // Only the id: tabs use it to tell whose session ended
+    broadcast('logout', { user: user && { id: user.id } })
   }
 
   /**
    * Update user data
+   * @returns {Object} - The merged user
    */
   const updateUser = (userData) => {
     const updatedUser = { ...user, ...userData }
     setUser(updatedUser)
-    
-    // Update stored data if exists
-    if (localStorage.getItem('user')) {
-      localStorage.setItem('user', JSON.stringify(updatedUser))
-    }
-    if (sessionStorage.getItem('user')) {
-      sessionStorage.setItem('user', JSON.stringify(updatedUser))
-    }
+    updateStoredSession(updatedUser, getSessionExpiry(authAdapter.getTokens?.(), updatedUser))
+    return updatedUser
   }
 
   /**
    * Check if user session is valid
+   * Token sessions expire with the refresh token; others after 24 hours
    */
   const validateSession = () => {
-    if (user && user.loginTime) {
-      const loginTime = new Date(user.loginTime)
-      const now = new Date()
-      const timeDifference = now - loginTime
-      const maxSessionTime = 24 * 60 * 60 * 1000 // 24 hours
-      
-      if (timeDifference > maxSessionTime) {
-        logout()
-        return false
-      }
+    if (user && getSessionAction(authAdapter.getTokens?.(), user).type === 'expire') {
+      logout()
+      return false
     }
     return true
   }
 
-  // Validate session periodically
+  // Keep the latest handlers for long-lived subscriptions
+  const handlersRef = useRef({})
+  handlersRef.current = { user, persistenceMode, startSession, clearSession, updateUser }
+
+  // Follow logins and logouts from other tabs
   useEffect(() => {
-    if (isAuthenticated) {
-      const interval = setInterval(validateSession, 60000) // Check every minute
-      return () => clearInterval(interval)
+    const channel = createSessionChannel()
+    channelRef.current = channel
+
+    const unsubscribe = channel.subscribe(({ type, user: remoteUser }) => {
+      const handlers = handlersRef.current
+      // A tab-only session is left alone when another account signs in or out elsewhere
+      const isTabOnly = handlers.user && handlers.persistenceMode === PERSISTENCE_MODES.session
+      if (isTabOnly && remoteUser?.id !== handlers.user.id) return
+
+      if (type === 'logout') {
+        handlers.clearSession()
+      } else if (type === 'login' && remoteUser?.rememberMe) {
+        // Tab-only sessions stay in the tab that created them
+        handlers.startSession(remoteUser, true)
+      } else if (type === 'refresh' && remoteUser && remoteUser.id === handlers.user?.id) {
+        handlers.updateUser(remoteUser)
+      }
+    })
+
+    return () => {
+      unsubscribe()
+      channel.close()
+      channelRef.current = null
+    }
+  }, [])
+
+  // Refresh tokens shortly before they expire and log out once the session is over
+  useEffect(() => {
+    if (!isAuthenticated) return
+
+    const action = getSessionAction(authAdapter.getTokens?.(), user)
+    if (action.type === 'expire') {
+      logout()
+      return
+    }
+    if (action.type === 'refresh') {
+      refresh()
+      return
+    }
+    if (action.type === 'wait') {
+      // Re-evaluate when the timer fires; another tab may have refreshed already
+      const timer = setTimeout(() => setSessionCheck(count => count + 1), action.delay)
+      return () => clearTimeout(timer)
     }
-  }, [isAuthenticated, user])
+  }, [isAuthenticated, user, sessionCheck])
 
   const value = {
     user,
     isAuthenticated,
     isLoading,
     login,
+    signup,
+    checkEmailAvailable,
     logout,
+    twoFactorRequired: !!pendingTwoFactor,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    beginTotpEnrollment,
+    confirmTotpEnrollment,
+    disableTotp,
+    loginWithPasskey,
+    registerPasskey,
+    oauthProviders,
+    loginWithOAuth,
+    completeOAuthLogin,
+    refresh,
+    requestPasswordReset,
+    verifyPasswordResetToken,
+    resetPassword,
+    requestMagicLink,
+    verifyMagicLink,
+    verifyEmail,
+    resendVerificationEmail,
     updateUser,
-    validateSession
+    updateProfile,
+    changePassword,
+    changeEmail,
+    listSessions,
+    revokeSession,
+    signOutOtherSessions,
+    validateSession,
+    persistenceMode,
+    sessionExpiresAt: isAuthenticated ? getSessionExpiry(authAdapter.getTokens?.(), user) : null
   }
 
   return (
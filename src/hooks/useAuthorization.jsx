@@ -0,0 +1,19 @@
+import { useMemo } from 'react'
+import { useAuth } from './useAuth'
+import { getPermissions, getRoles, isAuthorized } from '../services/permissions'
+
+/**
+ * Custom hook exposing the signed-in user's roles and permissions
+ * @returns {{roles: string[], permissions: string[], can: Function, hasRole: Function, isAllowed: Function}}
+ */
+export const useAuthorization = () => {
+  const { user } = useAuth()
+
+  return useMemo(() => ({
+    roles: getRoles(user),
+    permissions: getPermissions(user),
+    can: (permission) => isAuthorized(user, { permission }),
+    hasRole: (role) => isAuthorized(user, { role }),
+    isAllowed: (requirements) => isAuthorized(user, requirements)
+  }), [user])
+}
@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react'
+import { getActiveLanguage } from '../services/i18n'
+
+/**
+ * Custom hook counting down to a point in time
+ * Re-renders once a second while the deadline is in the future.
+ * @param {number|null} until - Deadline as a timestamp in ms, or null for none
+ * @returns {number} - Whole seconds left, 0 once the deadline has passed
+ */
+export const useCountdown = (until) => {
+  const getSecondsLeft = () => (until ? Math.max(0, Math.ceil((until - Date.now()) / 1000)) : 0)
+  const [secondsLeft, setSecondsLeft] = useState(getSecondsLeft)
+
+  useEffect(() => {
+    setSecondsLeft(getSecondsLeft())
+    if (!until || until <= Date.now()) return
+
+    const interval = setInterval(() => {
+      const remaining = getSecondsLeft()
+      setSecondsLeft(remaining)
+      if (remaining === 0) {
+        clearInterval(interval)
+      }
+    }, 1000)
+
+    return () => clearInterval(interval)
+  }, [until])
+
+  return secondsLeft
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+
+/**
+ * Format a duration compactly with its two largest units, e.g. "2d 4h", "1h 5m", "3m 20s"
+ * Unit abbreviations and digits follow the language.
+ * @param {number} ms - Duration in milliseconds (negative values count as 0)
+ * @param {string} language - Language (default: the active one, see services/i18n)
+ * @returns {string}
+ */
+export const formatDuration = (ms, language = getActiveLanguage()) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+  const units = [
+    ['day', Math.floor(totalSeconds / 86400)],
+    ['hour', Math.floor(totalSeconds / 3600) % 24],
+    ['minute', Math.floor(totalSeconds / 60) % 60],
+    ['second', totalSeconds % 60]
+  ]
+  const format = (unit, value) =>
+    new Intl.NumberFormat(language, { style: 'unit', unit, unitDisplay: 'narrow' }).format(value)
+
+  const first = units.findIndex(([, value]) => value > 0)
+  if (first === -1) return format('second', 0)
+  return units
+    .slice(first, first + 2)
+    .filter(([, value]) => value > 0)
+    .map(([unit, value]) => format(unit, value))
+    .join(' ')
+}
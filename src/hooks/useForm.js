@@ -0,0 +1,191 @@
+import { useEffect, useRef, useState } from 'react'
+import { getDependentFields, validateField, validateFieldSync, validateValues } from '../services/formValidation'
+
+const isBlank = (value) => value === '' || value === false
+
+const DEFAULT_ASYNC_DEBOUNCE = 400
+
+/**
+ * Custom hook holding a form's values, errors and submission state
+ * Fields are checked against the schema as the user types - empty fields stay quiet
+ * until submit - and all together on submit; onSubmit only runs with valid values.
+ * Async validators run debounced while typing; `validating[name]` is true until they settle.
+ * A submit that ends with errors - from the schema or from the server - focuses the first invalid field.
+ * @param {Object} options
+ * @param {Object} options.schema - Field rules (see services/formValidation)
+ * @param {Object} options.initialValues - Starting values
+ * @param {Function} options.onSubmit - async (values, form) => void; may report server messages with form.setFieldErrors
+ * @param {Function} options.onInvalid - Called with the errors when submit finds invalid fields
+ * @returns {Object} - values, errors, validating, isSubmitting, hasErrors, handleChange, handleSubmit,
+ *                     getFieldProps, setValue, setFieldErrors, reset
+ */
+export const useForm = ({ schema, initialValues, onSubmit, onInvalid }) => {
+  const [values, setValues] = useState(initialValues)
+  const [errors, setErrors] = useState({})
+  const [validating, setValidating] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  // Debounce timer and AbortController of the async check per field
+  const pendingChecks = useRef({})
+  // Errors reported by onSubmit, collected while a submit is running
+  const submitErrors = useRef(null)
+
+  const setFieldErrors = (fieldErrors) => {
+    if (submitErrors.current) {
+      Object.assign(submitErrors.current, fieldErrors)
+    }
+    setErrors(prev => ({ ...prev, ...fieldErrors }))
+  }
+
+  /**
+   * Move focus to the first field with an error, in schema order
+   * @param {Object} fieldErrors - Errors by field name
+   * @param {HTMLFormElement} formElement - The submitted form, if known
+   */
+  const focusFirstError = (fieldErrors, formElement) => {
+    const names = [...Object.keys(schema), ...Object.keys(fieldErrors)]
+    const name = names.find(field => fieldErrors[field])
+    if (!name) return
+
+    const element = formElement?.elements?.namedItem(name) ?? document.getElementById(name)
+    element?.focus?.()
+  }
+
+  /**
+   * Stop a field's scheduled or running async check
+   */
+  const cancelAsyncValidation = (name) => {
+    const pending = pendingChecks.current[name]
+    if (!pending) return
+    clearTimeout(pending.timer)
+    pending.controller?.abort()
+    delete pendingChecks.current[name]
+  }
+
+  const cancelAllAsyncValidation = () => {
+    Object.keys(pendingChecks.current).forEach(cancelAsyncValidation)
+  }
+
+  useEffect(() => cancelAllAsyncValidation, [])
+
+  const scheduleAsyncValidation = (name, nextValues) => {
+    const rules = schema[name]
+    const pending = {}
+    pendingChecks.current[name] = pending
+    setValidating(prev => ({ ...prev, [name]: true }))
+
+    pending.timer = setTimeout(async () => {
+      pending.controller = new AbortController()
+      let error = ''
+      try {
+        error = await validateField(rules, nextValues[name], nextValues, { signal: pending.controller.signal })
+      } catch (validationError) {
+        // An unavailable check should not block the form; submit runs it again
+        if (validationError.name !== 'AbortError') {
+          console.error(`Validation error for ${name}:`, validationError)
+        }
+      }
+
+      // A newer change replaced this check
+      if (pendingChecks.current[name] !== pending) return
+      delete pendingChecks.current[name]
+      setValidating(prev => ({ ...prev, [name]: false }))
+      setFieldErrors({ [name]: error })
+    }, rules.debounce ?? DEFAULT_ASYNC_DEBOUNCE)
+  }
+
+  const validateOnChange = (name, nextValues) => {
+    const rules = schema[name]
+    if (!rules) return
+
+    const value = nextValues[name]
+    const error = isBlank(value) ? '' : validateFieldSync(rules, value, nextValues)
+    const fieldErrors = { [name]: error }
+
+    // Re-check fields that must match this one, e.g. the password confirmation
+    getDependentFields(schema, name).forEach(field => {
+      if (!isBlank(nextValues[field])) {
+        fieldErrors[field] = validateFieldSync(schema[field], nextValues[field], nextValues)
+      }
+    })
+    setFieldErrors(fieldErrors)
+
+    cancelAsyncValidation(name)
+    if (!error && !isBlank(value) && rules.validateAsync) {
+      scheduleAsyncValidation(name, nextValues)
+    } else {
+      setValidating(prev => ({ ...prev, [name]: false }))
+    }
+  }
+
+  const setValue = (name, value) => {
+    const nextValues = { ...values, [name]: value }
+    setValues(nextValues)
+    validateOnChange(name, nextValues)
+  }
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setValue(name, type === 'checkbox' ? checked : value)
+  }
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault()
+    if (isSubmitting) return
+    // React clears currentTarget once the event has been handled
+    const formElement = e?.currentTarget
+
+    // Submit runs every check itself, without waiting for the debounce
+    cancelAllAsyncValidation()
+    setValidating({})
+    setIsSubmitting(true)
+    try {
+      const nextErrors = await validateValues(schema, values)
+      setErrors(nextErrors)
+      if (Object.keys(nextErrors).length > 0) {
+        focusFirstError(nextErrors, formElement)
+        onInvalid?.(nextErrors)
+        return
+      }
+      submitErrors.current = {}
+      await onSubmit(values, form)
+      focusFirstError(submitErrors.current, formElement)
+    } finally {
+      submitErrors.current = null
+      setIsSubmitting(false)
+    }
+  }
+
+  const reset = (nextValues = initialValues) => {
+    cancelAllAsyncValidation()
+    setValues(nextValues)
+    setErrors({})
+    setValidating({})
+  }
+
+  /**
+   * Props for TextField / PasswordField
+   */
+  const getFieldProps = (name) => ({
+    name,
+    value: values[name],
+    error: errors[name] || '',
+    validating: !!validating[name],
+    onChange: handleChange
+  })
+
+  const form = {
+    values,
+    errors,
+    validating,
+    isSubmitting,
+    hasErrors: Object.values(errors).some(error => error),
+    handleChange,
+    handleSubmit,
+    getFieldProps,
+    setValue,
+    setFieldErrors,
+    reset
+  }
+
+  return form
+}
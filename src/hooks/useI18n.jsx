@@ -0,0 +1,127 @@
+import React, { Fragment, createContext, isValidElement, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import {
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  getDirection,
+  loadCatalog,
+  setActiveLanguage,
+  storeLanguage,
+  translate
+} from '../services/i18n'
+import { getProfileLanguage } from '../services/profile'
+import { useAuth } from './useAuth'
+
+const I18nContext = createContext()
+
+const ELEMENT_MARKER = '\u0000'
+
+/**
+ * Translate a message whose arguments include React elements, such as a link inside a sentence
+ * @returns {Array} Text and elements in message order
+ */
+const translateWithElements = (id, params, language) => {
+  const textParams = {}
+  Object.entries(params).forEach(([name, value]) => {
+    textParams[name] = isValidElement(value) ? `${ELEMENT_MARKER}${name}${ELEMENT_MARKER}` : value
+  })
+  return translate(id, textParams, language)
+    .split(ELEMENT_MARKER)
+    .map((part, index) => index % 2 === 1
+      ? <Fragment key={index}>{params[part]}</Fragment>
+      : part)
+}
+
+/**
+ * Custom hook to translate the UI
+ * t(id, params) returns a string, or an array of nodes when a param is a React element.
+ * @returns {{language: string, direction: string, t: Function, setLanguage: Function}}
+ */
+export const useI18n = () => {
+  const context = useContext(I18nContext)
+  if (!context) {
+    throw new Error('useI18n must be used within an I18nProvider')
+  }
+  return context
+}
+
+/**
+ * I18n provider component
+ * Starts in the detected language and keeps <html lang dir> in step, which flips the
+ * layout for right-to-left languages. Until a lazily loaded catalog arrives the page
+ * stays in the previous language.
+ */
+export const I18nProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(DEFAULT_LANGUAGE)
+  const [isReady, setIsReady] = useState(false)
+
+  /**
+   * Switch the language, loading its catalog first
+   * @param {string} nextLanguage - Language code from LANGUAGES
+   * @param {Object} options
+   * @param {boolean} options.remember - Keep the choice for later visits (default: true)
+   */
+  const setLanguage = useCallback(async (nextLanguage, { remember = true } = {}) => {
+    try {
+      await loadCatalog(nextLanguage)
+    } catch (error) {
+      console.error(`Could not load the ${nextLanguage} translations:`, error)
+      setIsReady(true)
+      return
+    }
+    setActiveLanguage(nextLanguage)
+    setLanguageState(nextLanguage)
+    setIsReady(true)
+    if (remember) {
+      storeLanguage(nextLanguage)
+    }
+  }, [])
+
+  useEffect(() => {
+    setLanguage(detectLanguage(), { remember: false })
+  }, [])
+
+  const direction = getDirection(language)
+
+  useEffect(() => {
+    document.documentElement.lang = language
+    document.documentElement.dir = direction
+  }, [language, direction])
+
+  const value = useMemo(() => ({
+    language,
+    direction,
+    t: (id, params) => params && Object.values(params).some(isValidElement)
+      ? translateWithElements(id, params, language)
+      : translate(id, params, language),
+    setLanguage
+  }), [language, direction, setLanguage])
+
+  // Avoid showing English first to someone whose language is still loading
+  if (!isReady) return null
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  )
+}
+
+/**
+ * Keeps the page in the signed-in user's profile language
+ * Renders nothing; place it inside AuthProvider. The profile language applies on sign in,
+ * after the profile is saved and when another tab changes it. LanguageSwitcher saves
+ * choices made while signed in to the profile, so there is one setting per account.
+ */
+export const ProfileLanguageSync = () => {
+  const { user } = useAuth()
+  const { language, setLanguage } = useI18n()
+  const profileLanguage = getProfileLanguage(user)
+
+  useEffect(() => {
+    if (profileLanguage && profileLanguage !== language) {
+      setLanguage(profileLanguage)
+    }
+  }, [profileLanguage])
+
+  return null
+}
@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react'
+
+/**
+ * Custom hook returning the current time, updated on an interval
+ * For live durations such as "signed in for 5m 12s".
+ * @param {number} interval - Update interval in ms (default: 1 second)
+ * @returns {number} - Current timestamp in ms
+ */
+export const useNow = (interval = 1000) => {
+  const [now, setNow] = useState(Date.now)
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval)
+    return () => clearInterval(timer)
+  }, [interval])
+
+  return now
+}
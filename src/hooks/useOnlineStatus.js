@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react'
+
+/**
+ * Custom hook following the browser's connection state
+ * @returns {boolean} - navigator.onLine, updated on the online and offline events
+ */
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine)
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  return isOnline
+}
@@ -0,0 +1,68 @@
+import React, { createContext, useCallback, useContext, useEffect, useLayoutEffect, useMemo, useState } from 'react'
+import { useAuth } from './useAuth'
+import {
+  applyTheme,
+  getStoredThemeMode,
+  prefersDarkColorScheme,
+  resolveTheme,
+  storeThemeMode,
+  watchColorScheme
+} from '../services/theme'
+
+const ThemeContext = createContext()
+
+/**
+ * Custom hook for the color theme
+ * @returns {{mode: string, theme: string, setMode: Function}} - mode is what was chosen
+ *          ('light', 'dark' or 'system'); theme is what is shown ('light' or 'dark')
+ */
+export const useTheme = () => {
+  const context = useContext(ThemeContext)
+  if (!context) {
+    throw new Error('useTheme must be used within a ThemeProvider')
+  }
+  return context
+}
+
+/**
+ * Theme provider component
+ * Sits inside AuthProvider so each user gets back the mode they picked; in 'system'
+ * mode the page follows the operating system's color scheme as it changes.
+ */
+export const ThemeProvider = ({ children }) => {
+  const { user } = useAuth()
+  const userId = user?.id || null
+  const [mode, setModeState] = useState(() => getStoredThemeMode(userId))
+  const [prefersDark, setPrefersDark] = useState(prefersDarkColorScheme)
+
+  // Signing in or out switches to that user's (or the device's) choice
+  useEffect(() => {
+    setModeState(getStoredThemeMode(userId))
+  }, [userId])
+
+  useEffect(() => watchColorScheme(setPrefersDark), [])
+
+  const theme = resolveTheme(mode, prefersDark)
+
+  // Before paint, so the page never flashes in the other theme
+  useLayoutEffect(() => {
+    applyTheme(theme)
+  }, [theme])
+
+  /**
+   * Pick a mode and remember it for the signed-in user (or this device for guests)
+   * @param {'light'|'dark'|'system'} nextMode
+   */
+  const setMode = useCallback((nextMode) => {
+    setModeState(nextMode)
+    storeThemeMode(nextMode, userId)
+  }, [userId])
+
+  const value = useMemo(() => ({ mode, theme, setMode }), [mode, theme, setMode])
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  )
+}
@@ -0,0 +1,105 @@
+import React, { createContext, useCallback, useContext, useMemo, useRef, useState } from 'react'
+import { useI18n } from './useI18n'
+import Toast from '../components/Toast'
+
+/**
+ * Toast notifications shared by the whole app
+ * ToastProvider sits above the routes, so a toast shown right before navigating stays
+ * on screen. Toasts stack up to `maxVisible`; further ones wait in a queue and appear
+ * as earlier ones close. Showing a message that is already queued or visible does not
+ * add a second toast but restarts the existing one's timer and counts the repeat.
+ * The stack is an aria-live region that is always in the page, so screen readers
+ * announce toasts as they are added.
+ */
+
+const ToastContext = createContext()
+
+export const DEFAULT_TOAST_DURATION = 5000
+const MAX_VISIBLE_TOASTS = 3
+
+/**
+ * Custom hook to show toast notifications
+ * @returns {{notify: Function, dismiss: Function}}
+ */
+export const useToast = () => {
+  const context = useContext(ToastContext)
+  if (!context) {
+    throw new Error('useToast must be used within a ToastProvider')
+  }
+  return context
+}
+
+/**
+ * Toast provider component
+ * @param {number} maxVisible - Toasts shown at once (default: 3)
+ */
+export const ToastProvider = ({ children, maxVisible = MAX_VISIBLE_TOASTS }) => {
+  const { t } = useI18n()
+  const [toasts, setToasts] = useState([])
+  // Kept in sync synchronously so back-to-back calls see each other's toasts
+  const toastsRef = useRef([])
+
+  const commit = (nextToasts) => {
+    toastsRef.current = nextToasts
+    setToasts(nextToasts)
+  }
+
+  /**
+   * Close a toast
+   * @param {string} id - Id returned by notify
+   */
+  const dismiss = useCallback((id) => {
+    commit(toastsRef.current.filter(toast => toast.id !== id))
+  }, [])
+
+  /**
+   * Show a toast
+   * @param {string} message - The message to display
+   * @param {string} type - 'success', 'error', 'warning' or 'info'
+   * @param {Object} options
+   * @param {number} options.duration - Auto-close delay in ms; 0 keeps the toast open
+   * @param {Object} options.action - { label, onClick } button, e.g. "Undo" or "Retry"
+   * @returns {string} - Id of the toast, for dismiss
+   */
+  const notify = useCallback((message, type = 'info', { duration = DEFAULT_TOAST_DURATION, action } = {}) => {
+    const duplicate = toastsRef.current.find(toast => toast.message === message && toast.type === type)
+    if (duplicate) {
+      commit(toastsRef.current.map(toast => (
+        toast === duplicate
+          ? { ...toast, duration, action, count: toast.count + 1, version: toast.version + 1 }
+          : toast
+      )))
+      return duplicate.id
+    }
+
+    const id = crypto.randomUUID()
+    commit([...toastsRef.current, { id, message, type, duration, action, count: 1, version: 0 }])
+    return id
+  }, [])
+
+  const value = useMemo(() => ({ notify, dismiss }), [notify, dismiss])
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <section
+        aria-label={t('toast.region')}
+        aria-live="polite"
+        className="fixed top-4 end-4 z-50 flex flex-col gap-3 w-full max-w-sm"
+      >
+        {toasts.slice(0, maxVisible).map(toast => (
+          <Toast
+            key={toast.id}
+            message={toast.message}
+            type={toast.type}
+            action={toast.action}
+            count={toast.count}
+            version={toast.version}
+            duration={toast.duration}
+            onClose={() => dismiss(toast.id)}
+          />
+        ))}
+      </section>
+    </ToastContext.Provider>
+  )
+}
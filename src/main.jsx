@@ -2,12 +2,37 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import App from './App.jsx'
+import { authConfig, createBrowserBackendAdapter } from './services/authConfig'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <BrowserRouter>
-      <App />
-    </BrowserRouter>
-  </React.StrictMode>,
-)
\ No newline at end of file
+/**
+ * Install the development stand-ins the configuration asks for
+ * They are imported on demand, so builds that do not use them leave them out of the bundle.
+ */
+const installDevelopmentMocks = async () => {
+  // Serve the auth API in-process so the app runs without a backend
+  if (authConfig.useMockApi) {
+    const { createMockServer, installMockServer } = await import('./mocks/mockServer')
+    installMockServer(
+      createMockServer({ adapter: createBrowserBackendAdapter() }),
+      { baseUrl: authConfig.apiBaseUrl }
+    )
+  }
+
+  // Sign passkey challenges in software instead of prompting a platform authenticator
+  if (authConfig.useVirtualAuthenticator) {
+    const { createVirtualAuthenticator, installVirtualAuthenticator } = await import('./mocks/virtualAuthenticator')
+    installVirtualAuthenticator(createVirtualAuthenticator())
+  }
+}
+
+// The app's first requests must already reach the mock API
+installDevelopmentMocks().then(() => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    </React.StrictMode>,
+  )
+})
\ No newline at end of file
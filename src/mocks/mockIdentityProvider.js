@@ -0,0 +1,115 @@
+import { bufferToBase64Url } from '../services/webauthn'
+
+/**
+ * Stand-in OpenID Connect provider for the mock API
+ * The /mock-idp/authorize page calls `authorize` to issue a code for the profile the
+ * user picked; the demo backend redeems it with `exchangeCode`, which enforces PKCE,
+ * client id and redirect URI the way a real provider's token endpoint does.
+ * ID tokens are unsigned (alg "none") like the mock API's access tokens.
+ */
+
+const CODE_TTL = 60 * 1000 // 1 minute
+const ID_TOKEN_TTL = 5 * 60 // 5 minutes, in seconds
+
+const encodeSegment = (value) => bufferToBase64Url(new TextEncoder().encode(JSON.stringify(value)))
+
+/**
+ * Thrown by the token endpoint, mirroring OAuth error codes
+ */
+export class OAuthGrantError extends Error {
+  constructor(code, message = 'The authorization code is invalid or has expired') {
+    super(message)
+    this.name = 'OAuthGrantError'
+    this.code = code
+  }
+}
+
+/**
+ * Create the stand-in provider
+ * @param {Object} options
+ * @param {Storage} options.storage - Where issued codes wait to be redeemed; shared across page loads
+ */
+export const createMockIdentityProvider = ({ storage = localStorage } = {}) => {
+  const CODES_KEY = 'mockIdpCodes'
+
+  const readCodes = () => {
+    try {
+      return JSON.parse(storage.getItem(CODES_KEY)) || {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  const writeCodes = (codes) => {
+    storage.setItem(CODES_KEY, JSON.stringify(codes))
+  }
+
+  return {
+    /**
+     * Issue an authorization code after the user consents
+     * @param {Object} request - issuer, clientId, redirectUri, codeChallenge, codeChallengeMethod, nonce
+     * @param {Object} profile - email, givenName, familyName of the signed-in provider account
+     * @returns {string} - Authorization code
+     */
+    authorize({ issuer, clientId, redirectUri, codeChallenge, codeChallengeMethod, nonce }, profile) {
+      if (codeChallengeMethod !== 'S256' || !codeChallenge) {
+        throw new OAuthGrantError('invalid_request', 'PKCE with S256 is required')
+      }
+
+      const code = bufferToBase64Url(crypto.getRandomValues(new Uint8Array(24)))
+      const now = Date.now()
+      const active = Object.fromEntries(Object.entries(readCodes()).filter(([, grant]) => grant.expiresAt > now))
+
+      writeCodes({
+        ...active,
+        [code]: { issuer, clientId, redirectUri, codeChallenge, nonce, profile, expiresAt: now + CODE_TTL }
+      })
+      return code
+    },
+
+    /**
+     * Token endpoint: redeem a code for an ID token (single use)
+     * @param {Object} request - code, codeVerifier, clientId, redirectUri
+     * @returns {Promise<{id_token: string, access_token: string, token_type: string}>}
+     * @throws {OAuthGrantError}
+     */
+    async exchangeCode({ code, codeVerifier, clientId, redirectUri }) {
+      const { [code]: grant, ...remaining } = readCodes()
+      writeCodes(remaining)
+
+      if (!grant || grant.expiresAt <= Date.now()) {
+        throw new OAuthGrantError('invalid_grant')
+      }
+      if (grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+        throw new OAuthGrantError('invalid_grant', 'The code was issued to another client')
+      }
+
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier || ''))
+      if (bufferToBase64Url(digest) !== grant.codeChallenge) {
+        throw new OAuthGrantError('invalid_grant', 'PKCE verification failed')
+      }
+
+      const now = Math.floor(Date.now() / 1000)
+      const { email, givenName, familyName } = grant.profile
+      const claims = {
+        iss: grant.issuer,
+        aud: clientId,
+        sub: `${grant.issuer}|${email.toLowerCase()}`,
+        email,
+        email_verified: true,
+        given_name: givenName,
+        family_name: familyName,
+        name: [givenName, familyName].filter(Boolean).join(' '),
+        nonce: grant.nonce,
+        iat: now,
+        exp: now + ID_TOKEN_TTL
+      }
+
+      return {
+        id_token: [encodeSegment({ alg: 'none', typ: 'JWT' }), encodeSegment(claims), ''].join('.'),
+        access_token: bufferToBase64Url(crypto.getRandomValues(new Uint8Array(24))),
+        token_type: 'Bearer'
+      }
+    }
+  }
+}
@@ -0,0 +1,540 @@
+import {
+  ChallengeRequiredError,
+  InvalidCredentialsError,
+  InvalidTokenError,
+  TooManyAttemptsError,
+  ValidationError
+} from '../services/authAdapter'
+import { decodeJwt } from '../services/jwt'
+import { createLocalAuthAdapter } from '../services/localAuthAdapter'
+import { DuplicateEmailError } from '../services/userRepository'
+import { validateFieldSync } from '../services/formValidation'
+import { signupSchema } from '../services/formSchemas'
+import { describeUserAgent } from '../services/userAgent'
+
+/**
+ * In-process mock of the auth REST API
+ * Requests are answered by a local auth adapter so the full network flow
+ * (tokens, refresh, error payloads) can be exercised without a backend.
+ */
+
+const ACCESS_TOKEN_TTL = 15 * 60 // 15 minutes, in seconds
+const REFRESH_TOKEN_TTL = 24 * 60 * 60 // 1 day
+const REMEMBERED_REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 // 30 days
+
+const base64UrlEncode = (value) =>
+  btoa(JSON.stringify(value)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+
+/**
+ * Mint an unsigned JWT-style token
+ */
+const signToken = (claims, ttl) => {
+  const now = Math.floor(Date.now() / 1000)
+  return [
+    base64UrlEncode({ alg: 'none', typ: 'JWT' }),
+    base64UrlEncode({ ...claims, iat: now, exp: now + ttl, jti: crypto.randomUUID() }),
+    'mock'
+  ].join('.')
+}
+
+/**
+ * Decode and check a token, returning its claims or null
+ */
+const verifyToken = (token, type) => {
+  const claims = decodeJwt(token)
+  if (!claims || claims.type !== type || claims.exp * 1000 <= Date.now()) return null
+  return claims
+}
+
+const json = (status, body) => ({ status, body })
+
+const errorResponse = (status, code, message, extra = {}) =>
+  json(status, { error: { code, message, ...extra } })
+
+/**
+ * Map adapter errors to API error payloads; unknown errors become a 500
+ */
+const toErrorResponse = (error) => {
+  if (error instanceof InvalidCredentialsError) {
+    return errorResponse(401, 'invalid_credentials', error.message)
+  }
+  if (error instanceof TooManyAttemptsError) {
+    return errorResponse(429, 'too_many_attempts', error.message, { retryAfter: error.retryAfter, locked: error.locked })
+  }
+  if (error instanceof ChallengeRequiredError) {
+    return errorResponse(428, 'challenge_required', error.message)
+  }
+  if (error instanceof DuplicateEmailError) {
+    return errorResponse(409, 'email_taken', error.message, { email: error.email, fields: error.fieldErrors })
+  }
+  if (error instanceof ValidationError) {
+    return errorResponse(422, 'validation_failed', error.message, { fields: error.fieldErrors })
+  }
+  if (error instanceof InvalidTokenError) {
+    return errorResponse(400, 'invalid_token', error.message)
+  }
+  return null
+}
+
+/**
+ * Turn '/auth/password-reset/:token' into a matcher returning params
+ */
+const compilePath = (pattern) => {
+  const names = []
+  const source = pattern.replace(/:([A-Za-z]+)/g, (match, name) => {
+    names.push(name)
+    return '([^/]+)'
+  })
+  const regex = new RegExp(`^${source}$`)
+
+  return (path) => {
+    const match = path.match(regex)
+    if (!match) return null
+    return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]))
+  }
+}
+
+/**
+ * Server-side signup validation, using the SignUpPage schema for the submitted fields
+ */
+const validateSignup = ({ firstName = '', lastName = '', email = '', password = '' }) => {
+  const values = { firstName: firstName.trim(), lastName: lastName.trim(), email, password }
+  const fields = {}
+  Object.keys(values).forEach(name => {
+    const error = validateFieldSync(signupSchema[name], values[name], values)
+    if (error) fields[name] = error
+  })
+  return fields
+}
+
+/**
+ * Create the mock server
+ * @param {Object} options
+ * @param {Object} options.adapter - Auth adapter acting as the backend (default: local adapter)
+ * @param {Storage} options.storage - Where the session table is kept (default: localStorage)
+ */
+export const createMockServer = ({
+  adapter = createLocalAuthAdapter(),
+  storage = localStorage
+} = {}) => {
+  const SESSIONS_KEY = 'mockApiSessions'
+
+  const readSessions = () => {
+    try {
+      return JSON.parse(storage.getItem(SESSIONS_KEY)) || {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  const writeSessions = (sessions) => {
+    storage.setItem(SESSIONS_KEY, JSON.stringify(sessions))
+  }
+
+  const issueTokens = (sessionId, userId, rememberMe) => ({
+    accessToken: signToken({ sub: userId, sid: sessionId, type: 'access' }, ACCESS_TOKEN_TTL),
+    refreshToken: signToken(
+      { sub: userId, sid: sessionId, type: 'refresh' },
+      rememberMe ? REMEMBERED_REFRESH_TOKEN_TTL : REFRESH_TOKEN_TTL
+    )
+  })
+
+  const createSession = (user, rememberMe) => {
+    const sessionId = crypto.randomUUID()
+    const now = new Date().toISOString()
+    writeSessions({
+      ...readSessions(),
+      [sessionId]: {
+        userId: user.id,
+        credentialsVersion: user.credentialsVersion,
+        rememberMe: !!rememberMe,
+        // The mock runs inside the browser it serves, so this is the client's user agent
+        userAgent: navigator.userAgent,
+        createdAt: now,
+        lastActiveAt: now
+      }
+    })
+    return { user, ...issueTokens(sessionId, user.id, rememberMe) }
+  }
+
+  const revokeSession = (sessionId) => {
+    const { [sessionId]: removed, ...remaining } = readSessions()
+    writeSessions(remaining)
+  }
+
+  /**
+   * Revoke every session of a user except `keepId`, which moves to the user's current
+   * credentials version so a password change does not sign it out
+   */
+  const revokeOtherSessions = (keepId, user) => {
+    const remaining = Object.entries(readSessions())
+      .filter(([id, session]) => session.userId !== user.id || id === keepId)
+      .map(([id, session]) => [
+        id,
+        id === keepId ? { ...session, credentialsVersion: user.credentialsVersion } : session
+      ])
+    writeSessions(Object.fromEntries(remaining))
+  }
+
+  /**
+   * Resolve the session behind a token, ignoring revoked ones
+   */
+  const findSession = (token, type) => {
+    const claims = token && verifyToken(token, type)
+    if (!claims) return null
+    const session = readSessions()[claims.sid]
+    return session && session.userId === claims.sub ? { id: claims.sid, ...session } : null
+  }
+
+  /**
+   * Load the user behind a session
+   * Sessions outdated by a password change are revoked.
+   */
+  const findSessionUser = async (session) => {
+    const user = await adapter.getCurrentUser({
+      id: session.userId,
+      credentialsVersion: session.credentialsVersion
+    })
+    if (!user) {
+      revokeSession(session.id)
+    }
+    return user
+  }
+
+  const authenticate = async (headers) => {
+    const [scheme, token] = (headers.get('authorization') || '').split(' ')
+    const session = scheme === 'Bearer' && findSession(token, 'access')
+    const user = session && await findSessionUser(session)
+    return user ? { user, session } : null
+  }
+
+  /**
+   * Wrap a handler that needs a signed-in user; it receives `user` and `session` alongside the request
+   */
+  const authenticated = (handler) => async (request) => {
+    const auth = await authenticate(request.headers)
+    if (!auth) {
+      return errorResponse(401, 'unauthorized', 'Authentication required')
+    }
+    return handler({ ...request, ...auth })
+  }
+
+  const routes = [
+    {
+      method: 'POST',
+      path: '/auth/login',
+      handler: async ({ body }) => {
+        const result = await adapter.login(body)
+        // Accounts with 2FA get a challenge; the session starts at /auth/2fa/verify
+        if (result.twoFactorRequired) {
+          return json(200, result)
+        }
+        return json(200, createSession(result, body.rememberMe))
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/oauth/callback',
+      handler: async ({ body }) => {
+        const result = await adapter.finishOAuthLogin(body || {})
+        if (result.twoFactorRequired) {
+          return json(200, result)
+        }
+        return json(200, createSession(result, body.rememberMe))
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/2fa/verify',
+      handler: async ({ body }) => {
+        const user = await adapter.verifyTwoFactorLogin(body || {})
+        return json(200, createSession(user, body?.rememberMe))
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/signup',
+      handler: async ({ body }) => {
+        const fields = validateSignup(body)
+        if (Object.keys(fields).length > 0) {
+          throw new ValidationError(fields)
+        }
+
+        const user = await adapter.signup(body)
+        return json(201, createSession(user, body.rememberMe))
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/check-email',
+      handler: async ({ body }) => {
+        // Signup reveals taken addresses anyway; this only lets the form say so earlier
+        return json(200, { available: await adapter.checkEmailAvailable(body?.email || '') })
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/refresh',
+      handler: async ({ body }) => {
+        const session = findSession(body?.refreshToken, 'refresh')
+        if (!session || !await findSessionUser(session)) {
+          return errorResponse(401, 'invalid_refresh_token', 'Session expired. Please sign in again.')
+        }
+        const { id, ...stored } = session
+        writeSessions({ ...readSessions(), [id]: { ...stored, lastActiveAt: new Date().toISOString() } })
+        return json(200, issueTokens(session.id, session.userId, session.rememberMe))
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/logout',
+      handler: async ({ body }) => {
+        const session = findSession(body?.refreshToken, 'refresh')
+        if (session) {
+          revokeSession(session.id)
+        }
+        return json(204, null)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/password-reset',
+      handler: async ({ body }) => {
+        await adapter.requestPasswordReset(body?.email || '')
+        return json(202, {})
+      }
+    },
+    {
+      method: 'GET',
+      path: '/auth/password-reset/:token',
+      handler: async ({ params }) => {
+        return json(200, await adapter.verifyPasswordResetToken(params.token))
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/password-reset/:token',
+      handler: async ({ params, body }) => {
+        // Bumps the account's credentials version, which revokes its sessions on next use
+        await adapter.resetPassword({ token: params.token, password: body?.password || '' })
+        return json(204, null)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/magic-link',
+      handler: async ({ body }) => {
+        await adapter.requestMagicLink({ email: body?.email || '', rememberMe: !!body?.rememberMe })
+        return json(202, {})
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/magic-link/:token',
+      handler: async ({ params, body }) => {
+        const result = await adapter.verifyMagicLink({ token: params.token, rememberMe: !!body?.rememberMe })
+        if (result.twoFactorRequired) {
+          return json(200, result)
+        }
+        return json(200, createSession(result, body?.rememberMe))
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/email-verification',
+      handler: authenticated(async ({ user }) => {
+        return json(200, await adapter.resendVerificationEmail(user))
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/email-verification/:token',
+      handler: async ({ params }) => {
+        return json(200, await adapter.verifyEmail({ token: params.token }))
+      }
+    },
+    {
+      method: 'GET',
+      path: '/auth/me',
+      handler: authenticated(async ({ user }) => {
+        return json(200, { user })
+      })
+    },
+    {
+      method: 'PUT',
+      path: '/auth/me/profile',
+      handler: authenticated(async ({ user, body }) => {
+        return json(200, { user: await adapter.updateProfile(user, body || {}) })
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/me/password',
+      handler: authenticated(async ({ user, session, body }) => {
+        const updated = await adapter.changePassword(user, body || {})
+        revokeOtherSessions(session.id, updated)
+        return json(200, { user: updated })
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/me/email',
+      handler: authenticated(async ({ user, body }) => {
+        return json(200, { user: await adapter.changeEmail(user, body || {}) })
+      })
+    },
+    {
+      method: 'GET',
+      path: '/auth/sessions',
+      handler: authenticated(async ({ user, session: current }) => {
+        const sessions = Object.entries(readSessions())
+          .filter(([, session]) => session.userId === user.id)
+          .map(([id, session]) => ({
+            id,
+            device: describeUserAgent(session.userAgent),
+            createdAt: session.createdAt,
+            lastActiveAt: session.lastActiveAt || session.createdAt,
+            current: id === current.id
+          }))
+          .sort((a, b) => (b.lastActiveAt || '').localeCompare(a.lastActiveAt || ''))
+        return json(200, { sessions })
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/sessions/revoke-others',
+      handler: authenticated(async ({ user, session }) => {
+        const updated = await adapter.revokeOtherSessions(user)
+        revokeOtherSessions(session.id, updated)
+        return json(200, { user: updated })
+      })
+    },
+    {
+      method: 'DELETE',
+      path: '/auth/sessions/:id',
+      handler: authenticated(async ({ user, params }) => {
+        // Ids of other users' sessions are ignored rather than revealed
+        if (readSessions()[params.id]?.userId === user.id) {
+          revokeSession(params.id)
+        }
+        return json(204, null)
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/2fa/totp/enroll',
+      handler: authenticated(async ({ user }) => {
+        return json(200, await adapter.beginTotpEnrollment(user))
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/2fa/totp/confirm',
+      handler: authenticated(async ({ user, body }) => {
+        return json(200, await adapter.confirmTotpEnrollment(user, body?.code || ''))
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/2fa/totp/disable',
+      handler: authenticated(async ({ user, body }) => {
+        return json(200, { user: await adapter.disableTotp(user, body?.password || '') })
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/passkeys/register/options',
+      handler: authenticated(async ({ user }) => {
+        return json(200, await adapter.beginPasskeyRegistration(user))
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/passkeys/register',
+      handler: authenticated(async ({ user, body }) => {
+        return json(201, { user: await adapter.finishPasskeyRegistration(user, body || {}) })
+      })
+    },
+    {
+      method: 'POST',
+      path: '/auth/passkeys/login/options',
+      handler: async () => {
+        return json(200, await adapter.beginPasskeyLogin())
+      }
+    },
+    {
+      method: 'POST',
+      path: '/auth/passkeys/login',
+      handler: async ({ body }) => {
+        const user = await adapter.finishPasskeyLogin(body || {})
+        return json(200, createSession(user, body?.rememberMe))
+      }
+    }
+  ].map(route => ({ ...route, match: compilePath(route.path) }))
+
+  /**
+   * Handle a request and build a fetch Response
+   * @param {Object} request - method, path (without base URL), headers (Headers), body (parsed JSON)
+   * @returns {Promise<Response>}
+   */
+  const handle = async ({ method, path, headers, body }) => {
+    let params = null
+    const route = routes.find(candidate => {
+      params = candidate.method === method ? candidate.match(path) : null
+      return params !== null
+    })
+    let result
+
+    try {
+      result = route
+        ? await route.handler({ headers, body, params })
+        : errorResponse(404, 'not_found', `No mock route for ${method} ${path}`)
+    } catch (error) {
+      result = toErrorResponse(error)
+      if (!result) {
+        console.error('Mock server error:', error)
+        result = errorResponse(500, 'server_error', 'Something went wrong. Please try again.')
+      }
+    }
+
+    return new Response(result.body === null ? null : JSON.stringify(result.body), {
+      status: result.status,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+
+  return { routes, handle }
+}
+
+/**
+ * Route same-origin requests under `baseUrl` to the mock server
+ * @param {Object} server - Server created by createMockServer
+ * @param {Object} options
+ * @param {string} options.baseUrl - Path prefix to intercept
+ * @returns {Function} - Restores the original fetch
+ */
+export const installMockServer = (server, { baseUrl = '/api' } = {}) => {
+  const originalFetch = window.fetch.bind(window)
+
+  window.fetch = async (input, init = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url, window.location.origin)
+
+    if (url.origin !== window.location.origin || !url.pathname.startsWith(`${baseUrl}/`)) {
+      return originalFetch(input, init)
+    }
+    if (init.signal?.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError')
+    }
+
+    return server.handle({
+      method: (init.method || 'GET').toUpperCase(),
+      path: url.pathname.slice(baseUrl.length),
+      headers: new Headers(init.headers),
+      body: init.body ? JSON.parse(init.body) : undefined
+    })
+  }
+
+  return () => {
+    window.fetch = originalFetch
+  }
+}
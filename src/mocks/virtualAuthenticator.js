@@ -0,0 +1,238 @@
+import { bufferToBase64Url, base64UrlToBuffer } from '../services/webauthn'
+
+/**
+ * Software WebAuthn authenticator
+ * Stands in for navigator.credentials so passkey flows can be exercised without
+ * a platform authenticator (tests, headless browsers, machines without biometrics).
+ * Keys are ES256 (P-256) and kept in Web Storage; the user is always "verified".
+ */
+
+const ES256 = -7
+const FLAGS_USER_PRESENT_AND_VERIFIED = 0x01 | 0x04
+
+const encoder = new TextEncoder()
+
+const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+
+const toBytes = (source) => (source instanceof Uint8Array ? source : new Uint8Array(source.buffer ?? source))
+
+const concat = (...parts) => {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0))
+  let offset = 0
+  parts.forEach(part => {
+    result.set(part, offset)
+    offset += part.length
+  })
+  return result
+}
+
+/**
+ * Convert a raw r||s ECDSA signature into DER, as real authenticators return it
+ */
+const rawToDerSignature = (raw) => {
+  const encodeInteger = (bytes) => {
+    let value = bytes
+    while (value.length > 1 && value[0] === 0 && !(value[1] & 0x80)) value = value.slice(1)
+    if (value[0] & 0x80) value = concat(new Uint8Array([0]), value)
+    return concat(new Uint8Array([0x02, value.length]), value)
+  }
+
+  const r = encodeInteger(raw.slice(0, 32))
+  const s = encodeInteger(raw.slice(32))
+  return concat(new Uint8Array([0x30, r.length + s.length]), r, s)
+}
+
+/**
+ * CBOR-encode { fmt: 'none', attStmt: {}, authData } - the only attestation this authenticator makes
+ */
+const encodeNoneAttestation = (authData) => {
+  const text = (value) => concat(new Uint8Array([0x60 + value.length]), encoder.encode(value))
+  const length = authData.length
+  const bytesHeader = length < 24
+    ? new Uint8Array([0x40 + length])
+    : length < 256
+    ? new Uint8Array([0x58, length])
+    : new Uint8Array([0x59, length >> 8, length & 0xff])
+
+  return concat(
+    new Uint8Array([0xa3]),
+    text('fmt'), text('none'),
+    text('attStmt'), new Uint8Array([0xa0]),
+    text('authData'), bytesHeader, authData
+  )
+}
+
+/**
+ * Create a virtual authenticator
+ * @param {Object} options
+ * @param {Storage} options.storage - Where credentials are kept (default: localStorage)
+ * @param {string} options.origin - Origin written into client data (default: current origin)
+ */
+export const createVirtualAuthenticator = ({
+  storage = localStorage,
+  origin = window.location.origin
+} = {}) => {
+  const STORAGE_KEY = 'virtualAuthenticatorCredentials'
+
+  const readCredentials = () => {
+    try {
+      return JSON.parse(storage.getItem(STORAGE_KEY)) || []
+    } catch (error) {
+      return []
+    }
+  }
+
+  const writeCredentials = (credentials) => {
+    storage.setItem(STORAGE_KEY, JSON.stringify(credentials))
+  }
+
+  const authenticatorData = async (rpId, signCount) => {
+    const counter = new Uint8Array(4)
+    new DataView(counter.buffer).setUint32(0, signCount)
+    return concat(await sha256(encoder.encode(rpId)), new Uint8Array([FLAGS_USER_PRESENT_AND_VERIFIED]), counter)
+  }
+
+  const clientData = (type, challenge) => encoder.encode(JSON.stringify({
+    type,
+    challenge: bufferToBase64Url(toBytes(challenge)),
+    origin,
+    crossOrigin: false
+  }))
+
+  const notAllowed = () => new DOMException('No matching passkey', 'NotAllowedError')
+
+  return {
+    /**
+     * navigator.credentials.create replacement
+     */
+    async create({ publicKey: options }) {
+      const rpId = options.rp.id || new URL(origin).hostname
+      if (!options.pubKeyCredParams.some(param => param.alg === ES256)) {
+        throw new DOMException('Only ES256 keys are supported', 'NotSupportedError')
+      }
+
+      const excluded = (options.excludeCredentials || []).map(descriptor => bufferToBase64Url(toBytes(descriptor.id)))
+      if (readCredentials().some(credential => credential.rpId === rpId && excluded.includes(credential.id))) {
+        throw new DOMException('Credential already registered', 'InvalidStateError')
+      }
+
+      const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify'])
+      const rawId = crypto.getRandomValues(new Uint8Array(16))
+      const id = bufferToBase64Url(rawId)
+      const publicKey = new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey))
+      const privateKey = new Uint8Array(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey))
+
+      writeCredentials([
+        ...readCredentials(),
+        {
+          id,
+          rpId,
+          userHandle: bufferToBase64Url(toBytes(options.user.id)),
+          privateKey: bufferToBase64Url(privateKey),
+          signCount: 0
+        }
+      ])
+
+      const authData = await authenticatorData(rpId, 0)
+      return {
+        id,
+        rawId: rawId.buffer,
+        type: 'public-key',
+        authenticatorAttachment: 'platform',
+        response: {
+          clientDataJSON: clientData('webauthn.create', options.challenge).buffer,
+          attestationObject: encodeNoneAttestation(authData).buffer,
+          getAuthenticatorData: () => authData.buffer,
+          getPublicKey: () => publicKey.buffer,
+          getPublicKeyAlgorithm: () => ES256,
+          getTransports: () => ['internal']
+        },
+        getClientExtensionResults: () => ({})
+      }
+    },
+
+    /**
+     * navigator.credentials.get replacement
+     * Picks the most recently created matching passkey instead of prompting.
+     */
+    async get({ publicKey: options }) {
+      const rpId = options.rpId || new URL(origin).hostname
+      const allowed = (options.allowCredentials || []).map(descriptor => bufferToBase64Url(toBytes(descriptor.id)))
+      const credentials = readCredentials()
+      const credential = credentials
+        .filter(candidate => candidate.rpId === rpId && (allowed.length === 0 || allowed.includes(candidate.id)))
+        .pop()
+      if (!credential) throw notAllowed()
+
+      const signCount = credential.signCount + 1
+      writeCredentials(credentials.map(candidate => (candidate.id === credential.id ? { ...candidate, signCount } : candidate)))
+
+      const authData = await authenticatorData(rpId, signCount)
+      const clientDataJSON = clientData('webauthn.get', options.challenge)
+      const privateKey = await crypto.subtle.importKey(
+        'pkcs8',
+        base64UrlToBuffer(credential.privateKey),
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['sign']
+      )
+      const signature = new Uint8Array(await crypto.subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        privateKey,
+        concat(authData, await sha256(clientDataJSON))
+      ))
+
+      return {
+        id: credential.id,
+        rawId: base64UrlToBuffer(credential.id).buffer,
+        type: 'public-key',
+        authenticatorAttachment: 'platform',
+        response: {
+          clientDataJSON: clientDataJSON.buffer,
+          authenticatorData: authData.buffer,
+          signature: rawToDerSignature(signature).buffer,
+          userHandle: base64UrlToBuffer(credential.userHandle).buffer
+        },
+        getClientExtensionResults: () => ({})
+      }
+    },
+
+    /**
+     * Forget every stored passkey
+     */
+    reset() {
+      storage.removeItem(STORAGE_KEY)
+    }
+  }
+}
+
+/**
+ * Route navigator.credentials.create/get to a virtual authenticator
+ * @param {Object} authenticator - Authenticator created by createVirtualAuthenticator
+ * @returns {Function} - Restores the browser's implementation
+ */
+export const installVirtualAuthenticator = (authenticator) => {
+  const original = {
+    credentials: Object.getOwnPropertyDescriptor(navigator, 'credentials'),
+    PublicKeyCredential: window.PublicKeyCredential
+  }
+
+  Object.defineProperty(navigator, 'credentials', {
+    configurable: true,
+    value: {
+      create: (options) => authenticator.create(options),
+      get: (options) => authenticator.get(options)
+    }
+  })
+  // Lets isPasskeySupported() pass in browsers without WebAuthn
+  window.PublicKeyCredential = window.PublicKeyCredential || function PublicKeyCredential() {}
+
+  return () => {
+    if (original.credentials) {
+      Object.defineProperty(navigator, 'credentials', original.credentials)
+    } else {
+      delete navigator.credentials
+    }
+    window.PublicKeyCredential = original.PublicKeyCredential
+  }
+}
@@ -0,0 +1,179 @@
+import { activeSessionStorage } from './sessionPersistence'
+
+/**
+ * REST/JSON API client
+ * Attaches the access token to every request and, when the server answers 401,
+ * refreshes the token pair once and replays the request.
+ *
+ * Error payloads are expected in the shape:
+ *   { "error": { "message": "...", "code": "...", "fields": { "email": "..." } } }
+ */
+
+/**
+ * Error raised for any non-2xx response
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'unknown', fieldErrors = {}, payload = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.fieldErrors = fieldErrors
+    this.payload = payload
+  }
+}
+
+/**
+ * Create a token store persisted in Web Storage
+ * @param {Object} options
+ * @param {Storage} options.storage - Storage backend (default: localStorage)
+ * @param {string} options.key - Storage key holding the token pair
+ */
+export const createTokenStore = ({ storage = localStorage, key = 'authTokens' } = {}) => {
+  const read = () => {
+    try {
+      return JSON.parse(storage.getItem(key)) || {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  return {
+    getAccessToken: () => read().accessToken || null,
+    getRefreshToken: () => read().refreshToken || null,
+    setTokens({ accessToken, refreshToken }) {
+      const current = read()
+      storage.setItem(key, JSON.stringify({
+        accessToken: accessToken ?? current.accessToken,
+        refreshToken: refreshToken ?? current.refreshToken
+      }))
+    },
+    clear() {
+      storage.removeItem(key)
+    }
+  }
+}
+
+/**
+ * Token store shared by the default API client
+ * Tokens follow the session's persistence mode (remembered or tab-only).
+ */
+export const defaultTokenStore = createTokenStore({ storage: activeSessionStorage })
+
+/**
+ * Turn a failed response into an ApiError
+ */
+const toApiError = async (response) => {
+  let payload = null
+  try {
+    payload = await response.json()
+  } catch (error) {
+    // Non-JSON error body
+  }
+
+  const details = payload?.error || {}
+  return new ApiError(details.message || `Request failed with status ${response.status}`, {
+    status: response.status,
+    code: details.code,
+    fieldErrors: details.fields || {},
+    payload
+  })
+}
+
+/**
+ * Create an API client
+ * @param {Object} options
+ * @param {string} options.baseUrl - Prefix for every request path
+ * @param {Object} options.tokenStore - Token store (see createTokenStore)
+ * @param {string} options.refreshPath - Endpoint exchanging a refresh token for a new pair
+ * @param {Function} options.fetchImpl - fetch implementation (default: window.fetch at call time)
+ */
+export const createApiClient = ({
+  baseUrl = '/api',
+  tokenStore = defaultTokenStore,
+  refreshPath = '/auth/refresh',
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => {
+  let pendingRefresh = null
+
+  const send = (path, { method = 'GET', body, auth = true, headers = {}, signal } = {}) => {
+    const requestHeaders = { Accept: 'application/json', ...headers }
+    if (body !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json'
+    }
+
+    const accessToken = tokenStore.getAccessToken()
+    if (auth && accessToken) {
+      requestHeaders.Authorization = `Bearer ${accessToken}`
+    }
+
+    return fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers: requestHeaders,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal
+    })
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair
+   * Concurrent callers share a single in-flight refresh.
+   */
+  const refreshTokens = () => {
+    if (!pendingRefresh) {
+      pendingRefresh = (async () => {
+        const refreshToken = tokenStore.getRefreshToken()
+        if (!refreshToken) {
+          throw new ApiError('No refresh token available', { status: 401, code: 'no_refresh_token' })
+        }
+
+        const response = await send(refreshPath, { method: 'POST', body: { refreshToken }, auth: false })
+        if (!response.ok) {
+          tokenStore.clear()
+          throw await toApiError(response)
+        }
+
+        const tokens = await response.json()
+        tokenStore.setTokens(tokens)
+        return tokens
+      })().finally(() => {
+        pendingRefresh = null
+      })
+    }
+    return pendingRefresh
+  }
+
+  /**
+   * Send a request and parse the JSON response
+   * @param {string} path - Path relative to baseUrl
+   * @param {Object} options - method, body, auth (attach token), retry (refresh on 401), signal (AbortSignal)
+   * @returns {Promise<any>} - Parsed body, or null for empty responses
+   * @throws {ApiError}
+   */
+  const request = async (path, { retry = true, ...options } = {}) => {
+    let response = await send(path, options)
+
+    if (response.status === 401 && retry && options.auth !== false && tokenStore.getRefreshToken()) {
+      await refreshTokens()
+      response = await send(path, options)
+    }
+
+    if (!response.ok) {
+      throw await toApiError(response)
+    }
+
+    if (response.status === 204) return null
+    const text = await response.text()
+    return text ? JSON.parse(text) : null
+  }
+
+  return {
+    tokenStore,
+    request,
+    refreshTokens,
+    get: (path, options) => request(path, { ...options, method: 'GET' }),
+    post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+    put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+    delete: (path, options) => request(path, { ...options, method: 'DELETE' })
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Authentication adapter contract
+ * AuthProvider delegates every credential operation to an adapter so the UI does not
+ * care whether it talks to a REST backend, the in-browser demo store or a test double.
+ *
+ * An adapter is a plain object with these async methods:
+ *   login({ email, password, rememberMe, deviceId, challengeResponse })
+ *                                                       -> user | { twoFactorRequired, challengeToken }
+ *   signup({ firstName, lastName, email, password })    -> user
+ *   checkEmailAvailable(email, { signal })              -> boolean
+ *   logout(user)                                        -> void
+ *   refresh(user)                                       -> user | null
+ *   requestPasswordReset(email)                         -> void
+ *   verifyPasswordResetToken(token)                     -> { email }
+ *   resetPassword({ token, password })                 -> void
+ *   requestMagicLink({ email, rememberMe })             -> void
+ *   verifyMagicLink({ token, rememberMe })              -> user | { twoFactorRequired, challengeToken }
+ *   verifyEmail({ token })                              -> { email }
+ *   resendVerificationEmail(user)                       -> { user, retryAfter }
+ *   getCurrentUser(storedUser)                          -> user | null
+ *   updateProfile(user, changes)                        -> user
+ *     (changes: any of firstName, lastName, displayName, avatarUrl, timezone, locale)
+ *
+ * Account security. Changing the password signs out every other session; the returned
+ * user carries the new credentials so the calling session continues. A new email address
+ * is kept as `pendingEmail` and only replaces the current one once verified (verifyEmail).
+ *   changePassword(user, { currentPassword, newPassword }) -> user
+ *   changeEmail(user, { newEmail, password })           -> user
+ *   listSessions(user)                                  -> [{ id, device, createdAt, lastActiveAt, current }]
+ *   revokeSession(user, sessionId)                      -> void
+ *   revokeOtherSessions(user)                           -> user
+ *
+ * Two-factor authentication (TOTP with recovery codes):
+ *   verifyTwoFactorLogin({ challengeToken, code, rememberMe }) -> user
+ *   beginTotpEnrollment(user)                           -> { secret, otpauthUrl }
+ *   confirmTotpEnrollment(user, code)                   -> { user, recoveryCodes }
+ *   disableTotp(user, password)                         -> user
+ * When an account has 2FA enabled, login resolves with a short-lived challenge token
+ * instead of a user; the session only starts once verifyTwoFactorLogin succeeds.
+ *
+ * Passkeys (WebAuthn). Options and credentials are JSON with base64url binary fields,
+ * see services/webauthn:
+ *   beginPasskeyRegistration(user)                      -> creation options
+ *   finishPasskeyRegistration(user, { credential, name }) -> user
+ *   beginPasskeyLogin()                                 -> request options
+ *   finishPasskeyLogin({ credential, rememberMe })      -> user
+ *
+ * Social login (OpenID Connect authorization code + PKCE, see services/oauth):
+ *   finishOAuthLogin({ provider, code, codeVerifier, redirectUri, nonce, rememberMe })
+ *                                                       -> user | { twoFactorRequired, challengeToken }
+ *
+ * New accounts start with `emailVerified: false` and are sent a verification link; users
+ * without the flag count as verified. Resending is rate limited: resendVerificationEmail
+ * rejects with TooManyAttemptsError until `retryAfter` seconds have passed.
+ *
+ * Repeated failed logins are throttled per account and per device (see services/loginThrottle):
+ * login rejects with TooManyAttemptsError while a backoff or lockout is running, and with
+ * ChallengeRequiredError until a human-verification response is sent as `challengeResponse`.
+ *
+ * Token-based adapters may also implement the synchronous, optional:
+ *   getTokens()                                         -> { accessToken, refreshToken } | null
+ * which lets AuthProvider schedule refreshes from the JWT `exp` claims.
+ *
+ * `user` is a plain object without credentials. Methods reject with the error
+ * classes below (or DuplicateEmailError from the user repository) on expected failures.
+ * Errors may carry a `fieldErrors` map that forms display inline. Its values are message ids
+ * (services/locales) such as { email: 'validation.emailTaken' }, or text an adapter could only
+ * word itself, such as password policy feedback.
+ */
+
+import { hasMessage } from './i18n'
+
+export const AUTH_ADAPTER_METHODS = [
+  'login',
+  'signup',
+  'checkEmailAvailable',
+  'logout',
+  'refresh',
+  'requestPasswordReset',
+  'verifyPasswordResetToken',
+  'resetPassword',
+  'requestMagicLink',
+  'verifyMagicLink',
+  'verifyEmail',
+  'resendVerificationEmail',
+  'getCurrentUser',
+  'updateProfile',
+  'changePassword',
+  'changeEmail',
+  'listSessions',
+  'revokeSession',
+  'revokeOtherSessions',
+  'verifyTwoFactorLogin',
+  'beginTotpEnrollment',
+  'confirmTotpEnrollment',
+  'disableTotp',
+  'beginPasskeyRegistration',
+  'finishPasskeyRegistration',
+  'beginPasskeyLogin',
+  'finishPasskeyLogin',
+  'finishOAuthLogin'
+]
+
+/**
+ * Thrown when an email/password pair does not match an account
+ */
+export class InvalidCredentialsError extends Error {
+  constructor(message = 'Invalid email or password') {
+    super(message)
+    this.name = 'InvalidCredentialsError'
+  }
+}
+
+/**
+ * Thrown when an emailed link token is unknown, expired or already used
+ */
+export class InvalidTokenError extends Error {
+  constructor(message = 'This link is invalid or has expired') {
+    super(message)
+    this.name = 'InvalidTokenError'
+  }
+}
+
+/**
+ * Thrown when submitted data fails server-side validation
+ */
+export class ValidationError extends Error {
+  constructor(fieldErrors, message = 'Please fix the errors above') {
+    super(message)
+    this.name = 'ValidationError'
+    this.fieldErrors = fieldErrors
+  }
+}
+
+/**
+ * Thrown when sign in is paused after repeated failed attempts
+ */
+export class TooManyAttemptsError extends Error {
+  /**
+   * @param {number} retryAfter - Seconds until the next attempt is allowed
+   * @param {boolean} locked - Whether the account or device is locked out rather than backing off
+   */
+  constructor(retryAfter, locked = false, message = 'Too many failed attempts. Please wait before trying again.') {
+    super(message)
+    this.name = 'TooManyAttemptsError'
+    this.retryAfter = retryAfter
+    this.locked = locked
+  }
+}
+
+/**
+ * Thrown when a human-verification challenge has to be solved before signing in
+ */
+export class ChallengeRequiredError extends Error {
+  constructor(message = 'Please complete the verification check to continue') {
+    super(message)
+    this.name = 'ChallengeRequiredError'
+  }
+}
+
+/**
+ * Make sure an adapter implements the full contract
+ * @param {Object} adapter - Candidate adapter
+ * @returns {Object} - The same adapter
+ * @throws {TypeError} - When a method is missing
+ */
+export const assertAuthAdapter = (adapter) => {
+  const missing = AUTH_ADAPTER_METHODS.filter(method => typeof adapter?.[method] !== 'function')
+  if (missing.length > 0) {
+    throw new TypeError(`Auth adapter is missing: ${missing.join(', ')}`)
+  }
+  return adapter
+}
+
+/**
+ * Extract field-level messages from an adapter error
+ * @param {Error} error - Error thrown by an adapter
+ * @returns {Object|null} - Map of field name to message, or null when there are none
+ */
+export const getFieldErrors = (error) => {
+  const fieldErrors = error?.fieldErrors
+  return fieldErrors && Object.keys(fieldErrors).length > 0 ? fieldErrors : null
+}
+
+/**
+ * Field-level messages of an adapter error in the active language
+ * @param {Error} error - Error thrown by an adapter
+ * @param {Function} t - Translation function from useI18n
+ * @returns {Object|null} - Map of field name to message, or null when there are none
+ */
+export const translateFieldErrors = (error, t) => {
+  const fieldErrors = getFieldErrors(error)
+  if (!fieldErrors) return null
+  return Object.fromEntries(Object.entries(fieldErrors).map(([field, message]) => (
+    [field, hasMessage(message) ? t(message) : message]
+  )))
+}
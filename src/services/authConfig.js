@@ -0,0 +1,68 @@
+import { createApiClient } from './apiClient'
+import { createLocalAuthAdapter } from './localAuthAdapter'
+import { createRestAuthAdapter } from './restAuthAdapter'
+import { getOAuthProviders } from './oauthProviders'
+import { createMockIdentityProvider } from '../mocks/mockIdentityProvider'
+
+/**
+ * Build-time auth configuration (see .env.example)
+ *   VITE_AUTH_ADAPTER  - 'rest' or 'local' for the browser-only demo store (default: 'rest' when
+ *                        an API base URL is set or the mock API is on, otherwise 'local')
+ *   VITE_API_BASE_URL  - Base URL of the auth API (default: /api)
+ *   VITE_API_MOCK      - 'true' or 'false' to force the in-process mock API (default: on in dev builds only)
+ *   VITE_ADMIN_EMAILS  - Comma-separated accounts granted the admin role by the demo backend
+ *   VITE_VIRTUAL_AUTHENTICATOR - 'true' to answer passkey prompts with a software authenticator
+ *   VITE_OAUTH_<PROVIDER>_CLIENT_ID - Client ids enabling Google, GitHub and Microsoft sign in
+ *   VITE_CHALLENGE_PROVIDER - Human-verification widget shown after failed logins (default: 'fake')
+ */
+const useMockApi = import.meta.env.VITE_API_MOCK
+  ? import.meta.env.VITE_API_MOCK === 'true'
+  : import.meta.env.DEV
+
+export const authConfig = {
+  // Without an API to talk to, a build falls back to the in-browser store instead of a dead /api
+  adapter: import.meta.env.VITE_AUTH_ADAPTER ||
+    (import.meta.env.VITE_API_BASE_URL || useMockApi ? 'rest' : 'local'),
+  apiBaseUrl: import.meta.env.VITE_API_BASE_URL || '/api',
+  useMockApi,
+  adminEmails: (import.meta.env.VITE_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean),
+  useVirtualAuthenticator: import.meta.env.VITE_VIRTUAL_AUTHENTICATOR === 'true',
+  challengeProvider: import.meta.env.VITE_CHALLENGE_PROVIDER || 'fake'
+}
+
+// The demo backend (local adapter or mock API) signs in through the stand-in identity provider
+authConfig.useMockIdentityProvider = authConfig.useMockApi || authConfig.adapter === 'local'
+
+/**
+ * Social login providers offered on the login and sign up pages
+ */
+export const oauthProviders = getOAuthProviders({ useMock: authConfig.useMockIdentityProvider })
+
+/**
+ * Create the in-browser adapter used directly (local mode) or behind the mock API
+ */
+export const createBrowserBackendAdapter = () => {
+  return createLocalAuthAdapter({
+    adminEmails: authConfig.adminEmails,
+    oauthProviders,
+    identityProvider: authConfig.useMockIdentityProvider ? createMockIdentityProvider() : null
+  })
+}
+
+/**
+ * Create the adapter selected by the build configuration
+ */
+export const createDefaultAuthAdapter = () => {
+  if (authConfig.adapter === 'local') {
+    return createBrowserBackendAdapter()
+  }
+  return createRestAuthAdapter({ client: createApiClient({ baseUrl: authConfig.apiBaseUrl }) })
+}
+
+/**
+ * Adapter used by AuthProvider when none is supplied
+ */
+export const defaultAuthAdapter = createDefaultAuthAdapter()
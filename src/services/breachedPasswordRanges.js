@@ -0,0 +1,1513 @@
+/**
+ * Offline breached-password data in the k-anonymity range format
+ * SHA-1 hashes (uppercase hex) of passwords seen in public breach corpora, grouped
+ * by their first five characters; each prefix maps to the remaining 35 characters.
+ * Covers the common password list (services/commonPasswords) with the usual variants
+ * (capitalised, trailing 1 / 123 / !, all caps) plus frequent policy-dodging passwords.
+ * Swap in a larger corpus by regenerating this map from a Pwned Passwords export.
+ */
+export const BREACHED_PASSWORD_RANGES = {
+  '00295': ['D6C063D0D9CCC6E2DC3249198A694486B26'],
+  '00619': ['DFCEDB6C415286F4923575972C1C4AB4703'],
+  '00683': ['9D264A38B7F58E5C8130447528BF4B7AEE1'],
+  '006C3': ['9A25220AB4129C6039913BB16E3596B7FEF'],
+  '009E2': ['861BB8A794BA5BF267E686B3AEA9E44412F'],
+  '00A72': ['B6D69FB192381EF48DA57C179ABCDFCE3C6'],
+  '00C8D': ['308D3DD38C1917C07EEC90FB4BEF2044AF6'],
+  '00CAF': ['D126182E8A9E7C01BB2F0DFD00496BE724F'],
+  '00DA1': ['BFB64C80217AE33070672CE719ED97F7743'],
+  '00DB3': ['B50DCE56DF69FF7763B3B1599337250A838'],
+  '011C9': ['45F30CE2CBAFC452F39840F025693339C42'],
+  '01396': ['15B45A6DBBF5642C71A6636437970401C7B'],
+  '013E8': ['975490BFF350A5625AD27CA2FCB611ADEED'],
+  '01483': ['8F4527C63799878D831B4D31EEFE2608A47'],
+  '018CF': ['3F46C118BCA00F4E2328B0CE25D692FD310'],
+  '018FD': ['9A068271BEFED34D41CC1F01A6CF3924A0F'],
+  '019DB': ['0BFD5F85951CB46E4452E9642858C004155'],
+  '01AF0': ['A541C761FB782FB93678764DF1E917288B4'],
+  '01B30': ['7ACBA4F54F55AAFC33BB06BBBF6CA803E9A'],
+  '01F6C': ['861BF8C1DD06B55C19AF49328B66F754B46'],
+  '02759': ['7E59399C45A340F1545188B9441FBD888FB'],
+  '02B3B': ['BAF45317FB81E8180A9AAFA70441DF098DD'],
+  '02D5B': ['E60C2B964AD26F7D59523297F1FF33AE0A8'],
+  '02E0A': ['999C50B1F88DF7A8F5A04E1B76B35EA6A88'],
+  '03635': ['376E0789592D3063740B84EFFFF5E8A1403'],
+  '03826': ['807F49ED43A274DC8D7A43B0CE523D6C20B'],
+  '03896': ['534C389418A4353EF18F9D0D7F20ACC937C'],
+  '038BC': ['41A7C6C6423FBA68AB38E1243E0673EB5B1'],
+  '03FDF': ['1323C8D4770C90576CE2A1860D476DED8AB'],
+  '043A5': ['58250409758B64F73D07D7F06B3DF654BC0'],
+  '04450': ['7C8314178F51F47BF2FD6E666A4139B6EEF'],
+  '046F7': ['CEEB5A470E147860DAD27BE8B141DE0C795'],
+  '049B9': ['F88DF23BD4E65ACAE2F93E34BA9C0C8F1B5'],
+  '04B94': ['92B1C1E1CA3CE1FD3BBEF88FD0F2A9CF26A'],
+  '04B95': ['556BEFDCCD3E2E2AACA18088A4E01CA5DF9'],
+  '05233': ['40000F8A88EEE46C9DAE18B8B8FCA8C573A'],
+  '05259': ['5B86F16AB1BA7A928E726110448261F0F9E'],
+  '05973': ['90906253F44554770816C1A2E41334B596C'],
+  '05993': ['E69C1712B1A21928277C8ABFDC2AE39C214'],
+  '05B85': ['BC89524FD5E8EDE347DA60F43762BB459AE'],
+  '05ED4': ['45FDF027FCFA4BEF33F0BFA1FE36D4795A7'],
+  '05FE7': ['461C607C33229772D402505601016A7D0EA'],
+  '0611A': ['F583293C39219D2E6922471193E56CD38EA'],
+  '06418': ['2F628AF17E9CD3E97588C7284D67AB80218'],
+  '0681B': ['3C6387EE7DEA2D7051FF685FAE081F51E38'],
+  '06894': ['2C83F0E6994D046F7EC01B8F42BA8F317A7'],
+  '06915': ['41B97B77F848D0FA6B33C80047404F4A058'],
+  '069F6': ['28C6633CBA70427D594FC7A784D38F50518'],
+  '06B3E': ['18DEAB1E5E3365853925F7559EDE5838421'],
+  '06B73': ['BD57B3B938786DAED820CB9FA4561BF0E8E'],
+  '06B84': ['48847F2B180F7F26FB80E4AC89657B5A1D8'],
+  '06D05': ['B4CAE8178DF4C41467BC9A783B6BB75386F'],
+  '06EF3': ['E7E1D8A809B72837D764A810E05B66C99A0'],
+  '0716B': ['9029D0818CBABD7C69AA55D01C877982B54'],
+  '0721F': ['518A848C222193E4CD6BF9014E66D561563'],
+  '07516': ['E8137D0EEA39CDF62C1B23D9867C832AAF0'],
+  '07532': ['73276F649BE8523BDC2F4520FE62470588F'],
+  '0820B': ['32B206B7352858E8903A838ED14319ACDFD'],
+  '08802': ['D707979E4D796A2538BED8CD67EF20F7C91'],
+  '08912': ['AD2BBA2067FAC20C87F81B1E4362EFDAFC0'],
+  '08984': ['9790A229B01F6CF88FF844C34929B5298AF'],
+  '08B31': ['4F0E1E2C41EC92C3735910658E5A82C6BA7'],
+  '08D7D': ['E6CBF6C3FA0A26E094E5115BCD1A0E3D2C3'],
+  '095D8': ['63EAC3337865F739296D327F1571DF4E452'],
+  '09670': ['82F2AA15D0A0C0ACC03ED8E64555840F63F'],
+  '09FB6': ['AABA7940A7B7FFDBC9CBB9B3498303C1BAD'],
+  '0ABD3': ['5C1FE71E592F1A3509C84DF8B18040E13B0'],
+  '0AD55': ['B76FBC0C4511AF550C57878A171C6D8A671'],
+  '0B1C4': ['25D9D0E5931B3E2DA9C997F88D7462261CC'],
+  '0B2D2': ['93306511D90B3A9F23424FB9836760018CC'],
+  '0B2FF': ['7669F8405F568445B5DF749F340A82784FE'],
+  '0B410': ['FBC540DFA90C05B3C7EF638DAAE14CE548D'],
+  '0B9B8': ['6B0E8E53648BC9BA4CDDBFD355082B9B5DC'],
+  '0BB25': ['C4153A91812213010FA98AFB45169FADC33'],
+  '0BE7D': ['877AF3E4A0FE505D6567A29546BC9A4205D'],
+  '0C3A5': ['274908A640B71280D34EDD47ED4C48C76EF'],
+  '0C4BE': ['D0E78BF4605688574449DB776565BCF4D8C'],
+  '0C67A': ['C18F50C5E6B9398BFE1DC3E156163BA10EF'],
+  '0C6AD': ['AD7F4D2E1AE71CF4802BEC9A623D5EFEF73'],
+  '0CFCE': ['03424AA2AB72AB4999E35C870904534335B'],
+  '0D0CB': ['B59296D9ACC111F9D04BAC586C827724CF1'],
+  '0D876': ['44577F1EF0CB9719E88BB635CE30F852AD6'],
+  '0E155': ['9B2792DE2BD2AECF26FDC15D5526A6A5B8E'],
+  '0E670': ['764B21B92685EB374AF60E7340775648453'],
+  '0EA35': ['A0C06B3DFA6B092D4127092C9F2E8192165'],
+  '0EC55': ['925D78B0E0682E8D9D14A22AF1F12842327'],
+  '0ED61': ['0F5A1462FDB5642A3218FCF88DF2CCE32E4'],
+  '0ED8E': ['DB3FB4446E0583BEA736C3F39FF0864D3DF'],
+  '0EE5C': ['DC68FD66D243118C84FEE2E760934A06FA4'],
+  '0F01E': ['D56A1E32A05E5EF96E4D779F34784AF9A96'],
+  '0F125': ['41AFCCE175FB34BB05A79C95B76E765488B'],
+  '0F200': ['D64AF5C7E615237AF44A1C0C309BD2C7910'],
+  '0F2DE': ['2D4EE15A866EA88A5EA9B13B688A99C436F'],
+  '0F526': ['124D9C0E976CBF9D963B7D30ED5AF1DC21F'],
+  '0F8CA': ['A0C368CE3C259E66E13C03BF28C2444C8D7'],
+  '0FECA': ['720E2C29DAFB2C900713BA560E03B758711'],
+  '10160': ['D7B5E756752ED0842987E3AD9080C8E369A'],
+  '1078E': ['B979190C734FB20AD17B97165E56A8E6421'],
+  '10C6E': ['F80BE6D28D3C0BA6B5A51E9E1060FFDC6E9'],
+  '10EB3': ['EDA5CC95E5C28413B17C80098A6C0506A79'],
+  '10EF3': ['381EC67B35DD8C9619F39FD6D3F25923E4A'],
+  '10F71': ['961BD11DD33C1C95C771B98CF0E09D57B7C'],
+  '10FBD': ['625E87A8DC9058F5E27D9764BBAD77D92F4'],
+  '11082': ['0B2A94725F207365A035DB75692268B635E'],
+  '112BB': ['791304791DDCF692E29FD5CF149B35FEA37'],
+  '11305': ['8CCB871855334713D70CAAD9F471BDA20ED'],
+  '1144E': ['9791066FCC2F911108616DEB91E09458C37'],
+  '11594': ['787A658A5DE6A49DCCFB90C889FAD9EEEF1'],
+  '1161E': ['6FFD3637B302A5CD74076283A7BD1FC20D3'],
+  '1195E': ['9A2C742EE4D5E8F39C785D6C63CAFDB6D72'],
+  '11A2C': ['C5B2FD6BC447CACE1683D0BD1F91336565B'],
+  '11D51': ['0665C48F9CCFF2C94F76A73EBFFABEC27C8'],
+  '1228C': ['D3134836CA5B00C7B22549F150744DBC031'],
+  '122A4': ['17E6DCE08A4A554333BBC6E9922B62C1F31'],
+  '1246C': ['EAE28F06A7E69F5105792A1E45A0B43053D'],
+  '12B69': ['72BB0799827C2CE0690CCF315EA913A7518'],
+  '12C73': ['D8793E7ACA83FF515DF792309B76F3E0CD6'],
+  '12D57': ['965BD88277E9E9D69DC2B36AAE2C0B7E316'],
+  '12DEA': ['96FEC20593566AB75692C9949596833ADC9'],
+  '12E92': ['93EC6B30C7FA8A0926AF42807E929C1684F'],
+  '12F58': ['634DC5DE953C352AA455BBC1C20FB087293'],
+  '1319A': ['F9FD4C15C0DF34F896928926CBA44744ED5'],
+  '134E9': ['305305A1E7C3ACE24B6D1FCC4A14EFA3E88'],
+  '13AAE': ['0F3B64830B913ACA5E8EE0B3CC093F4574D'],
+  '13C3D': ['98D3A2445AFC653D610809196DDB501F8C1'],
+  '13EC8': ['4EE74A20EE10F29AD4EF78E971884CDD7C9'],
+  '14116': ['78A0B9E25EE2F7C8B2F7AC92B6A74B3F9C5'],
+  '14784': ['7D73EE819CFCBFAF4E907CE7370654B8248'],
+  '1507E': ['B4FA8389A327483ED1F86D630B7F02104F5'],
+  '150E7': ['F7EA27577784E6ED6BEC1193C94FE89FF67'],
+  '151FF': ['308E2C3A2B12381312A98A6C1F3CB53F629'],
+  '15499': ['D809576573AC03E5B6A95DFE86F6A8675DC'],
+  '15D83': ['4B328BB637EEEF49B6624774BDED566B659'],
+  '15EAB': ['B8159C574DDB45FEA23E853E18BC599CE87'],
+  '1641A': ['C806F6A3BA513D465F22F11CDFBBFA4813C'],
+  '16452': ['C2DEC19A293196B79FD3F35E3C7ABC7F4EF'],
+  '1645E': ['E78DE0F7C73001E1A8ED1FACC25A72B6796'],
+  '168DB': ['F97F50E0A2B78CB428F80472ADEBEEA1C6B'],
+  '171CB': ['E7E0C05248D3DF92A4862F5E3702B8C740E'],
+  '17305': ['A2F2AED9D58C73FB12AD27831799DE28B90'],
+  '179E1': ['3144CA36DB904F242D1520275D62F79CFC7'],
+  '17B9E': ['1C64588C7FA6419B4D29DC1F4426279BA01'],
+  '17C28': ['3446D32F61AB8F7BB0CB7AA4517C1BBD54F'],
+  '17E7A': ['A702EEDF4C7938D041B7BCBE45B451858DD'],
+  '18477': ['8732615DDEF05B4818A834A3B0502539EB0'],
+  '18639': ['284746A58483612290A2E34E525E5035D6A'],
+  '18C28': ['604DD31094A8D69DAE60F1BCD347F1AFC5A'],
+  '191CC': ['A9A9C246040BC76373EDDBCA94C3B772761'],
+  '19209': ['5159BD4CB909838EA1250B0244BE55C0446'],
+  '19495': ['55FA6168B281E91B9363AC378916C54EBB3'],
+  '19936': ['22B35ED43DFBD0F8E17BB6A6E0EC93602E2'],
+  '1999E': ['4893F732BA38B948DBE8D34ED48CD54F058'],
+  '19B05': ['6140116019A2AD0526359222B3202AFE9A0'],
+  '1A032': ['DAA25125B5EDAD72F14A9E675C604575787'],
+  '1A3CF': ['F3017F32D057CB1939A3926D2EA1FE3769F'],
+  '1ABDC': ['AFBE0E448A8F14962F45A0E4A95C2DF21D6'],
+  '1AEE0': ['642C8C8122E220361B8914998C48AFC2390'],
+  '1AF37': ['1DF800D25FD1CEC959A0697BD4B9E29A703'],
+  '1B128': ['48AD00B66579765232D0538719DF44FB752'],
+  '1B70A': ['D4BB4A5DAF559C362199AEA119C98B68D9E'],
+  '1C357': ['A99A7F0125BB4FB60FE8D5235F1E48F7058'],
+  '1C674': ['9537A621A408CC26B83A6B2FB78A3557F96'],
+  '1C905': ['9170910835368500990479A5CF828444D34'],
+  '1C9E4': ['D0D9B5045F69AB72E9FA07AC5AB0B497260'],
+  '1CB5B': ['D5A9E45420321F44C72DA5D90D7F0432FFB'],
+  '1CD2E': ['E3351AA65020A4F228FF1331EDBDCBDCB82'],
+  '1CDF5': ['D93825316BA28A6F9C2A20D9AA117CBD1A4'],
+  '1D6DA': ['91A4A48B990026D4484777949930654CF9B'],
+  '1D806': ['47F28F57D028F1F60D117BB92733D7DE36E'],
+  '1D81B': ['5F6815BF0DA9EA6D3EB45B7D82FACE79775'],
+  '1DCC4': ['090C955EC2DCD064956883497E2C1BE4AF4'],
+  '1E052': ['7882BE2E225B9A59FBF989CB3D68384FE63'],
+  '1E5FA': ['75167DE66D119CA333F8F872625FFBC5B30'],
+  '1E690': ['CA3BEF69ADFA159A4C6F6AE1151C2D80E92'],
+  '1E736': ['368723AA5C85FB2D48A60A031C1AFA4982A'],
+  '1EBC1': ['6E108B7AFD95C9CD6E32EF04924E65292B1'],
+  '1ECD7': ['6C2B070DDC45F569486B0CBAC836AC5A78B'],
+  '1EDA2': ['3758BE9E36E5E0D2A6A87DE584AACA0193F'],
+  '1EF41': ['AF4175FE164BF14A260FDF226218961C106'],
+  '1F17C': ['35981EFB69B646D1B1D9ABA77EC644D4D9D'],
+  '1F1D3': ['B429D1790E26061A0F72FE20A38B7D266A1'],
+  '1F3C5': ['3AE14626035383B39C207564D32D083E8FD'],
+  '1F8AC': ['10F23C5B5BC1167BDA84B833E5C057A77D2'],
+  '1FADF': ['B22B9FE1CECF3169407284621A623681ADF'],
+  '1FC85': ['4110E5532480000542834F453DE31936C2F'],
+  '201B8': ['F20DD1695D7D46E80A23F0487D1CB91E255'],
+  '2056C': ['3F3CC641E006CE7406661B3938BCC0703B2'],
+  '20796': ['F8E97FAEFB50CEDBB0167FB907BA99E2848'],
+  '20BEE': ['D61F5D64368B9ABA66E91A1D2A090A0D4AE'],
+  '20EAB': ['E5D64B0E216796E834F52D61FD0B70332FC'],
+  '21010': ['DE43F356A98FEB77754C1D8EC3E67F1AE6B'],
+  '21052': ['C0EB692AC7759403D6886E168C5D1B2D28C'],
+  '211A2': ['DD43813C7527ADC3370FAF9A32F7AF36CC0'],
+  '212F9': ['C8267F923FBE313CBCABDF3AEE3C7E07309'],
+  '2136D': ['E5D098AE816101583DD8BAABBFBAA1A32F7'],
+  '214BE': ['CBDF4B7A9386E8732F8922D24E8B3A2A161'],
+  '216DD': ['2057D84176E04710527F6AF3546CDF0426B'],
+  '21BD1': ['2DC183F740EE76F27B78EB39C8AD972A757'],
+  '21F32': ['D892D090B2EC7B6984F8A2F3C5999C9C7A6'],
+  '22363': ['5CC4826DAA8C28137D1AAC40D61F24BF5BD'],
+  '22390': ['AD11C32FAEC43FC61555B53607660B3C185'],
+  '2245F': ['63EC044E88ED36A905D911C2708C88A4D32'],
+  '224DF': ['A13795234063140F1C8ADBC6CD332A1E852'],
+  '226C0': ['96E795854EB48BD226B9CDE2F7BAE2BA106'],
+  '226C5': ['895228EBA460F38617C3747C9B0B5E138B1'],
+  '2285F': ['929D38932996BD99687EBBD732EA3B18AED'],
+  '22CE8': ['67C63A0B5EF3D1D527CE9FFC9510DEA08FD'],
+  '22EBB': ['DEF9118D3BD43BF5D678D3B2E027338D711'],
+  '22F09': ['F3B18884516F17268B8ADF5390D319B9FBC'],
+  '23013': ['107D6E0DA6E1772C84A388A024F7462D1EA'],
+  '2307E': ['08F238919B4FAEB8F6974B698507502398F'],
+  '231B4': ['0173139841D096D95E5AC42EAAA9F43920A'],
+  '231CD': ['19DB2E5E444A7ECA66054D00D4332E268FA'],
+  '23264': ['AA6268488C2909EF81EAD49E09E248D5D91'],
+  '232BA': ['BB0952422462C6AE902BA4E7A7FD1B35CC7'],
+  '23329': ['12EAC8ECC06DC92BFD396F3E2251A5D3441'],
+  '233B5': ['6C9F7691CE54718EB4847D28139E1832445'],
+  '234D3': ['309B86C261ABA8DB1F878CA00EF57CF0F6C'],
+  '235A9': ['47F1BB55D4D8AF253DC57DEE9F1DA4CCB95'],
+  '235AA': ['633F6490359C9267EE2F8D2F4720D933924'],
+  '23814': ['C338B5119E3FD6D71D2E20EEEA74A29D987'],
+  '23869': ['B733FCD6665832F65258AC650E6EC89A4A7'],
+  '2394E': ['EAC9FC3DB56189A894E221220B6089E78D3'],
+  '23E41': ['D07B076BA9F62EBF54229A8DF824ED47C7E'],
+  '23F29': ['16E01209D6282F226BE9677AFFAEC44A8D6'],
+  '242C7': ['11DA9C3F62ADD75B7E6368B04268FB52AA8'],
+  '243F5': ['196FA067F8C6B0F0B2C6FD933D242FA0535'],
+  '244A7': ['58DDDB261420114F51425004C9B1AAE4CEB'],
+  '24615': ['D93D230FFAC17943498C1B4B5D6B8AF0E06'],
+  '24890': ['2131A732628AEF6E2872827DB10DF7C07BF'],
+  '25024': ['83D832CD812CB8342E1E9630C3FC9B01539'],
+  '250E7': ['7F12A5AB6972A0895D290C4792F0A326EA8'],
+  '25769': ['6C131BE052B14D47A8C5442E0FB6324AFC1'],
+  '25821': ['409CA02C93B79222114DB29BA3362B44FFB'],
+  '25846': ['5759831222D475216E3266E71E3567310DD'],
+  '25AFF': ['7F4B1BB747833F5175789A1998B31CA4ED4'],
+  '25C5D': ['184FD3C8E7D24AF0E237C061F5480A5E86E'],
+  '2625C': ['5EC982EA29B03EA1117E2CF62622E8021E9'],
+  '266DC': ['053A8163E676E83243070241C8917F8A8A3'],
+  '2705C': ['9C25D49204579858E07840BE96FC55E2701'],
+  '2707E': ['ED1588D48B06873FC929F26C5D4DE3449EC'],
+  '2736F': ['AB291F04E69B62D490C3C09361F5B82461A'],
+  '275E5': ['D5F064B3DB5F71FF7A2C2B5116CF0C902D3'],
+  '27B2E': ['EC78419C13A4AE28E11BCA9C24D94641C56'],
+  '27DEA': ['C245D44BFCE3C68C483332CB8F0DB8ABF06'],
+  '27E72': ['DBA56CBC8AD7DC2FD00F42B2D369C44A02E'],
+  '28A3C': ['ADFE6B68BE13CBD982AC3CBE812D2FCE0F6'],
+  '28C4C': ['229A7356BEB60161DFDA4D71F899B420550'],
+  '28E97': ['351FFE3E72CD9991DFB34B2EDE3E0E5106F'],
+  '29409': ['65F752BCD33DBD764DF3D417C4BBEE25C3E'],
+  '29780': ['EF1F452D3D86186D971CA196156954C87F4'],
+  '2989A': ['B24B9E79F729D27649F39B4109A30226B1A'],
+  '2A34F': ['2FB5C3F6EC9F8EC48867A8FF569A232F4D6'],
+  '2A3D5': ['AEBAB352B9CCFFB0E2AF6A78A45F16061BC'],
+  '2AE19': ['BA8B4267562EEF6641EA360A95E396EEF03'],
+  '2B524': ['1FEBFC50EC4C6295F062B32FB1BE9B0E11C'],
+  '2B59F': ['E1D11CF04BB15D3848CD4317EEBE7DD7814'],
+  '2B681': ['C0A24BAFF8899D7163CC7F805C75E1F44E4'],
+  '2B791': ['F512C4F94B43153DA78FD70066BEE61D27B'],
+  '2B7C7': ['80B54743954970BF1CACDDF8D6826DF764E'],
+  '2C490': ['B8E68B92E79CE344C25F3D87FC297D12346'],
+  '2C4C3': ['891E2AC6958E9810A1E49C6705784FBFA1A'],
+  '2CC48': ['4326F8A146C3E4B4089636F45EB27B4019A'],
+  '2D27B': ['62C597EC858F6E7B54E7E58525E6A95E6D8'],
+  '2D292': ['9E0F1BCA99D9652924CE73B7969D33FF429'],
+  '2D885': ['F0C978DFBFCF0BB415A17438808859C8694'],
+  '2D913': ['66868EFBF2B351E8A619BFA5832C8A0ACA3'],
+  '2D9B7': ['A3CF465B0DBE74D992A8AE1443496C733B7'],
+  '2DA87': ['21C6010B87CFEF8B82BB43E11ED1152D424'],
+  '2DB7A': ['4BE659AE534CBE089A2BB2936EB452B6AB8'],
+  '2DC50': ['53699A351121BF839C446BD4A878DDA5735'],
+  '2E5B6': ['E231E8721822956D55B23B1E5743121803F'],
+  '2E7A1': ['AE421D688F6948A9CE39D41F5284DFAD761'],
+  '2E99F': ['7D56E16FC4204B4AE72C78F40FB4645C822'],
+  '2EA62': ['01A068C5FA0EEA5D81A3863321A87F8D533'],
+  '2EC10': ['E4F7CD2159E7EA65D2454F68287ECF81251'],
+  '2EFC6': ['1D149DFC33CA6018C7F893ACE63925DD1EC'],
+  '2F129': ['C53EB52E4444B57477746242542F5D12C7A'],
+  '2F1FB': ['1B68E48047BED845ABE5C67D5D8371EA153'],
+  '2F27C': ['5970E47C4FFD0867088F6BEC0F872991C65'],
+  '2F2BB': ['917A7B0317ED404511AFA79514A2133DFD8'],
+  '2F4C5': ['CE01F30865D02B2CC2B60D50B0BC5A1EE75'],
+  '2F797': ['65DBEAE7A91C2D515CAC938F6D1A054130B'],
+  '2F81A': ['22DE0AF5E9EAB19326E19693F86CE612518'],
+  '2FCF0': ['DB3FBBB087EBB83A5330F1FA9AD772C5DB1'],
+  '2FEAC': ['F6C0F959D80AF1D378AC097AC57ECD823C2'],
+  '2FF8F': ['B61E8568A98FEABBA994C7D3A188C3EA0C9'],
+  '3013F': ['D0A2253803C81771E403D43A61B56B057B6'],
+  '31337': ['AC162590312ECA39A63630B575377E238ED'],
+  '313AF': ['A5189C150B7B0F3E6D39E0FA223F88EC42B'],
+  '31646': ['6D64C955A9AD7F9736731C457D813B921BD'],
+  '31C64': ['F4A36E67CEC7E50D9F4C1AC49D615A5FF14'],
+  '31C75': ['A80786F930597AC48C419E01B646144C114'],
+  '323B9': ['73BBC48404915793B0B9276FAD064BEBABD'],
+  '32576': ['F4FEDC07F63020353AF6A8AAC66C4452C4C'],
+  '32715': ['6AB287C6AA52C8670E13163FC1BF660ADD4'],
+  '32B26': ['A271530F105CBC35CB653110E1A49D019B6'],
+  '32C7C': ['5ECEF841624904B23C800A8437276672487'],
+  '32CA9': ['FC1A0F5B6330E3F4C8C1BBECDE9BEDB9573'],
+  '32D3D': ['894B9CF4392B2DFCC7163C196B0253F8829'],
+  '32D4A': ['C5B3C485A3C32DE8074265AE1F3F494D47D'],
+  '33712': ['D62C7B46DBC49345B5C3E15F02871FF8EDA'],
+  '33BAB': ['4A16748B7FA19FDF7973571C6FD2CF6963D'],
+  '33BE6': ['323AB3A5BA63923565FBF614120EE58AC5A'],
+  '3411E': ['2A972DD3DC0CA448083C0E810197C92E3E9'],
+  '34241': ['4265B1D3804D6A6CCF0787BD672ED1D1CD8'],
+  '349AC': ['842F8D7977EAA7348EE710F0A30F75798D6'],
+  '34ACC': ['8438AEA0AC03B186EFD645B36653351CD0A'],
+  '34CB9': ['6DCA3155FB8B1FDC3E16BFB8C184F0D8B65'],
+  '34D2C': ['8A7260B82965F3A50ED61D623F1CDB3E21F'],
+  '3528F': ['A2D76B32E6B70391930BBC7908FB51D9A0C'],
+  '35351': ['199BB6245402E4831EE1A482092407DB338'],
+  '35675': ['E68F4B5AF7B995D9205AD0FC43842F16450'],
+  '3570B': ['F2A40824152C7307EA4B805653A2160AE07'],
+  '35B95': ['B6DCFC4880C8B12B6DAF8BB5FB72AAF1077'],
+  '360AF': ['621823E04FC605064091A10FE9355F8BD19'],
+  '3635E': ['19C41D9B6393A37736B699002860ABB949D'],
+  '364E4': ['1486E98FBCD0676A60CBFDB13DE020FE1ED'],
+  '36621': ['88D503AF0CB9E352C202C4E7A1CF53005C8'],
+  '36810': ['ED90AA5DE17CBC1B471B999EC6B53B7C602'],
+  '36ABC': ['61C95B4B4F2BF7568BA4A62386176AF46A0'],
+  '36D18': ['58A98645F1C0BD60F19F72C87899A803926'],
+  '36DA4': ['6482340573194056BAC9A54CB3A7221E53B'],
+  '36E22': ['93C61DE8AC407C3B80593EBF6883292BF3A'],
+  '37EA0': ['7F372A5C2F8B22C965C1902BBA4B3E9F570'],
+  '37EFF': ['AF6C6C1F09876CEF43350C14EBB6A5F5840'],
+  '38373': ['56FEDD3E1C344E4FB8FC9A703037F62228E'],
+  '389DB': ['5AA47221E72B8A38CD16866A59536217C81'],
+  '38B64': ['509E7EA70165A1E028CF6D36EBFEA67370A'],
+  '390CA': ['5BD44A234592B25186194115F5064D5D24A'],
+  '3939A': ['E18129E0B066047A8A705D393785BFCE46D'],
+  '397C5': ['4F51FA2216A134F58DB2E3FDF841FECE109'],
+  '39B67': ['301676BD12B620C0B5506441ABD97745986'],
+  '39B8B': ['A4FE30D3FAD8FD5DDA2D71DCC327CEFB712'],
+  '39C8F': ['E2D85503DB7AAF19648938CE69C73755B49'],
+  '39E07': ['0713590C7A7806E80DA4BDBAB8BC1D2DF47'],
+  '3A47B': ['88D7C9807A4762531D0323B0F3AC25E8B1F'],
+  '3A499': ['F285BD74812E173A73C23A7EA1B6D2E41C0'],
+  '3ACD0': ['BE86DE7DCCCDBF91B20F94A68CEA535922D'],
+  '3B063': ['6CCF4DF0C25FFC83298176728BC97D8471D'],
+  '3B14F': ['135F0E933AA7B5C37467EBA299660682451'],
+  '3B2FD': ['5CC4C65247AFDDA8DC8993E9884D71F7086'],
+  '3B89E': ['460C151A49C6D44947E49C9218C0031A4EB'],
+  '3BB61': ['0103A6E8076E8A33CE32591041C74F887B3'],
+  '3C094': ['3CC3623065D5B8E542028316228630E311C'],
+  '3C3B2': ['74D119FF5A5EC6C1E215C1CB794D9973AC1'],
+  '3C4BD': ['4D0D0D1E076CE617723EDD6A73AFC9126AB'],
+  '3C669': ['F22C7A63EB1C40917AF531DCB9FD8F8D443'],
+  '3C7C2': ['03183B1146532D79B7324364939B54F0DC5'],
+  '3C909': ['18BFC876DE596F1D0666B64AE07C130360C'],
+  '3C939': ['64EBB1052DCFD1825A28087552D4258789D'],
+  '3CF33': ['D53701DE7BD10EBF1CAD11FB2C4F72A9D9B'],
+  '3D0A3': ['6D183610080A148493D6B1CC35D7B70A2DD'],
+  '3D0F3': ['B9DDCACEC30C4008C5E030E6C13A478CB4F'],
+  '3D1F6': ['8889F797B5C2E7FCD7D887B7F1C6DE1BE0F'],
+  '3D4F2': ['BF07DC1BE38B20CD6E46949A1071F9D0E3D'],
+  '3D920': ['9C4598BFBC38B3C096081BEE3A09697E939'],
+  '3DA23': ['1A5C3890550681BE9238B1CD875AF974703'],
+  '3DA54': ['1559918A808C2402BBA5012F6C60B27661C'],
+  '3E44C': ['1D8F431B0BA5F7FFAD4D05E1F7FA10BAF61'],
+  '3E49C': ['3E4513E92806634F552518EA6BBAD14FA60'],
+  '3E9BE': ['EB92E4D496758CD33D16B47997F5B9DFBDB'],
+  '3F196': ['CFB6C4CFFE3002C0495A1BC822521B6AA36'],
+  '3F3D7': ['D37B5E41C5DF2E5F0C5D36DB7012B5097C9'],
+  '3FAEE': ['EB934B14C2E1C4F571E348E808F6DE8A017'],
+  '3FB37': ['2A9023613ACE074B4E66ECC4360A00F03B4'],
+  '3FCFC': ['1F7F34E78A937E81171BA51DC39538DB993'],
+  '3FE0F': ['14FD8F2ABB9F517AE20423C266688322973'],
+  '3FE1D': ['91B1450F6FF4E40BE6612FE3E2C187ECF4F'],
+  '3FEA0': ['22F49925FAD5110A0C09D35BA56F30793BA'],
+  '3FFFA': ['DDD55B01633D0002828451BB19789701048'],
+  '40123': ['E9C6273385EA69892C48C80AA6CB25B9113'],
+  '40242': ['8E1E8A66E8082FE18DDD209D65D37FA3219'],
+  '403E3': ['5A2B0243D40400AF6BB358B5C546CDDD981'],
+  '4061C': ['2EE636F985A548B64734E5CBB406CE6953B'],
+  '40A78': ['3F7585FA7ABEBF88551BFD54D5A4E820CD1'],
+  '40B9C': ['C71030A12B659132AC6E8E61DA80901DECF'],
+  '40BF6': ['96D25DD56ED44C864E05F75D33A4CFACE91'],
+  '41217': ['084A032E0085811AD0CE8657820A669BE87'],
+  '41449': ['B87907B57FE715442128D0F2ABC8076D1A3'],
+  '41465': ['94C9C6AC5407A3123560401170C2756A342'],
+  '414ED': ['FDB372EE81A798454D871FB6BE4A7FF35A4'],
+  '415F6': ['526E3E15249B5998953B6C64F01EFE86506'],
+  '41A76': ['F2148DC8625F9A6189E7676A6AB555B5ED3'],
+  '41E87': ['3824A78EC60F843D6A7286FD4D71A704AB6'],
+  '42331': ['37D1C510F2E55BA5CB220B864B11033F156'],
+  '43173': ['39E5240CB4F8D9BB3B887992ACAD5F2EAAE'],
+  '43347': ['63D1BCC23DCE5D511D8AE81A5BBA62DFA31'],
+  '43386': ['C44658A415870A280B11D7963F2D5851AED'],
+  '4391C': ['C8E629DDEBFA73E44008C30A1603931F5BE'],
+  '43B7C': ['59B940CFD7A83F03DBFDF5681213B8723D9'],
+  '43BD2': ['4ED59E33E81A7C441ED81944B5F2EAB7330'],
+  '43E9D': ['9FA0A312B0D86CDDE8EC7C0CB9E0C0292C7'],
+  '43EB8': ['595A499C92ECB8AB221EEFADAF56A91A55E'],
+  '4451A': ['E61C3AB2352FD7C2C4E5B7DDE09FAC93FFF'],
+  '44670': ['C23E46B0A95E12CB327241543188AA1AC71'],
+  '447B5': ['E3623D424ACDBA72C257A87C9AAA15E3F0D'],
+  '44819': ['48392A8846400C954E77F58D76CDAA73963'],
+  '448CF': ['42C0631F31E5504EBE5B401F77AE682BF8D'],
+  '44AB4': ['615380A982DB06567BA1A3861EA8D739C18'],
+  '4585E': ['CBAD78ECC76ACBD122ED14772DD1D405C11'],
+  '45B7D': ['4C12CDA1BD5FBED10624B935AE064A81B98'],
+  '45E1A': ['5CAA86F8E1A2460FE2CC41ABA9802270DF1'],
+  '4614F': ['1F2A506ABF9DB93516256B67962FAEA25E7'],
+  '46160': ['57067BFE911F9B2F6E209A2CB84BD04539C'],
+  '461C4': ['BC0B7E835940DC5A9E88DA5256A13247428'],
+  '461D7': ['56810AACFF1457FA75C83159E677CB08D73'],
+  '462E8': ['399A432001108BAA25507CD69358E1516CB'],
+  '4674A': ['4B44E89011CFA581FF90D967EBC52FD1080'],
+  '467B4': ['10F79BFCA07DCD16FE38E3497C3F6D2DB2B'],
+  '467E9': ['521704021579AC9CCAD3639E36FB9F1F5DD'],
+  '46B51': ['64349BD175685B99EFA1A77B0338899265A'],
+  '46DCD': ['4DD65B63D106B8CFB4AAD906B23716CC613'],
+  '4712C': ['D940B3EE51847EC696D15CC7A21469E8A29'],
+  '47178': ['DBF0979A35E295A6CEE8E51B92786B98F8A'],
+  '47456': ['CC868F5920BB1E358C1D5C14C320C529ACF'],
+  '474BB': ['7A37D97A94178D0E8C3F10446FB60F669E6'],
+  '475A7': ['4E3C0C82094CAE9BDC8E0DD34FFC78770FB'],
+  '47643': ['2A3E85A0AA21C23F5ABD2975A89B6820D63'],
+  '48058': ['E0C99BF7D689CE71C360699A14CE2F99774'],
+  '482D4': ['FF293DBCA74ED25421DD8AF8CDCEDC7B9A7'],
+  '482FA': ['19D5C487CB69ACDA19EEE861CC69D82CC94'],
+  '48333': ['0DB231D8FD020CB88D02886D3203D3615DD'],
+  '48A92': ['E3524F6AC3F0A8BDDC15DA5690042884515'],
+  '48ADD': ['E05F3A9ED0EEA8A6A3A95205F9584C0BD98'],
+  '48EFC': ['4851E15940AF5D477D3C0CE99211A70A3BE'],
+  '49455': ['9CA59368D9B044021BCC5546ADB2C47A599'],
+  '495EE': ['33C3AC77C5F360960D7AD9F08AA16041801'],
+  '49D4B': ['10C7A23165C07DF70A98C056F6C1CED23E8'],
+  '49EFE': ['F5F70D47ADC2DB2EB397FBEF5F7BC560E29'],
+  '4A5F4': ['B392AEFF8C7B34C1BD9E17C55EA6B973BA9'],
+  '4A905': ['DEEE8D2D1784B333CA47997238896E7F9A1'],
+  '4ACEB': ['EF29D98E2B58085D7481C92130B33D5DF6B'],
+  '4B076': ['DAC870DD11C7AEBF37FE60CAF7501A6C318'],
+  '4B163': ['1F461B35EED8E448076D8786F76B9814078'],
+  '4B3F7': ['EF14B5B8A9A6957B1EF7316287A3026E269'],
+  '4B85E': ['900FCE2952BEC527838339747DCE990F392'],
+  '4B886': ['A1DE12633B23AC4123ED35DCE64E4789863'],
+  '4BD0E': ['C65B8F729D265FAEBA6FA933846D7C2D687'],
+  '4BE30': ['D9814C6D4E9800E0D2EA9EC9FB00EFA887B'],
+  '4C0D2': ['B951FFABD6F9A10489DC40FC356EC1D26D5'],
+  '4C474': ['D9E03E5523EA83C4C4FABD1D0E5AF77D648'],
+  '4C57F': ['0C88D9844630327623633CE269CF826AB99'],
+  '4D0FB': ['475B242228032CBDF6D53924D2538DF037B'],
+  '4D26A': ['5BAFD3AE19DA1C6E8D5A5B1FFDDD096411A'],
+  '4D901': ['2B4A77A9524D675DAD27C3276AB5705E5E8'],
+  '4D9BF': ['1F67B2B3E4282846349EA9A70B5BA2AF87B'],
+  '4DC5B': ['2BBC5343CF542C6C2B184CE59B8CF5A785B'],
+  '4DF29': ['F8757E32F905BCE1E503687A319DEF15FD2'],
+  '4E5A2': ['893BDCC7D239C1DB72E4C4FFBE4BEA73174'],
+  '4E7AF': ['EBCFBAE000B22C7C85E5560F89A2A0280B4'],
+  '4E82B': ['88E686EE76878BEB8F0491A250EF7DB5033'],
+  '4E840': ['EA49C3C77D6E9FEA1A791BD79396289DD9C'],
+  '4EFB6': ['CB7C018F0C686D4E9D68B615950223B4DD1'],
+  '4F26A': ['EAFDB2367620A393C973EDDBE8F8B846EBD'],
+  '4F61E': ['C4D2D1FD181EC25797E1D8D2400C5B04F24'],
+  '4F7F8': ['8EC2A19197132B24AD3EED4D5E1995A8FD0'],
+  '4F903': ['C1676F100C70A8496E6D684BB1C08395C95'],
+  '50619': ['7B769ED6403BECBC4446E173CEF057010F3'],
+  '507A5': ['E85C4904ADC18C6EB7B09E5A81CCE8CCD30'],
+  '50962': ['A1F1870B6EF951467E89BD42AB83E30AEA7'],
+  '50C61': ['781CA9E28E39EEA454A39CBF50F3015A417'],
+  '50E12': ['2E52A5891A489FCBF2080B5A7A9C5E4CCE7'],
+  '512B5': ['41854FE07F4D51250D969022E5EE097FDEE'],
+  '51748': ['C63712B42F2B47B2035E1A7A325EF0352EF'],
+  '51833': ['174746EA4BB73EAF2AA216A229CAE201899'],
+  '52727': ['63A1AC994D5D04B2AD070463BCAEBACD57B'],
+  '527F5': ['BE7752613B4CEEEADAF02A179E7A5BFC345'],
+  '52B46': ['4D213A3C6038AF4CC4004C65C52758D2994'],
+  '52BD6': ['3E883ED83D678EFA8E30FA84168A9E26934'],
+  '52DA8': ['254FBBC9F5DC7F86BFA0F68E0D1BEA2C5A2'],
+  '52E09': ['EE2FA384E7753C3E65BFFAB887210FC69A7'],
+  '5328E': ['94487DC1E9B11FB8D69D9F36A3A494F3C50'],
+  '5333D': ['5A1412A283AC6DBFCF286B350C0E8710852'],
+  '53341': ['414E1D6B6D47F38207AE0FE4C84EADA2EA6'],
+  '537BD': ['5AC1FBA1DCC1D7BCFAAEB9B23AD0F28473D'],
+  '53F6D': ['FFCE16F35363CF09E69AF960BDFBBBD4B9B'],
+  '54053': ['DB99B49B4CC046F7B4854A80DE3D6DFAE71'],
+  '5412E': ['EDD2878516256E1FCD1B262DAD0B650FA90'],
+  '549C6': ['CA8A52F36B331223B662798B56A8AFF8DD7'],
+  '54B2F': ['EE2846953394B38D7FB2A6638C59E3FA326'],
+  '54B86': ['9057F5253A9C3B201428BEFE69D050E65CD'],
+  '54D6C': ['E0A23B7A14C9594595AC09A1E8983696416'],
+  '54FC7': ['2C88E271099A871F56AFE0CB23401C1DD49'],
+  '551F5': ['F75ECE4EA0B26156AA20B6642BA6BF98CD4'],
+  '556A3': ['BABEA53F0F9A2DEDB8F6A5C472FC3521615'],
+  '55D88': ['78F7BD742DE8FA3ACFF19DF41C8381D8113'],
+  '561AD': ['878A1CE6682381C1DA98FD39AB8F5E0C8AC'],
+  '5696F': ['A08F6D699B73EE9046DA69F141E3CA62AD9'],
+  '56999': ['1D17BB69F7F41E9A40D253101C8C994046D'],
+  '569BE': ['A285D70DDA2218F89EF5454EA69FB5111EF'],
+  '56B12': ['9841C003E9BF812E8D4C29197CC46C258E4'],
+  '56EE8': ['902667104F4DE4516626D0D6FD124EA699B'],
+  '56F0C': ['496F94E4ED629357D9D1FCB0E2B858E8278'],
+  '57BA6': ['27DB49E81EC5865112576F9BBEEDA197DF2'],
+  '57D1A': ['4495A718DBD66F16B02B717EAD9AA9A76CB'],
+  '57D9B': ['03F80243E4D89EE76E2954EF25CEDAF0681'],
+  '5863A': ['84D9CCAD07A5726B20283378706810B3B3D'],
+  '58947': ['EBC8FF43456C10A258659E8FB435561A3FF'],
+  '58AA5': ['353390B907D9C85E0855753FD2D3869E5FB'],
+  '58D75': ['7C1FB20673FE94D358C20A0329A95C31634'],
+  '58E57': ['026490CD7815D43E77CD0BE6424C328E438'],
+  '58FAB': ['FA70811950FC1A8C6E0D56FAEC87E4E08CB'],
+  '59033': ['478180D07080D5E4F3BAA0099996C364162'],
+  '59322': ['350CCA4F500CC540C7E9E01530C2245F3E7'],
+  '59342': ['80A910232339F3B4308E971F21A9D057B80'],
+  '59400': ['4DA65507A34D202BA7F940227A33091A050'],
+  '59775': ['46F1610CFA25BD3B6354113378285EBA856'],
+  '597C7': ['43C47D956C6E6B05896689151EFA5D1FCB9'],
+  '59943': ['84914BF50499C546787306E20A3F9827B75'],
+  '59A1E': ['77CB818E49CDDAAD3A0829596D5A948BA26'],
+  '59C82': ['6FC854197CBD4D1083BCE8FC00D0761E8B3'],
+  '59D62': ['E9D3678747FAD79798A235D12289A6178F2'],
+  '59DA9': ['8289894DDB6317178960AB5AE98B81BBF97'],
+  '5A359': ['718775220CFC5A06B5D8F0EFAADC0AA8960'],
+  '5A46B': ['8253D07320A14CACE9B4DCBF80F93DCEF04'],
+  '5A93B': ['417F60AA9B35B5EDF7515831D84AB9F44E9'],
+  '5B06F': ['1F08503B4E6346926667D318F0F9D7E9FD1'],
+  '5B59E': ['6B778D577FCFA453F53D65D0FEE3186B269'],
+  '5B848': ['7106FB789540689D3CC2C2ABFEA6CE358CE'],
+  '5BA93': ['6A3930B31479D131D2A02D846733EE3D6FA'],
+  '5BAA6': ['1E4C9B93F3F0682250B6CF8331B7EE68FD8'],
+  '5BF1C': ['FA0B08AF3919A06124AA18060CE279DB496'],
+  '5BFBD': ['DF8377EB11ED4DF9E404E604185C14D1676'],
+  '5C0D0': ['11FE2B0B15E8D963415E14E166A38A4BF26'],
+  '5C171': ['986AA6D5EBCA3EC509DCC8B7C926C3C5E62'],
+  '5C17F': ['A03E6D5FC247565E1CD8FFA70E1BFE5B8D9'],
+  '5C6AC': ['A6504E010FC38BDBF9B940CAA1D463407CF'],
+  '5C6D9': ['EDC3A951CDA763F650235CFC41A3FC23FE8'],
+  '5CA16': ['8E44EA0F056FA0C42850FA54767E0C1F997'],
+  '5CB7D': ['5439B65F11AB45EB7222772E7C11636509F'],
+  '5CEC1': ['75B165E3D5E62C9E13CE848EF6FEAC81BFF'],
+  '5D74A': ['E093A16A00E5AF127763F2DC7E13988F162'],
+  '5D78A': ['7D8C021536A4B8507A7B6F87CF4CA3303A4'],
+  '5DA4E': ['C0D8E254021897B8BA28DF8ECB57522C0AF'],
+  '5E2FD': ['AE52C3809D6B51D882E98A3040F853E751F'],
+  '5E9DF': ['0490F0A5DE08AD70980961CC5EDAF679D56'],
+  '5EEA6': ['C1BA9CC1736BF5B92526E2FD3E6A18AACE6'],
+  '5F297': ['92F149A67B922A943E5B6EB959927C7A643'],
+  '5F35A': ['B39BC01807A0520E703710BD79E7AB1153B'],
+  '5F50A': ['84C1FA3BCFF146405017F36AEC1A10A9E38'],
+  '5F62C': ['BD48B0A0B00150BE192E728D733E2B35A22'],
+  '5F802': ['11CCB43CD491C4E2FFBBDA4C7F6BA0FF604'],
+  '5FA33': ['9BBBB1EEACED3B52E54F44576AAF0D77D96'],
+  '5FA42': ['4C27771FCD7C514A460508BE01768282FFF'],
+  '5FEE0': ['0239940F883D4C2854E41C7F989E75278A3'],
+  '601F1': ['889667EFAEBB33B8C12572835DA3F027F78'],
+  '60536': ['9BD52C458654F4FA96804640B6A36DC12EB'],
+  '6061D': ['73281DFD73B86EED0C518A6EB4D6E7D41CF'],
+  '60C08': ['5E8049CA19ABCE802C88851CBFC9F051D36'],
+  '60CC2': ['A923A97E8EB7A2D00659C1F05A72D47DB56'],
+  '60FA9': ['047F227FB9E278985B9B8885145EF7B4F94'],
+  '61010': ['E3577590D1D016D9D951EFD2BF22257760E'],
+  '61768': ['DB8D1A38F1C16D3E6EEA812EF423C739068'],
+  '61848': ['DA208DF7314623BDC7A5AE1385D1B679E20'],
+  '61A7E': ['8F295EFBE7B44320C19DF93C3D0AAB7E04F'],
+  '61B1D': ['0ECA6547F9091AEBF59735FB0DC8EC338C6'],
+  '61B31': ['86D2812E685056B6F2BE896E914B46A1D86'],
+  '61D0C': ['AE02CD65CCB454D52EC4001E9F7470655D1'],
+  '61F2C': ['7619129771F2921B7D65BE5C35FC661C661'],
+  '61F6D': ['5E1E8133C6E4B563CCAA2F1D70AE4F2F846'],
+  '620C4': ['D1056E7CA8584D90A59B23EC55E3925EA65'],
+  '62136': ['127E3F7D0886372EEEE22A298BED90D77C2'],
+  '627AF': ['9D02D78F3C15543046223D6A77225FE162D'],
+  '63105': ['7105D4BB5D5AC2854E626D9761668041033'],
+  '63140': ['5414E9FB9AD1560B1C51F5097DC4904280B'],
+  '63262': ['92C0E57752E948225C4A39C0D4F57181E25'],
+  '634C4': ['ECE82568C2ED5592B7C876E4A937CC8FCEE'],
+  '6367C': ['48DD193D56EA7B0BAAD25B19455E529F5EE'],
+  '636B8': ['6E2C6622A9C277662EB2A233EDE45F4E472'],
+  '63990': ['63914AECF5770DB378B0C53A69B248A0A49'],
+  '63B2B': ['D190A8F456DE7F4A2285052A5053795017C'],
+  '63FC8': ['800627A4D2A04B020B25E0B39F8A02D389C'],
+  '640AB': ['2BAE07BEDC4C163F679A746F7AB7FB5D1FA'],
+  '6420E': ['D4D831B436D1E92D25605D18297296374E3'],
+  '642E8': ['267E7BAF79F63B6ACB3D018145D81A35F81'],
+  '64356': ['BCFAE350C970263C1CE575185B289F7B836'],
+  '64438': ['EE426438161DA88554B3E2DE796B0CA265E'],
+  '64B48': ['BD447FF4584BDE9BDBCAB4F4C45CA49471B'],
+  '64C1A': ['55C1AF56BC31D1E1480390737678577EF10'],
+  '64EA0': ['DC7DADD49A337F1EF14815BD3F428141C7D'],
+  '652F3': ['18A415AA080518310435DE22D57648FEFCD'],
+  '65328': ['DC87567AA3C412FDBD5B59D40DBF121579B'],
+  '6562F': ['BA1D1305E97D33E8A2110516A7EFB09E890'],
+  '65640': ['C6577C9C72497525E656127B5BD1DEB6F85'],
+  '659E9': ['4351310575060E7E7CE4C2DEA279157230F'],
+  '65B3D': ['D225FE19C6A9EC4383161EA00FE0F161157'],
+  '65C26': ['B6AFB3A1C8A2F14944E8D8B2F2534563E2D'],
+  '65DE2': ['388433E80F9BE577F410A7BB4F951F8A404'],
+  '65E21': ['EA0DE8852ABC2B0D821C1F9AC6F2CD5BD98'],
+  '65FF3': ['89B5402C51C75C12ACBB0642B4DA38F6407'],
+  '665C9': ['8AA6C0F7AE9E91184752412479A8F382EA3'],
+  '66764': ['1B92CEAE6BD7443B8F8C9DEB1DF46A3E78C'],
+  '66C06': ['C11D179E39C42E5E800F99B57865822CF68'],
+  '66D31': ['FDBE77E8A2B944858E53A837443372877A2'],
+  '66DA9': ['F3B8D9D83F34770A14C38276A69433A535B'],
+  '6738D': ['FCC5FA1E64422DE57AF963019028388B4BB'],
+  '67402': ['7E17B0ED64E76CDE2005CB8E76FB4CD671A'],
+  '6777E': ['B74792A095DFBD35566CD4526C03FADEAC5'],
+  '67B5F': ['A48F92CE8525701F324D6DFED859C20B64F'],
+  '67C55': ['BEC6ADBE4B03E1FC7E7A8D96E576BE72469'],
+  '67DD3': ['22F7F4BF03CDA6DD50AB35162796FC66893'],
+  '683F8': ['3CD2ECE6D510EE10DFE4E535E014171F5E8'],
+  '685F8': ['66635D33874F892E058708BD057E371C232'],
+  '68F8D': ['985453C365E0626D9B60E42BC89553DC7FC'],
+  '691AB': ['698A43FD6443F845CCD2B7F8F1607A14AEE'],
+  '69746': ['390A55D565D562D80CC9433BCB541205927'],
+  '6A0FB': ['500E116F40F9BDE39724526A40AC4B8A143'],
+  '6A2CE': ['C6668841753A3887A2CA02A5773C2873960'],
+  '6AF2B': ['B477DBF550D2B729D25C5E664DF709CC6E9'],
+  '6B055': ['C266F275E64A4688D2B4E09F4996434EA76'],
+  '6B395': ['4D942F2FADA2C80BCE374F341B11831A614'],
+  '6B427': ['A147DE563E9A6CA19676FBF190ACB5DF019'],
+  '6B56C': ['553A20CA777F1FD2DEB9160BA620BE7EED2'],
+  '6B5D9': ['1FCBCDEB52DFA25049196D3F59F62FAFB2C'],
+  '6B631': ['BE514230B6502E12CCD45ACE209B0FED778'],
+  '6B8B5': ['08D2E74AC425F1D0E3653C70483D2AD207E'],
+  '6BF87': ['5D34AA3D48EBF23B0C7DD5E755EA3EA0091'],
+  '6C00D': ['7A7FFB7F257081175A886815A6F568B7022'],
+  '6C1E0': ['6292D8A2B5E6FAC32AA753CD3DC55A74678'],
+  '6C489': ['23EA0DF6A08B012196764FF638FE37F82BB'],
+  '6C4E2': ['FBD8FD519CA7896966DD381D20A5165F2C0'],
+  '6C616': ['F7C2D2FDE9018A09F06EAEFCFC7582BC7BA'],
+  '6C7CA': ['345F63F835CB353FF15BD6C5E052EC08E7A'],
+  '6CBB2': ['B3D6F5AF3B2363A2A814C73C94A465C0596'],
+  '6CD97': ['EA7A4C760D989AEF63C1B70871B70979834'],
+  '6CED4': ['4C7B54A91A821A065F7407B4ED55FE1D3B5'],
+  '6CF34': ['755B9DE3322045869F47DC449B4785B8226'],
+  '6CFFC': ['43D88D0C8FEF848D68A5AD921B663083258'],
+  '6D6BB': ['A156ADEC20F5054737C532B1BC5A96500ED'],
+  '6DA5B': ['5979C630ADEF5ABC39370410D7DE4A1B8EF'],
+  '6E039': ['C90EE25D8C0AB16461542068250CA45617D'],
+  '6E2F9': ['E6111E77EDD0C446EA7A84E25323D137A61'],
+  '6EB00': ['3E8B46F82FA3E229DC93FBD90C853D41A0A'],
+  '6EB0C': ['61201A96AFC99CBF180F1C8D93C0A9FD8C8'],
+  '6EB95': ['32F383DBFD871241FE1A9605C01D57BDDB3'],
+  '6F2EE': ['54FFD50BE8B8D1196182F7D531CA4A53E53'],
+  '6F433': ['E5D53AD6DBD22659E9B94B211C0FF82627A'],
+  '6F64C': ['F089E9AB22113E0DD69B7F5EB45637B0D48'],
+  '6FCE0': ['55116670F7BF8A4EF444D00ACA2F139B29E'],
+  '70C57': ['AC84770294804B11010DA2EB2BF95CC0F8E'],
+  '70CCD': ['9007338D6D81DD3B6271621B9CF9A97EA00'],
+  '70F91': ['352865CA41F8CFFBEFF845A847192A1E7D3'],
+  '7110E': ['DA4D09E062AA5E4A390B0A572AC0D2C0220'],
+  '71486': ['86369B144C8E4147A0C9BA3E45FECEFD6B3'],
+  '714EB': ['F9904C149C76804BEFCDA808974F3B8CCC6'],
+  '716BA': ['B90090A16BAB2D8DC4D5AAAEC302ED2F880'],
+  '717DA': ['F4C02A486212F72783C468F7787BC3679F1'],
+  '718AA': ['9C126A9B8FF916D265F76A43193202D1ED2'],
+  '71A87': ['A4B68C997B9CE0D093A76628FABB499CDF7'],
+  '7212A': ['9E01329EA93A57F574BD9BF77695D5FDCA4'],
+  '721D6': ['5122734734800A1EDD6E68C03210E7B2ACA'],
+  '72323': ['4D6964DBC89F9A3C93536B50E81A478CCD5'],
+  '72406': ['3273CCF9697632C18923DAEF876A3BE832F'],
+  '72655': ['306BB703517B77A9FD41A1C7D0186FE2F6A'],
+  '7288E': ['DD0FC3FFCBE93A0CF06E3568E28521687BC'],
+  '72A2A': ['D007954200A0B79B20E65D37F513B6472FB'],
+  '72B98': ['1EF67EA856BD09456CE3F863A78BFDDABB8'],
+  '72EDF': ['C94DA4E6BFB9C8BD46828D78C4F4D5E5FD2'],
+  '731BE': ['AE3E06A8B41F021A4004CC7EE192865E667'],
+  '7346A': ['84E2A9CF8C909C453E35B72866CD5237DEE'],
+  '74433': ['A68AEC8DC3226B93A251B0F56E6BA9A5CCF'],
+  '74A87': ['1ACBF060DDA5FC7260D05A5924A34E4C0E7'],
+  '74FFC': ['874ADA0A28DBADBEFB0FF97A58DB731837C'],
+  '7505D': ['64A54E061B7ACD54CCD58B49DC43500B635'],
+  '75109': ['4682944AE0E970B62F8E0C3E6B79CE5EA45'],
+  '75926': ['E6645F9F642924BA4D9543A6046BD7F2265'],
+  '75973': ['0A97E4373F3A0EE12805DB065E3A4A649A5'],
+  '762A6': ['5ECC2648F10A24FEE93435857785711F92F'],
+  '7644D': ['0503552B0D8FA37B74C403ADEF4525148EF'],
+  '7650B': ['9C678549614D75454A640451BA411B6E38A'],
+  '76E03': ['AA06C9C190E08B5C726DD00669DAE9B89C8'],
+  '76E74': ['00910EF8ACD62B7002FA1AB06591B263549'],
+  '76E99': ['8C4A2CCDACC6B23FE86D1C3E9DDA5139F39'],
+  '775BB': ['961B81DA1CA49217A48E533C832C337154A'],
+  '77722': ['B18C006626C5D21C20FE7E324E543AFDA9B'],
+  '77957': ['589EFEF624ADF6A029D863B48CC3FF76D07'],
+  '77A97': ['BA2665DE0F283155A6D1203A0A0B6B0C7AB'],
+  '77E7E': ['78B05578758626744DCDF57007C71797399'],
+  '77FFC': ['485415FAE1F0179BA3AA6C2939BE755BE4D'],
+  '781AE': ['3EEE7B5BFB0CD9C4385EE56E2C3F064A549'],
+  '781FB': ['BFB2E44856D31D6B3FC21C9571C703FC36B'],
+  '782F9': ['B10621E362D5BD0DEF3A279B5E0908C9EBB'],
+  '7841F': ['6635F60F9A72FC777E75F4CE8F3025B4F72'],
+  '78905': ['EE1A48A17258447B961A0ED6EAD84460288'],
+  '78E23': ['0FC28E5BB411E7852D09896B02FD8211BFA'],
+  '78F38': ['42F0201C993FEC13905F2FF9EC3FDD39056'],
+  '79700': ['9CA0DDC4EDE177EED0558234C5FE2C08376'],
+  '7A055': ['6A50F17DB9B9BD77298C11F3CE049617F80'],
+  '7A219': ['1964A3D7521269F0068AFAE6B6116BAC15D'],
+  '7A22D': ['73D336ABD6281D4DD71080220A230CB79DE'],
+  '7A72B': ['A7013F257A93905B06C3DC11E6CBB60B2FC'],
+  '7A9D0': ['5FEB30D995739597F077E56ABAFFEFAACA1'],
+  '7AB51': ['5D12BD2CF431745511AC4EE13FED15AB578'],
+  '7ABF8': ['D1649D8CD852E32B7077D72C58F59E8DA4D'],
+  '7AEF7': ['E082F134FE66940588FCE1DAE6E74DA20CD'],
+  '7AF2D': ['10B73AB7CD8F603937F7697CB5FE432C7FF'],
+  '7B218': ['48AC9AF35BE0DDB2D6B9FC3851934DB8420'],
+  '7B372': ['59E149636E3330D530CBF408F2B8C1EDA6A'],
+  '7B64D': ['78F62090E6AFFEA47C2803AD44B144126B7'],
+  '7BB88': ['1F925C3700218B1323B25AC74AF0F097AE5'],
+  '7BC88': ['E33072BA4CC8A7AD3D987E7A90C7961D624'],
+  '7BD3F': ['297BBFD4359FF740509B2EA2B1CA733EB35'],
+  '7BEF7': ['6F64B2D99AC53DCD52225F88615BA52FBB9'],
+  '7BF29': ['A335B2D027B09580B99D9CB58469C42A1D3'],
+  '7C222': ['FB2927D828AF22F592134E8932480637C0D'],
+  '7C4A8': ['D09CA3762AF61E59520943DC26494F8941B'],
+  '7C6A6': ['1C68EF8B9B6B061B28C348BC1ED7921CB53'],
+  '7C92F': ['C5CF65F2BA5A464FB79FF7952D9CECDDA49'],
+  '7CD14': ['6EEE1C184AD74E9E483CF06DE7786966F96'],
+  '7CE03': ['59F12857F2A90C7DE465F40A95F01CB5DA9'],
+  '7CE68': ['E2C9F64403F1D725DD354AC0C7FA51C7472'],
+  '7CF7E': ['DDB174125539DD241CD745391694250E526'],
+  '7D07C': ['DB8C1CA96FE7FA3C7018B48E596E1D06227'],
+  '7DDC5': ['E8FBC0B867D8955038F4B20DD28F9A59C85'],
+  '7DFE1': ['6CEAB43AF011BCE934F06FAE7F50ABB5E23'],
+  '7E274': ['1C9E64513A93C4479878382178AC2ACA580'],
+  '7E530': ['9D90F660471ABE5B6C696DE1ADC9C4888A8'],
+  '7E57F': ['9D7F735A87EE67F1BD0F95CFDAD163D8846'],
+  '7E726': ['88E04544C8FA38E0308B226606EEEC94003'],
+  '7E836': ['8C765068388463275E3450889E3B7974ADF'],
+  '7E8B0': ['A3433F1210A9699D85420E363A1B162ECAC'],
+  '7EA35': ['D812706D9213868749011AF1ED4FA2F6AA0'],
+  '7ECFD': ['8F97B4729C6FF0799B0B4D40F870083B461'],
+  '7ED83': ['4F73CC3C84C202A29E1FE8DCC1A1C9E3C51'],
+  '7EDA7': ['7675FEE6B6DCCBD9CD01587B9BCAF74E7FA'],
+  '7EE73': ['D7CA2EF77EA6C5ABE99A716E2B2FF4B770D'],
+  '7EED4': ['505D40813E3DE4B6CB58CE9B66901418163'],
+  '7F087': ['1085CB3A34C4B02428E49B07CD77E0231F4'],
+  '7F4B5': ['2E2A0C49FB361FF82F95EAD8CCA89912C08'],
+  '8033A': ['7F55D17F679EE0CDEF9F9841679476F46F9'],
+  '80718': ['ABD1D4604E1D0F68AA116F0DFA0C4A14F36'],
+  '808D7': ['DCA8A74D84AF27A2D6602C3D786DE45FE1E'],
+  '80CB0': ['F9F28257DCB6F32B51CFE8C0C951BF066A6'],
+  '80E55': ['C10C5B6374CD9C512157693B0EAB6D3F2BA'],
+  '81379': ['F1D1E62C9A1291708E526F3B062591DE0A4'],
+  '81513': ['25DCDBAE9E0FF95F9F9658432DBEDFDB209'],
+  '81635': ['6996639180F0884646C1CF63DB78CED0235'],
+  '8165C': ['82EFF69D84781CD1B0494719C702126E25B'],
+  '8181D': ['69AB4EEA9648908F3DF9519DFE29DD688E2'],
+  '81941': ['ADD3E463581722BAC84D02282CAFB1C32C2'],
+  '81B70': ['F7E3A46A67C960C01EE449AA4563AB49C73'],
+  '82A40': ['9F3109F6231CCC7E0F7A128150CAD6099C2'],
+  '82C27': ['EAF3472B30A873D39F4342F5E54DE9532B9'],
+  '82CE4': ['2FF07B94053F7F82C0409AA7CAA5276E326'],
+  '82D13': ['593D8CA4C6D60DF78A947DC894E91B7A9F3'],
+  '83085': ['50B79973E5E455CB4101D0BDA6847966C8B'],
+  '83086': ['51804FACB7B9AF8FFC53A33A22D6A1C8AC2'],
+  '8328B': ['5BA7C9B0AABBEA0C5625FB2D28D20DC07D9'],
+  '833F4': ['663C0A41973917D52B25902F1A76998D359'],
+  '8367A': ['A7669AF86366648E626931FB28705557C6B'],
+  '836BA': ['BDDC66080E01D52B8272AA9461C69EE0496'],
+  '83D5E': ['2F584695B97E0C426F1237F2F0FC522FA3E'],
+  '83D80': ['BE570FCAA8A070D685F6208D7320B518C9C'],
+  '83E8C': ['EF8D84F02139290F90F29C0338EE7B4C246'],
+  '84333': ['DC89A630648CA4C25829D76B33D7EE32532'],
+  '846B9': ['0266CABF4B353BBBA66C67A975F6510709B'],
+  '84967': ['C27B787F521D39E85A5340A60EA393D8130'],
+  '84B9C': ['252A87DABC0F596E96C54A1A91DE2AAB40B'],
+  '85435': ['454ABDC6ED91D70C06F8DDF8F5FD4CFF610'],
+  '854B6': ['EF403ECE389C2389BD43032355CCE9EE2B5'],
+  '85AB2': ['5D82C43EC5AC8CF7F6A4148250ECBA97FFA'],
+  '85C12': ['D7F9BC094EB6EBBF4EF231D1ECB3F5DD15A'],
+  '85D0E': ['F826E0E5EE5C118D43E1857EC2E5DC27287'],
+  '86029': ['D25D9A7D9F1BB9F4B0269EDAFD0F4553E68'],
+  '86265': ['B4E8591BDFCE4D88842BA476EF216511E45'],
+  '8635E': ['82DB16DD0BB70D422EB589A235DCC3DF901'],
+  '8697F': ['432058B914BA2B20C5BD6F0678548126E21'],
+  '87101': ['2CDE30C5398F65C105EFF0207A895E15811'],
+  '87264': ['DCA445D7F8E94D719F8932561C00797100D'],
+  '873B2': ['F758793442018AD1ABE39AA47144B9DB0DB'],
+  '8741A': ['E8F69160F031892AE229539668D65625C81'],
+  '875D1': ['0FA6AE9879FC6D3F7A951C712B5019CEF0A'],
+  '87630': ['73A423B5598D3342B77EFE8A67D42EBFBD8'],
+  '87C5E': ['09D93E2E4BA91ED6631DA4B76C2BBA789DE'],
+  '87EC9': ['A8F2E35C16795489761DFF275C421FCDC88'],
+  '883ED': ['934CF2BE0D47E4A259CEEE904EE62DCC306'],
+  '887B5': ['8F6B6C1BCB5E9B68D09E0F6C13DA8D3AD02'],
+  '88C6B': ['29BD51811E6B8486B12AEA2C223D61A88FD'],
+  '88EA3': ['9439E74FA27C09A4FC0BC8EBE6D00978392'],
+  '88FDD': ['585121A4CCB3D1540527AEE53A77C77ABB8'],
+  '89046': ['5FBD08D9B9F9154E1B8ED5C8480E237057C'],
+  '891C5': ['FEEF171DA85AADD3FDB8130BA509B03F5EA'],
+  '89613': ['00B9C3B182CA3FF533652966ADF92E5233E'],
+  '89677': ['615C2EC030BC5542ABBACB5C286B12096FE'],
+  '8975F': ['039CA06EE9DDBC6727496365F1F276A3CEE'],
+  '89CC3': ['BC87897FB288131F5AE702754D8174BC723'],
+  '89D1E': ['7800ABAF81BA8AC15CC81ED408CFC9F598D'],
+  '89E49': ['5E7941CF9E40E6980D14A16BF023CCD4C91'],
+  '89E5B': ['24855898A950C2239A4574F6C4310D5BECE'],
+  '8A597': ['71E7C81B7CA46D8224C9B074E905413510D'],
+  '8A626': ['4B5E66497DCFA2EA629BE4A664282811547'],
+  '8A91C': ['656D39DE29F7FED1CD79233CCB41E723D0A'],
+  '8ADB4': ['20A51FCF7B5AF1AF646C876A68FD9382CAB'],
+  '8BAE5': ['A9F7B06AC8101216D8AAE488B3514113732'],
+  '8BE3C': ['943B1609FFFBFC51AAD666D0A04ADF83C9D'],
+  '8C258': ['085654083B891CB5125CB6DCB740C8A73F8'],
+  '8C55E': ['3FC2ED55FB7C5DD9B9FB50AB1E45AEE9E77'],
+  '8CAE5': ['37CEDC0E2EF864E80792BDD1522DC984B7C'],
+  '8CB22': ['37D0679CA88DB6464EAC60DA96345513964'],
+  '8CEAC': ['321491CB78D25E920D5DA2F9CDE7771C171'],
+  '8CFF3': ['D51343EF75C459346F975CC635AB648A11F'],
+  '8D274': ['FD5E6F969DAD778C50080302BC3EA89591E'],
+  '8D500': ['4C9C74259AB775F63F7131DA077814A7636'],
+  '8D6E3': ['4F987851AA599257D3831A1AF040886842F'],
+  '8D84E': ['058EB01D792F710A9465FA518892382684A'],
+  '8D917': ['A604CE7D072F2F21AAA2947AE5D0A4B3453'],
+  '8DD7A': ['0C85E0E573648C21DC4DEA03EBB5251E7DB'],
+  '8DD86': ['7FFF28054744867D5FBCE3C48FCC8D9E71A'],
+  '8E41C': ['D90BA9412629C5C247753923CCF6897270F'],
+  '8E685': ['25CF94DEE293AF5EA0B666948DB37DD25E3'],
+  '8E85C': ['F5FBE6CFB533AE13301A76848FD25437A12'],
+  '8E9AA': ['44F0213DD799BC1701C170F861E0618891B'],
+  '8ED2B': ['8FAE97A633CD94F84EDAEA425E0B78FF2FF'],
+  '8EDC7': ['B121DE371168EC17B0D0C67E88EB0B25F99'],
+  '8F0DA': ['62CCF5A95A280D4FB96EE918EE599E26949'],
+  '8F48B': ['8A37D8A616532DA324CE09655483F2B0C97'],
+  '8F7D8': ['8E901A5AD3A05D8CC0DE93313FD76028F8C'],
+  '8F8CC': ['717A4040B695B56D335D4FEBF300A5B2AD4'],
+  '8FE5B': ['BFD83BFE455F14567D8BC5D2AC06F8806A5'],
+  '900CD': ['BFE080DEAFF2CE2B122B042DBDE3991F1FE'],
+  '90228': ['3E321A5C142C63BE39B96194B94D7109D0F'],
+  '9024C': ['E82FCA51F8C82438744524C35D67E51DA2F'],
+  '9029F': ['3CCFB3FE1601BDD62058EC944B2BF748FB8'],
+  '90E01': ['D6464588B26C3C8E17ADE1641D37AE6B7A7'],
+  '90FBB': ['CF2B72B5973AE42CD3A19AB4AE8A1BD210B'],
+  '915E0': ['336F61DBD3A6A8C4DDE254C9A244AE2B9CC'],
+  '91648': ['09F4D1CDA096003BFD9C8F80FB1EFB3A433'],
+  '918C0': ['DF6E613EB5C6CB23FDFD84C723190A9CC47'],
+  '91928': ['327A2DD15B75D99FEF04D98B0FE1F21DC51'],
+  '91FB6': ['4276C08BB21ADED26660F7D81BA92CEEA7C'],
+  '91FDC': ['336D11B93286DE3CFD210E891AE45493036'],
+  '9201F': ['4880F9E39B6DEE4075E2A228CD5CC42FF5D'],
+  '92119': ['E2C63E9366ACFEFE818B50537A85577E2DB'],
+  '92405': ['D6B7ED3B4FA3D444422C01EF0C196D4F122'],
+  '92464': ['5B3E345A600BF94AE78F01C5886CC320A89'],
+  '9248C': ['2D36B0F99FAC4037EE81A50D922FA6B0445'],
+  '929D3': ['BA22D02B494DD0971784A3700C3DBF1D89F'],
+  '932EE': ['B1076C85E522F02E15441FA371E3FD000AC'],
+  '934E0': ['FA9A6F63B34E0BC8B04675D9BD2203C5C4F'],
+  '936B4': ['36777E242C3691D08DBE9A7660E42AFC1A1'],
+  '937DF': ['AA19F2392D8FFC76D1F32082423FF4811EA'],
+  '939BD': ['BF3C5EE23515C13CADADD6DEFE40D347099'],
+  '93EC7': ['1B22793A81569C94CA17E4D9C293D8E201F'],
+  '94368': ['2543FE704B50F6F55C224AF120FCC9F270F'],
+  '94381': ['1FA341F72A9A0B38A85A6CA29F9117E1D72'],
+  '9472B': ['C042C1B4AD9295E28D98397F8F81AE6C36B'],
+  '94C72': ['59EEF4E4A688771BDEEFB45929D0193E6C4'],
+  '94F93': ['9F8106AF81385EA5B779426A6DE0E74285F'],
+  '95478': ['4DF6E43718CB429B31017422C3BB3C4E5DA'],
+  '95B64': ['1DE26BADB625CA1B393EC88F0C16BBAACD9'],
+  '95C94': ['6BF622EF93B0A211CD0FD028DFDFCF7E39E'],
+  '95EA0': ['69691E174A7FFDB7830F5D1FDAFFB34D940'],
+  '9663E': ['A9A5E57758C0FB927047C5F68788ECE4F49'],
+  '96817': ['1B6D5C0C18064C8D81C7C6FB10347E26AC3'],
+  '96AFD': ['7ABA406EAD43BA3D62B2C0F96622E4B2C93'],
+  '96B1F': ['E821141EC915B42352260DFA5E6A5F55310'],
+  '96E08': ['246964539B4A8B699961C040783D802823F'],
+  '97009': ['3678B182127F60BB51B8AF2C94D539ECA3A'],
+  '9752F': ['B540F7084FF266A7A6439FE883C380CF49F'],
+  '97698': ['9925E8C041246727137CFB6CC9B07F67F26'],
+  '97968': ['09F7DAE482D3123C16585F2B60F97407796'],
+  '9799D': ['0087612EE8A0E34E74C8F4BB9C00FACE5EE'],
+  '97BBB': ['765414C41978DA28044DE2777938AA4712B'],
+  '98481': ['6FD329622876E14907634264E6F332E9FB3'],
+  '984BF': ['2CD3C83F73CCD17E3D1B6735F502FDC5D6A'],
+  '9864C': ['BFDFDCE1AAF6A2955301076012F36900B13'],
+  '98B3B': ['C1244C4138D4D12DFD0C8AF12AC4CB49EA5'],
+  '98BC6': ['568613F1986E5F562D9B29328085B58CDBD'],
+  '98BF9': ['7083E7F9219701F931474C3A09A8EEB1E71'],
+  '991E5': ['22892123F1724D740ED117ACB387AC1BC5A'],
+  '9927F': ['A3AC960DF1E82B498845EBA94CF24FDD4BE'],
+  '99515': ['88299ADC0A29070C8830EC1614AF9281ADF'],
+  '99996': ['B911567C83CCE17CDF194F314975C57DDF1'],
+  '99B23': ['E32BF0F5D77444E9F191441131D1A956C83'],
+  '99C4A': ['A1C1C236C8726AFA304BA56498DF1BF9F77'],
+  '99E0E': ['A1A40C9B1D54308C421DA1EE9797877CC44'],
+  '99EA7': ['BF70F6E69AD71659995677B43F8A8312025'],
+  '99EF9': ['608F2C4A6797FEF07C7390C24FF0CACF76B'],
+  '9A458': ['F282BFE6F5FF446FB7C26E8C498233B3219'],
+  '9A94C': ['57E6509FB0127440A0E3D93DE7B17870560'],
+  '9AC20': ['922B054316BE23842A5BCA7D69F29F69D77'],
+  '9AC68': ['ACE0B2DC0E38B8035F151DE8E4C26B6875F'],
+  '9B503': ['01D5CA630F22B6A47D24D7AE85521FC757B'],
+  '9B561': ['EA026E11BADE6979A5404CF2ED7E8D5353C'],
+  '9B996': ['68208B3F89DA9BB0257B02CBE44EF627C2D'],
+  '9BB43': ['FBCB912DEC1D228B35356D5F635744FD03C'],
+  '9C01A': ['257262779E8CC575BF5E4A8E5386CC69FBA'],
+  '9C358': ['E3CD3EE3CD91BE2E290DA03D7F582260FFD'],
+  '9C651': ['6201E43ECEC2963DD7EF554A747F9CFBA97'],
+  '9C677': ['4F85920EC97E7B0AE73FBFDF45500AD7B9C'],
+  '9C856': ['EA45CAFEDE8017327AE121C48685C56E242'],
+  '9CE7F': ['228D84C76C7E8DFC266A880A54C29A40EBB'],
+  '9D1FD': ['8567CD3C9D9AA0D40DC83CEBF294CF4DD5D'],
+  '9D331': ['6813951D04A1363B4772273FF252B41119B'],
+  '9D37E': ['DF7A8822E730385AB49C4DA15051CF78198'],
+  '9D4E1': ['E23BD5B727046A9E3B4B7DB57BD8D6EE684'],
+  '9D906': ['36D2CA5751EC065612E74186AF06D4BB979'],
+  '9D954': ['E1DAD3F9905C868F19FCDEA54B61F45743D'],
+  '9DDBE': ['35A8FCB7B84E95A382D26F8E79359ADBE31'],
+  '9DE20': ['29A4489C44BE702E943FA5971EEED00C1C6'],
+  '9DEE1': ['EC52B5F9BFA2D25346A7A473C292025C731'],
+  '9E47D': ['A19C32D29CF1C25A67D7C369C7BDA943623'],
+  '9E8C5': ['571ED239017AF494CCD8918125513234142'],
+  '9EC47': ['0553891C49A8E89C8A5F10F0D56A72AB5EC'],
+  '9F1CD': ['E786BBF09B5C2006889686D3465B0CBB72A'],
+  '9F2FE': ['B0F1EF425B292F2F94BC8482494DF430413'],
+  '9F713': ['0F42290D0E0CE5A8A7A09D2BA75536D0564'],
+  '9F8A2': ['389A20CA0752AA9E95093515517E90E194C'],
+  '9FA5F': ['77B7092889C24406B76DDF57DC73441A4B1'],
+  '9FD8D': ['E5FC2A7C2C0D469B2FFF1AFDE4E5DEF37BA'],
+  'A0933': ['D1C67A3899034AE24CE3EF154EBE59D4445'],
+  'A0DBB': ['E668D50E1DC837AB2249F4CB4A0247B7C2F'],
+  'A0ED0': ['067BA00AB82A39A394025E81D060E98CC48'],
+  'A1037': ['F14CEBC6BD318916F54CBE00D3EA2A197C1'],
+  'A1158': ['3D10842F0CE277F6D226031BEABA8EEB843'],
+  'A12D8': ['BCB21BE9427E9282A4D2B237C9AD74AD58A'],
+  'A1511': ['CDE5C5368EE593D3E733FAA7B21CBB9026C'],
+  'A1883': ['54F1BD5D49E4B97360DB2384B5B71B79D97'],
+  'A1DA6': ['51B377594539FE32ABD5D06E86E0F94AA1C'],
+  'A1F02': ['80EDDD46E463B6AC45B98D3A87B6C002358'],
+  'A254C': ['6BEDEE9F099DC7CED8F2000FE16AD1CCE69'],
+  'A29C5': ['7C6894DEE6E8251510D58C07078EE3F49BF'],
+  'A2B2C': ['8EE4696C5A39DE24896C9E09404F09530F5'],
+  'A2C90': ['1C8C6DEA98958C219F6F2D038C44DC5D362'],
+  'A2D44': ['5FE78F64EA1290F519E676536312581EFB1'],
+  'A2EC0': ['06BDB092F9D60F3A60BA1186F4E6D654477'],
+  'A3862': ['DEB0D3536CCA603F126B9FE6755E2595E71'],
+  'A3ABF': ['B32023FC352E71E3A487B66FE9F094A1E1A'],
+  'A3E24': ['E8540592EA7BB2BEDD97D98B1E5A815A210'],
+  'A3E80': ['7995CF51BDA90921D1A80D9334B6076E177'],
+  'A43B9': ['1138D02D613AC50B82A59E872D007AC3877'],
+  'A47CF': ['B28D92D37C863A264E3785FFF7D427C5B1A'],
+  'A49E5': ['8BB3B714405403D5E12DB31C75DFBB52B0B'],
+  'A4AC9': ['14C09D7C097FE1F4F96B897E625B6922069'],
+  'A4DD4': ['AA60FC8E99F781B4A11AA7D9DC53731B37C'],
+  'A5017': ['F4D86B394699E6D9BAAB217951D531E3971'],
+  'A5083': ['DFB85980ADEFA5F376B49899E24342359F5'],
+  'A562E': ['5A82C1C855002301FA2D03956F8951F8C74'],
+  'A5FF1': ['C641758CC02744172A50E577BBE06C2A1C5'],
+  'A60A2': ['E2B46358223F312E97A7468728AA8C78BBE'],
+  'A6166': ['DF88ED0BFB3983205C4132BB34F9F72DD87'],
+  'A631B': ['70F63AAF5BB0736977C82B8CC5F15620274'],
+  'A63B4': ['E1CC8702F78BD31B17F453EE7F99675817D'],
+  'A642A': ['77ABD7D4F51BF9226CEAF891FCBB5B299B8'],
+  'A6892': ['BE1FF24340C7A0C4601A21795985973D6C1'],
+  'A6A35': ['02BCDC0F999B6C80DE025AEEB681E57E171'],
+  'A6C23': ['EB2EC82045E5672C6C18CD0EE938AF65A91'],
+  'A6F37': ['5A196CD4C89C41DBB4500553EBF3BAB0A41'],
+  'A7886': ['3D78F180937FE56CCDC3D28CD910A745338'],
+  'A79C7': ['39556A676FDAD22EB743A11F479ED9C64BC'],
+  'A79E8': ['50D54DCD7367ABF30B02ED75664F869A9FA'],
+  'A7E67': ['F802B90592DE92EF6D7B824CC5F96200BF7'],
+  'A8143': ['4589757E654444719DE434C44E9ADC0C708'],
+  'A8261': ['7D1DB9344298F10C63DA5C92134A6600B65'],
+  'A8905': ['03E82D4B1955ED848393521D21749FF379D'],
+  'A8AD2': ['289029CB9F75302BA644E8D75A965EBC580'],
+  'A8B8C': ['C56F9B8F560B1F68718AC92C223CD580AEC'],
+  'A94A8': ['FE5CCB19BA61C4C0873D391E987982FBBD3'],
+  'A9A2E': ['8456BF9D58E91FE91CBFE10CAD5211216C2'],
+  'A9B0A': ['C7361AA29BA6CFAC84C8D8CEF057F5F519E'],
+  'AA032': ['F0CB819773E765943632CAA28ECCF330FDD'],
+  'AA0E7': ['E86B7AA21E9851B9DB8B752998918D2B608'],
+  'AA14F': ['09D751AFE8802597C9CFEC138725081CAB4'],
+  'AA1C7': ['D931CF140BB35A5A16ADEB83A551649C3B9'],
+  'AA365': ['AD498FDB7129ED2518770E4AADE8957252A'],
+  'AAC09': ['0B6C320611A37B402EA7D2207BE23090932'],
+  'AAF4C': ['61DDCC5E8A2DABEDE0F3B482CD9AEA9434D'],
+  'AAFDC': ['23870ECBCD3D557B6423A8982134E17927E'],
+  'AB3E3': ['247E4C86BB5842E896E79D01241B00D0CFF'],
+  'AB832': ['198FF15159A168625B87F55AF4D2B76AAB0'],
+  'AB87D': ['24BDC7452E55738DEB5F868E1F16DEA5ACE'],
+  'ABA08': ['399156CD829B8F35C5CCD07F69AE51C6F18'],
+  'ABFBD': ['F8A34EB3288D897530CC3653BAE31D859D8'],
+  'AC137': ['C6AE0947718332991E7CB2F50EB20B62AAA'],
+  'AC240': ['49B444D2821748198B03F55A14CBB15157E'],
+  'AC250': ['E4A00FF3144AE7689F0D23E8B26D06AA929'],
+  'AC2B9': ['FBAFC724B18B48586E89A83176D2F183833'],
+  'AC4F4': ['985E73B719023FA77C60A02FB8EC34AACBA'],
+  'AC814': ['68FDC6A2D40344F427CC62182B8C95F9EF3'],
+  'ACBE9': ['8A7AB937895DDC49AB364F6C5D5F18EEBB8'],
+  'AD3FE': ['EE433F9CAB73CA280E4E799B8F5217D64BA'],
+  'AD5E5': ['AF501E6AEBBF85450A83FEF8ADAB19AA1DF'],
+  'AD70A': ['B97AE1376E656002641CFB067C9C94906A2'],
+  'AD816': ['7DF4B75BD9F2E165EA9F6053195CF7652B5'],
+  'AD866': ['84315EBD8CC4DE25B44E5831B0FBFE12D77'],
+  'AD905': ['6406390CFAA42B23010B8287717EB0AAA46'],
+  'ADDBD': ['3AA5619F2932733104EB8CEEF08F6FD2693'],
+  'AE48D': ['07860A399595A4CDC12A9997FC8D60F5E45'],
+  'AE672': ['A80B7F35D1491E7B26966993D7EC36772C8'],
+  'AE78A': ['7BBD66E4C4AE1E111088CA301683D227993'],
+  'AEC78': ['482C1F64D424D70F588843396326CC0729A'],
+  'AEFA4': ['3A7D0966EDFF7CC73C04DC8DEE484F6D907'],
+  'AF526': ['A207A76632B7C5556EB348181206F949E89'],
+  'AF897': ['8B1797B72ACFFF9595A5A2A373EC3D9106D'],
+  'AFAED': ['75406BD414820CEA4A5119F90C259C05755'],
+  'AFF8D': ['18E7CCCA4B44489E74D3771812037649654'],
+  'B02A6': ['CBA00F5E2CF90F8B9B96275D6A8F0A1DB75'],
+  'B0399': ['D2029F64D445BD131FFAA399A42D2F8E7DC'],
+  'B03B7': ['4363BBB6EE42CE248C7A5344E92FFE76CC7'],
+  'B0473': ['D2385C77C7E1370D7F574420C4CCDF8BD17'],
+  'B0513': ['9004693B44ED1E849B14A7D8BADE7E5BD78'],
+  'B0983': ['3CEC69EFF1BB667940A45E311262E85A422'],
+  'B0A55': ['C12325345259DCFF57E42296B31FDAB868A'],
+  'B0C5B': ['6F8F1862FDCDBAE24997F79C3B6F2A50931'],
+  'B0F20': ['4F142B99F916FA0F0E062694492FED6A83A'],
+  'B14EA': ['A46BAE0B9851939E96A0E0D3FB7A46CC80A'],
+  'B1B37': ['73A05C0ED0176787A4F1574FF0075F7521E'],
+  'B1D1B': ['6F79FDB2F60C475C65B7D4ABE9F8689D498'],
+  'B24C3': ['A95AEF4ABCA5DE6D94A3F152718A6DB0501'],
+  'B25CA': ['AE5F0CAA8757DC62C2CDE8A264B1AA4A694'],
+  'B26F5': ['88F0EC791031E91F78F5E72009CE874C5A5'],
+  'B2DAC': ['9F9273840A8FBD6F62DA748E44D0EAE699D'],
+  'B2E98': ['AD6F6EB8508DD6A14CFA704BAD7F05F6FB1'],
+  'B339E': ['B044FC4475402CEA4FD0FEDC55A65061920'],
+  'B3850': ['E04B5CC10929206D2336EFA79A041358D57'],
+  'B3ACA': ['92C793EE0E9B1A9B0A5F5FC044E05140DF3'],
+  'B3DAA': ['77B4C04A9551B8781D03191FE098F325E67'],
+  'B444A': ['C06613FC8D63795BE9AD0BEAF55011936AC'],
+  'B44DD': ['A1DADD351948FCACE1856ED97366E679239'],
+  'B487A': ['F41779CFFB9572B982E1A0BF83F0EAFBE05'],
+  'B521C': ['AA6E1DB82E5A01C924A419870CB72B81635'],
+  'B53A3': ['8922D35369E15CBD83037FD845731D09F17'],
+  'B5BEB': ['E9FE1E9F30D44F1644472F25773D809F665'],
+  'B5CF4': ['98B70A176EFEACBC5B07D88E0DA76A7F4CB'],
+  'B5FE0': ['6D67D43DF781C4E4A232D61DC1FB51B0436'],
+  'B6109': ['BA069F8896058AE4C16101B178BF932AC5A'],
+  'B630C': ['6CF8F59440A3CEDF3741C12D7DC611E882B'],
+  'B6652': ['5C5409AA374E64653793BFA643780560C65'],
+  'B6717': ['CAEFD1F28E17AEBE8A799E07AB0199CCE89'],
+  'B6E50': ['5D0778AEA5DCE63BD8F639AFD15348DCE19'],
+  'B72A8': ['CAF30FCCC7CB73DA60F2EF9760B717F1809'],
+  'B760B': ['D4A77DE4C33A95106FE464694B7C685F90D'],
+  'B765A': ['0346371016C1F8F5FF0B6AB5DFF323900F4'],
+  'B78D3': ['B0382675802827AA1C70E633F16B40A1283'],
+  'B7A87': ['5FC1EA228B9061041B7CEC4BD3C52AB3CE3'],
+  'B7C0A': ['3D1C11AFBB20E06AA13404C57BE37C5CDEB'],
+  'B7C10': ['C4BEC83AB340D0C6ED051495CD9E23E1689'],
+  'B7C40': ['B9C66BC88D38A59E554C639D743E77F1B65'],
+  'B7DD9': ['42D1EDE611FD1675BFBBBF6AF1F06ECC927'],
+  'B7DE9': ['15AF36FA3B0BB90EB9D44AF9496FDC9F20B'],
+  'B7EE4': ['C8F3ACF7AFFE7A84403E7DC41108E2BE6B4'],
+  'B7F73': ['C5B66DCA06B94AA7A7134C24E0159E1DD0A'],
+  'B800E': ['8E1FF392127A651E3F3A3BA4AB5A2AE5312'],
+  'B8123': ['334662720A902B17965EAF25974028BDE0E'],
+  'B8468': ['9B769AB3D929F7CC14EE35E77C4AE6427C8'],
+  'B8679': ['1D85A26450A5BA8BB2CC7B5C252ADFCFFD2'],
+  'B8720': ['5E476386B099E865FA9CDF4FDE95DE21F1D'],
+  'B87FF': ['971591877C58B071F957D713E101702D07A'],
+  'B89C7': ['6FDD889CE931C328A1F111014ABC2343B3B'],
+  'B9078': ['18E0997C8CE082A89CA91C0E05191C3D6CF'],
+  'B91AC': ['80368A37B4D6B65A482ABECA0AEBA41B136'],
+  'B945C': ['05897FD8BF29C35CA21DD209AD2CF10C0F2'],
+  'B9D7F': ['95E1F74073544380D62BCD9A19B65252CA4'],
+  'B9F01': ['847B52E316EE892EB7C2F4404F8041610C2'],
+  'BA036': ['D99C58A0BD2EBBC14D62E12ABBABCCA3143'],
+  'BA279': ['49E1EA7F240C1D28554040307AB6ACEBFF8'],
+  'BA856': ['797A6ED7651C7E6965EFEEAD66CB632F0A5'],
+  'BA9AD': ['B7296FDC28911356E3875BF4129AACBC36D'],
+  'BADCF': ['A3C62742B3BCC1DCD893E78713BD36AA430'],
+  'BAF46': ['55048FF1D05BF1EFA9FFF67D65FA32FF101'],
+  'BB8A4': ['2781B6568272792B295DBE97ECEB67CBFC9'],
+  'BC082': ['955FBD791AFA31121736F0E0551977EA955'],
+  'BC82F': ['38302EE62308DE2BAF3D8F65961E5723217'],
+  'BCB68': ['379B8850F00FD690AAFE5B9374A7EE582F5'],
+  'BCDB8': ['4DAFB6CA607F9C490713EEBDD9CD8FA5E7F'],
+  'BCEF7': ['A046258082993759BADE995B3AE8BEE26C7'],
+  'BD020': ['2A72CB50284B4DB041AB70F29E853B96147'],
+  'BD202': ['9A1FE7649E45E78D3471DEF5D1B71EFE98B'],
+  'BD273': ['715D9D4BB4D848CAF8D32AE937D4DEDB123'],
+  'BD480': ['09167D3E94E45195964E87A61B502FDE4C5'],
+  'BD564': ['DB5D5CC358EB0E3523D3E03041739F230D5'],
+  'BD75D': ['DC36C8C87C5E0B0C39DED7F98EFCA645A80'],
+  'BE085': ['C1FAACC4A3A5C07601D0699B8F9177D86A0'],
+  'BE721': ['FACFE42AED047E2B3C19AAD1539389DF71E'],
+  'BEC75': ['D2E4E2ACF4F4AB038144C0D862505E52D07'],
+  'BF2F7': ['49E80C970F50552E9D5F3E8434E78B88D35'],
+  'BF3A0': ['3C56B02BF680E16CF45433DAEFC3B34F474'],
+  'BF6DE': ['335346312E6604E8F802A69868687BEA4F9'],
+  'BFB0D': ['CC90EF49B41EC52960AE9F3F6ECE07DDC21'],
+  'BFE54': ['CAA6D483CC3887DCE9D1B8EB91408F1EA7A'],
+  'C0355': ['5C8289418493AEB1EEFC743B450B718A9A1'],
+  'C03A4': ['DE0F8C83161952F3E20A1EED54E4BB1186B'],
+  'C0854': ['D8805C1474CED7C463C94A0F478F7C2B15A'],
+  'C0B13': ['7FE2D792459F26FF763CCE44574A5B5AB03'],
+  'C0D82': ['1EEFE9E6CC9BDE6046BE1FD6EB9E23B26A4'],
+  'C0F7F': ['1AE9C191439E23C929C85326CB23B856E0B'],
+  'C10C6': ['99F0168A5F2323E01B0C62D42B254CB20A5'],
+  'C11C7': ['0E8899C8189620BABC772F86D91062D33E3'],
+  'C11D5': ['E1D35FB7E158E57F09EC98D28E19D6CB900'],
+  'C12C5': ['BC8FD50B3D4AB5AB92B605D09DCA9DB8F1E'],
+  'C17DB': ['DC6C8C80794C861A0C4B8724AAA119C560A'],
+  'C1892': ['07A55DA45305C884FE2B50E086FCAD4724B'],
+  'C1AB9': ['924ECDA1BEAF8BBAA1EB8238B83E0ED8C63'],
+  'C1D6F': ['D2D1D5B54B3AEEA5004AF20A0EF199E34FE'],
+  'C1DB3': ['90D16F58782B2249101835565BC474EC22B'],
+  'C23CA': ['618D465AF5C1A4509A85671BFECDC8D5F75'],
+  'C246E': ['AAEB2A79CFA9DCA63838F75308079091288'],
+  'C2571': ['3EB6F4B2555ED9FC4A96CADEC05CD384177'],
+  'C33F0': ['59B0CA7725FBFD6C9EA4F2F012CC7AC5A74'],
+  'C3499': ['C2729730A7F807EFB8676A92DCB6F8A3F8F'],
+  'C35B0': ['7262FCA57647E4281358EEC6674C2C5BB44'],
+  'C37BC': ['A4AFB8FF7F52F450B04C1973F37DFDE48DB'],
+  'C4038': ['2DD2EA6B1D905124595F198787C79599130'],
+  'C40F5': ['F16F3DF8D092061832698A6D9179A071EC2'],
+  'C42B5': ['DB3E73DEFD4E18334ECB714D2094B5B374C'],
+  'C4335': ['E9817B8B0F6AB57C18B78F12C38B8D4D826'],
+  'C462E': ['8FC3E502AE6D5489C34FFA0054B7073578F'],
+  'C4684': ['3806AFCD7D908AEF981BC2BC8F1C9BCB733'],
+  'C47C1': ['FB413B2968729BE078046EE371680501348'],
+  'C482C': ['60492061B7B37CD350E26F20ECC62D21BDA'],
+  'C490F': ['A2FB396332EDE75E413F3471368DF217B01'],
+  'C4946': ['5453D6B53F5776A3CDF0D9CC048C6DA172C'],
+  'C4F5E': ['122E197C8496D997CAC37290703E5DE3B08'],
+  'C4FD0': ['E4ABA8C507185B559B4583B727DF0455514'],
+  'C506E': ['42036AD92D75598221DED324273D13318EA'],
+  'C507A': ['C6EBE6AEE90E8257E247B7F89E48781A4C0'],
+  'C5325': ['5317BB11707D0F614696B3CE6F221D0E2F2'],
+  'C5515': ['2DB120DB8A929588A5CE9AC20A951DA2AED'],
+  'C55AA': ['49185543C5F5964255E86CE8C2D1FFAF876'],
+  'C561D': ['66E42ED58CE8015945F7B748A7714560210'],
+  'C5731': ['FFBEA7CEC903CE7FC7B4E51DEFFD56F5A51'],
+  'C5782': ['3BEC793F10E9E0023E96079AEC08175282A'],
+  'C5D83': ['5D9585830142BA01769D18E3C916C1F0F83'],
+  'C5DF1': ['79B866AFD01AF312DDFDDBC5B0A9A8FAB79'],
+  'C5F12': ['1DB4570703ACB29568257CF8BE70BBC9C6B'],
+  'C5F21': ['5913304CA7932A609EC1A9191F977CEFF5D'],
+  'C5F37': ['8F5E3769D90347DCF75BD06B13A0452F04F'],
+  'C6026': ['6A8ADAD2F8EE67D793B4FD3FD0FFD73CC61'],
+  'C627E': ['E06270CD1CCB022053AF642D72DE7BE7EEE'],
+  'C63EE': ['D30DBBCC24D405F141F6E1364138A97B8FE'],
+  'C65F9': ['9F8C5376ADADDDC46D5CBCF5762F9E55EB7'],
+  'C6761': ['8A387E1F44E9BEDBF7F4C3E9442FDB713D5'],
+  'C6922': ['B6BA9E0939583F973BC1682493351AD4FE8'],
+  'C6A0B': ['EE6B245D41C810C29759D723563CBA29DC1'],
+  'C6D8D': ['5BAD9D62F25FBF5DD89D589B9D5B04B59E2'],
+  'C6DE5': ['812BEEBEF81811CDED186A6E6D9A005E5B8'],
+  'C6E71': ['82D4923046879C11A10F4D9DED50B6DB1FE'],
+  'C78D5': ['2C4DB8911CC7140B41ABE64AA47C69653A0'],
+  'C7ACC': ['04FFF2200A81B5E963D93ABD11D70CE64E0'],
+  'C7FA1': ['EFF8929BEF6C17665A841C8EDD6BEA28E69'],
+  'C8292': ['D7FBFE1C7AFF91FE5F1C27391BCDD2AC6A1'],
+  'C85EF': ['666591BD1BF5F34B1AD2F82CFAE685FCDD5'],
+  'C86D6': ['5C0B7BB9B8C882AB843F24644AD90FFD469'],
+  'C87BB': ['B1A06411B125DF037191E2E9F7C72537745'],
+  'C8A50': ['F632C3C4BAF27FC05FACB1883104E1D16EF'],
+  'C8AFA': ['8713631D133164460DACD310629A4233902'],
+  'C8D6E': ['A7F8E6850E9ED3B642900CA27683A257201'],
+  'C8D72': ['FB5A56C317DC73AFE66CE8D43EE68D6D0F8'],
+  'C8DBF': ['B13470B4247CDE95CF84F9A87AC90E26F3B'],
+  'C9122': ['2E9B1C7E43D3E8C302F0A1021538636AE91'],
+  'C916E': ['71D733D06CB77A4775DE5F77FD0B480A7E8'],
+  'C944D': ['8A54FDF21F2C019604596674D1B4F0377BF'],
+  'C984A': ['ED014AEC7623A54F0591DA07A85FD4B762D'],
+  'C99AB': ['D753AB671821F2534397AD5E89A2EA624E6'],
+  'C99B7': ['D8D742E1C48AC7DBA91A8553E04CB6286F0'],
+  'CA03E': ['F9A95FCEAD3F8A241AF03FCCDA23396791C'],
+  'CA0A7': ['C9F1410F1AB44D428A2F03C19CE37540B6D'],
+  'CA0DD': ['E834001DC455DE6C8A802B6BBDF1C31F2CA'],
+  'CA4F9': ['DCF204E2037BFE5884867BEAD98BD9CBAF8'],
+  'CA51F': ['BBECE947A28CC1A3B098319FCDA796632C2'],
+  'CAD1E': ['50462AA441A3BC3F4A13FCCCD209DCCFBD7'],
+  'CB047': ['D26CECB70DE3B7E682FA5E9D6C5539F7603'],
+  'CB37D': ['E1D915A124412FF8113BEF18511DAEC3050'],
+  'CB45C': ['671CBC500627EA424EEA5F91996221B5935'],
+  'CB73E': ['B0155AF5A3DA3BB4A63646B40201AB650C4'],
+  'CBDBE': ['4936CE8BE63184D9F2E13FC249234371B9A'],
+  'CBE7D': ['50DCFF970A53A262CEA37C69B1F8E1CC87A'],
+  'CBE86': ['9668B9F87F1E14514260D97E7BEE2692C52'],
+  'CBFDA': ['C6008F9CAB4083784CBD1874F76618D2A97'],
+  'CC9F8': ['16A42431CF852CDC7A3FAD42A6F65FFCE24'],
+  'CCB80': ['575CBE1A0CB4884F646C078B75954DA8075'],
+  'CCBF3': ['DA2E2EE083A8593E3BB7B47619B419F07D7'],
+  'CCC13': ['260094BAD73DCD424F76B747F5EB2144ADB'],
+  'CCDEB': ['3789AA4A84316FCF8AC51977126BEF8DE35'],
+  'CD751': ['A8BB320C8B60C36DF15894F64E611658CB5'],
+  'CD800': ['B1EF5508F9299EFAF46D146C1E56EA6365A'],
+  'CD899': ['9B61E82C7094C107358788824009C60175D'],
+  'CD9D6': ['B7ECC9BC605FC688342F2A8B2B179B4881B'],
+  'CDC5E': ['9DE8868B0125A92FE53CBD78E8A9A337B8D'],
+  'CDF54': ['7ED4C64E6994AF35CFCD69C4204C9227A97'],
+  'CE271': ['282FB8772AFBB67B796B7C98EA10D09454F'],
+  'CE460': ['A947B14D42C1E62BAB72A67BCB289A6428A'],
+  'CE63E': ['7963527767020C39A282BA402C60EE919D2'],
+  'CE71D': ['F295CE7ACBA647AED4368015ACE34BF2676'],
+  'CE76C': ['9AF7FADCA6168403E3E363878213B48EC27'],
+  'CED21': ['E005528FC271D4C76DA4E8A6C30F78D2799'],
+  'CEDF4': ['1FCCB586DC39E1CE34BB482F0AFE557B49F'],
+  'CF2E8': ['75D70C402E4AAF32CEB64B1FA6F7396AF59'],
+  'CF7D7': ['3BB6ED704CF1C5D23F3BD537D07A85B95E2'],
+  'CFAEB': ['398918CA2E4782CFBC1DFE837122DF7B1E0'],
+  'CFEF1': ['1D457DA9DC9DD29B23B4434BAB5483519F1'],
+  'D02F9': ['A6392D21017E1108D9493A1A3CF62A202D9'],
+  'D033E': ['22AE348AEB5660FC2140AEC35850C4DA997'],
+  'D04C1': ['675B232C6ECE69ED95E189E95D589F217B0'],
+  'D05D9': ['19D489DDE411F6982D984CE800CB8394620'],
+  'D073A': ['0E7496B8A19F43B22631A981967E24AF354'],
+  'D0BE2': ['DC421BE4FCD0172E5AFCEEA3970E2F3D940'],
+  'D166E': ['844A3F3F87149CC4F866EB998E9A751C72A'],
+  'D18A7': ['88A440AD02E3F8BB9BECE0FF541EE05F885'],
+  'D192A': ['7A70A0D4DC3DF408A3A954C6F529B946639'],
+  'D196F': ['6A89618F2B9D01C8C203953C76FA3C8111D'],
+  'D1AB1': ['EA5A551F6C18850E3CE1DAEE33BB90E1BE9'],
+  'D1CE0': ['3E672588599A6356E83AD2B3C6D19128CA5'],
+  'D1D14': ['5BDBB89B3043F75FF7D337D960C70FA8E86'],
+  'D1F02': ['17EF2BCED63293B646AC28FE4BA895D41DD'],
+  'D27F4': ['469BE6EADFDE078A1E371C9D67D3F7512C7'],
+  'D280C': ['07DE9323B8A882B733F4D4D6D523CE1B469'],
+  'D28C4': ['81D71E51696A8CA81D1C57719F0611AA29E'],
+  'D28D4': ['8075D9DDCDEA76E791A719E099EBE667089'],
+  'D2AB0': ['89D8CA1BE17B49CEA736D9C1D85A34AD7EB'],
+  'D2DC0': ['544710011B0B617653EE25824AA72B00209'],
+  'D2E5B': ['73CB02C547C3B652BEA0CDB7294E0EC52B1'],
+  'D318F': ['44739DCED66793B1A603028133A76AE680E'],
+  'D328B': ['F57D823BB1630307E061BDDFFBA187DD61B'],
+  'D33CC': ['1F09AFAEDB897134DA80CD8AE8869BC45EB'],
+  'D41B9': ['248B4915F0F4500771D5FD52EBCA4752B0B'],
+  'D4467': ['7FA49F39CE80E68AA34B5DF9F13FB98DC5E'],
+  'D4543': ['CFB987CC7B3C03545CD24742ACBC2A7EF8A'],
+  'D46E7': ['23DD6F38E5975FC0C7638EBF4AD3567C600'],
+  'D4757': ['01085F37AAF2A6F1BA9DF93C086D54E6113'],
+  'D4800': ['6226C6F51346F7AB6F03C189C59AD9E2A03'],
+  'D48B3': ['9393F18C374818712C47EF645E31CA001F9'],
+  'D4A00': ['09C9DCE1071032B0292CC75A8530458C426'],
+  'D4A1E': ['4C1E5C5F08A26FAC500FBECBD20675F28E4'],
+  'D4B90': ['F2DFAFC736205A98BF3AE6541431BC77D8E'],
+  'D4D18': ['87B7146824B91CD79CC8BB8D3A50A4410EC'],
+  'D4F55': ['DEC8C7BC9675182779E564FAE1327D30F9B'],
+  'D4FC4': ['761F015D39C1D3BD6424C485E8C1B23849C'],
+  'D511F': ['B8289778BC642FAA096EE623D1006C6DAA5'],
+  'D595A': ['6D0A3FFCBA778685F91CD8F64D87C5343B6'],
+  'D5AD4': ['C78031096D2F3029736E848B206F1A4AE18'],
+  'D5C67': ['9C7121E826285F6BB9B8207A7408FA23FEC'],
+  'D5DB4': ['217FB585C6B5007372C3E147562B6F5856B'],
+  'D637E': ['6EDAF4193FFCD807B5F60282A26FF72989B'],
+  'D645D': ['B73D37F6C3382D3BDCCB73939E9B13AA59C'],
+  'D6558': ['B0BE179868CB54E2096D37644B1DF0BF405'],
+  'D6955': ['D9721560531274CB8F50FF595A9BD39D66F'],
+  'D6A32': ['96AC19DF3C3AB2CA74914A530829A5318B5'],
+  'D6D17': ['9707A746AFC233F3DFC4E96608319DA6177'],
+  'D6F7D': ['C74A8B9C6AEC2753204C6136FE6F516C929'],
+  'D6F9C': ['D9F2B557F417849C835C19B438789790734'],
+  'D7683': ['E52AF93B105A44FCEF5BD668A77FAFD49F9'],
+  'D77BA': ['39CEE073972BC000F3EB60F7CF221C2412F'],
+  'D7861': ['37A312E9FFD38408815B0B951E5B5E2A3AB'],
+  'D7CD5': ['6F2A2A3F47830760EDFB89946EB7B9E2CD1'],
+  'D812B': ['03A7F4B03215457DDDECC7F95AA83D5793E'],
+  'D81D4': ['530CC25B0370D4B4291BCF733C92521A07F'],
+  'D82BF': ['58FFA266185357215256AC1BFF3A264DB78'],
+  'D869D': ['B7FE62FB07C25A0403ECAEA55031744B5FB'],
+  'D87B8': ['54F0D9E4D34BB58A478EA07F9DFA64EEC35'],
+  'D8CD1': ['0B920DCBDB5163CA0185E402357BC27C265'],
+  'D90E8': ['10B6149C68041A109A73BC4C4B35682DB36'],
+  'D9698': ['31EB8A99CFF8C02E681F43289E5D3D69664'],
+  'D9C69': ['1D27B3766353BA245739E91737B922AD20A'],
+  'D9C71': ['F04624A780550414B4B4B2D4016ED5D4D41'],
+  'DA0E1': ['59D5D4299044F79F21022B30F585ED2166B'],
+  'DA23A': ['07E3FC6185947EAA985CDA3C8CFE6C3DAD0'],
+  'DA3CA': ['7D6A7954809011C4A28D5CAC36D0FE972AF'],
+  'DA6A8': ['1787AA46D8A11E046CCE8DB8B8D1BC2A923'],
+  'DAB85': ['0CC17977BFD6DF5A4094BECFA978EA153AE'],
+  'DAC9F': ['2F13CEB3F51DB047638879CE1B11D6D20CE'],
+  'DAD1E': ['5F4B84D0ADA3F2AB71A4E434EFE0EF04020'],
+  'DB02F': ['DB273142D6899A4E21C50BAAACBFB66E981'],
+  'DB13A': ['8D1E64346BE66AB2843B9C174546EE5B28E'],
+  'DB736': ['ABC2A0AD77180C9B2638DBB40E757A56363'],
+  'DBC5E': ['B621DC05FF94B56A8A3B51DCB0A13D3D72E'],
+  'DBCE7': ['05929C7DC1924EA1173F37652BB00F96D6D'],
+  'DBEA0': ['A57BD85CB0DEF9DE13675ADB5BF5906CAD5'],
+  'DC0AD': ['B37D6A0758A1F322B580DC5503C21660061'],
+  'DC0B1': ['6D9E34515EE180B5AD587370C259AA773DD'],
+  'DC25F': ['9DC0DF2BE9E6A83E6F0B26F4B41F57ADF6D'],
+  'DC3ED': ['5AB4675D5839EF39F0839CF8232E931E64C'],
+  'DC724': ['AF18FBDD4E59189F5FE768A5F8311527050'],
+  'DC76E': ['9F0C0006E8F919E0C515C66DBBA3982F785'],
+  'DC796': ['FFDB94337B1B76087DED630ADA2E7A02ACD'],
+  'DCADF': ['4A53CA1CA259A59875B966EF097652BFE6E'],
+  'DCF5B': ['CBFCCA2346E1C956860B3821510E5317E02'],
+  'DD08B': ['58E1D30DAD48D37A35A8760CFFE8D756CFA'],
+  'DD13C': ['D2AAF98F1FA09BE4EA0D546DB06CCD22A26'],
+  'DD1A4': ['245BBA6F1E344AC156111F5AE8ED03CB9C3'],
+  'DD242': ['D3A56DC2F6C87C04F954CC7C8943BB1A018'],
+  'DD3BD': ['5EDA76E9E3EDC20FD02F0DAC0E295C14EEA'],
+  'DD3E1': ['978D3AE097E0CF3864AA339689A4D5B9F3F'],
+  'DD5E1': ['A7292F2DB13E6DA76AFDF8EB9075798824B'],
+  'DD5FE': ['F9C1C1DA1394D6D34B248C51BE2AD740840'],
+  'DDF6C': ['9A1DF4D57AEF043CA8610A5A0DEA097AF0B'],
+  'DE059': ['F5E3AB6BCEA2DD78BE4A6B61F7AA0DFC2E6'],
+  'DE346': ['0832EA070EFFABBC7032D7594BBDE1BB120'],
+  'DE428': ['5EE8A9FB99C856C61C9025A01DD104AA506'],
+  'DE87A': ['BEDA29D146EDC1113416AA041128D5D973F'],
+  'DEB8B': ['3652C5E0B0C65788D33A174D178B5FD03E1'],
+  'DECEF': ['3DCD0574B5C2AED7773F84679B9174CB480'],
+  'DEEF6': ['132A40116276C4AF9F1CF2003EABBC04059'],
+  'DEF1C': ['AC8277B55B62D6889E51352A77E3186587B'],
+  'DF068': ['F4F21749D917632391113761485ED78CABE'],
+  'DF18C': ['E139EBB7D8609871821F5E1B71F5AD03556'],
+  'DF1E9': ['A98B8022278F1A6B7F5F058E2B35696C680'],
+  'DF3F0': ['33901AAEE54FA5583F17B63EF9EACBA302D'],
+  'DF70F': ['9B975B42116EE6C0231A7E6EAD0BBB283AA'],
+  'DFB44': ['AA43793796091A3371055E3FD74B989B6D8'],
+  'DFE8D': ['940299C6FD6B44EE7508D35957BDB76A30A'],
+  'E022D': ['4C173F094B4521227D801F8BF21A3514833'],
+  'E0350': ['9E8CD8D8BA99567AD8FEE371A39F465EC22'],
+  'E06ED': ['B3D1A727F2967EA6637A1A7EC404B295726'],
+  'E072F': ['C86E1A388FD494DD1E0A57EA24D35E553EE'],
+  'E07C4': ['32320DE593B80D14993C5683D7ACF8AB6E1'],
+  'E07F8': ['C4AB682212744526982F0F08D336E1C9041'],
+  'E0836': ['12B4A67573E1D46743C39878D44E81916CD'],
+  'E0C95': ['748A455C27A80FD289269120D4944D1F318'],
+  'E101F': ['D352E2D56EC1FDDEECB5164592CC49F3ABD'],
+  'E11C2': ['0311C2F0D71BEDF932E6F55C47F91679FD2'],
+  'E11C8': ['F52EEF6A4F51C4A403C9FBE86CF8A8A557A'],
+  'E1345': ['BAABD92FCA43278FDFE27CCDCB9957B0212'],
+  'E17D2': ['28BC3AEE644A4B725C117BAECA12568E00B'],
+  'E279E': ['02360FCC33D70DB6C32C23454BB466E2D55'],
+  'E281E': ['E0324CDB4FCA61F1E61051F9C00741F790C'],
+  'E2869': ['77B13F1A89E20D0459207545D15FE1EBA08'],
+  'E2B80': ['156840CCF0324AB9EBBEB309A2604E7DDA4'],
+  'E331B': ['72617E2A02B6A8D9F24065D1A293B6F99BB'],
+  'E35BE': ['CE6C5E6E0E86CA51D0440E92282A9D6AC8A'],
+  'E38AD': ['214943DAAD1D64C102FAEC29DE4AFE9DA3D'],
+  'E3CD9': ['F6469FC3E1ACFB9F2BDBFC5A3D2BBB8E2AD'],
+  'E4210': ['28269715F36C3FC6CA42F5FA4787876AD0D'],
+  'E436C': ['21431EBC4241FDEE8A60307F8E9EB711D82'],
+  'E4633': ['E6488550FD1314F21C5FDEDE6149AA98FB7'],
+  'E4D8B': ['A04D0C630C70501EA0779A7DFA62B1481EC'],
+  'E4F81': ['994FED009C24D31EFD799E2D47A74A60F1F'],
+  'E509A': ['606D9BE18122A400E876CC2935DFB6E427F'],
+  'E52C8': ['54D5631EEC7468BA4727B4C77EB745F2965'],
+  'E59E8': ['B61D945A074033E7622671C6C5EDC3FD551'],
+  'E5A0A': ['F1773F05A4DF991573A065F34BA3F6A876E'],
+  'E5CB6': ['EECD6BC68CA188FB03D16A384D5F917EC26'],
+  'E5E02': ['13249CD5BD8FB9D09BB50854072D3DFA7DB'],
+  'E5E9F': ['A1BA31ECD1AE84F75CAAA474F3A663F05F4'],
+  'E643E': ['81D2800486AB1928E09016F949B1892CD27'],
+  'E6852': ['777C0260493DE41FB43918AB07BBB3A659C'],
+  'E6862': ['933EAEEBBE8181C8BBCC6926C8F2D32A742'],
+  'E68E1': ['1BE8B70E435C65AEF8BA9798FF7775C361E'],
+  'E6BF3': ['D54C30A7C713C4676A5E3CCE1E3C08FAD9A'],
+  'E6E23': ['488B794D4CEC72E15F0457CDD24414EA6A7'],
+  'E6E40': ['3369F3E875AE08E3A9DC9E05C25C8D5A762'],
+  'E80BF': ['E01AB62CCE79C41210ABDD0FC32D802B0F2'],
+  'E8126': ['C64C3486E84081FFFAD6A0AB22D4267BB41'],
+  'E88AE': ['13ACCEC5997E614B0859E992823F779B948'],
+  'E8947': ['193ED5C142C854BD8B1284A22E3BF431AD5'],
+  'E8B63': ['B3703C4F87F825CAF1B9F8F3F0D6CA47B9B'],
+  'E9019': ['6F9B2FCCD9C137F64B2B5DAB3A63F80137D'],
+  'E9199': ['FEBDAAB27118BAC1B42FEACB4F953051759'],
+  'E92CE': ['B2819F9D9406DC23B86E0E2D5E9305749F1'],
+  'E931E': ['59E35C3F43C6EF00FCD487EE2154E1A102B'],
+  'E9685': ['7C58F716104CAEAD648EE6AA61AB8E41CDC'],
+  'E9A97': ['D713E8F3D5594E89402AE499B63C2058A2C'],
+  'E9AF5': ['88C391D883301918A06D0C99F2BAB3E8089'],
+  'EA991': ['18A64FA98D0E0F6A02489F843C86507D45D'],
+  'EAC57': ['2194EA4090D890C32AE80874B135DA360C0'],
+  'EAC5E': ['A04F135AA8B494DE81DEE1B9C845D05AFF6'],
+  'EACB0': ['D1B53A6F12893E95C7C5AEC16DE3FF2A939'],
+  'EB13C': ['E21D87064BBCADD70FC0ECDD0C03FB35D26'],
+  'EB22C': ['5E28ADF024CFEE08804C00DDB9AC2973892'],
+  'EB4DA': ['12BF661C55780BA953E97DDE6341B4C556D'],
+  'EB564': ['145C24984C394D771AB1A9777CC8BB6FE85'],
+  'EB97D': ['E16395E85FD8C56544ADADE183DD9156391'],
+  'EB9C5': ['DEE0395B44141E4BE306B216F20A2AA3175'],
+  'EBFC7': ['910077770C8340F63CD2DCA2AC1F120444F'],
+  'EC0F1': ['0698082C93DB66CC3BACC7C4262043D5C37'],
+  'EC1E7': ['FB8656DBA32737ACABC2E5A1FB2D02A973F'],
+  'EC2AC': ['7B0E2170E3B1C73C8ABDD91D0C9D273A063'],
+  'EC2D7': ['744C603BAF507E66BF82835DFB6204656A8'],
+  'EC30A': ['DC79E734900430E4174CF0A36C2D0C42272'],
+  'EC408': ['3CA341DA86269204F1FDEBBA909F0F5699E'],
+  'EC5FC': ['916F5E002027E902B68F13D7C2053445539'],
+  'EC65A': ['740F5A00CAFE7C7FB6DE725FE369C87F0DE'],
+  'ECBE2': ['68D2F10251197729B55A6108D25E80B013E'],
+  'ECC92': ['703E8C212215FF4BB71209A4636F0CDBF3C'],
+  'ED1ED': ['2E2C22317ADB1B3B16245517675F16D0F2F'],
+  'ED9D3': ['D832AF899035363A69FD53CD3BE8F71501C'],
+  'EDE74': ['204CD2F715845E829B83805973872C0B6D4'],
+  'EDE92': ['7F8E42318A8DB02C0F74ADC2D9E16770339'],
+  'EDF36': ['0B3F9F25E1B43F3777DB55C002035DCFE5C'],
+  'EE279': ['29623E2E5214F6BE5ECB9CEE919CF63EE16'],
+  'EE6AB': ['BD5F3060A8D4DA31D7A9AF7C88A7FC12450'],
+  'EE8D8': ['728F435FD550F83852AABAB5234CE1DA528'],
+  'EEA08': ['3B62231B96A620E017C77AAE53725C5D8EA'],
+  'EF0EB': ['BB77298E1FBD81F756A4EFC35B977C93DAE'],
+  'EF5A3': ['BFB007D8C6A5FF926C57A6F161930AC0C7A'],
+  'EF7A5': ['5553260A8FBAFA1D55A22076EDEBDA8A3FE'],
+  'EFBC1': ['9993C089DE75C87E4017F0C73E2FC9DA863'],
+  'EFEDA': ['2605ADC89C2C982057B0118C30A3D244DF0'],
+  'EFEF9': ['524B3009152AA613F74E9E812E3C9A5818E'],
+  'EFFD6': ['02B9EA19F90334A5758AF4F4893275BB30E'],
+  'F0151': ['68A2406CA60532D6FE4414CB18124502FAD'],
+  'F0578': ['F1E7174B1A41C4EA8C6E17F7A8A3B88C92A'],
+  'F074A': ['E548A312B9D63E9DC51237DB4B620079120'],
+  'F0B9E': ['01AA06F53CD94B9A07BC3AC3085E2B4A5C9'],
+  'F0C72': ['DFFA3814CA6AED3A563ADD9C68B2832379C'],
+  'F0CB2': ['0A87BF74D02E2B573C0C5AB28AB16C59229'],
+  'F0F0D': ['617AA337B192DA8BE09FFDDB08DB06B3900'],
+  'F0F8E': ['902CA7A41C634C5C8247D4B94F2C9B351FB'],
+  'F0F98': ['2D18912D32D383A3BAEE19E270F619B3FA7'],
+  'F1707': ['F87B7662B61EA627B9769338D60AA852E16'],
+  'F1B49': ['8E6A9D7AA8DF01160B62DB30CC5482FAB0E'],
+  'F209A': ['C0CCC57CCF0810D048B501E16CB4F3C06A9'],
+  'F2439': ['E4EA89A947308076ED64BCB5EDD10BA4892'],
+  'F25B7': ['2CF45C8EF0687D919E455F9064205653713'],
+  'F277B': ['09C7DC066AE2B834759BD17F548C7506932'],
+  'F2847': ['B1BD9624F927E979C1846D9FE17DD65F518'],
+  'F2A12': ['72816DCD7ED77534ABE2B9B80D11C90495A'],
+  'F2B14': ['F68EB995FACB3A1C35287B778D5BD785511'],
+  'F3215': ['7A45887E4FE5ADC0B5198F7EC4920A526D7'],
+  'F3583': ['CD8E44409E1010F472BD8938B79C5CFBFDE'],
+  'F3B86': ['6446EA5B206F3F4E4BEFE85C9683D645CA3'],
+  'F3D11': ['F4AD2A240E00B463518A8F136AC2D607047'],
+  'F3DED': ['32B361404F76879127313BF3E4D5160D409'],
+  'F3E15': ['96EA9B85B72416B7A6937B1A8C1496AA4A9'],
+  'F42F2': ['1B46F82A6EF7B235CA4E35ADCCF4CA94803'],
+  'F4A69': ['973E7B0BF9D160F9F60E3C3ACD2494BEB0D'],
+  'F4B75': ['11CA7F480FE526F0E3F918CED3D59B722DC'],
+  'F4E5A': ['9D79B669A64DBDE9C5F60FA86509CF598F9'],
+  'F4E7A': ['8740DB0B7A0BFD8E63077261475F61FC2A6'],
+  'F4EE7': ['415066B23ED0C5555E3A10AA76726A995D7'],
+  'F5162': ['C9B9CD57D51E8F2B5B9158A928EE41CE21E'],
+  'F5562': ['7EBC3997247413A4972BAA5525D6D730370'],
+  'F5C56': ['65E4FD7EDBCF7990FD4EA02588FEC09FB38'],
+  'F5CB7': ['7A8E8BC85A43EDD8C180EE5BF504E389C0C'],
+  'F60ED': ['E23F36BAE119BF725EF701AF71B86865B18'],
+  'F63C3': ['456CACD9E36A7A50951ECECC7AFF2391274'],
+  'F64DE': ['3184FB2DE1B64884937616715D494FB168E'],
+  'F6AFB': ['5351BFB2224CE78C4695563EA08D66E3FA7'],
+  'F6E25': ['EDC6F7A9BFE79F39C904ED0B3BE653AC139'],
+  'F6F91': ['716C376B79B296724F42982439541055FB6'],
+  'F700A': ['6934E78CD908CB5665CD84F89318BFA2D43'],
+  'F715F': ['FAF2C8294DF43DF3357C6A37F04B900FB06'],
+  'F71B4': ['7E5F8BE4C6E31DAD9F5BB646B0D544B5A90'],
+  'F71FE': ['67A9E4B4FF8318C6773B088ABCF3E537073'],
+  'F73D5': ['43F6238A986B0288624DFA53A37F048D2D1'],
+  'F766E': ['1E8F4CD5A247079C0B3BEDADFF6A93D70C3'],
+  'F77BC': ['3A1021E5B290D5C18E63E5E4A840B6D7115'],
+  'F77D5': ['687ACEE6484A780EEFFCBAF823D1E228543'],
+  'F7872': ['BA682888416D526677291111E0E638111F1'],
+  'F7A9E': ['24777EC23212C54D7A350BC5BEA5477FDBB'],
+  'F7C3B': ['C1D808E04732ADF679965CCC34CA7AE3441'],
+  'F7D70': ['817428F9772BB98CE12D3A17C9D4CB8ADA5'],
+  'F7DEE': ['51DB0CA6D941A2863EBC1539E203EFD2547'],
+  'F7FEB': ['F42E900FDCD785254DA96C95F868FD3C268'],
+  'F7FF9': ['E8B7BB2E09B70935A5D785E0CC5D9D0ABF0'],
+  'F80D0': ['CA101E967B50B730DDF8E8ACA0DE85E8DF6'],
+  'F8248': ['E12727710C946F73D8F6E02EB93530DD9DE'],
+  'F865B': ['53623B121FD34EE5426C792E5C33AF8C227'],
+  'F872C': ['AAD177D67BBE18C119D0505F2D3CAA02AF3'],
+  'F872D': ['FF066FDAED1B9002EEC00980AACBA4DE4B7'],
+  'F8A48': ['E5BA1072379DAFE561AC15D1A90C0690985'],
+  'F8C38': ['B2167C0AB6D7C720E47C2139428D77D8B6A'],
+  'F8DEA': ['91010CE6DEE706EC3A61D10D4C6CFC1EB69'],
+  'F8F11': ['7E9D86335F99553784796635727A56324B4'],
+  'F977B': ['03753624D00A92BA5484778E5B71847DE7A'],
+  'F97A3': ['48BF0D36E5288F7AA11D5C5CE9C3DC6A8C9'],
+  'F9A6D': ['B4A656F5001ACF8E222B09C35CDF0406DDE'],
+  'F9BE0': ['52B17EF83F760AE45B9EDE984527BC62C9E'],
+  'F9E6D': ['0785C5A5016BFA187C8F525633FF7511E21'],
+  'FA3C9': ['ECFC251824DF74026B4F40E4B373FD4FC46'],
+  'FA6A4': ['B8EA1ECAA175397675AC8ACDE449423EEEF'],
+  'FA907': ['C72A21634570E7F7BDE8E3CF5081C90EE8B'],
+  'FA9BE': ['B99E4029AD5A6615399E7BBAE21356086B3'],
+  'FAB75': ['4E2FD5DCF32F41DA8C0C475215C51AE96C2'],
+  'FABA0': ['3A1732D697D527760D2C395B1EF6B842115'],
+  'FABAC': ['D1F32A96908C48F98891719001B3A7B5559'],
+  'FAC67': ['3092FBDCAB2CD92EFC19675F2750ED97CA1'],
+  'FACE8': ['3EE3014BDC8F98203CC94E2E89222452E90'],
+  'FB1D7': ['95EF4C9FAE648DC5AFBA7A1FD4CDC981F68'],
+  'FB1E0': ['716797ECB43940CBAFA3AC371F8F912ACE9'],
+  'FB480': ['B7B731B2255B35C09E4F04DBBEF4C2ECE73'],
+  'FB7AC': ['CBAE065DD6A0417AEED7299564D3F58C168'],
+  'FB9A7': ['B842C78E1242986574FF087CE98FEE3DC8D'],
+  'FBA9F': ['1C9AE2A8AFE7815C9CDD492512622A66302'],
+  'FC6FA': ['E10DB2BD0B625077D7C6D1B9A96925FD2B7'],
+  'FC7AC': ['F2361E0E60243031B7E2B89C8AFC25A60D5'],
+  'FC84A': ['AA687374AED41957693F32664E5F4981862'],
+  'FCB8A': ['F0F7A61CA89B982DF008804BF55EF2A43B8'],
+  'FCB8F': ['40140297C7D1E3464C53E1F9A8BC4DDBEDF'],
+  'FCC13': ['CCAE73DC28EB436889A2A4989F192CB8387'],
+  'FCDB1': ['EFC200970CFF5B9D0CE2E3BA075C4E98EFD'],
+  'FD09C': ['20FB205E745FC3BD47CC2212B145798D969'],
+  'FD4FC': ['482476FAAC1DBC927E0E1E8277CE758B364'],
+  'FD68D': ['303E5C01C188D5518526CEE844721646A36'],
+  'FD9A1': ['67FA59EC5555D24190B8D8F06B2F73CEFBD'],
+  'FDB60': ['8CCCAC07C273AB532BB41EEA07E2DDCCF4E'],
+  'FDCA2': ['95090BAD302FA44F5929920E7ED4DE7D9BB'],
+  'FDD31': ['90822279450C88EA5CD4FABAA9B635CD9B2'],
+  'FE36A': ['7568B962D63942B658548929DB331A15C99'],
+  'FEB10': ['EBF176BFD818381DE3998402305C9DB6D80'],
+  'FEF2D': ['9FFAADA9B006BD133B342499B4651B8E26D'],
+  'FEF5D': ['355F0EDBAAB64FA8EBB91D227AD1999114C'],
+  'FEF9C': ['3C85A8B4B9BA5A01EAFC0C49DAD1E5F94D4'],
+  'FF05F': ['994E3F73D8107C2D8FFF212A662831DBE06'],
+  'FF32B': ['049E8ACF1DC6784A04D2427DF60A7812B5F'],
+  'FF395': ['1E5BE8B573728B623515953C65517D772DA'],
+  'FF4C7': ['367E4DA28145902749E950F81039557C4BE'],
+  'FF52C': ['B37F3818B8B7F4E175CF222D7F6E75C2CB4'],
+  'FFA94': ['F5D114D2BDE323418E142D6AC8F4065C3D8'],
+  'FFAA1': ['A5A4DF06E38823175B782F42E8AD7807B34'],
+  'FFCC5': ['67D51BA4225475C5A11ED0D43D786269BD8'],
+  'FFD9C': ['BB68EBCEFBF05C4C3B2F350F361CC755840']
+}
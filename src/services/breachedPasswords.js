@@ -0,0 +1,54 @@
+import { translate } from './i18n'
+
+/**
+ * Breached-password check using k-anonymity
+ * Only the first five hex characters of the password's SHA-1 hash are handed to the
+ * range source; it answers with every known breached hash suffix under that prefix and
+ * the comparison happens here. This is the protocol of the Pwned Passwords range API,
+ * so the bundled offline list can be swapped for the online service:
+ *   createBreachedPasswordChecker({
+ *     fetchRange: prefix => fetch(`https://api.pwnedpasswords.com/range/${prefix}`)
+ *       .then(response => response.text())
+ *       .then(text => text.split('\n').map(line => line.split(':')[0]))
+ *   })
+ */
+
+const toHex = (buffer) =>
+  [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase()
+
+/**
+ * Suffixes for a prefix from the list bundled with the app, loaded on first use
+ */
+const fetchBundledRange = async (prefix) => {
+  const { BREACHED_PASSWORD_RANGES } = await import('./breachedPasswordRanges')
+  return BREACHED_PASSWORD_RANGES[prefix] || []
+}
+
+/**
+ * Create a breached-password checker
+ * @param {Object} options
+ * @param {Function} options.fetchRange - async (prefix) -> hash suffixes (default: bundled offline list)
+ */
+export const createBreachedPasswordChecker = ({ fetchRange = fetchBundledRange } = {}) => ({
+  /**
+   * @param {string} password - Candidate password
+   * @returns {Promise<boolean>} - Whether the password appears in breach data
+   */
+  async isBreached(password) {
+    if (!password) return false
+
+    const hash = toHex(await crypto.subtle.digest('SHA-1', new TextEncoder().encode(password)))
+    const suffixes = await fetchRange(hash.slice(0, 5))
+    return suffixes.some(suffix => suffix.toUpperCase() === hash.slice(5))
+  }
+})
+
+/**
+ * Checker used by the forms and the demo backend
+ */
+export const defaultBreachedPasswordChecker = createBreachedPasswordChecker()
+
+/**
+ * Error shown for a breached password, in the active language
+ */
+export const getBreachedPasswordMessage = () => translate('password.breached')
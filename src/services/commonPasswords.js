@@ -0,0 +1,26 @@
+/**
+ * Most common passwords from public breach corpora, most frequent first
+ * The strength estimator treats them as dictionary words ranked by position.
+ */
+export const COMMON_PASSWORDS = [
+  '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111', '1234567', 'dragon',
+  '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein', '696969', 'shadow', 'master', '666666',
+  'qwertyuiop', '123321', 'mustang', '1234567890', 'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212',
+  '000000', 'qazwsx', '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+  'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou', '2000', 'charlie',
+  'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars', 'klaster', '112233', 'george', 'computer',
+  'michelle', 'jessica', 'pepper', '1111', 'zxcvbn', '555555', '11111111', '131313', 'freedom', '777777',
+  'pass', 'maggie', '159753', 'aaaaaa', 'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer',
+  'love', 'ashley', 'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees', '987654321', 'dallas',
+  'austin', 'thunder', 'taylor', 'matrix', 'mobilemail', 'mom', 'monitor', 'monitoring', 'montana', 'moon',
+  'moscow', 'welcome', 'admin', 'login', 'passw0rd', 'password1', 'password123', 'qwerty123', 'qwe123', 'abcdef',
+  'abcd1234', 'changeme', 'secret', 'default', 'guest', 'root', 'administrator', 'letmein1', 'football1', 'baseball1',
+  'dragon1', 'monkey1', 'shadow1', 'master1', 'sunshine1', 'princess1', 'iloveyou1', 'welcome1', 'whatever', 'nothing',
+  'hello', 'hello123', 'flower', 'lovely', 'orange', 'purple', 'silver', 'golden', 'diamond', 'secret1',
+  'samsung', 'google', 'apple', 'internet', 'cookie', 'banana', 'chocolate', 'butterfly', 'forever', 'family',
+  'asdfghjkl', 'asdf', 'qwer', 'zaq12wsx', '1q2w3e4r', '1q2w3e', 'q1w2e3r4', '123abc', 'a1b2c3', 'test',
+  'test123', 'testing', 'temp', 'temp123', 'user', 'demo', 'sample', 'example', 'blink182', 'pokemon',
+  'naruto', 'liverpool', 'arsenal', 'chelsea1', 'barcelona', 'madrid', 'london', 'paris', 'spring', 'winter',
+  'autumn', 'january', 'december', 'monday', 'friday', 'angel', 'angels', 'jesus', 'christ', 'heaven',
+  'loveme', 'lovers', 'mylove', 'baby', 'babygirl', 'sweety', 'sweetheart', 'friends', 'bestfriend', 'qwerty1'
+]
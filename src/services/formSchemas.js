@@ -0,0 +1,143 @@
+import { PASSWORD_POLICY, validateNewPassword } from './passwordPolicy'
+import { defaultBreachedPasswordChecker, getBreachedPasswordMessage } from './breachedPasswords'
+import { translate } from './i18n'
+import {
+  AVATAR_MAX_LENGTH,
+  DISPLAY_NAME_MAX_LENGTH,
+  isSupportedLocale,
+  isValidTimeZone
+} from './profile'
+
+/**
+ * Field rules for the auth forms (see services/formValidation)
+ * Every page and the demo backend read their rules from here, so a rule
+ * such as the password length only has to change in one place.
+ * Messages are translated each time they are shown, in the active language.
+ */
+
+const message = (id, params) => () => translate(id, params)
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Existing accounts may predate the current new-password rules
+export const LOGIN_PASSWORD_MIN_LENGTH = 6
+
+export const emailRules = {
+  required: message('validation.emailRequired'),
+  pattern: { value: EMAIL_PATTERN, message: message('validation.emailInvalid') }
+}
+
+/**
+ * Rules for the firstName or lastName field
+ */
+const nameRules = (field) => ({
+  required: message(`validation.${field}Required`),
+  minLength: { value: 2, message: message(`validation.${field}MinLength`, { min: 2 }) }
+})
+
+/**
+ * Rules for choosing a password: the password policy plus the breach check
+ * @param {Object} userInputs - email and names of the account; defaults to the form's own values
+ * @returns {Object}
+ */
+export const createNewPasswordRules = (userInputs) => ({
+  required: message('password.required'),
+  validate: (value, values) => validateNewPassword(value, userInputs || values),
+  validateAsync: async (value) => {
+    if (!PASSWORD_POLICY.checkBreaches) return ''
+    return await defaultBreachedPasswordChecker.isBreached(value) ? getBreachedPasswordMessage() : ''
+  }
+})
+
+export const newPasswordRules = createNewPasswordRules()
+
+const confirmationOf = (field) => ({
+  required: message('validation.confirmPasswordRequired'),
+  matches: { field, message: message('validation.passwordsDontMatch') }
+})
+
+const confirmPasswordRules = confirmationOf('password')
+
+export const loginSchema = {
+  email: emailRules,
+  password: {
+    required: message('password.required'),
+    minLength: {
+      value: LOGIN_PASSWORD_MIN_LENGTH,
+      message: message('password.minLength', { min: LOGIN_PASSWORD_MIN_LENGTH })
+    }
+  }
+}
+
+export const signupSchema = {
+  firstName: nameRules('firstName'),
+  lastName: nameRules('lastName'),
+  email: emailRules,
+  password: newPasswordRules,
+  confirmPassword: confirmPasswordRules,
+  agreeToTerms: { required: message('validation.agreeToTerms') }
+}
+
+/**
+ * Signup rules plus a live check that the email is not registered yet
+ * @param {Function} checkEmailAvailable - async (email, { signal }) -> boolean
+ * @returns {Object}
+ */
+export const createSignupSchema = (checkEmailAvailable) => ({
+  ...signupSchema,
+  email: {
+    ...emailRules,
+    validateAsync: async (email, values, { signal }) =>
+      await checkEmailAvailable(email, { signal }) ? '' : translate('validation.emailTaken')
+  }
+})
+
+export const emailOnlySchema = {
+  email: emailRules
+}
+
+/**
+ * Rules for the reset password form of the account with this email
+ */
+export const createResetPasswordSchema = (email) => ({
+  password: createNewPasswordRules({ email }),
+  confirmPassword: confirmPasswordRules
+})
+
+/**
+ * Rules for the change password form of a signed-in user
+ * @param {Object} user - Signed-in user, whose email and names may not appear in the new password
+ */
+export const createChangePasswordSchema = (user) => ({
+  currentPassword: { required: message('validation.currentPasswordRequired') },
+  newPassword: createNewPasswordRules({ email: user?.email, firstName: user?.firstName, lastName: user?.lastName }),
+  confirmPassword: confirmationOf('newPassword')
+})
+
+export const changeEmailSchema = {
+  newEmail: emailRules,
+  password: { required: message('password.required') }
+}
+
+export const profileSchema = {
+  firstName: nameRules('firstName'),
+  lastName: nameRules('lastName'),
+  displayName: {
+    maxLength: {
+      value: DISPLAY_NAME_MAX_LENGTH,
+      message: message('validation.displayNameMaxLength', { max: DISPLAY_NAME_MAX_LENGTH })
+    }
+  },
+  avatarUrl: {
+    pattern: { value: /^data:image\/(png|jpeg|webp);base64,/, message: message('validation.avatarType') },
+    maxLength: { value: AVATAR_MAX_LENGTH, message: message('validation.avatarTooLarge') }
+  },
+  timezone: {
+    required: message('validation.timezoneRequired'),
+    validate: (value) => isValidTimeZone(value) ? '' : translate('validation.timezoneInvalid')
+  },
+  locale: {
+    required: message('validation.localeRequired'),
+    validate: (value) => isSupportedLocale(value) ? '' : translate('validation.localeInvalid')
+  }
+}
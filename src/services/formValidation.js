@@ -0,0 +1,87 @@
+/**
+ * Declarative form validation
+ * A schema maps field names to rules, checked in this order; the first failing rule
+ * provides the field's message:
+ *   required      - message; fails on '' and unchecked checkboxes
+ *   minLength     - { value, message }
+ *   maxLength     - { value, message }
+ *   pattern       - { value: RegExp, message }
+ *   matches       - { field, message }; must equal another field (e.g. confirm password)
+ *   validate      - (value, values) -> message | ''
+ *   validateAsync - async (value, values, { signal }) -> message | ''; only run once the rules
+ *                   above pass. While typing, useForm waits `debounce` ms (default 400) after the
+ *                   last change and aborts the signal of a check that a newer one replaces.
+ * Rules other than `required` are skipped while a field is empty.
+ * A message may also be a function returning it, so it can be translated when shown.
+ */
+
+const isEmpty = (value) => value === '' || value === false || value === null || value === undefined
+
+const resolveMessage = (message) => (typeof message === 'function' ? message() : message)
+
+/**
+ * Run a field's synchronous rules
+ * @param {Object} rules - Rules of the field
+ * @param {*} value - Field value
+ * @param {Object} values - All form values, for rules comparing fields
+ * @returns {string} - Error message, or an empty string when valid
+ */
+export const validateFieldSync = (rules = {}, value, values = {}) => {
+  if (isEmpty(value)) {
+    return resolveMessage(rules.required) || ''
+  }
+  if (rules.minLength && String(value).length < rules.minLength.value) {
+    return resolveMessage(rules.minLength.message)
+  }
+  if (rules.maxLength && String(value).length > rules.maxLength.value) {
+    return resolveMessage(rules.maxLength.message)
+  }
+  if (rules.pattern && !rules.pattern.value.test(value)) {
+    return resolveMessage(rules.pattern.message)
+  }
+  if (rules.matches && value !== values[rules.matches.field]) {
+    return resolveMessage(rules.matches.message)
+  }
+  return rules.validate?.(value, values) || ''
+}
+
+/**
+ * Run every rule of a field, including async validators
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Passed on to the async validator
+ * @returns {Promise<string>} - Error message, or an empty string when valid
+ */
+export const validateField = async (rules = {}, value, values = {}, { signal } = {}) => {
+  const error = validateFieldSync(rules, value, values)
+  if (error || isEmpty(value) || !rules.validateAsync) return error
+  return (await rules.validateAsync(value, values, { signal })) || ''
+}
+
+/**
+ * Validate every field of a schema
+ * An async validator that fails (e.g. network down) does not block the form;
+ * the server checks the submitted values again anyway.
+ * @param {Object} schema - Field rules keyed by name
+ * @param {Object} values - Form values
+ * @returns {Promise<Object>} - Messages keyed by field name, only for invalid fields
+ */
+export const validateValues = async (schema, values) => {
+  const entries = await Promise.all(
+    Object.entries(schema).map(async ([name, rules]) => {
+      try {
+        return [name, await validateField(rules, values[name], values)]
+      } catch (error) {
+        console.error(`Validation error for ${name}:`, error)
+        return [name, '']
+      }
+    })
+  )
+  return Object.fromEntries(entries.filter(([, error]) => error))
+}
+
+/**
+ * Fields whose `matches` rule points at the given field
+ * @returns {string[]}
+ */
+export const getDependentFields = (schema, name) =>
+  Object.keys(schema).filter(field => schema[field].matches?.field === name)
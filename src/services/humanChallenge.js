@@ -0,0 +1,44 @@
+/**
+ * Human-verification challenges (CAPTCHA)
+ * After repeated failed sign-ins the backend asks for a challenge response with the
+ * next attempt. A challenge provider has two halves:
+ *   - a widget, registered in components/ChallengeWidget, that calls onVerify(response)
+ *   - a verifier with verify(response) -> Promise<boolean>, passed to the backend adapter
+ * Real providers (Turnstile, hCaptcha, reCAPTCHA) plug in the same way; their verifier
+ * posts the response to the provider's site-verify endpoint.
+ *
+ * The fake provider below needs no network and is meant for development and tests.
+ */
+
+export const FAKE_CHALLENGE_PREFIX = 'fake-challenge.'
+
+const FAKE_CHALLENGE_TTL = 2 * 60 * 1000 // 2 minutes
+
+/**
+ * Response the fake widget hands back once solved
+ * @returns {string}
+ */
+export const createFakeChallengeResponse = () =>
+  `${FAKE_CHALLENGE_PREFIX}${Date.now()}.${crypto.randomUUID()}`
+
+/**
+ * Verifier accepting fresh fake responses, each one once
+ * @param {Object} options
+ * @param {number} options.ttl - How long a response stays valid, in ms
+ */
+export const createFakeChallengeVerifier = ({ ttl = FAKE_CHALLENGE_TTL } = {}) => {
+  const used = new Set()
+
+  return {
+    async verify(response) {
+      if (typeof response !== 'string' || !response.startsWith(FAKE_CHALLENGE_PREFIX)) return false
+      if (used.has(response)) return false
+
+      const issuedAt = Number(response.slice(FAKE_CHALLENGE_PREFIX.length).split('.')[0])
+      if (!(Date.now() - issuedAt < ttl)) return false
+
+      used.add(response)
+      return true
+    }
+  }
+}
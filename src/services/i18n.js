@@ -0,0 +1,189 @@
+import en from './locales/en'
+
+/**
+ * Translations for the UI
+ * Messages live in per-language catalogs (services/locales) keyed by id, e.g. 'login.title'.
+ * English is bundled and fills in for any message a catalog lacks; the other catalogs are
+ * loaded on demand. Messages use a subset of ICU MessageFormat:
+ *   {name}                                          - Interpolation
+ *   {count, plural, =0 {none} one {# item} other {# items}} - Plural forms of the language;
+ *                                                     # is the number, formatted for the language
+ *   {value, select, a {...} other {...}}            - Choice by value
+ */
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English', direction: 'ltr' },
+  { code: 'ar', label: 'العربية', direction: 'rtl' },
+  { code: 'ur', label: 'اردو', direction: 'rtl' }
+]
+
+const CATALOG_LOADERS = {
+  ar: () => import('./locales/ar'),
+  ur: () => import('./locales/ur')
+}
+
+const STORAGE_KEY = 'language'
+
+const catalogs = { en }
+let activeLanguage = DEFAULT_LANGUAGE
+
+export const isSupportedLanguage = (language) => LANGUAGES.some(option => option.code === language)
+
+/**
+ * Text direction of a language
+ * @returns {'ltr'|'rtl'}
+ */
+export const getDirection = (language) =>
+  LANGUAGES.find(option => option.code === language)?.direction || 'ltr'
+
+/**
+ * First supported language among locale tags, matched on the language part ("ar-EG" -> "ar")
+ * @param {string[]} locales - Preferred locales, most preferred first
+ * @returns {string|null}
+ */
+export const matchLanguage = (locales = []) => {
+  for (const locale of locales) {
+    const language = String(locale).toLowerCase().split(/[-_]/)[0]
+    if (isSupportedLanguage(language)) return language
+  }
+  return null
+}
+
+/**
+ * Language to start with: the one picked in the switcher, else the browser's preference
+ * @param {Storage} storage - Where the choice is remembered (default: localStorage)
+ * @returns {string}
+ */
+export const detectLanguage = (storage = localStorage) => {
+  const stored = storage.getItem(STORAGE_KEY)
+  if (isSupportedLanguage(stored)) return stored
+
+  const preferred = typeof navigator === 'undefined'
+    ? []
+    : navigator.languages?.length ? navigator.languages : [navigator.language]
+  return matchLanguage(preferred) || DEFAULT_LANGUAGE
+}
+
+/**
+ * Remember a language picked in the switcher
+ */
+export const storeLanguage = (language, storage = localStorage) => {
+  storage.setItem(STORAGE_KEY, language)
+}
+
+/**
+ * Load a language's catalog, once
+ * @returns {Promise<Object>}
+ */
+export const loadCatalog = async (language) => {
+  if (!catalogs[language]) {
+    const module = await CATALOG_LOADERS[language]()
+    catalogs[language] = module.default
+  }
+  return catalogs[language]
+}
+
+/**
+ * Make a loaded language the one translate() uses by default
+ * The I18nProvider (hooks/useI18n) calls this; services such as the form schemas
+ * translate their messages at the time they produce them.
+ */
+export const setActiveLanguage = (language) => {
+  activeLanguage = language
+}
+
+export const getActiveLanguage = () => activeLanguage
+
+/**
+ * Fill in a message's arguments
+ * @param {string} message - Message in the ICU subset described above
+ * @param {Object} params - Argument values by name
+ * @param {string} language - Language for plural rules and numbers
+ * @returns {string}
+ */
+export const formatMessage = (message, params = {}, language = activeLanguage) => {
+  let position = 0
+
+  // Text up to the closing brace of the current block, or the end
+  const readText = (pluralValue) => {
+    let text = ''
+    while (position < message.length && message[position] !== '}') {
+      const char = message[position]
+      if (char === '{') {
+        position++
+        text += readArgument()
+      } else if (char === '#' && pluralValue !== undefined) {
+        position++
+        text += new Intl.NumberFormat(language).format(pluralValue)
+      } else {
+        position++
+        text += char
+      }
+    }
+    return text
+  }
+
+  const readUntil = (stops) => {
+    const start = position
+    while (position < message.length && !stops.includes(message[position])) position++
+    return message.slice(start, position).trim()
+  }
+
+  // {name}, {name, plural, ...} or {name, select, ...}; the opening brace is already read
+  const readArgument = () => {
+    const name = readUntil([',', '}'])
+    const value = params[name]
+    if (message[position] === '}') {
+      position++
+      return value === undefined || value === null ? '' : String(value)
+    }
+
+    position++ // ,
+    const type = readUntil([',', '}'])
+    position++ // ,
+    const pluralValue = type === 'plural' ? Number(value) : undefined
+    const options = {}
+    while (position < message.length) {
+      const selector = readUntil(['{', '}'])
+      if (message[position] !== '{') break
+      position++ // {
+      options[selector] = readText(pluralValue)
+      position++ // }
+    }
+    position++ // } closing the argument
+
+    if (type === 'plural') {
+      const exact = options[`=${pluralValue}`]
+      if (exact !== undefined) return exact
+      return options[new Intl.PluralRules(language).select(pluralValue)] ?? options.other ?? ''
+    }
+    return options[value] ?? options.other ?? ''
+  }
+
+  return readText()
+}
+
+/**
+ * Whether a message id exists
+ * Lets callers tell message ids from text that is already worded, such as server messages.
+ */
+export const hasMessage = (id) => typeof id === 'string' && Object.hasOwn(catalogs[DEFAULT_LANGUAGE], id)
+
+/**
+ * Translate a message id
+ * Falls back to English, then to the id itself, so a missing translation never breaks the page.
+ * @param {string} id - Message id, e.g. 'login.title'
+ * @param {Object} params - Argument values
+ * @param {string} language - Language (default: the active one)
+ * @returns {string}
+ */
+export const translate = (id, params, language = activeLanguage) => {
+  const message = catalogs[language]?.[id] ?? catalogs[DEFAULT_LANGUAGE][id]
+  if (message === undefined) {
+    console.warn(`Missing translation: ${id}`)
+    return id
+  }
+  return formatMessage(message, params, language)
+}
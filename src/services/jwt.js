@@ -0,0 +1,31 @@
+/**
+ * Helpers for reading JWT-style tokens on the client
+ * Signatures are NOT verified here - that is the server's job. The client only
+ * needs the claims to know when tokens expire.
+ */
+
+/**
+ * Decode the payload segment of a JWT
+ * @param {string} token - Encoded token
+ * @returns {Object|null} - Claims, or null when the token is malformed
+ */
+export const decodeJwt = (token) => {
+  try {
+    const [, payload] = token.split('.')
+    const binary = atob(payload.replace(/-/g, '+').replace(/_/g, '/'))
+    // Claims are UTF-8 JSON (e.g. names in ID tokens)
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Read a token's expiry
+ * @param {string} token - Encoded token
+ * @returns {number|null} - Expiry as a millisecond timestamp, or null when absent
+ */
+export const getTokenExpiry = (token) => {
+  const claims = token ? decodeJwt(token) : null
+  return typeof claims?.exp === 'number' ? claims.exp * 1000 : null
+}
@@ -0,0 +1,791 @@
+import {
+  ChallengeRequiredError,
+  InvalidCredentialsError,
+  InvalidTokenError,
+  TooManyAttemptsError,
+  ValidationError
+} from './authAdapter'
+import { DuplicateEmailError, defaultUserRepository, normalizeEmail, toPublicUser } from './userRepository'
+import { hashPassword, verifyPassword } from './passwordHasher'
+import { DEFAULT_ROLE, ROLES, getPermissions, getRoles } from './permissions'
+import { defaultMailer } from './mailer'
+import { createOneTimeToken, parseOneTimeToken, verifyOneTimeToken } from './oneTimeTokens'
+import { PASSWORD_POLICY, validateNewPassword } from './passwordPolicy'
+import { defaultBreachedPasswordChecker, getBreachedPasswordMessage } from './breachedPasswords'
+import { buildOtpAuthUrl, generateTotpSecret, verifyTotp } from './totp'
+import { consumeRecoveryCode, generateRecoveryCodes } from './recoveryCodes'
+import { PasskeyVerificationError, createPasskeyRelyingParty } from './passkeyRelyingParty'
+import { decodeJwt } from './jwt'
+import { createLoginThrottle, getDeviceId, getThrottleKeys } from './loginThrottle'
+import { createFakeChallengeVerifier } from './humanChallenge'
+import { validateFieldSync } from './formValidation'
+import { emailRules, loginSchema, profileSchema } from './formSchemas'
+import { PROFILE_FIELDS } from './profile'
+import { describeUserAgent } from './userAgent'
+
+const PASSWORD_RESET_TTL = 30 * 60 * 1000 // 30 minutes
+const MAGIC_LINK_TTL = 15 * 60 * 1000 // 15 minutes
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000 // 24 hours
+const EMAIL_VERIFICATION_RESEND_INTERVAL = 60 * 1000 // 1 minute
+const LOGIN_CHALLENGE_TTL = 5 * 60 * 1000 // 5 minutes
+const LOGIN_CHALLENGE_ATTEMPTS = 5
+
+/**
+ * Demo auth adapter that keeps accounts in the browser
+ * Credentials are verified against a user repository; no network is involved.
+ * @param {Object} options
+ * @param {Object} options.userRepository - User store (default: localStorage repository)
+ * @param {number} options.latency - Artificial delay in ms to mimic a network round trip
+ * @param {string[]} options.adminEmails - Accounts that are always granted the admin role
+ * @param {Object} options.mailer - Mailer for emailed links (default: dev outbox)
+ * @param {string} options.appUrl - Origin used to build emailed links
+ * @param {string} options.issuer - Name shown in authenticator apps and passkey prompts
+ * @param {Object} options.relyingParty - WebAuthn relying party for passkeys
+ * @param {Object[]} options.oauthProviders - Social login providers (see services/oauthProviders)
+ * @param {Object} options.identityProvider - Token endpoint client with exchangeCode({ code, codeVerifier, clientId, redirectUri })
+ * @param {Object} options.loginThrottle - Failed login tracking (see services/loginThrottle)
+ * @param {Object} options.challengeVerifier - Checks challenge responses (see services/humanChallenge)
+ * @param {Object} options.passwordPolicy - Rules for new passwords (default: PASSWORD_POLICY)
+ * @param {Object} options.breachedPasswordChecker - Breach lookup (see services/breachedPasswords)
+ */
+export const createLocalAuthAdapter = ({
+  userRepository = defaultUserRepository,
+  latency = 500,
+  adminEmails = [],
+  mailer = defaultMailer,
+  appUrl = window.location.origin,
+  issuer = 'Modern Login',
+  relyingParty = createPasskeyRelyingParty({ rpName: issuer }),
+  oauthProviders = [],
+  identityProvider = null,
+  loginThrottle = createLoginThrottle(),
+  challengeVerifier = createFakeChallengeVerifier(),
+  passwordPolicy = PASSWORD_POLICY,
+  breachedPasswordChecker = defaultBreachedPasswordChecker
+} = {}) => {
+  const simulateLatency = () => new Promise(resolve => setTimeout(resolve, latency))
+  const admins = adminEmails.map(email => email.trim().toLowerCase())
+
+  /**
+   * Public user with resolved roles and permissions
+   */
+  const toSessionUser = (record) => {
+    const user = toPublicUser(record)
+    if (!user) return null
+
+    const roles = new Set(getRoles(user))
+    if (admins.includes(user.email)) {
+      roles.add(ROLES.admin)
+    }
+    const withRoles = {
+      ...user,
+      roles: [...roles],
+      credentialsVersion: record.credentialsVersion || 0,
+      // Accounts created before email verification existed count as verified
+      emailVerified: record.emailVerified ?? true
+    }
+    // Passkeys are listed without their keys
+    const passkeys = (record.secrets?.passkeys || [])
+      .map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt }))
+    return { ...withRoles, passkeys, permissions: getPermissions(withRoles) }
+  }
+
+  /**
+   * Load the user a session belongs to
+   * Sessions created before the last password change are rejected.
+   */
+  const findSessionUser = async (sessionUser) => {
+    if (!sessionUser?.id) return null
+
+    const record = await userRepository.findById(sessionUser.id)
+    if (!record) return null
+
+    const sessionVersion = sessionUser.credentialsVersion
+    if (sessionVersion !== undefined && sessionVersion !== (record.credentialsVersion || 0)) {
+      return null
+    }
+    return toSessionUser(record)
+  }
+
+  /**
+   * Resolve a password reset token to its user record
+   * @throws {InvalidTokenError}
+   */
+  const findResetRecord = async (token) => {
+    const parsed = parseOneTimeToken(token)
+    const record = parsed && await userRepository.findById(parsed.subjectId)
+    const isValid = record && await verifyOneTimeToken(parsed.secret, record.secrets?.passwordReset)
+    if (!isValid) {
+      throw new InvalidTokenError('This password reset link is invalid or has expired')
+    }
+    return record
+  }
+
+  /**
+   * Resolve a sign-in link token to its user record
+   * @throws {InvalidTokenError}
+   */
+  const findMagicLinkRecord = async (token) => {
+    const parsed = parseOneTimeToken(token)
+    const record = parsed && await userRepository.findById(parsed.subjectId)
+    const isValid = record && await verifyOneTimeToken(parsed.secret, record.secrets?.magicLink)
+    if (!isValid) {
+      throw new InvalidTokenError('This sign-in link is invalid, has already been used or has expired')
+    }
+    return record
+  }
+
+  /**
+   * Resolve an email verification token to its user record
+   * @throws {InvalidTokenError}
+   */
+  const findEmailVerificationRecord = async (token) => {
+    const parsed = parseOneTimeToken(token)
+    const record = parsed && await userRepository.findById(parsed.subjectId)
+    const isValid = record && await verifyOneTimeToken(parsed.secret, record.secrets?.emailVerification)
+    if (!isValid) {
+      throw new InvalidTokenError('This verification link is invalid, has already been used or has expired')
+    }
+    return record
+  }
+
+  /**
+   * Email a verification link, replacing any earlier one
+   * @param {string} email - Address to verify: the account's own, or the one it is changing to
+   * @returns {Promise<Object>} - The updated record
+   */
+  const sendVerificationEmail = async (record, email = record.email) => {
+    const { token, record: verificationRecord } = await createOneTimeToken(record.id, EMAIL_VERIFICATION_TTL)
+    const updated = await userRepository.update(record.id, {
+      secrets: { ...record.secrets, emailVerification: { ...verificationRecord, email, sentAt: Date.now() } }
+    })
+
+    await mailer.send({
+      to: email,
+      subject: 'Verify your email address',
+      text: `Hi ${record.firstName}, confirm that ${email} is your email address with the link below. It expires in 24 hours.`,
+      actionUrl: `${appUrl}/verify-email/${encodeURIComponent(token)}`,
+      actionLabel: 'Verify email'
+    })
+    return updated
+  }
+
+  /**
+   * Load the record behind a signed-in user for account changes
+   * @throws {InvalidCredentialsError} - When the session is no longer valid
+   */
+  const requireSessionRecord = async (sessionUser) => {
+    const user = await findSessionUser(sessionUser)
+    if (!user) {
+      throw new InvalidCredentialsError('Your session has expired. Please sign in again.')
+    }
+    return userRepository.findById(user.id)
+  }
+
+  /**
+   * Check the password of a signed-in user before a sensitive change
+   * @param {string} field - Form field the error is reported on
+   * @throws {ValidationError}
+   */
+  const assertCurrentPassword = async (record, password, field = 'password') => {
+    if (!record.password) {
+      throw new ValidationError({ [field]: 'validation.noPasswordSet' })
+    }
+    if (!await verifyPassword(password || '', record.password)) {
+      throw new ValidationError({ [field]: 'validation.incorrectPassword' })
+    }
+  }
+
+  /**
+   * Enforce the password policy, breach check included
+   * @param {Object} userInputs - email and names of the account
+   * @param {string} field - Form field the error is reported on
+   * @throws {ValidationError}
+   */
+  const assertNewPassword = async (password, userInputs, field = 'password') => {
+    let error = validateNewPassword(password, userInputs, passwordPolicy)
+    if (!error && passwordPolicy.checkBreaches && await breachedPasswordChecker.isBreached(password)) {
+      error = getBreachedPasswordMessage()
+    }
+    if (error) {
+      throw new ValidationError({ [field]: error })
+    }
+  }
+
+  /**
+   * Store a pending second-factor challenge and return its token
+   */
+  const createLoginChallenge = async (record) => {
+    const { token, record: challenge } = await createOneTimeToken(record.id, LOGIN_CHALLENGE_TTL)
+    await userRepository.update(record.id, {
+      secrets: { ...record.secrets, loginChallenge: { ...challenge, attempts: 0 } }
+    })
+    return token
+  }
+
+  /**
+   * Resolve a login challenge token to its user record
+   * @throws {InvalidTokenError}
+   */
+  const findChallengeRecord = async (challengeToken) => {
+    const parsed = parseOneTimeToken(challengeToken)
+    const record = parsed && await userRepository.findById(parsed.subjectId)
+    const isValid = record && await verifyOneTimeToken(parsed.secret, record.secrets?.loginChallenge)
+    if (!isValid) {
+      throw new InvalidTokenError('Your sign-in attempt has expired. Please sign in again.')
+    }
+    return record
+  }
+
+  /**
+   * Check an authenticator or recovery code against the account
+   * @returns {Promise<Object|null>} - Secrets to store after a match, or null
+   */
+  const checkSecondFactor = async (secrets, code) => {
+    // A code is only accepted once, even within its validity window
+    const step = await verifyTotp(secrets.totp.secret, code, { lastUsedStep: secrets.totp.lastUsedStep })
+    if (step !== null) {
+      return { ...secrets, totp: { ...secrets.totp, lastUsedStep: step } }
+    }
+
+    const remainingCodes = await consumeRecoveryCode(code, secrets.recoveryCodes)
+    return remainingCodes ? { ...secrets, recoveryCodes: remainingCodes } : null
+  }
+
+  /**
+   * Redeem an authorization code and check the ID token it returns
+   * @returns {Promise<Object>} - Verified ID token claims
+   * @throws {InvalidCredentialsError}
+   */
+  const verifyOAuthCallback = async ({ provider, code, codeVerifier, redirectUri, nonce }) => {
+    const config = oauthProviders.find(candidate => candidate.id === provider)
+    if (!config || !identityProvider) {
+      throw new InvalidCredentialsError('This sign-in provider is not available')
+    }
+
+    let tokens
+    try {
+      tokens = await identityProvider.exchangeCode({ code, codeVerifier, clientId: config.clientId, redirectUri })
+    } catch (error) {
+      throw new InvalidCredentialsError(`Sign in with ${config.name} failed. Please try again.`)
+    }
+
+    // A production backend must also verify the token signature against the provider's keys
+    const claims = decodeJwt(tokens.id_token)
+    const isValid =
+      claims &&
+      claims.iss === config.issuer &&
+      claims.aud === config.clientId &&
+      claims.exp * 1000 > Date.now() &&
+      claims.nonce === nonce
+    if (!isValid) {
+      throw new InvalidCredentialsError(`The response from ${config.name} could not be verified`)
+    }
+    if (!claims.email || claims.email_verified === false) {
+      throw new InvalidCredentialsError(`Your ${config.name} account has no verified email address`)
+    }
+    return claims
+  }
+
+  return {
+    async login({ email, password, deviceId = getDeviceId(), challengeResponse }) {
+      await simulateLatency()
+
+      // Basic validation (same rules as the login form)
+      const formatError =
+        validateFieldSync(loginSchema.email, email) || validateFieldSync(loginSchema.password, password)
+      if (formatError) {
+        throw new InvalidCredentialsError(formatError)
+      }
+
+      const throttleKeys = getThrottleKeys(email, deviceId)
+      const throttle = loginThrottle.check(throttleKeys)
+      if (throttle.retryAfter > 0) {
+        throw new TooManyAttemptsError(Math.ceil(throttle.retryAfter / 1000), throttle.locked)
+      }
+      if (throttle.challengeRequired && !await challengeVerifier.verify(challengeResponse)) {
+        throw new ChallengeRequiredError()
+      }
+
+      const record = await userRepository.findByEmail(email)
+      const isValid = record && await verifyPassword(password, record.password)
+      if (!isValid) {
+        loginThrottle.recordFailure(throttleKeys)
+        throw new InvalidCredentialsError()
+      }
+      loginThrottle.recordSuccess(throttleKeys)
+
+      if (record.twoFactorEnabled) {
+        return { twoFactorRequired: true, challengeToken: await createLoginChallenge(record) }
+      }
+
+      return toSessionUser(record)
+    },
+
+    async signup({ firstName, lastName, email, password }) {
+      await simulateLatency()
+      await assertNewPassword(password, { email, firstName, lastName })
+
+      const record = await userRepository.create({
+        firstName: firstName.trim(),
+        lastName: lastName.trim(),
+        email,
+        password: await hashPassword(password),
+        roles: [DEFAULT_ROLE],
+        emailVerified: false
+      })
+
+      return toSessionUser(await sendVerificationEmail(record))
+    },
+
+    async checkEmailAvailable(email) {
+      await simulateLatency()
+      return !await userRepository.findByEmail(email)
+    },
+
+    async logout() {
+      // Nothing to revoke for browser-only sessions
+    },
+
+    async refresh(user) {
+      return findSessionUser(user)
+    },
+
+    async requestPasswordReset(email) {
+      await simulateLatency()
+
+      // Resolve regardless of whether the account exists to avoid leaking registered emails
+      const record = await userRepository.findByEmail(email)
+      if (!record) return
+
+      const { token, record: resetRecord } = await createOneTimeToken(record.id, PASSWORD_RESET_TTL)
+      await userRepository.update(record.id, {
+        secrets: { ...record.secrets, passwordReset: resetRecord }
+      })
+
+      await mailer.send({
+        to: record.email,
+        subject: 'Reset your password',
+        text: `Hi ${record.firstName}, use the link below to choose a new password. It expires in 30 minutes and can only be used once.`,
+        actionUrl: `${appUrl}/reset-password/${encodeURIComponent(token)}`,
+        actionLabel: 'Reset password'
+      })
+    },
+
+    async verifyPasswordResetToken(token) {
+      const record = await findResetRecord(token)
+      return { email: record.email }
+    },
+
+    async resetPassword({ token, password }) {
+      await simulateLatency()
+
+      const record = await findResetRecord(token)
+      await assertNewPassword(password, record)
+      const { passwordReset, ...secrets } = record.secrets || {}
+
+      // Consuming the token and bumping the version signs out every existing session.
+      // Following the emailed link also proves the address belongs to the user.
+      await userRepository.update(record.id, {
+        password: await hashPassword(password),
+        secrets,
+        emailVerified: true,
+        credentialsVersion: (record.credentialsVersion || 0) + 1,
+        passwordChangedAt: new Date().toISOString()
+      })
+    },
+
+    async requestMagicLink({ email, rememberMe = false }) {
+      await simulateLatency()
+
+      // Same response for unknown emails, as with password resets
+      const record = await userRepository.findByEmail(email)
+      if (!record) return
+
+      // Issuing a new link replaces any earlier one
+      const { token, record: linkRecord } = await createOneTimeToken(record.id, MAGIC_LINK_TTL)
+      await userRepository.update(record.id, {
+        secrets: { ...record.secrets, magicLink: linkRecord }
+      })
+
+      const query = rememberMe ? '?remember=1' : ''
+      await mailer.send({
+        to: record.email,
+        subject: 'Your sign-in link',
+        text: `Hi ${record.firstName}, use the link below to sign in. It expires in 15 minutes and can only be used once. If you did not ask for it, you can ignore this email.`,
+        actionUrl: `${appUrl}/magic/${encodeURIComponent(token)}${query}`,
+        actionLabel: 'Sign in'
+      })
+    },
+
+    async verifyMagicLink({ token }) {
+      await simulateLatency()
+
+      const record = await findMagicLinkRecord(token)
+      const { magicLink, ...secrets } = record.secrets
+      // Following the emailed link also proves the address belongs to the user
+      const updated = await userRepository.update(record.id, { secrets, emailVerified: true })
+
+      if (updated.twoFactorEnabled) {
+        return { twoFactorRequired: true, challengeToken: await createLoginChallenge(updated) }
+      }
+
+      return toSessionUser(updated)
+    },
+
+    async verifyEmail({ token }) {
+      await simulateLatency()
+
+      const record = await findEmailVerificationRecord(token)
+      const { emailVerification, ...secrets } = record.secrets
+      const email = emailVerification.email || record.email
+      const changes = { secrets, emailVerified: true, emailVerifiedAt: new Date().toISOString() }
+
+      // Links sent by changeEmail switch the account over to the new address
+      if (email !== record.email) {
+        const owner = await userRepository.findByEmail(email)
+        if (owner && owner.id !== record.id) {
+          throw new DuplicateEmailError(email)
+        }
+        Object.assign(changes, { email, pendingEmail: null })
+      }
+
+      await userRepository.update(record.id, changes)
+      return { email }
+    },
+
+    async resendVerificationEmail(user) {
+      await simulateLatency()
+
+      const record = await requireSessionRecord(user)
+      const email = record.pendingEmail || (record.emailVerified === false ? record.email : null)
+      if (!email) {
+        return { user: toSessionUser(record), retryAfter: 0 }
+      }
+
+      const sentAt = record.secrets?.emailVerification?.sentAt || 0
+      const waitFor = sentAt + EMAIL_VERIFICATION_RESEND_INTERVAL - Date.now()
+      if (waitFor > 0) {
+        throw new TooManyAttemptsError(Math.ceil(waitFor / 1000))
+      }
+
+      const updated = await sendVerificationEmail(record, email)
+      return { user: toSessionUser(updated), retryAfter: EMAIL_VERIFICATION_RESEND_INTERVAL / 1000 }
+    },
+
+    async changePassword(user, { currentPassword, newPassword }) {
+      await simulateLatency()
+
+      const record = await requireSessionRecord(user)
+      await assertCurrentPassword(record, currentPassword, 'currentPassword')
+      await assertNewPassword(newPassword, record, 'newPassword')
+      if (await verifyPassword(newPassword, record.password)) {
+        throw new ValidationError({ newPassword: 'validation.samePassword' })
+      }
+
+      // Bumping the version signs out every other session; the caller continues with the returned user
+      const updated = await userRepository.update(record.id, {
+        password: await hashPassword(newPassword),
+        credentialsVersion: (record.credentialsVersion || 0) + 1,
+        passwordChangedAt: new Date().toISOString()
+      })
+
+      await mailer.send({
+        to: record.email,
+        subject: 'Your password was changed',
+        text: `Hi ${record.firstName}, the password of your account was just changed and your other sessions were signed out. If this was not you, reset your password right away.`,
+        actionUrl: `${appUrl}/forgot-password`,
+        actionLabel: 'Reset password'
+      })
+
+      return toSessionUser(updated)
+    },
+
+    async changeEmail(user, { newEmail, password }) {
+      await simulateLatency()
+
+      const record = await requireSessionRecord(user)
+      const formatError = validateFieldSync(emailRules, newEmail)
+      if (formatError) {
+        throw new ValidationError({ newEmail: formatError })
+      }
+      await assertCurrentPassword(record, password)
+
+      const email = normalizeEmail(newEmail)
+      if (email === record.email) {
+        throw new ValidationError({ newEmail: 'validation.sameEmail' })
+      }
+      if (await userRepository.findByEmail(email)) {
+        throw new ValidationError({ newEmail: 'validation.emailTaken' })
+      }
+
+      // The current address keeps working until the new one is verified
+      const updated = await sendVerificationEmail(
+        await userRepository.update(record.id, { pendingEmail: email }),
+        email
+      )
+
+      await mailer.send({
+        to: record.email,
+        subject: 'Your email address is being changed',
+        text: `Hi ${record.firstName}, someone asked to move your account to ${email}. The change happens once that address is verified. If this was not you, change your password.`,
+        actionUrl: `${appUrl}/settings/security`,
+        actionLabel: 'Review security settings'
+      })
+
+      return toSessionUser(updated)
+    },
+
+    async listSessions(user) {
+      // Browser-only sessions: the one asking is the only one this adapter can see
+      await requireSessionRecord(user)
+      return [{
+        id: 'current',
+        device: describeUserAgent(navigator.userAgent),
+        createdAt: user.loginTime || null,
+        lastActiveAt: new Date().toISOString(),
+        current: true
+      }]
+    },
+
+    async revokeSession() {
+      // Nothing to revoke for browser-only sessions
+    },
+
+    async revokeOtherSessions(user) {
+      await simulateLatency()
+
+      // Sessions in other tabs carry the old version and are rejected from now on
+      const record = await requireSessionRecord(user)
+      const updated = await userRepository.update(record.id, {
+        credentialsVersion: (record.credentialsVersion || 0) + 1
+      })
+      return toSessionUser(updated)
+    },
+
+    async updateProfile(user, changes = {}) {
+      await simulateLatency()
+
+      const record = await requireSessionRecord(user)
+      // Only profile fields can be changed here; text is stored trimmed and cleared values as null
+      const profile = {}
+      PROFILE_FIELDS.filter(name => name in changes).forEach(name => {
+        const value = typeof changes[name] === 'string' ? changes[name].trim() : changes[name]
+        profile[name] = value || null
+      })
+
+      const values = { ...record, ...profile }
+      const fieldErrors = {}
+      Object.keys(profile).forEach(name => {
+        const error = validateFieldSync(profileSchema[name], profile[name], values)
+        if (error) fieldErrors[name] = error
+      })
+      if (Object.keys(fieldErrors).length > 0) {
+        throw new ValidationError(fieldErrors)
+      }
+
+      return toSessionUser(await userRepository.update(record.id, profile))
+    },
+
+    async getCurrentUser(storedUser) {
+      return findSessionUser(storedUser)
+    },
+
+    async verifyTwoFactorLogin({ challengeToken, code }) {
+      await simulateLatency()
+
+      const record = await findChallengeRecord(challengeToken)
+      const { loginChallenge, ...secrets } = record.secrets
+      const verifiedSecrets = await checkSecondFactor(secrets, code)
+
+      if (!verifiedSecrets) {
+        // Too many wrong codes burn the challenge and force a fresh password check
+        const attempts = loginChallenge.attempts + 1
+        const isExhausted = attempts >= LOGIN_CHALLENGE_ATTEMPTS
+        await userRepository.update(record.id, {
+          secrets: isExhausted ? secrets : { ...secrets, loginChallenge: { ...loginChallenge, attempts } }
+        })
+        if (isExhausted) {
+          throw new InvalidTokenError('Too many incorrect codes. Please sign in again.')
+        }
+        throw new ValidationError({ code: 'twoFactor.invalidCode' })
+      }
+
+      return toSessionUser(await userRepository.update(record.id, { secrets: verifiedSecrets }))
+    },
+
+    async beginTotpEnrollment(user) {
+      const record = await requireSessionRecord(user)
+      if (record.twoFactorEnabled) {
+        throw new ValidationError({ code: 'twoFactorSettings.alreadyEnabled' })
+      }
+
+      const secret = generateTotpSecret()
+      await userRepository.update(record.id, {
+        secrets: { ...record.secrets, totpPending: { secret, createdAt: Date.now() } }
+      })
+
+      return { secret, otpauthUrl: buildOtpAuthUrl({ secret, accountName: record.email, issuer }) }
+    },
+
+    async confirmTotpEnrollment(user, code) {
+      await simulateLatency()
+
+      const record = await requireSessionRecord(user)
+      const { totpPending, ...secrets } = record.secrets || {}
+      if (!totpPending) {
+        throw new ValidationError({ code: 'twoFactorSettings.restartSetup' })
+      }
+
+      const step = await verifyTotp(totpPending.secret, code)
+      if (step === null) {
+        throw new ValidationError({ code: 'twoFactorSettings.codeMismatch' })
+      }
+
+      const { codes, hashes } = await generateRecoveryCodes()
+      const updated = await userRepository.update(record.id, {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date().toISOString(),
+        secrets: {
+          ...secrets,
+          totp: { secret: totpPending.secret, lastUsedStep: step },
+          recoveryCodes: hashes
+        }
+      })
+
+      return { user: toSessionUser(updated), recoveryCodes: codes }
+    },
+
+    async disableTotp(user, password) {
+      await simulateLatency()
+
+      const record = await requireSessionRecord(user)
+      if (!await verifyPassword(password || '', record.password)) {
+        throw new ValidationError({ password: 'validation.incorrectPassword' })
+      }
+
+      const { totp, recoveryCodes, totpPending, loginChallenge, ...secrets } = record.secrets || {}
+      const updated = await userRepository.update(record.id, {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        secrets
+      })
+
+      return toSessionUser(updated)
+    },
+
+    async beginPasskeyRegistration(user) {
+      const record = await requireSessionRecord(user)
+      return relyingParty.registrationOptions(toPublicUser(record), record.secrets?.passkeys)
+    },
+
+    async finishPasskeyRegistration(user, { credential, name } = {}) {
+      const record = await requireSessionRecord(user)
+      const passkeys = record.secrets?.passkeys || []
+
+      let passkey
+      try {
+        passkey = await relyingParty.verifyRegistration(record.id, credential)
+      } catch (error) {
+        if (error instanceof PasskeyVerificationError) {
+          throw new ValidationError({ passkey: 'passkeys.verifyFailed' })
+        }
+        throw error
+      }
+
+      if (passkeys.some(existing => existing.id === passkey.id)) {
+        throw new ValidationError({ passkey: 'passkeys.alreadyRegistered' })
+      }
+
+      const updated = await userRepository.update(record.id, {
+        secrets: {
+          ...record.secrets,
+          passkeys: [
+            ...passkeys,
+            {
+              ...passkey,
+              name: name?.trim() || `Passkey ${passkeys.length + 1}`,
+              createdAt: new Date().toISOString(),
+              lastUsedAt: null
+            }
+          ]
+        }
+      })
+
+      return toSessionUser(updated)
+    },
+
+    async beginPasskeyLogin() {
+      return relyingParty.assertionOptions()
+    },
+
+    async finishPasskeyLogin({ credential } = {}) {
+      await simulateLatency()
+
+      const userId = relyingParty.getUserId(credential)
+      const record = userId && await userRepository.findById(userId)
+      const passkeys = record?.secrets?.passkeys || []
+      const passkey = passkeys.find(candidate => candidate.id === credential?.id)
+      if (!passkey) {
+        throw new InvalidCredentialsError('This passkey is not registered for any account')
+      }
+
+      let signCount
+      try {
+        signCount = await relyingParty.verifyAssertion(credential, passkey)
+      } catch (error) {
+        if (error instanceof PasskeyVerificationError) {
+          throw new InvalidCredentialsError(error.message)
+        }
+        throw error
+      }
+
+      // Passkeys verify the user on the device, so they satisfy two-factor on their own
+      const updated = await userRepository.update(record.id, {
+        secrets: {
+          ...record.secrets,
+          passkeys: passkeys.map(candidate => candidate.id === passkey.id
+            ? { ...candidate, signCount, lastUsedAt: new Date().toISOString() }
+            : candidate
+          )
+        }
+      })
+
+      return toSessionUser(updated)
+    },
+
+    async finishOAuthLogin(request) {
+      await simulateLatency()
+
+      const claims = await verifyOAuthCallback(request)
+      const identity = { provider: request.provider, subject: claims.sub }
+      let record = await userRepository.findByEmail(claims.email)
+
+      if (!record) {
+        // First social sign in creates the account; it has no password until one is reset
+        const [firstName = '', ...lastName] = (claims.name || '').split(' ')
+        record = await userRepository.create({
+          firstName: claims.given_name || firstName,
+          lastName: claims.family_name || lastName.join(' '),
+          email: claims.email,
+          password: null,
+          roles: [DEFAULT_ROLE],
+          identities: [identity],
+          emailVerified: true
+        })
+      } else if (!(record.identities || []).some(linked => linked.provider === identity.provider)) {
+        // The provider vouched for the email address, so link it to the existing account
+        record = await userRepository.update(record.id, {
+          identities: [...(record.identities || []), identity],
+          emailVerified: true
+        })
+      }
+
+      if (record.twoFactorEnabled) {
+        return { twoFactorRequired: true, challengeToken: await createLoginChallenge(record) }
+      }
+
+      return toSessionUser(record)
+    }
+  }
+}
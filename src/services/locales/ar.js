@@ -0,0 +1,373 @@
+/**
+ * Arabic messages
+ */
+export default {
+  // Shared
+  'common.emailLabel': 'البريد الإلكتروني',
+  'common.passwordLabel': 'كلمة المرور',
+  'common.showPassword': 'إظهار كلمة المرور',
+  'common.hidePassword': 'إخفاء كلمة المرور',
+  'common.or': 'أو',
+  'common.sending': 'جارٍ الإرسال...',
+  'common.backToLogin': 'العودة إلى تسجيل الدخول',
+  'common.signInLink': 'سجّل الدخول من هنا',
+  'common.fixErrors': 'يرجى تصحيح الأخطاء أعلاه',
+  'common.genericError': 'حدث خطأ. يرجى المحاولة مرة أخرى.',
+  'common.devOutbox': 'تعمل محليًا؟ تصل الرسائل إلى {link}.',
+  'common.devOutboxLink': 'صندوق بريد التطوير',
+  'common.language': 'اللغة',
+  'common.backToDashboard': 'العودة إلى لوحة التحكم',
+  'common.cancel': 'إلغاء',
+  'common.retry': 'إعادة المحاولة',
+  'common.saving': 'جارٍ الحفظ...',
+  'common.signingIn': 'جارٍ تسجيل دخولك...',
+  'common.linkExpired': 'انتهت صلاحية الرابط',
+  'common.currentPassword': 'كلمة المرور الحالية',
+  'common.newPassword': 'كلمة المرور الجديدة',
+  'common.confirmNewPassword': 'تأكيد كلمة المرور الجديدة',
+  'common.never': 'أبدًا',
+  'common.unknown': 'غير معروف',
+  'theme.label': 'المظهر',
+  'theme.light': 'فاتح',
+  'theme.dark': 'داكن',
+  'theme.system': 'حسب النظام',
+
+  // Validation
+  'validation.emailRequired': 'البريد الإلكتروني مطلوب',
+  'validation.emailInvalid': 'يرجى إدخال بريد إلكتروني صالح',
+  'validation.emailTaken': 'يوجد حساب مسجّل بهذا البريد الإلكتروني بالفعل',
+  'validation.firstNameRequired': 'الاسم الأول مطلوب',
+  'validation.firstNameMinLength': 'يجب ألا يقل الاسم الأول عن {min, plural, one {حرف واحد} two {حرفين} few {# أحرف} many {# حرفًا} other {# حرف}}',
+  'validation.lastNameRequired': 'اسم العائلة مطلوب',
+  'validation.lastNameMinLength': 'يجب ألا يقل اسم العائلة عن {min, plural, one {حرف واحد} two {حرفين} few {# أحرف} many {# حرفًا} other {# حرف}}',
+  'validation.confirmPasswordRequired': 'يرجى تأكيد كلمة المرور',
+  'validation.passwordsDontMatch': 'كلمتا المرور غير متطابقتين',
+  'validation.agreeToTerms': 'يجب الموافقة على الشروط والأحكام',
+  'validation.currentPasswordRequired': 'كلمة المرور الحالية مطلوبة',
+  'validation.incorrectPassword': 'كلمة المرور غير صحيحة',
+  'validation.noPasswordSet': 'لا توجد كلمة مرور لحسابك بعد. استخدم "نسيت كلمة المرور" في صفحة تسجيل الدخول لتعيين واحدة.',
+  'validation.samePassword': 'اختر كلمة مرور مختلفة عن كلمة المرور الحالية',
+  'validation.sameEmail': 'هذا هو عنوان بريدك الإلكتروني بالفعل',
+  'validation.displayNameMaxLength': 'يجب ألا يزيد الاسم المعروض عن {max, plural, one {حرف واحد} two {حرفين} few {# أحرف} many {# حرفًا} other {# حرف}}',
+  'validation.avatarType': 'يرجى اختيار صورة بصيغة PNG أو JPEG أو WebP',
+  'validation.avatarTooLarge': 'هذه الصورة كبيرة جدًا',
+  'validation.timezoneRequired': 'المنطقة الزمنية مطلوبة',
+  'validation.timezoneInvalid': 'يرجى اختيار منطقة زمنية صالحة',
+  'validation.localeRequired': 'اللغة مطلوبة',
+  'validation.localeInvalid': 'يرجى اختيار لغة مدعومة',
+
+  // Password policy
+  'password.required': 'كلمة المرور مطلوبة',
+  'password.minLength': 'يجب ألا تقل كلمة المرور عن {min, plural, one {حرف واحد} two {حرفين} few {# أحرف} many {# حرفًا} other {# حرف}}',
+  'password.maxLength': 'يجب ألا تزيد كلمة المرور عن {max, plural, one {حرف واحد} two {حرفين} few {# أحرف} many {# حرفًا} other {# حرف}}',
+  'password.missingClasses': 'يجب أن تحتوي كلمة المرور على {classes}',
+  'password.class.lowercase': 'حرف لاتيني صغير',
+  'password.class.uppercase': 'حرف لاتيني كبير',
+  'password.class.digit': 'رقم',
+  'password.class.symbol': 'رمز',
+  'password.tooCommon': 'كلمة المرور هذه شائعة جدًا. اختر كلمة يصعب توقعها.',
+  'password.personalInfo': 'يجب ألا تحتوي كلمة المرور على اسمك أو بريدك الإلكتروني',
+  'password.tooWeakWithWarning': '{warning}. اختر كلمة مرور أقوى.',
+  'password.tooWeak': 'من السهل تخمين كلمة المرور هذه. اختر كلمة مرور أقوى.',
+  'password.breached': 'ظهرت كلمة المرور هذه في تسريب بيانات. اختر كلمة مختلفة.',
+
+  // Password strength
+  'passwordStrength.label': 'قوة كلمة المرور:',
+  'passwordStrength.veryWeak': 'ضعيفة جدًا',
+  'passwordStrength.weak': 'ضعيفة',
+  'passwordStrength.fair': 'مقبولة',
+  'passwordStrength.good': 'جيدة',
+  'passwordStrength.strong': 'قوية',
+  'passwordStrength.addWords': 'أضف كلمة أو كلمتين. الكلمات غير المألوفة أفضل.',
+  'passwordStrength.useFewWords': 'استخدم بضع كلمات وتجنب العبارات الشائعة',
+  'passwordStrength.noSymbolsNeeded': 'لا حاجة إلى الرموز أو الأرقام أو الأحرف الكبيرة',
+  'passwordStrength.similarToCommon': 'تشبه هذه كلمة مرور شائعة الاستخدام',
+  'passwordStrength.personalInfo': 'تجنب استخدام اسمك أو بريدك الإلكتروني',
+  'passwordStrength.top10': 'هذه من أكثر عشر كلمات مرور شيوعًا',
+  'passwordStrength.top100': 'هذه كلمة مرور شائعة جدًا',
+  'passwordStrength.capitalization': 'الأحرف الكبيرة لا تساعد كثيرًا',
+  'passwordStrength.allUppercase': 'الأحرف الكبيرة كلها سهلة التخمين تقريبًا مثل الصغيرة كلها',
+  'passwordStrength.reversed': 'الكلمات المعكوسة ليست أصعب تخمينًا بكثير',
+  'passwordStrength.substitutions': "الاستبدالات المتوقعة مثل '@' بدل 'a' لا تساعد كثيرًا",
+  'passwordStrength.keyboardWarning': 'صفوف المفاتيح المتتالية سهلة التخمين',
+  'passwordStrength.repeatWarning': 'التكرارات مثل "aaa" أو "abcabc" سهلة التخمين',
+  'passwordStrength.sequenceWarning': 'التسلسلات مثل "abc" أو "6543" سهلة التخمين',
+  'passwordStrength.yearWarning': 'السنوات الحديثة سهلة التخمين',
+  'passwordStrength.keyboardSuggestion': 'استخدم نمط لوحة مفاتيح أطول وبتغييرات اتجاه أكثر',
+  'passwordStrength.repeatSuggestion': 'تجنب تكرار الكلمات والأحرف',
+  'passwordStrength.sequenceSuggestion': 'تجنب التسلسلات',
+  'passwordStrength.yearSuggestion': 'تجنب السنوات المرتبطة بك',
+
+  // Login
+  'login.title': 'مرحبًا بعودتك',
+  'login.subtitle': 'سجّل الدخول للوصول إلى لوحة التحكم الآمنة',
+  'login.emailPlaceholder': 'أدخل بريدك الإلكتروني',
+  'login.passwordPlaceholder': 'أدخل كلمة المرور',
+  'login.rememberMe': 'تذكرني',
+  'login.forgotPassword': 'نسيت كلمة المرور؟',
+  'login.throttled': '{locked, select, true {محاولات فاشلة كثيرة. تسجيل الدخول مقفل لمدة {time}} other {محاولات فاشلة كثيرة. حاول مرة أخرى بعد {time}}}',
+  'login.submit': 'تسجيل الدخول',
+  'login.submitting': 'جارٍ تسجيل الدخول...',
+  'login.useMagicLink': 'أرسل لي رابط تسجيل الدخول بالبريد بدلًا من ذلك',
+  'login.passkey': 'تسجيل الدخول بمفتاح المرور',
+  'login.demoTitle': 'بيانات تجريبية:',
+  'login.demoSignUp': 'أنشئ حسابًا من صفحة التسجيل أولًا',
+  'login.demoSignIn': 'ثم سجّل الدخول بالبريد الإلكتروني وكلمة المرور نفسيهما',
+  'login.noAccount': 'ليس لديك حساب؟ {link}',
+  'login.signUpLink': 'أنشئ حسابًا من هنا',
+  'login.failed': 'فشل تسجيل الدخول. يرجى التحقق من بياناتك.',
+  'login.passkeyCancelled': 'أُلغي تسجيل الدخول بمفتاح المرور',
+  'login.passkeyFailed': 'فشل تسجيل الدخول بمفتاح المرور. يرجى المحاولة مرة أخرى.',
+  'login.passkeyRejected': 'تعذّر استخدام مفتاح المرور هذا لتسجيل الدخول',
+  'login.socialFailed': 'تعذر بدء تسجيل الدخول عبر الشبكات الاجتماعية. يرجى المحاولة مرة أخرى.',
+  'login.challengePrompt': 'محاولات فاشلة كثيرة. يرجى تأكيد أنك لست روبوتًا.',
+  'login.notARobot': 'لست روبوتًا',
+  'login.continueWith': 'المتابعة باستخدام {provider}',
+  'login.completeChallenge': 'يرجى إكمال خطوة التحقق للمتابعة',
+
+  // Sign-in link
+  'magicLink.hint': 'سنرسل إليك رابطًا يسجّل دخولك دون الحاجة إلى كلمة مرور.',
+  'magicLink.submit': 'أرسل لي رابط تسجيل الدخول',
+  'magicLink.usePassword': 'تسجيل الدخول بكلمة المرور بدلًا من ذلك',
+  'magicLink.sent': 'إذا كان هناك حساب للبريد {email} فإن رابط تسجيل الدخول في طريقه إليك. تنتهي صلاحيته بعد {minutes, plural, one {دقيقة واحدة} two {دقيقتين} few {# دقائق} many {# دقيقة} other {# دقيقة}} ويعمل مرة واحدة.',
+  'magicLink.sendAnother': 'إرسال رابط آخر',
+  'magicLink.failed': 'تعذر إرسال رابط تسجيل الدخول. يرجى المحاولة مرة أخرى.',
+  'magicLink.expiredText': 'رابط تسجيل الدخول هذا غير صالح أو سبق استخدامه أو انتهت صلاحيته. اطلب رابطًا جديدًا من صفحة تسجيل الدخول.',
+
+  // Two-factor step
+  'twoFactor.title': 'المصادقة الثنائية',
+  'twoFactor.appInstructions': 'افتح تطبيق المصادقة وأدخل الرمز المكوّن من {digits} أرقام لهذا الحساب.',
+  'twoFactor.recoveryInstructions': 'أدخل أحد رموز الاسترداد التي حفظتها عند تفعيل المصادقة الثنائية. يعمل كل رمز مرة واحدة.',
+  'twoFactor.codeLabel': 'رمز المصادقة',
+  'twoFactor.recoveryLabel': 'رمز الاسترداد',
+  'twoFactor.verify': 'تحقق',
+  'twoFactor.verifying': 'جارٍ التحقق...',
+  'twoFactor.useRecoveryCode': 'فقدت جهازك؟ استخدم رمز استرداد',
+  'twoFactor.useApp': 'استخدم تطبيق المصادقة بدلًا من ذلك',
+  'twoFactor.codeRequired': 'أدخل الرمز المكوّن من {digits} أرقام من تطبيق المصادقة',
+  'twoFactor.recoveryCodeRequired': 'أدخل أحد رموز الاسترداد',
+  'twoFactor.failed': 'فشل التحقق. يرجى المحاولة مرة أخرى.',
+  'twoFactor.invalidCode': 'رمز التحقق غير صحيح',
+  'twoFactor.expired': 'انتهت صلاحية محاولة تسجيل الدخول. يرجى تسجيل الدخول مرة أخرى.',
+
+  // Sign up
+  'signup.title': 'إنشاء حساب',
+  'signup.subtitle': 'انضم إلينا اليوم وابدأ باستخدام لوحة التحكم الآمنة',
+  'signup.firstName': 'الاسم الأول',
+  'signup.firstNamePlaceholder': 'أحمد',
+  'signup.lastName': 'اسم العائلة',
+  'signup.lastNamePlaceholder': 'علي',
+  'signup.emailPlaceholder': 'ahmed.ali@example.com',
+  'signup.passwordPlaceholder': 'أنشئ كلمة مرور قوية',
+  'signup.confirmPassword': 'تأكيد كلمة المرور',
+  'signup.confirmPasswordPlaceholder': 'أكّد كلمة المرور',
+  'signup.agree': 'أوافق على {terms} و{privacy}',
+  'signup.terms': 'شروط الخدمة',
+  'signup.privacy': 'سياسة الخصوصية',
+  'signup.submit': 'إنشاء حساب',
+  'signup.submitting': 'جارٍ إنشاء الحساب...',
+  'signup.demoTitle': 'تسجيل تجريبي:',
+  'signup.demoText': 'تُحفظ الحسابات في هذا المتصفح، ويمكنك تسجيل الدخول بها لاحقًا.',
+  'signup.haveAccount': 'لديك حساب بالفعل؟ {link}',
+  'signup.failed': 'فشل التسجيل. يرجى المحاولة مرة أخرى.',
+  'signup.duplicateEmail': 'هذا البريد الإلكتروني مسجّل بالفعل. جرّب تسجيل الدخول بدلًا من ذلك.',
+  'signup.socialFailed': 'تعذر بدء التسجيل عبر الشبكات الاجتماعية. يرجى المحاولة مرة أخرى.',
+
+  // Forgot password
+  'forgotPassword.title': 'نسيت كلمة المرور؟',
+  'forgotPassword.subtitle': 'أدخل بريدك الإلكتروني وسنرسل إليك تعليمات إعادة تعيين كلمة المرور.',
+  'forgotPassword.emailPlaceholder': 'أدخل عنوان بريدك الإلكتروني',
+  'forgotPassword.submit': 'إرسال تعليمات إعادة التعيين',
+  'forgotPassword.sent': 'أُرسلت تعليمات إعادة تعيين كلمة المرور إلى بريدك الإلكتروني!',
+  'forgotPassword.failed': 'تعذر إرسال رسالة إعادة التعيين. يرجى المحاولة مرة أخرى.',
+  'forgotPassword.checkEmail': 'تحقق من بريدك الإلكتروني',
+  'forgotPassword.sentTo': 'أرسلنا تعليمات إعادة تعيين كلمة المرور إلى {email}',
+  'forgotPassword.notReceived': 'لم تصلك الرسالة؟ تحقق من مجلد الرسائل غير المرغوب فيها أو حاول مرة أخرى.',
+  'forgotPassword.tryAgain': 'حاول مرة أخرى',
+  'forgotPassword.rememberPassword': 'تذكرت كلمة المرور؟ {link}',
+
+  // Dashboard
+  'dashboard.title': 'لوحة التحكم',
+  'dashboard.welcomeUser': 'مرحبًا، {name}',
+  'dashboard.logout': 'تسجيل الخروج',
+  'dashboard.logoutConfirm': 'هل تريد تسجيل الخروج بالتأكيد؟',
+  'dashboard.signedOut': 'تم تسجيل خروجك',
+  'dashboard.welcomeTitle': 'مرحبًا بك في لوحة التحكم!',
+  'dashboard.welcomeText': 'سجّلت الدخول بنجاح. جلستك آمنة ونشطة.',
+  'dashboard.sessionTime': 'مدة الجلسة',
+  'dashboard.unknown': 'غير معروف',
+  'dashboard.since': 'منذ {time}',
+  'dashboard.sessionExpiresIn': 'تنتهي الجلسة بعد',
+  'dashboard.never': 'أبدًا',
+  'dashboard.rememberedOnDevice': 'محفوظة على هذا الجهاز',
+  'dashboard.endsWithTab': 'تنتهي عند إغلاق علامة التبويب',
+  'dashboard.securityLevel': 'مستوى الأمان',
+  'dashboard.missingChecks': 'ينقص: {checks}',
+  'dashboard.allChecksPassed': 'اجتيزت جميع الفحوصات',
+  'dashboard.connection': 'الاتصال',
+  'dashboard.online': 'متصل',
+  'dashboard.offline': 'غير متصل',
+  'dashboard.checkConnection': 'تحقق من اتصالك بالإنترنت',
+  'dashboard.accountInformation': 'معلومات الحساب',
+  'dashboard.notVerified': '(غير مؤكد)',
+  'dashboard.loginMethod': 'طريقة تسجيل الدخول',
+  'dashboard.twoFactor': 'المصادقة الثنائية',
+  'dashboard.enabled': 'مفعّلة',
+  'dashboard.notEnabled': 'غير مفعّلة',
+  'dashboard.role': 'الدور',
+  'dashboard.accountStatus': 'حالة الحساب',
+  'dashboard.active': 'نشط',
+  'dashboard.sessionPersistence': 'استمرار الجلسة',
+  'dashboard.tabOnly': 'علامة التبويب هذه فقط',
+  'dashboard.editProfile': 'تعديل الملف الشخصي',
+  'dashboard.securitySettings': 'إعدادات الأمان',
+
+  'security.level.high': 'مرتفع',
+  'security.level.medium': 'متوسط',
+  'security.level.low': 'منخفض',
+  'security.check.emailVerified': 'بريد إلكتروني مؤكد',
+  'security.check.twoFactor': 'المصادقة الثنائية',
+  'security.check.passwordAge': 'تغيير كلمة المرور خلال آخر سنة',
+
+  'loginMethod.passkey': 'مفتاح المرور',
+  'loginMethod.magicLink': 'رابط تسجيل الدخول بالبريد',
+  'loginMethod.password': 'البريد الإلكتروني وكلمة المرور',
+
+  // Email verification
+  'emailVerification.bannerTitle': 'أكّد بريدك الإلكتروني',
+  'emailVerification.bannerText': 'أرسلنا رابط تأكيد إلى {email}. ستبقى بعض الميزات غير متاحة حتى تفتحه.',
+  'emailVerification.resend': 'إعادة إرسال رسالة التأكيد',
+  'emailVerification.resendIn': 'إعادة الإرسال بعد {time}',
+  'emailVerification.sent': 'أُرسلت رسالة التأكيد. تحقق من بريدك الوارد.',
+  'emailVerification.failed': 'تعذر إرسال الرسالة. يرجى المحاولة مرة أخرى.',
+  'emailVerification.tooSoon': 'أُرسلت رسالة تحقق مؤخرًا. يرجى الانتظار قبل طلب رسالة أخرى.',
+  'emailVerification.requiredTitle': 'تحقّق من بريدك الإلكتروني أولًا',
+  'emailVerification.requiredText': 'تتوفر هذه الصفحة بعد تأكيد بريدك الإلكتروني. اتبع الرابط الذي أرسلناه إلى {email}.',
+  'emailVerification.checking': 'جارٍ التحقق من بريدك الإلكتروني...',
+  'emailVerification.verifiedTitle': 'تم التحقق من البريد الإلكتروني',
+  'emailVerification.verifiedText': 'شكرًا! تم تأكيد {email} واكتمل إعداد حسابك.',
+  'emailVerification.invalidText': 'رابط التحقق هذا غير صالح أو سبق استخدامه أو انتهت صلاحيته. سجّل الدخول لطلب رابط جديد.',
+  'emailVerification.goToDashboard': 'الانتقال إلى لوحة التحكم',
+
+  // Reset password
+  'resetPassword.title': 'اختر كلمة مرور جديدة',
+  'resetPassword.subtitle': 'إعادة تعيين كلمة المرور لـ {email}',
+  'resetPassword.confirmPlaceholder': 'أكّد كلمة المرور الجديدة',
+  'resetPassword.submit': 'تحديث كلمة المرور',
+  'resetPassword.submitting': 'جارٍ تحديث كلمة المرور...',
+  'resetPassword.failed': 'تعذّرت إعادة تعيين كلمة المرور. يرجى المحاولة مرة أخرى.',
+  'resetPassword.invalidText': 'رابط إعادة تعيين كلمة المرور هذا غير صالح أو سبق استخدامه أو انتهت صلاحيته.',
+  'resetPassword.requestNew': 'اطلب رابطًا جديدًا',
+  'resetPassword.successTitle': 'تم تحديث كلمة المرور',
+  'resetPassword.successText': 'تم تغيير كلمة المرور وتسجيل الخروج من جميع الجلسات الأخرى.',
+  'resetPassword.signIn': 'سجّل الدخول بكلمة المرور الجديدة',
+
+  // Social sign-in callback
+  'oauth.failedTitle': 'فشل تسجيل الدخول',
+  'oauth.failed': 'فشل تسجيل الدخول. يرجى المحاولة مرة أخرى.',
+  'oauth.stateMismatch': 'تعذّر التحقق من استجابة تسجيل الدخول هذه. يرجى المحاولة مرة أخرى.',
+  'oauth.expired': 'انتهت صلاحية طلب تسجيل الدخول. يرجى المحاولة مرة أخرى.',
+  'oauth.denied': 'أُلغي تسجيل الدخول لدى مزوّد الخدمة.',
+
+  // Access denied
+  'forbidden.code': '403 - تم رفض الوصول',
+  'forbidden.title': 'ليس لديك صلاحية الوصول إلى هذه الصفحة',
+  'forbidden.text': 'لا يتضمن دور حسابك الصلاحية التي تتطلبها هذه الصفحة. تواصل مع أحد المسؤولين إذا كنت تعتقد أن هذا خطأ.',
+
+  // Profile
+  'profile.title': 'تعديل الملف الشخصي',
+  'profile.saved': 'تم حفظ الملف الشخصي',
+  'profile.saveFailed': 'تعذّر حفظ تغييراتك.',
+  'profile.imageTooLarge': 'يرجى اختيار صورة أصغر من {size} ميغابايت',
+  'profile.imageUnreadable': 'تعذّرت قراءة هذه الصورة',
+  'profile.changePhoto': 'تغيير الصورة',
+  'profile.uploadPhoto': 'رفع صورة',
+  'profile.removePhoto': 'إزالة',
+  'profile.displayName': 'الاسم المعروض',
+  'profile.displayNameHint': 'يظهر بدلًا من اسمك الكامل. اتركه فارغًا لاستخدام اسمك.',
+  'profile.timezone': 'المنطقة الزمنية',
+  'profile.save': 'حفظ التغييرات',
+  'avatarCropper.preview': 'معاينة قص الصورة الرمزية',
+  'avatarCropper.zoom': 'تكبير',
+  'avatarCropper.apply': 'استخدام الصورة',
+
+  // Security settings
+  'securitySettings.title': 'إعدادات الأمان',
+  'securitySettings.intro': 'تحكّم في طريقة تسجيل دخولك إلى {email}.',
+  'changePassword.hint': 'يؤدي تغيير كلمة المرور إلى تسجيل خروجك من كل مكان آخر.',
+  'changePassword.submit': 'تغيير كلمة المرور',
+  'changePassword.success': 'تم تغيير كلمة المرور وتسجيل الخروج من جلساتك الأخرى.',
+  'changePassword.failed': 'تعذّر تغيير كلمة المرور. يرجى المحاولة مرة أخرى.',
+  'changeEmail.current': 'تسجّل الدخول باستخدام {email}.',
+  'changeEmail.pending': 'بانتظار التحقق من {email}. اتبع الرابط الذي أرسلناه إليه لإكمال التغيير.',
+  'changeEmail.newEmail': 'البريد الإلكتروني الجديد',
+  'changeEmail.newEmailPlaceholder': 'أدخل بريدك الإلكتروني الجديد',
+  'changeEmail.submit': 'تغيير البريد الإلكتروني',
+  'changeEmail.sent': 'تم إرسال رابط التحقق إلى {email}',
+  'changeEmail.failed': 'تعذّر تغيير البريد الإلكتروني. يرجى المحاولة مرة أخرى.',
+
+  // Two-factor settings
+  'twoFactorSettings.hint': 'اطلب رمزًا من تطبيق مصادقة بالإضافة إلى كلمة المرور.',
+  'twoFactorSettings.on': 'مفعّلة',
+  'twoFactorSettings.off': 'معطّلة',
+  'twoFactorSettings.setUp': 'إعداد تطبيق المصادقة',
+  'twoFactorSettings.turnOff': 'إيقاف المصادقة الثنائية',
+  'twoFactorSettings.qrAlt': 'رمز QR لتطبيق المصادقة',
+  'twoFactorSettings.scanStep': '1. امسح رمز QR باستخدام Google Authenticator أو 1Password أو Authy أو تطبيق مشابه.',
+  'twoFactorSettings.manualKey': 'لا يمكنك مسحه؟ أدخل هذا المفتاح يدويًا:',
+  'twoFactorSettings.codeStep': '2. أدخل الرمز المكوّن من {digits} أرقام الذي يعرضه التطبيق للإنهاء.',
+  'twoFactorSettings.codeLabel': 'رمز التحقق',
+  'twoFactorSettings.confirm': 'تحقّق وفعّل',
+  'twoFactorSettings.recoveryWarning': 'احفظ رموز الاسترداد هذه في مكان آمن. يمكن استخدام كل رمز مرة واحدة لتسجيل الدخول إذا فقدت الوصول إلى تطبيق المصادقة. لن تظهر مرة أخرى.',
+  'twoFactorSettings.copy': 'نسخ',
+  'twoFactorSettings.download': 'تنزيل',
+  'twoFactorSettings.savedCodes': 'لقد حفظت الرموز',
+  'twoFactorSettings.disableHint': 'أدخل كلمة المرور لإيقاف المصادقة الثنائية. ستتوقف رموز الاسترداد عن العمل.',
+  'twoFactorSettings.disable': 'إيقاف',
+  'twoFactorSettings.enabled': 'المصادقة الثنائية مفعّلة',
+  'twoFactorSettings.disabled': 'المصادقة الثنائية معطّلة',
+  'twoFactorSettings.startFailed': 'تعذّر بدء إعداد المصادقة الثنائية. يرجى المحاولة مرة أخرى.',
+  'twoFactorSettings.confirmFailed': 'تعذّر التحقق من الرمز. يرجى المحاولة مرة أخرى.',
+  'twoFactorSettings.disableFailed': 'تعذّر إيقاف المصادقة الثنائية. يرجى المحاولة مرة أخرى.',
+  'twoFactorSettings.alreadyEnabled': 'المصادقة الثنائية مفعّلة بالفعل',
+  'twoFactorSettings.restartSetup': 'ابدأ الإعداد من جديد للحصول على رمز QR جديد',
+  'twoFactorSettings.codeMismatch': 'الرمز غير مطابق. تحقّق من الوقت على جهازك وحاول مرة أخرى.',
+  'twoFactorSettings.copied': 'تم نسخ رموز الاسترداد',
+  'twoFactorSettings.copyFailed': 'فشل النسخ - يرجى تدوين الرموز',
+  'twoFactorSettings.fileHeader': 'رموز الاسترداد لـ {email}',
+
+  // Passkeys
+  'passkeys.title': 'مفاتيح المرور',
+  'passkeys.hint': 'سجّل الدخول ببصمة إصبعك أو وجهك أو رمز PIN للجهاز بدلًا من كلمة المرور.',
+  'passkeys.added': 'أُضيف في {date}',
+  'passkeys.lastUsed': 'آخر استخدام: {date}',
+  'passkeys.nameLabel': 'اسم مفتاح المرور (اختياري)',
+  'passkeys.namePlaceholder': 'مثلًا: حاسوب العمل',
+  'passkeys.register': 'تسجيل مفتاح مرور',
+  'passkeys.unsupported': 'هذا المتصفح لا يدعم مفاتيح المرور.',
+  'passkeys.registered': 'تمت إضافة مفتاح المرور. يمكنك الآن تسجيل الدخول دون كلمة مرور.',
+  'passkeys.registerFailed': 'تعذّرت إضافة مفتاح المرور. يرجى المحاولة مرة أخرى.',
+  'passkeys.cancelled': 'أُلغي طلب مفتاح المرور أو انتهت مهلته',
+  'passkeys.exists': 'يحتوي هذا الجهاز بالفعل على مفتاح مرور لحسابك',
+  'passkeys.alreadyRegistered': 'مفتاح المرور هذا مسجّل بالفعل',
+  'passkeys.verifyFailed': 'تعذّر التحقق من مفتاح المرور هذا. يرجى المحاولة مرة أخرى.',
+
+  // Active sessions
+  'sessions.title': 'الجلسات النشطة',
+  'sessions.hint': 'الأجهزة والمتصفحات المسجّل دخولها إلى حسابك.',
+  'sessions.current': 'هذا الجهاز',
+  'sessions.activity': 'سُجّل الدخول {signedIn} · آخر نشاط {lastActive}',
+  'sessions.signOut': 'تسجيل الخروج',
+  'sessions.signOutOthers': 'تسجيل الخروج من جميع الجلسات الأخرى',
+  'sessions.signOutOthersConfirm': 'هل تريد تسجيل الخروج من كل الجلسات الأخرى؟ ستبقى مسجّل الدخول هنا.',
+  'sessions.loadFailed': 'تعذّر تحميل جلساتك. يرجى المحاولة مرة أخرى.',
+  'sessions.revoked': 'تم تسجيل الخروج من الجلسة',
+  'sessions.revokeFailed': 'تعذّر تسجيل الخروج من تلك الجلسة. يرجى المحاولة مرة أخرى.',
+  'sessions.othersRevoked': 'تم تسجيل الخروج من جميع الجلسات الأخرى',
+  'sessions.othersRevokeFailed': 'تعذّر تسجيل الخروج من الجلسات الأخرى. يرجى المحاولة مرة أخرى.',
+
+  // Notifications
+  'toast.region': 'الإشعارات',
+  'toast.close': 'إغلاق الإشعار',
+  'toast.count': '{count, plural, one {ظهر مرة واحدة} two {ظهر مرتين} few {ظهر # مرات} other {ظهر # مرة}}'
+}
@@ -0,0 +1,374 @@
+/**
+ * English messages - the source catalog every other language translates
+ * (message syntax: see services/i18n)
+ */
+export default {
+  // Shared
+  'common.emailLabel': 'Email Address',
+  'common.passwordLabel': 'Password',
+  'common.showPassword': 'Show password',
+  'common.hidePassword': 'Hide password',
+  'common.or': 'or',
+  'common.sending': 'Sending...',
+  'common.backToLogin': 'Back to Login',
+  'common.signInLink': 'Sign in here',
+  'common.fixErrors': 'Please fix the errors above',
+  'common.genericError': 'An error occurred. Please try again.',
+  'common.devOutbox': 'Running locally? Emails land in the {link}.',
+  'common.devOutboxLink': 'dev outbox',
+  'common.language': 'Language',
+  'common.backToDashboard': 'Back to Dashboard',
+  'common.cancel': 'Cancel',
+  'common.retry': 'Retry',
+  'common.saving': 'Saving...',
+  'common.signingIn': 'Signing you in...',
+  'common.linkExpired': 'Link Expired',
+  'common.currentPassword': 'Current Password',
+  'common.newPassword': 'New Password',
+  'common.confirmNewPassword': 'Confirm New Password',
+  'common.never': 'Never',
+  'common.unknown': 'Unknown',
+  'theme.label': 'Theme',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.system': 'System',
+
+  // Validation
+  'validation.emailRequired': 'Email is required',
+  'validation.emailInvalid': 'Please enter a valid email address',
+  'validation.emailTaken': 'An account with this email already exists',
+  'validation.firstNameRequired': 'First name is required',
+  'validation.firstNameMinLength': 'First name must be at least {min} characters',
+  'validation.lastNameRequired': 'Last name is required',
+  'validation.lastNameMinLength': 'Last name must be at least {min} characters',
+  'validation.confirmPasswordRequired': 'Please confirm your password',
+  'validation.passwordsDontMatch': 'Passwords do not match',
+  'validation.agreeToTerms': 'You must agree to the terms and conditions',
+  'validation.currentPasswordRequired': 'Current password is required',
+  'validation.incorrectPassword': 'Incorrect password',
+  'validation.noPasswordSet': 'Your account has no password yet. Use "Forgot password" on the login page to set one.',
+  'validation.samePassword': 'Choose a password different from your current one',
+  'validation.sameEmail': 'This is already your email address',
+  'validation.displayNameMaxLength': 'Display name must be at most {max} characters',
+  'validation.avatarType': 'Please choose a PNG, JPEG or WebP image',
+  'validation.avatarTooLarge': 'This image is too large',
+  'validation.timezoneRequired': 'Time zone is required',
+  'validation.timezoneInvalid': 'Please choose a valid time zone',
+  'validation.localeRequired': 'Language is required',
+  'validation.localeInvalid': 'Please choose a supported language',
+
+  // Password policy
+  'password.required': 'Password is required',
+  'password.minLength': 'Password must be at least {min} characters',
+  'password.maxLength': 'Password must be at most {max} characters',
+  'password.missingClasses': 'Password must contain {classes}',
+  'password.class.lowercase': 'a lowercase letter',
+  'password.class.uppercase': 'an uppercase letter',
+  'password.class.digit': 'a number',
+  'password.class.symbol': 'a symbol',
+  'password.tooCommon': 'This password is too common. Choose something less predictable.',
+  'password.personalInfo': 'Password must not contain your name or email address',
+  'password.tooWeakWithWarning': '{warning}. Choose a stronger password.',
+  'password.tooWeak': 'This password is too easy to guess. Choose a stronger password.',
+  'password.breached': 'This password has appeared in a data breach. Choose a different one.',
+
+  // Password strength
+  'passwordStrength.label': 'Password strength:',
+  'passwordStrength.veryWeak': 'Very Weak',
+  'passwordStrength.weak': 'Weak',
+  'passwordStrength.fair': 'Fair',
+  'passwordStrength.good': 'Good',
+  'passwordStrength.strong': 'Strong',
+  'passwordStrength.addWords': 'Add another word or two. Uncommon words are better.',
+  'passwordStrength.useFewWords': 'Use a few words, avoid common phrases',
+  'passwordStrength.noSymbolsNeeded': 'No need for symbols, digits or uppercase letters',
+  'passwordStrength.similarToCommon': 'This is similar to a commonly used password',
+  'passwordStrength.personalInfo': 'Avoid using your name or email address',
+  'passwordStrength.top10': 'This is a top-10 common password',
+  'passwordStrength.top100': 'This is a very common password',
+  'passwordStrength.capitalization': "Capitalization doesn't help very much",
+  'passwordStrength.allUppercase': 'All-uppercase is almost as easy to guess as all-lowercase',
+  'passwordStrength.reversed': "Reversed words aren't much harder to guess",
+  'passwordStrength.substitutions': "Predictable substitutions like '@' instead of 'a' don't help very much",
+  'passwordStrength.keyboardWarning': 'Straight rows of keys are easy to guess',
+  'passwordStrength.repeatWarning': 'Repeats like "aaa" or "abcabc" are easy to guess',
+  'passwordStrength.sequenceWarning': 'Sequences like "abc" or "6543" are easy to guess',
+  'passwordStrength.yearWarning': 'Recent years are easy to guess',
+  'passwordStrength.keyboardSuggestion': 'Use a longer keyboard pattern with more turns',
+  'passwordStrength.repeatSuggestion': 'Avoid repeated words and characters',
+  'passwordStrength.sequenceSuggestion': 'Avoid sequences',
+  'passwordStrength.yearSuggestion': 'Avoid years that are associated with you',
+
+  // Login
+  'login.title': 'Welcome Back',
+  'login.subtitle': 'Sign in to access your secure dashboard',
+  'login.emailPlaceholder': 'Enter your email',
+  'login.passwordPlaceholder': 'Enter your password',
+  'login.rememberMe': 'Remember me',
+  'login.forgotPassword': 'Forgot password?',
+  'login.throttled': '{locked, select, true {Too many failed attempts. Sign in is locked for {time}} other {Too many failed attempts. Try again in {time}}}',
+  'login.submit': 'Sign In',
+  'login.submitting': 'Signing In...',
+  'login.useMagicLink': 'Email me a sign-in link instead',
+  'login.passkey': 'Sign in with passkey',
+  'login.demoTitle': 'Demo Credentials:',
+  'login.demoSignUp': 'Create an account on the sign up page first',
+  'login.demoSignIn': 'Then sign in with the same email and password',
+  'login.noAccount': "Don't have an account? {link}",
+  'login.signUpLink': 'Sign up here',
+  'login.failed': 'Login failed. Please check your credentials.',
+  'login.passkeyCancelled': 'Passkey sign in was cancelled',
+  'login.passkeyFailed': 'Passkey sign in failed. Please try again.',
+  'login.passkeyRejected': 'This passkey could not be used to sign in',
+  'login.socialFailed': 'Could not start social sign in. Please try again.',
+  'login.challengePrompt': "Too many failed attempts. Please confirm you're not a robot.",
+  'login.notARobot': "I'm not a robot",
+  'login.continueWith': 'Continue with {provider}',
+  'login.completeChallenge': 'Please complete the verification check to continue',
+
+  // Sign-in link
+  'magicLink.hint': "We'll email you a link that signs you in - no password needed.",
+  'magicLink.submit': 'Email me a sign-in link',
+  'magicLink.usePassword': 'Sign in with a password instead',
+  'magicLink.sent': 'If an account exists for {email}, a sign-in link is on its way. It expires in {minutes, plural, one {# minute} other {# minutes}} and works once.',
+  'magicLink.sendAnother': 'Send another link',
+  'magicLink.failed': 'Could not send the sign-in link. Please try again.',
+  'magicLink.expiredText': 'This sign-in link is invalid, has already been used or has expired. Request a new one from the login page.',
+
+  // Two-factor step
+  'twoFactor.title': 'Two-Factor Authentication',
+  'twoFactor.appInstructions': 'Open your authenticator app and enter the {digits}-digit code for this account.',
+  'twoFactor.recoveryInstructions': 'Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once.',
+  'twoFactor.codeLabel': 'Authentication Code',
+  'twoFactor.recoveryLabel': 'Recovery Code',
+  'twoFactor.verify': 'Verify',
+  'twoFactor.verifying': 'Verifying...',
+  'twoFactor.useRecoveryCode': 'Lost your device? Use a recovery code',
+  'twoFactor.useApp': 'Use your authenticator app instead',
+  'twoFactor.codeRequired': 'Enter the {digits}-digit code from your authenticator app',
+  'twoFactor.recoveryCodeRequired': 'Enter one of your recovery codes',
+  'twoFactor.failed': 'Verification failed. Please try again.',
+  'twoFactor.invalidCode': 'Invalid verification code',
+  'twoFactor.expired': 'Your sign-in attempt has expired. Please sign in again.',
+
+  // Sign up
+  'signup.title': 'Create Account',
+  'signup.subtitle': 'Join us today and get started with your secure dashboard',
+  'signup.firstName': 'First Name',
+  'signup.firstNamePlaceholder': 'John',
+  'signup.lastName': 'Last Name',
+  'signup.lastNamePlaceholder': 'Doe',
+  'signup.emailPlaceholder': 'john.doe@example.com',
+  'signup.passwordPlaceholder': 'Create a strong password',
+  'signup.confirmPassword': 'Confirm Password',
+  'signup.confirmPasswordPlaceholder': 'Confirm your password',
+  'signup.agree': 'I agree to the {terms} and {privacy}',
+  'signup.terms': 'Terms of Service',
+  'signup.privacy': 'Privacy Policy',
+  'signup.submit': 'Create Account',
+  'signup.submitting': 'Creating Account...',
+  'signup.demoTitle': 'Demo Registration:',
+  'signup.demoText': 'Accounts are stored in this browser - sign in with them afterwards.',
+  'signup.haveAccount': 'Already have an account? {link}',
+  'signup.failed': 'Registration failed. Please try again.',
+  'signup.duplicateEmail': 'This email is already registered. Try signing in instead.',
+  'signup.socialFailed': 'Could not start social sign up. Please try again.',
+
+  // Forgot password
+  'forgotPassword.title': 'Forgot Password?',
+  'forgotPassword.subtitle': "Enter your email address and we'll send you instructions to reset your password.",
+  'forgotPassword.emailPlaceholder': 'Enter your email address',
+  'forgotPassword.submit': 'Send Reset Instructions',
+  'forgotPassword.sent': 'Password reset instructions sent to your email!',
+  'forgotPassword.failed': 'Failed to send reset email. Please try again.',
+  'forgotPassword.checkEmail': 'Check Your Email',
+  'forgotPassword.sentTo': "We've sent password reset instructions to {email}",
+  'forgotPassword.notReceived': "Didn't receive the email? Check your spam folder or try again.",
+  'forgotPassword.tryAgain': 'Try again',
+  'forgotPassword.rememberPassword': 'Remember your password? {link}',
+
+  // Dashboard
+  'dashboard.title': 'Dashboard',
+  'dashboard.welcomeUser': 'Welcome, {name}',
+  'dashboard.logout': 'Logout',
+  'dashboard.logoutConfirm': 'Are you sure you want to logout?',
+  'dashboard.signedOut': 'You have been signed out',
+  'dashboard.welcomeTitle': 'Welcome to your Dashboard!',
+  'dashboard.welcomeText': 'You have successfully logged in. Your session is secure and active.',
+  'dashboard.sessionTime': 'Session Time',
+  'dashboard.unknown': 'Unknown',
+  'dashboard.since': 'Since {time}',
+  'dashboard.sessionExpiresIn': 'Session Expires In',
+  'dashboard.never': 'Never',
+  'dashboard.rememberedOnDevice': 'Remembered on this device',
+  'dashboard.endsWithTab': 'Ends when the tab closes',
+  'dashboard.securityLevel': 'Security Level',
+  'dashboard.missingChecks': 'Missing: {checks}',
+  'dashboard.allChecksPassed': 'All checks passed',
+  'dashboard.connection': 'Connection',
+  'dashboard.online': 'Online',
+  'dashboard.offline': 'Offline',
+  'dashboard.checkConnection': 'Check your internet connection',
+  'dashboard.accountInformation': 'Account Information',
+  'dashboard.notVerified': '(not verified)',
+  'dashboard.loginMethod': 'Login Method',
+  'dashboard.twoFactor': 'Two-Factor Authentication',
+  'dashboard.enabled': 'Enabled',
+  'dashboard.notEnabled': 'Not enabled',
+  'dashboard.role': 'Role',
+  'dashboard.accountStatus': 'Account Status',
+  'dashboard.active': 'Active',
+  'dashboard.sessionPersistence': 'Session Persistence',
+  'dashboard.tabOnly': 'This browser tab only',
+  'dashboard.editProfile': 'Edit Profile',
+  'dashboard.securitySettings': 'Security Settings',
+
+  'security.level.high': 'High',
+  'security.level.medium': 'Medium',
+  'security.level.low': 'Low',
+  'security.check.emailVerified': 'Verified email',
+  'security.check.twoFactor': 'Two-factor authentication',
+  'security.check.passwordAge': 'Password changed within a year',
+
+  'loginMethod.passkey': 'Passkey',
+  'loginMethod.magicLink': 'Email Sign-in Link',
+  'loginMethod.password': 'Email & Password',
+
+  // Email verification
+  'emailVerification.bannerTitle': 'Verify your email',
+  'emailVerification.bannerText': 'We sent a verification link to {email}. Some features stay unavailable until you follow it.',
+  'emailVerification.resend': 'Resend verification email',
+  'emailVerification.resendIn': 'Resend in {time}',
+  'emailVerification.sent': 'Verification email sent. Check your inbox.',
+  'emailVerification.failed': 'Could not send the email. Please try again.',
+  'emailVerification.tooSoon': 'A verification email was sent recently. Please wait before requesting another one.',
+  'emailVerification.requiredTitle': 'Verify your email first',
+  'emailVerification.requiredText': 'This page is available once you confirm your email address. Follow the link we sent to {email}.',
+  'emailVerification.checking': 'Verifying your email...',
+  'emailVerification.verifiedTitle': 'Email Verified',
+  'emailVerification.verifiedText': 'Thanks! {email} is confirmed and your account is fully set up.',
+  'emailVerification.invalidText': 'This verification link is invalid, has already been used or has expired. Sign in to request a new one.',
+  'emailVerification.goToDashboard': 'Go to Dashboard',
+
+  // Reset password
+  'resetPassword.title': 'Choose a New Password',
+  'resetPassword.subtitle': 'Resetting the password for {email}',
+  'resetPassword.confirmPlaceholder': 'Confirm your new password',
+  'resetPassword.submit': 'Update Password',
+  'resetPassword.submitting': 'Updating Password...',
+  'resetPassword.failed': 'Failed to reset password. Please try again.',
+  'resetPassword.invalidText': 'This password reset link is invalid, has already been used or has expired.',
+  'resetPassword.requestNew': 'Request a new link',
+  'resetPassword.successTitle': 'Password Updated',
+  'resetPassword.successText': 'Your password has been changed and all other sessions have been signed out.',
+  'resetPassword.signIn': 'Sign in with your new password',
+
+  // Social sign-in callback
+  'oauth.failedTitle': 'Sign In Failed',
+  'oauth.failed': 'Sign in failed. Please try again.',
+  'oauth.stateMismatch': 'This sign-in response could not be verified. Please try again.',
+  'oauth.expired': 'The sign-in request expired. Please try again.',
+  'oauth.denied': 'Sign in was cancelled at the provider.',
+
+  // Access denied
+  'forbidden.code': '403 - Access denied',
+  'forbidden.title': "You don't have access to this page",
+  'forbidden.text': 'Your account role does not include the permission this page requires. Contact an administrator if you think this is a mistake.',
+
+  // Profile
+  'profile.title': 'Edit Profile',
+  'profile.saved': 'Profile saved',
+  'profile.saveFailed': 'Your changes could not be saved.',
+  'profile.imageTooLarge': 'Please choose an image smaller than {size} MB',
+  'profile.imageUnreadable': 'This image could not be read',
+  'profile.changePhoto': 'Change photo',
+  'profile.uploadPhoto': 'Upload photo',
+  'profile.removePhoto': 'Remove',
+  'profile.displayName': 'Display Name',
+  'profile.displayNameHint': 'Shown instead of your full name. Leave empty to use your name.',
+  'profile.timezone': 'Time Zone',
+  'profile.save': 'Save Changes',
+  'avatarCropper.preview': 'Avatar crop preview',
+  'avatarCropper.zoom': 'Zoom',
+  'avatarCropper.apply': 'Use photo',
+
+  // Security settings
+  'securitySettings.title': 'Security Settings',
+  'securitySettings.intro': 'Manage how you sign in to {email}.',
+  'changePassword.hint': 'Changing your password signs you out everywhere else.',
+  'changePassword.submit': 'Change password',
+  'changePassword.success': 'Password changed. Your other sessions were signed out.',
+  'changePassword.failed': 'Could not change the password. Please try again.',
+  'changeEmail.current': 'You sign in with {email}.',
+  'changeEmail.pending': 'Waiting for {email} to be verified. Follow the link we sent there to finish the change.',
+  'changeEmail.newEmail': 'New Email Address',
+  'changeEmail.newEmailPlaceholder': 'Enter your new email address',
+  'changeEmail.submit': 'Change email',
+  'changeEmail.sent': 'Verification link sent to {email}',
+  'changeEmail.failed': 'Could not change the email address. Please try again.',
+
+  // Two-factor settings
+  'twoFactorSettings.hint': 'Require a code from an authenticator app in addition to your password.',
+  'twoFactorSettings.on': 'On',
+  'twoFactorSettings.off': 'Off',
+  'twoFactorSettings.setUp': 'Set up authenticator app',
+  'twoFactorSettings.turnOff': 'Turn off two-factor authentication',
+  'twoFactorSettings.qrAlt': 'QR code for your authenticator app',
+  'twoFactorSettings.scanStep': '1. Scan the QR code with Google Authenticator, 1Password, Authy or a similar app.',
+  'twoFactorSettings.manualKey': "Can't scan it? Enter this key manually:",
+  'twoFactorSettings.codeStep': '2. Enter the {digits}-digit code the app shows to finish.',
+  'twoFactorSettings.codeLabel': 'Verification Code',
+  'twoFactorSettings.confirm': 'Verify and turn on',
+  'twoFactorSettings.recoveryWarning': 'Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose access to your authenticator app. They will not be shown again.',
+  'twoFactorSettings.copy': 'Copy',
+  'twoFactorSettings.download': 'Download',
+  'twoFactorSettings.savedCodes': "I've saved my codes",
+  'twoFactorSettings.disableHint': 'Enter your password to turn off two-factor authentication. Your recovery codes will stop working.',
+  'twoFactorSettings.disable': 'Turn off',
+  'twoFactorSettings.enabled': 'Two-factor authentication is on',
+  'twoFactorSettings.disabled': 'Two-factor authentication is off',
+  'twoFactorSettings.startFailed': 'Could not start two-factor setup. Please try again.',
+  'twoFactorSettings.confirmFailed': 'Could not verify the code. Please try again.',
+  'twoFactorSettings.disableFailed': 'Could not turn off two-factor authentication. Please try again.',
+  'twoFactorSettings.alreadyEnabled': 'Two-factor authentication is already enabled',
+  'twoFactorSettings.restartSetup': 'Start the setup again to get a new QR code',
+  'twoFactorSettings.codeMismatch': 'That code did not match. Check the time on your device and try again.',
+  'twoFactorSettings.copied': 'Recovery codes copied',
+  'twoFactorSettings.copyFailed': 'Copy failed - please write the codes down',
+  'twoFactorSettings.fileHeader': 'Recovery codes for {email}',
+
+  // Passkeys
+  'passkeys.title': 'Passkeys',
+  'passkeys.hint': 'Sign in with your fingerprint, face or device PIN instead of a password.',
+  'passkeys.added': 'Added {date}',
+  'passkeys.lastUsed': 'Last used: {date}',
+  'passkeys.nameLabel': 'Passkey name (optional)',
+  'passkeys.namePlaceholder': 'e.g. Work laptop',
+  'passkeys.register': 'Register passkey',
+  'passkeys.unsupported': 'This browser does not support passkeys.',
+  'passkeys.registered': 'Passkey added. You can now sign in without a password.',
+  'passkeys.registerFailed': 'Could not add the passkey. Please try again.',
+  'passkeys.cancelled': 'The passkey request was cancelled or timed out',
+  'passkeys.exists': 'This device already has a passkey for your account',
+  'passkeys.alreadyRegistered': 'This passkey is already registered',
+  'passkeys.verifyFailed': 'This passkey could not be verified. Please try again.',
+
+  // Active sessions
+  'sessions.title': 'Active Sessions',
+  'sessions.hint': 'Devices and browsers signed in to your account.',
+  'sessions.current': 'This device',
+  'sessions.activity': 'Signed in {signedIn} · Last active {lastActive}',
+  'sessions.signOut': 'Sign out',
+  'sessions.signOutOthers': 'Sign out of all other sessions',
+  'sessions.signOutOthersConfirm': 'Sign out of every other session? You will stay signed in here.',
+  'sessions.loadFailed': 'Could not load your sessions. Please try again.',
+  'sessions.revoked': 'Session signed out',
+  'sessions.revokeFailed': 'Could not sign out that session. Please try again.',
+  'sessions.othersRevoked': 'Signed out of all other sessions',
+  'sessions.othersRevokeFailed': 'Could not sign out the other sessions. Please try again.',
+
+  // Notifications
+  'toast.region': 'Notifications',
+  'toast.close': 'Close notification',
+  'toast.count': '{count, plural, one {shown # time} other {shown # times}}'
+}
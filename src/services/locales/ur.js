@@ -0,0 +1,373 @@
+/**
+ * Urdu messages
+ */
+export default {
+  // Shared
+  'common.emailLabel': 'ای میل پتہ',
+  'common.passwordLabel': 'پاس ورڈ',
+  'common.showPassword': 'پاس ورڈ دکھائیں',
+  'common.hidePassword': 'پاس ورڈ چھپائیں',
+  'common.or': 'یا',
+  'common.sending': 'بھیجا جا رہا ہے...',
+  'common.backToLogin': 'لاگ ان پر واپس جائیں',
+  'common.signInLink': 'یہاں سائن ان کریں',
+  'common.fixErrors': 'براہ کرم اوپر دی گئی غلطیاں درست کریں',
+  'common.genericError': 'ایک خرابی پیش آئی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'common.devOutbox': 'مقامی طور پر چلا رہے ہیں؟ ای میلز {link} میں پہنچتی ہیں۔',
+  'common.devOutboxLink': 'ڈیولپمنٹ آؤٹ باکس',
+  'common.language': 'زبان',
+  'common.backToDashboard': 'ڈیش بورڈ پر واپس جائیں',
+  'common.cancel': 'منسوخ کریں',
+  'common.retry': 'دوبارہ کوشش کریں',
+  'common.saving': 'محفوظ کیا جا رہا ہے...',
+  'common.signingIn': 'آپ کو سائن ان کیا جا رہا ہے...',
+  'common.linkExpired': 'لنک کی میعاد ختم ہو گئی',
+  'common.currentPassword': 'موجودہ پاس ورڈ',
+  'common.newPassword': 'نیا پاس ورڈ',
+  'common.confirmNewPassword': 'نئے پاس ورڈ کی تصدیق کریں',
+  'common.never': 'کبھی نہیں',
+  'common.unknown': 'نامعلوم',
+  'theme.label': 'تھیم',
+  'theme.light': 'ہلکی',
+  'theme.dark': 'گہری',
+  'theme.system': 'سسٹم کے مطابق',
+
+  // Validation
+  'validation.emailRequired': 'ای میل درکار ہے',
+  'validation.emailInvalid': 'براہ کرم درست ای میل پتہ درج کریں',
+  'validation.emailTaken': 'اس ای میل کے ساتھ ایک اکاؤنٹ پہلے سے موجود ہے',
+  'validation.firstNameRequired': 'پہلا نام درکار ہے',
+  'validation.firstNameMinLength': 'پہلا نام کم از کم {min, plural, one {# حرف} other {# حروف}} کا ہونا چاہیے',
+  'validation.lastNameRequired': 'آخری نام درکار ہے',
+  'validation.lastNameMinLength': 'آخری نام کم از کم {min, plural, one {# حرف} other {# حروف}} کا ہونا چاہیے',
+  'validation.confirmPasswordRequired': 'براہ کرم اپنے پاس ورڈ کی تصدیق کریں',
+  'validation.passwordsDontMatch': 'پاس ورڈ مماثل نہیں ہیں',
+  'validation.agreeToTerms': 'آپ کو شرائط و ضوابط سے اتفاق کرنا ہوگا',
+  'validation.currentPasswordRequired': 'موجودہ پاس ورڈ درکار ہے',
+  'validation.incorrectPassword': 'پاس ورڈ غلط ہے',
+  'validation.noPasswordSet': 'آپ کے اکاؤنٹ کا ابھی کوئی پاس ورڈ نہیں ہے۔ پاس ورڈ بنانے کے لیے لاگ ان صفحے پر "پاس ورڈ بھول گئے" استعمال کریں۔',
+  'validation.samePassword': 'اپنے موجودہ پاس ورڈ سے مختلف پاس ورڈ منتخب کریں',
+  'validation.sameEmail': 'یہ پہلے سے آپ کا ای میل پتہ ہے',
+  'validation.displayNameMaxLength': 'ڈسپلے نام زیادہ سے زیادہ {max, plural, one {# حرف} other {# حروف}} کا ہو سکتا ہے',
+  'validation.avatarType': 'براہ کرم PNG، JPEG یا WebP تصویر منتخب کریں',
+  'validation.avatarTooLarge': 'یہ تصویر بہت بڑی ہے',
+  'validation.timezoneRequired': 'ٹائم زون درکار ہے',
+  'validation.timezoneInvalid': 'براہ کرم درست ٹائم زون منتخب کریں',
+  'validation.localeRequired': 'زبان درکار ہے',
+  'validation.localeInvalid': 'براہ کرم معاون زبان منتخب کریں',
+
+  // Password policy
+  'password.required': 'پاس ورڈ درکار ہے',
+  'password.minLength': 'پاس ورڈ کم از کم {min, plural, one {# حرف} other {# حروف}} کا ہونا چاہیے',
+  'password.maxLength': 'پاس ورڈ زیادہ سے زیادہ {max, plural, one {# حرف} other {# حروف}} کا ہو سکتا ہے',
+  'password.missingClasses': 'پاس ورڈ میں {classes} ہونا ضروری ہے',
+  'password.class.lowercase': 'ایک چھوٹا انگریزی حرف',
+  'password.class.uppercase': 'ایک بڑا انگریزی حرف',
+  'password.class.digit': 'ایک ہندسہ',
+  'password.class.symbol': 'ایک علامت',
+  'password.tooCommon': 'یہ پاس ورڈ بہت عام ہے۔ کوئی کم متوقع پاس ورڈ منتخب کریں۔',
+  'password.personalInfo': 'پاس ورڈ میں آپ کا نام یا ای میل پتہ شامل نہیں ہونا چاہیے',
+  'password.tooWeakWithWarning': '{warning}۔ زیادہ مضبوط پاس ورڈ منتخب کریں۔',
+  'password.tooWeak': 'اس پاس ورڈ کا اندازہ لگانا آسان ہے۔ زیادہ مضبوط پاس ورڈ منتخب کریں۔',
+  'password.breached': 'یہ پاس ورڈ ڈیٹا کی خلاف ورزی میں سامنے آ چکا ہے۔ کوئی دوسرا منتخب کریں۔',
+
+  // Password strength
+  'passwordStrength.label': 'پاس ورڈ کی مضبوطی:',
+  'passwordStrength.veryWeak': 'بہت کمزور',
+  'passwordStrength.weak': 'کمزور',
+  'passwordStrength.fair': 'مناسب',
+  'passwordStrength.good': 'اچھا',
+  'passwordStrength.strong': 'مضبوط',
+  'passwordStrength.addWords': 'ایک یا دو الفاظ مزید شامل کریں۔ غیر معروف الفاظ بہتر ہیں۔',
+  'passwordStrength.useFewWords': 'چند الفاظ استعمال کریں، عام جملوں سے بچیں',
+  'passwordStrength.noSymbolsNeeded': 'علامات، ہندسوں یا بڑے حروف کی ضرورت نہیں',
+  'passwordStrength.similarToCommon': 'یہ ایک عام استعمال ہونے والے پاس ورڈ سے ملتا جلتا ہے',
+  'passwordStrength.personalInfo': 'اپنا نام یا ای میل پتہ استعمال کرنے سے گریز کریں',
+  'passwordStrength.top10': 'یہ دس سب سے عام پاس ورڈز میں سے ایک ہے',
+  'passwordStrength.top100': 'یہ ایک بہت عام پاس ورڈ ہے',
+  'passwordStrength.capitalization': 'بڑے حروف سے زیادہ فرق نہیں پڑتا',
+  'passwordStrength.allUppercase': 'صرف بڑے حروف کا اندازہ لگانا تقریباً اتنا ہی آسان ہے جتنا صرف چھوٹے حروف کا',
+  'passwordStrength.reversed': 'الٹے الفاظ کا اندازہ لگانا زیادہ مشکل نہیں',
+  'passwordStrength.substitutions': "'a' کی جگہ '@' جیسی متوقع تبدیلیوں سے زیادہ فرق نہیں پڑتا",
+  'passwordStrength.keyboardWarning': 'کی بورڈ کی سیدھی قطاروں کا اندازہ لگانا آسان ہے',
+  'passwordStrength.repeatWarning': '"aaa" یا "abcabc" جیسی تکرار کا اندازہ لگانا آسان ہے',
+  'passwordStrength.sequenceWarning': '"abc" یا "6543" جیسی ترتیب کا اندازہ لگانا آسان ہے',
+  'passwordStrength.yearWarning': 'حالیہ سالوں کا اندازہ لگانا آسان ہے',
+  'passwordStrength.keyboardSuggestion': 'زیادہ موڑ والا لمبا کی بورڈ پیٹرن استعمال کریں',
+  'passwordStrength.repeatSuggestion': 'الفاظ اور حروف کی تکرار سے بچیں',
+  'passwordStrength.sequenceSuggestion': 'ترتیب سے بچیں',
+  'passwordStrength.yearSuggestion': 'اپنے سے متعلق سالوں سے بچیں',
+
+  // Login
+  'login.title': 'خوش آمدید',
+  'login.subtitle': 'اپنے محفوظ ڈیش بورڈ تک رسائی کے لیے سائن ان کریں',
+  'login.emailPlaceholder': 'اپنا ای میل درج کریں',
+  'login.passwordPlaceholder': 'اپنا پاس ورڈ درج کریں',
+  'login.rememberMe': 'مجھے یاد رکھیں',
+  'login.forgotPassword': 'پاس ورڈ بھول گئے؟',
+  'login.throttled': '{locked, select, true {بہت زیادہ ناکام کوششیں۔ سائن ان {time} کے لیے بند ہے} other {بہت زیادہ ناکام کوششیں۔ {time} بعد دوبارہ کوشش کریں}}',
+  'login.submit': 'سائن ان',
+  'login.submitting': 'سائن ان ہو رہا ہے...',
+  'login.useMagicLink': 'اس کے بجائے مجھے سائن ان لنک ای میل کریں',
+  'login.passkey': 'پاس کی کے ساتھ سائن ان کریں',
+  'login.demoTitle': 'ڈیمو اسناد:',
+  'login.demoSignUp': 'پہلے سائن اپ صفحے پر اکاؤنٹ بنائیں',
+  'login.demoSignIn': 'پھر اسی ای میل اور پاس ورڈ سے سائن ان کریں',
+  'login.noAccount': 'اکاؤنٹ نہیں ہے؟ {link}',
+  'login.signUpLink': 'یہاں سائن اپ کریں',
+  'login.failed': 'لاگ ان ناکام ہو گیا۔ براہ کرم اپنی اسناد چیک کریں۔',
+  'login.passkeyCancelled': 'پاس کی سے سائن ان منسوخ کر دیا گیا',
+  'login.passkeyFailed': 'پاس کی سے سائن ان ناکام ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔',
+  'login.passkeyRejected': 'اس پاس کی سے سائن ان نہیں ہو سکا',
+  'login.socialFailed': 'سوشل سائن ان شروع نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+  'login.challengePrompt': 'بہت زیادہ ناکام کوششیں۔ براہ کرم تصدیق کریں کہ آپ روبوٹ نہیں ہیں۔',
+  'login.notARobot': 'میں روبوٹ نہیں ہوں',
+  'login.continueWith': '{provider} کے ساتھ جاری رکھیں',
+  'login.completeChallenge': 'جاری رکھنے کے لیے براہ کرم تصدیقی جانچ مکمل کریں',
+
+  // Sign-in link
+  'magicLink.hint': 'ہم آپ کو ایک لنک ای میل کریں گے جو پاس ورڈ کے بغیر آپ کو سائن ان کر دے گا۔',
+  'magicLink.submit': 'مجھے سائن ان لنک ای میل کریں',
+  'magicLink.usePassword': 'اس کے بجائے پاس ورڈ سے سائن ان کریں',
+  'magicLink.sent': 'اگر {email} کا اکاؤنٹ موجود ہے تو سائن ان لنک بھیج دیا گیا ہے۔ یہ {minutes, plural, one {# منٹ} other {# منٹ}} میں ختم ہو جائے گا اور صرف ایک بار کام کرے گا۔',
+  'magicLink.sendAnother': 'دوسرا لنک بھیجیں',
+  'magicLink.failed': 'سائن ان لنک نہیں بھیجا جا سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+  'magicLink.expiredText': 'سائن ان کا یہ لنک غلط ہے، پہلے استعمال ہو چکا ہے یا اس کی میعاد ختم ہو چکی ہے۔ لاگ ان صفحے سے نیا لنک طلب کریں۔',
+
+  // Two-factor step
+  'twoFactor.title': 'دو مرحلہ تصدیق',
+  'twoFactor.appInstructions': 'اپنی تصدیقی ایپ کھولیں اور اس اکاؤنٹ کا {digits} ہندسوں کا کوڈ درج کریں۔',
+  'twoFactor.recoveryInstructions': 'دو مرحلہ تصدیق آن کرتے وقت محفوظ کیے گئے ریکوری کوڈز میں سے ایک درج کریں۔ ہر کوڈ ایک بار کام کرتا ہے۔',
+  'twoFactor.codeLabel': 'تصدیقی کوڈ',
+  'twoFactor.recoveryLabel': 'ریکوری کوڈ',
+  'twoFactor.verify': 'تصدیق کریں',
+  'twoFactor.verifying': 'تصدیق ہو رہی ہے...',
+  'twoFactor.useRecoveryCode': 'آلہ گم ہو گیا؟ ریکوری کوڈ استعمال کریں',
+  'twoFactor.useApp': 'اس کے بجائے تصدیقی ایپ استعمال کریں',
+  'twoFactor.codeRequired': 'اپنی تصدیقی ایپ سے {digits} ہندسوں کا کوڈ درج کریں',
+  'twoFactor.recoveryCodeRequired': 'اپنے ریکوری کوڈز میں سے ایک درج کریں',
+  'twoFactor.failed': 'تصدیق ناکام ہو گئی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'twoFactor.invalidCode': 'تصدیقی کوڈ غلط ہے',
+  'twoFactor.expired': 'آپ کی سائن ان کی کوشش کی میعاد ختم ہو گئی۔ براہ کرم دوبارہ سائن ان کریں۔',
+
+  // Sign up
+  'signup.title': 'اکاؤنٹ بنائیں',
+  'signup.subtitle': 'آج ہی شامل ہوں اور اپنے محفوظ ڈیش بورڈ کا استعمال شروع کریں',
+  'signup.firstName': 'پہلا نام',
+  'signup.firstNamePlaceholder': 'احمد',
+  'signup.lastName': 'آخری نام',
+  'signup.lastNamePlaceholder': 'خان',
+  'signup.emailPlaceholder': 'ahmed.khan@example.com',
+  'signup.passwordPlaceholder': 'ایک مضبوط پاس ورڈ بنائیں',
+  'signup.confirmPassword': 'پاس ورڈ کی تصدیق',
+  'signup.confirmPasswordPlaceholder': 'اپنے پاس ورڈ کی تصدیق کریں',
+  'signup.agree': 'میں {terms} اور {privacy} سے اتفاق کرتا ہوں',
+  'signup.terms': 'سروس کی شرائط',
+  'signup.privacy': 'رازداری کی پالیسی',
+  'signup.submit': 'اکاؤنٹ بنائیں',
+  'signup.submitting': 'اکاؤنٹ بن رہا ہے...',
+  'signup.demoTitle': 'ڈیمو رجسٹریشن:',
+  'signup.demoText': 'اکاؤنٹس اسی براؤزر میں محفوظ ہوتے ہیں، بعد میں ان سے سائن ان کریں۔',
+  'signup.haveAccount': 'پہلے سے اکاؤنٹ ہے؟ {link}',
+  'signup.failed': 'رجسٹریشن ناکام ہو گئی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'signup.duplicateEmail': 'یہ ای میل پہلے سے رجسٹرڈ ہے۔ اس کے بجائے سائن ان کرنے کی کوشش کریں۔',
+  'signup.socialFailed': 'سوشل سائن اپ شروع نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+
+  // Forgot password
+  'forgotPassword.title': 'پاس ورڈ بھول گئے؟',
+  'forgotPassword.subtitle': 'اپنا ای میل پتہ درج کریں اور ہم آپ کو پاس ورڈ دوبارہ ترتیب دینے کی ہدایات بھیجیں گے۔',
+  'forgotPassword.emailPlaceholder': 'اپنا ای میل پتہ درج کریں',
+  'forgotPassword.submit': 'ری سیٹ ہدایات بھیجیں',
+  'forgotPassword.sent': 'پاس ورڈ ری سیٹ کرنے کی ہدایات آپ کے ای میل پر بھیج دی گئیں!',
+  'forgotPassword.failed': 'ری سیٹ ای میل نہیں بھیجی جا سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'forgotPassword.checkEmail': 'اپنا ای میل چیک کریں',
+  'forgotPassword.sentTo': 'ہم نے پاس ورڈ ری سیٹ کرنے کی ہدایات {email} پر بھیج دی ہیں',
+  'forgotPassword.notReceived': 'ای میل موصول نہیں ہوئی؟ اپنا اسپام فولڈر چیک کریں یا دوبارہ کوشش کریں۔',
+  'forgotPassword.tryAgain': 'دوبارہ کوشش کریں',
+  'forgotPassword.rememberPassword': 'پاس ورڈ یاد آ گیا؟ {link}',
+
+  // Dashboard
+  'dashboard.title': 'ڈیش بورڈ',
+  'dashboard.welcomeUser': 'خوش آمدید، {name}',
+  'dashboard.logout': 'لاگ آؤٹ',
+  'dashboard.logoutConfirm': 'کیا آپ واقعی لاگ آؤٹ کرنا چاہتے ہیں؟',
+  'dashboard.signedOut': 'آپ سائن آؤٹ ہو گئے ہیں',
+  'dashboard.welcomeTitle': 'اپنے ڈیش بورڈ میں خوش آمدید!',
+  'dashboard.welcomeText': 'آپ کامیابی سے لاگ ان ہو گئے ہیں۔ آپ کا سیشن محفوظ اور فعال ہے۔',
+  'dashboard.sessionTime': 'سیشن کا دورانیہ',
+  'dashboard.unknown': 'نامعلوم',
+  'dashboard.since': '{time} سے',
+  'dashboard.sessionExpiresIn': 'سیشن ختم ہونے میں',
+  'dashboard.never': 'کبھی نہیں',
+  'dashboard.rememberedOnDevice': 'اس آلے پر یاد رکھا گیا',
+  'dashboard.endsWithTab': 'ٹیب بند ہونے پر ختم ہو جائے گا',
+  'dashboard.securityLevel': 'سیکیورٹی کی سطح',
+  'dashboard.missingChecks': 'باقی: {checks}',
+  'dashboard.allChecksPassed': 'تمام جانچ پاس ہو گئیں',
+  'dashboard.connection': 'کنکشن',
+  'dashboard.online': 'آن لائن',
+  'dashboard.offline': 'آف لائن',
+  'dashboard.checkConnection': 'اپنا انٹرنیٹ کنکشن چیک کریں',
+  'dashboard.accountInformation': 'اکاؤنٹ کی معلومات',
+  'dashboard.notVerified': '(غیر تصدیق شدہ)',
+  'dashboard.loginMethod': 'لاگ ان کا طریقہ',
+  'dashboard.twoFactor': 'دو مرحلہ تصدیق',
+  'dashboard.enabled': 'فعال',
+  'dashboard.notEnabled': 'غیر فعال',
+  'dashboard.role': 'کردار',
+  'dashboard.accountStatus': 'اکاؤنٹ کی حیثیت',
+  'dashboard.active': 'فعال',
+  'dashboard.sessionPersistence': 'سیشن کا تسلسل',
+  'dashboard.tabOnly': 'صرف یہ براؤزر ٹیب',
+  'dashboard.editProfile': 'پروفائل میں ترمیم کریں',
+  'dashboard.securitySettings': 'سیکیورٹی کی ترتیبات',
+
+  'security.level.high': 'زیادہ',
+  'security.level.medium': 'درمیانی',
+  'security.level.low': 'کم',
+  'security.check.emailVerified': 'تصدیق شدہ ای میل',
+  'security.check.twoFactor': 'دو مرحلہ تصدیق',
+  'security.check.passwordAge': 'ایک سال کے اندر پاس ورڈ کی تبدیلی',
+
+  'loginMethod.passkey': 'پاس کی',
+  'loginMethod.magicLink': 'ای میل سائن ان لنک',
+  'loginMethod.password': 'ای میل اور پاس ورڈ',
+
+  // Email verification
+  'emailVerification.bannerTitle': 'اپنے ای میل کی تصدیق کریں',
+  'emailVerification.bannerText': 'ہم نے {email} پر تصدیقی لنک بھیجا ہے۔ اسے کھولنے تک کچھ خصوصیات دستیاب نہیں رہیں گی۔',
+  'emailVerification.resend': 'تصدیقی ای میل دوبارہ بھیجیں',
+  'emailVerification.resendIn': '{time} میں دوبارہ بھیجیں',
+  'emailVerification.sent': 'تصدیقی ای میل بھیج دی گئی۔ اپنا ان باکس چیک کریں۔',
+  'emailVerification.failed': 'ای میل نہیں بھیجی جا سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'emailVerification.tooSoon': 'حال ہی میں ایک تصدیقی ای میل بھیجی گئی ہے۔ دوسری ای میل منگوانے سے پہلے براہ کرم انتظار کریں۔',
+  'emailVerification.requiredTitle': 'پہلے اپنی ای میل کی تصدیق کریں',
+  'emailVerification.requiredText': 'یہ صفحہ آپ کے ای میل پتے کی تصدیق کے بعد دستیاب ہوگا۔ {email} پر بھیجا گیا لنک کھولیں۔',
+  'emailVerification.checking': 'آپ کی ای میل کی تصدیق ہو رہی ہے...',
+  'emailVerification.verifiedTitle': 'ای میل کی تصدیق ہو گئی',
+  'emailVerification.verifiedText': 'شکریہ! {email} کی تصدیق ہو گئی ہے اور آپ کا اکاؤنٹ مکمل طور پر تیار ہے۔',
+  'emailVerification.invalidText': 'تصدیق کا یہ لنک غلط ہے، پہلے استعمال ہو چکا ہے یا اس کی میعاد ختم ہو چکی ہے۔ نیا لنک طلب کرنے کے لیے سائن ان کریں۔',
+  'emailVerification.goToDashboard': 'ڈیش بورڈ پر جائیں',
+
+  // Reset password
+  'resetPassword.title': 'نیا پاس ورڈ منتخب کریں',
+  'resetPassword.subtitle': '{email} کا پاس ورڈ دوبارہ ترتیب دیا جا رہا ہے',
+  'resetPassword.confirmPlaceholder': 'اپنے نئے پاس ورڈ کی تصدیق کریں',
+  'resetPassword.submit': 'پاس ورڈ اپ ڈیٹ کریں',
+  'resetPassword.submitting': 'پاس ورڈ اپ ڈیٹ ہو رہا ہے...',
+  'resetPassword.failed': 'پاس ورڈ دوبارہ ترتیب نہیں دیا جا سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+  'resetPassword.invalidText': 'پاس ورڈ دوبارہ ترتیب دینے کا یہ لنک غلط ہے، پہلے استعمال ہو چکا ہے یا اس کی میعاد ختم ہو چکی ہے۔',
+  'resetPassword.requestNew': 'نیا لنک طلب کریں',
+  'resetPassword.successTitle': 'پاس ورڈ اپ ڈیٹ ہو گیا',
+  'resetPassword.successText': 'آپ کا پاس ورڈ تبدیل کر دیا گیا ہے اور باقی تمام سیشنز سے سائن آؤٹ کر دیا گیا ہے۔',
+  'resetPassword.signIn': 'اپنے نئے پاس ورڈ سے سائن ان کریں',
+
+  // Social sign-in callback
+  'oauth.failedTitle': 'سائن ان ناکام ہو گیا',
+  'oauth.failed': 'سائن ان ناکام ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔',
+  'oauth.stateMismatch': 'سائن ان کے اس جواب کی تصدیق نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'oauth.expired': 'سائن ان کی درخواست کی میعاد ختم ہو گئی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'oauth.denied': 'فراہم کنندہ کی جانب سے سائن ان منسوخ کر دیا گیا۔',
+
+  // Access denied
+  'forbidden.code': '403 - رسائی سے انکار',
+  'forbidden.title': 'آپ کو اس صفحے تک رسائی حاصل نہیں ہے',
+  'forbidden.text': 'آپ کے اکاؤنٹ کے کردار میں وہ اجازت شامل نہیں جو اس صفحے کے لیے درکار ہے۔ اگر آپ کے خیال میں یہ غلطی ہے تو کسی منتظم سے رابطہ کریں۔',
+
+  // Profile
+  'profile.title': 'پروفائل میں ترمیم کریں',
+  'profile.saved': 'پروفائل محفوظ ہو گئی',
+  'profile.saveFailed': 'آپ کی تبدیلیاں محفوظ نہیں ہو سکیں۔',
+  'profile.imageTooLarge': 'براہ کرم {size} MB سے چھوٹی تصویر منتخب کریں',
+  'profile.imageUnreadable': 'یہ تصویر پڑھی نہیں جا سکی',
+  'profile.changePhoto': 'تصویر تبدیل کریں',
+  'profile.uploadPhoto': 'تصویر اپ لوڈ کریں',
+  'profile.removePhoto': 'ہٹائیں',
+  'profile.displayName': 'ظاہری نام',
+  'profile.displayNameHint': 'آپ کے پورے نام کی جگہ دکھایا جاتا ہے۔ اپنا نام استعمال کرنے کے لیے خالی چھوڑ دیں۔',
+  'profile.timezone': 'ٹائم زون',
+  'profile.save': 'تبدیلیاں محفوظ کریں',
+  'avatarCropper.preview': 'اوتار کی کٹائی کا پیش منظر',
+  'avatarCropper.zoom': 'زوم',
+  'avatarCropper.apply': 'تصویر استعمال کریں',
+
+  // Security settings
+  'securitySettings.title': 'سیکیورٹی کی ترتیبات',
+  'securitySettings.intro': 'منظم کریں کہ آپ {email} میں کیسے سائن ان کرتے ہیں۔',
+  'changePassword.hint': 'پاس ورڈ تبدیل کرنے سے آپ باقی ہر جگہ سے سائن آؤٹ ہو جاتے ہیں۔',
+  'changePassword.submit': 'پاس ورڈ تبدیل کریں',
+  'changePassword.success': 'پاس ورڈ تبدیل ہو گیا۔ آپ کے دوسرے سیشنز سے سائن آؤٹ کر دیا گیا۔',
+  'changePassword.failed': 'پاس ورڈ تبدیل نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+  'changeEmail.current': 'آپ {email} سے سائن ان کرتے ہیں۔',
+  'changeEmail.pending': '{email} کی تصدیق کا انتظار ہے۔ تبدیلی مکمل کرنے کے لیے وہاں بھیجا گیا لنک کھولیں۔',
+  'changeEmail.newEmail': 'نیا ای میل پتہ',
+  'changeEmail.newEmailPlaceholder': 'اپنا نیا ای میل پتہ درج کریں',
+  'changeEmail.submit': 'ای میل تبدیل کریں',
+  'changeEmail.sent': 'تصدیقی لنک {email} پر بھیج دیا گیا',
+  'changeEmail.failed': 'ای میل پتہ تبدیل نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+
+  // Two-factor settings
+  'twoFactorSettings.hint': 'اپنے پاس ورڈ کے ساتھ تصدیقی ایپ کا کوڈ بھی لازمی کریں۔',
+  'twoFactorSettings.on': 'آن',
+  'twoFactorSettings.off': 'آف',
+  'twoFactorSettings.setUp': 'تصدیقی ایپ سیٹ اپ کریں',
+  'twoFactorSettings.turnOff': 'دو مرحلہ تصدیق بند کریں',
+  'twoFactorSettings.qrAlt': 'آپ کی تصدیقی ایپ کے لیے QR کوڈ',
+  'twoFactorSettings.scanStep': '1. Google Authenticator، 1Password، Authy یا کسی ملتی جلتی ایپ سے QR کوڈ اسکین کریں۔',
+  'twoFactorSettings.manualKey': 'اسکین نہیں ہو رہا؟ یہ کلید خود درج کریں:',
+  'twoFactorSettings.codeStep': '2. مکمل کرنے کے لیے ایپ میں دکھایا گیا {digits} ہندسوں کا کوڈ درج کریں۔',
+  'twoFactorSettings.codeLabel': 'تصدیقی کوڈ',
+  'twoFactorSettings.confirm': 'تصدیق کریں اور آن کریں',
+  'twoFactorSettings.recoveryWarning': 'یہ ریکوری کوڈز کسی محفوظ جگہ رکھیں۔ اگر آپ کی تصدیقی ایپ تک رسائی نہ رہے تو ہر کوڈ ایک بار سائن ان کے لیے استعمال ہو سکتا ہے۔ یہ دوبارہ نہیں دکھائے جائیں گے۔',
+  'twoFactorSettings.copy': 'کاپی کریں',
+  'twoFactorSettings.download': 'ڈاؤن لوڈ کریں',
+  'twoFactorSettings.savedCodes': 'میں نے اپنے کوڈز محفوظ کر لیے ہیں',
+  'twoFactorSettings.disableHint': 'دو مرحلہ تصدیق بند کرنے کے لیے اپنا پاس ورڈ درج کریں۔ آپ کے ریکوری کوڈز کام کرنا بند کر دیں گے۔',
+  'twoFactorSettings.disable': 'بند کریں',
+  'twoFactorSettings.enabled': 'دو مرحلہ تصدیق آن ہے',
+  'twoFactorSettings.disabled': 'دو مرحلہ تصدیق بند ہے',
+  'twoFactorSettings.startFailed': 'دو مرحلہ تصدیق کا سیٹ اپ شروع نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+  'twoFactorSettings.confirmFailed': 'کوڈ کی تصدیق نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'twoFactorSettings.disableFailed': 'دو مرحلہ تصدیق بند نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'twoFactorSettings.alreadyEnabled': 'دو مرحلہ تصدیق پہلے سے فعال ہے',
+  'twoFactorSettings.restartSetup': 'نیا QR کوڈ حاصل کرنے کے لیے سیٹ اپ دوبارہ شروع کریں',
+  'twoFactorSettings.codeMismatch': 'یہ کوڈ میل نہیں کھاتا۔ اپنی ڈیوائس کا وقت چیک کریں اور دوبارہ کوشش کریں۔',
+  'twoFactorSettings.copied': 'ریکوری کوڈز کاپی ہو گئے',
+  'twoFactorSettings.copyFailed': 'کاپی ناکام ہو گئی - براہ کرم کوڈز لکھ لیں',
+  'twoFactorSettings.fileHeader': '{email} کے ریکوری کوڈز',
+
+  // Passkeys
+  'passkeys.title': 'پاس کیز',
+  'passkeys.hint': 'پاس ورڈ کے بجائے اپنے فنگر پرنٹ، چہرے یا ڈیوائس PIN سے سائن ان کریں۔',
+  'passkeys.added': '{date} کو شامل کی گئی',
+  'passkeys.lastUsed': 'آخری استعمال: {date}',
+  'passkeys.nameLabel': 'پاس کی کا نام (اختیاری)',
+  'passkeys.namePlaceholder': 'مثلاً دفتر کا لیپ ٹاپ',
+  'passkeys.register': 'پاس کی رجسٹر کریں',
+  'passkeys.unsupported': 'یہ براؤزر پاس کیز کو سپورٹ نہیں کرتا۔',
+  'passkeys.registered': 'پاس کی شامل ہو گئی۔ اب آپ پاس ورڈ کے بغیر سائن ان کر سکتے ہیں۔',
+  'passkeys.registerFailed': 'پاس کی شامل نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+  'passkeys.cancelled': 'پاس کی کی درخواست منسوخ ہو گئی یا اس کا وقت ختم ہو گیا',
+  'passkeys.exists': 'اس ڈیوائس پر آپ کے اکاؤنٹ کی پاس کی پہلے سے موجود ہے',
+  'passkeys.alreadyRegistered': 'یہ پاس کی پہلے سے رجسٹرڈ ہے',
+  'passkeys.verifyFailed': 'اس پاس کی کی تصدیق نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+
+  // Active sessions
+  'sessions.title': 'فعال سیشنز',
+  'sessions.hint': 'وہ ڈیوائسز اور براؤزرز جو آپ کے اکاؤنٹ میں سائن ان ہیں۔',
+  'sessions.current': 'یہ ڈیوائس',
+  'sessions.activity': 'سائن ان {signedIn} · آخری سرگرمی {lastActive}',
+  'sessions.signOut': 'سائن آؤٹ',
+  'sessions.signOutOthers': 'باقی تمام سیشنز سے سائن آؤٹ کریں',
+  'sessions.signOutOthersConfirm': 'کیا باقی ہر سیشن سے سائن آؤٹ کرنا ہے؟ آپ یہاں سائن ان رہیں گے۔',
+  'sessions.loadFailed': 'آپ کے سیشنز لوڈ نہیں ہو سکے۔ براہ کرم دوبارہ کوشش کریں۔',
+  'sessions.revoked': 'سیشن سے سائن آؤٹ ہو گیا',
+  'sessions.revokeFailed': 'اس سیشن سے سائن آؤٹ نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+  'sessions.othersRevoked': 'باقی تمام سیشنز سے سائن آؤٹ ہو گیا',
+  'sessions.othersRevokeFailed': 'دوسرے سیشنز سے سائن آؤٹ نہیں ہو سکا۔ براہ کرم دوبارہ کوشش کریں۔',
+
+  // Notifications
+  'toast.region': 'اطلاعات',
+  'toast.close': 'اطلاع بند کریں',
+  'toast.count': '{count, plural, other {# بار دکھایا گیا}}'
+}
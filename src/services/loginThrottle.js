@@ -0,0 +1,150 @@
+/**
+ * Failed sign-in tracking
+ * Failures are counted per key - the account's email and the device signing in - so
+ * both guessing one password and trying many accounts from one browser are slowed down:
+ *   - after `freeAttempts` failures each further failure doubles the wait before the next try
+ *   - `challengeThreshold` failures require a human-verification challenge (see services/humanChallenge)
+ *   - `lockoutThreshold` failures lock the key out for `lockoutDuration`
+ * A successful sign-in clears the keys it used; idle entries are forgotten after `resetAfter`.
+ */
+
+/**
+ * Keys a sign-in attempt is counted against
+ * @param {string} email - Account being signed into
+ * @param {string} deviceId - Device the attempt comes from
+ * @returns {string[]}
+ */
+export const getThrottleKeys = (email, deviceId) => [
+  `account:${email.trim().toLowerCase()}`,
+  ...(deviceId ? [`device:${deviceId}`] : [])
+]
+
+/**
+ * Create a throttle persisted in Web Storage
+ * @param {Object} options
+ * @param {Storage} options.storage - Storage backend (default: localStorage)
+ * @param {string} options.key - Storage key holding the failure table
+ * @param {number} options.freeAttempts - Failures allowed before backoff starts
+ * @param {number} options.baseDelay - First backoff delay in ms
+ * @param {number} options.maxDelay - Longest backoff delay in ms
+ * @param {number} options.challengeThreshold - Failures after which a challenge is required
+ * @param {number} options.lockoutThreshold - Failures that trigger a lockout
+ * @param {number} options.lockoutDuration - Lockout length in ms
+ * @param {number} options.resetAfter - Quiet period in ms after which failures are forgotten
+ * @param {Function} options.now - Clock, for tests
+ */
+export const createLoginThrottle = ({
+  storage = localStorage,
+  key = 'loginThrottle',
+  freeAttempts = 3,
+  baseDelay = 2 * 1000,
+  maxDelay = 60 * 1000,
+  challengeThreshold = 3,
+  lockoutThreshold = 10,
+  lockoutDuration = 15 * 60 * 1000,
+  resetAfter = 60 * 60 * 1000,
+  now = () => Date.now()
+} = {}) => {
+  const read = () => {
+    try {
+      return JSON.parse(storage.getItem(key)) || {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  const write = (entries) => {
+    storage.setItem(key, JSON.stringify(entries))
+  }
+
+  const isActive = (entry, time) =>
+    entry.lockedUntil > time || time - entry.lastFailureAt < resetAfter
+
+  /**
+   * Earliest time the key may try again
+   */
+  const getRetryAt = (entry) => {
+    if (entry.lockedUntil) return entry.lockedUntil
+    if (entry.failures <= freeAttempts) return 0
+    const delay = Math.min(baseDelay * 2 ** (entry.failures - freeAttempts - 1), maxDelay)
+    return entry.lastFailureAt + delay
+  }
+
+  const findEntries = (keys) => {
+    const time = now()
+    const entries = read()
+    return keys
+      .map(name => entries[name])
+      .filter(entry => entry && isActive(entry, time))
+  }
+
+  return {
+    /**
+     * Whether an attempt may go ahead
+     * @param {string[]} keys - See getThrottleKeys
+     * @returns {{ retryAfter: number, locked: boolean, challengeRequired: boolean }} - retryAfter in ms, 0 when allowed
+     */
+    check(keys) {
+      const time = now()
+      const entries = findEntries(keys)
+      const retryAt = Math.max(0, ...entries.map(getRetryAt))
+
+      return {
+        retryAfter: Math.max(0, retryAt - time),
+        locked: entries.some(entry => entry.lockedUntil > time),
+        challengeRequired: entries.some(entry => entry.failures >= challengeThreshold)
+      }
+    },
+
+    /**
+     * Count a failed attempt against every key
+     * Once a key has been locked out, each further failure locks it again.
+     */
+    recordFailure(keys) {
+      const time = now()
+      const entries = read()
+
+      keys.forEach(name => {
+        const current = entries[name] && isActive(entries[name], time) ? entries[name] : { failures: 0 }
+        const failures = current.failures + 1
+        entries[name] = {
+          failures,
+          lastFailureAt: time,
+          lockedUntil: failures >= lockoutThreshold ? time + lockoutDuration : 0
+        }
+      })
+
+      // Drop entries nobody has touched for a while
+      write(Object.fromEntries(
+        Object.entries(entries).filter(([, entry]) => isActive(entry, time))
+      ))
+    },
+
+    /**
+     * Forget the failures of every key after a successful sign-in
+     */
+    recordSuccess(keys) {
+      const entries = read()
+      keys.forEach(name => delete entries[name])
+      write(entries)
+    },
+
+    clear() {
+      storage.removeItem(key)
+    }
+  }
+}
+
+/**
+ * Random id for this browser, sent with sign-in attempts so failures can be counted per device
+ * @param {Storage} storage - Storage backend (default: localStorage)
+ * @returns {string}
+ */
+export const getDeviceId = (storage = localStorage) => {
+  let deviceId = storage.getItem('deviceId')
+  if (!deviceId) {
+    deviceId = crypto.randomUUID()
+    storage.setItem('deviceId', deviceId)
+  }
+  return deviceId
+}
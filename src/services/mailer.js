@@ -0,0 +1,54 @@
+/**
+ * Outgoing email
+ * A mailer is any object with:
+ *   send({ to, subject, text, actionUrl, actionLabel }) -> Promise<void>
+ *
+ * The outbox mailer keeps messages in Web Storage instead of sending them, so
+ * emailed links can be followed from the dev outbox page (/dev/outbox).
+ */
+
+/**
+ * Create a mailer that stores messages in an outbox
+ * @param {Object} options
+ * @param {Storage} options.storage - Storage backend (default: localStorage)
+ * @param {string} options.key - Storage key holding the outbox
+ * @param {number} options.limit - Maximum number of messages kept
+ */
+export const createOutboxMailer = ({ storage = localStorage, key = 'devOutbox', limit = 50 } = {}) => {
+  const list = () => {
+    try {
+      return JSON.parse(storage.getItem(key)) || []
+    } catch (error) {
+      return []
+    }
+  }
+
+  return {
+    async send({ to, subject, text, actionUrl, actionLabel }) {
+      const message = {
+        id: crypto.randomUUID(),
+        to,
+        subject,
+        text,
+        actionUrl,
+        actionLabel,
+        sentAt: new Date().toISOString()
+      }
+      storage.setItem(key, JSON.stringify([message, ...list()].slice(0, limit)))
+    },
+
+    /**
+     * Stored messages, newest first
+     */
+    list,
+
+    clear() {
+      storage.removeItem(key)
+    }
+  }
+}
+
+/**
+ * Mailer used by the in-browser backend when none is supplied
+ */
+export const defaultMailer = createOutboxMailer()
@@ -0,0 +1,112 @@
+import { InvalidCredentialsError } from './authAdapter'
+
+/**
+ * In-memory auth adapter for tests and component previews
+ * Every call is recorded in `calls`; any method can be replaced through `overrides`.
+ * @param {Object} options
+ * @param {Object} options.user - User returned by successful calls
+ * @param {string} options.password - Password accepted by login
+ * @param {Object} options.overrides - Replacement implementations keyed by method name
+ */
+export const createMockAuthAdapter = ({
+  user = { id: 'mock-user', email: 'demo@example.com', firstName: 'Demo', lastName: 'User', roles: ['member'] },
+  password = 'password123',
+  overrides = {}
+} = {}) => {
+  const calls = []
+
+  const record = (method, implementation) => async (...args) => {
+    calls.push({ method, args })
+    return implementation(...args)
+  }
+
+  const defaults = {
+    async login(credentials) {
+      if (credentials.email !== user.email || credentials.password !== password) {
+        throw new InvalidCredentialsError()
+      }
+      return { ...user }
+    },
+    async signup({ firstName, lastName, email }) {
+      return { ...user, firstName, lastName, email }
+    },
+    async checkEmailAvailable(email) {
+      return email !== user.email
+    },
+    async logout() {},
+    async refresh(currentUser) {
+      return currentUser ? { ...user } : null
+    },
+    async requestPasswordReset() {},
+    async verifyPasswordResetToken() {
+      return { email: user.email }
+    },
+    async resetPassword() {},
+    async requestMagicLink() {},
+    async verifyMagicLink() {
+      return { ...user }
+    },
+    async verifyEmail() {
+      return { email: user.email }
+    },
+    async resendVerificationEmail() {
+      return { user: { ...user }, retryAfter: 60 }
+    },
+    async getCurrentUser(storedUser) {
+      return storedUser ? { ...user } : null
+    },
+    async updateProfile(currentUser, changes) {
+      return { ...user, ...changes }
+    },
+    async changePassword() {
+      return { ...user }
+    },
+    async changeEmail(currentUser, { newEmail }) {
+      return { ...user, pendingEmail: newEmail }
+    },
+    async listSessions() {
+      return [{ id: 'mock-session', device: 'Chrome on macOS', createdAt: null, lastActiveAt: null, current: true }]
+    },
+    async revokeSession() {},
+    async revokeOtherSessions() {
+      return { ...user }
+    },
+    async verifyTwoFactorLogin() {
+      return { ...user }
+    },
+    async beginTotpEnrollment() {
+      return { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/Mock:demo%40example.com?secret=JBSWY3DPEHPK3PXP' }
+    },
+    async confirmTotpEnrollment() {
+      return { user: { ...user, twoFactorEnabled: true }, recoveryCodes: ['aaaaa-bbbbb', 'ccccc-ddddd'] }
+    },
+    async disableTotp() {
+      return { ...user, twoFactorEnabled: false }
+    },
+    async beginPasskeyRegistration() {
+      return {
+        challenge: 'bW9jay1jaGFsbGVuZ2U',
+        rp: { id: 'localhost', name: 'Mock' },
+        user: { id: 'bW9jay11c2Vy', name: user.email, displayName: user.email }
+      }
+    },
+    async finishPasskeyRegistration(currentUser, { name = 'Passkey' } = {}) {
+      return { ...user, passkeys: [{ id: 'mock-passkey', name, createdAt: new Date().toISOString(), lastUsedAt: null }] }
+    },
+    async beginPasskeyLogin() {
+      return { challenge: 'bW9jay1jaGFsbGVuZ2U', rpId: 'localhost', allowCredentials: [] }
+    },
+    async finishPasskeyLogin() {
+      return { ...user }
+    },
+    async finishOAuthLogin() {
+      return { ...user }
+    }
+  }
+
+  const adapter = { calls }
+  Object.entries({ ...defaults, ...overrides }).forEach(([method, implementation]) => {
+    adapter[method] = record(method, implementation)
+  })
+  return adapter
+}
@@ -0,0 +1,111 @@
+import { bufferToBase64Url } from './webauthn'
+
+/**
+ * Browser side of the OpenID Connect authorization-code flow with PKCE
+ * Before redirecting to the provider, a random state, nonce and code verifier are
+ * kept in sessionStorage; the /auth/callback page checks the returned state against
+ * them and hands the code, verifier and nonce to the auth adapter.
+ */
+
+const PENDING_KEY = 'oauthPending'
+const PENDING_TTL = 10 * 60 * 1000 // 10 minutes
+
+export const OAUTH_CALLBACK_PATH = '/auth/callback'
+
+/**
+ * Thrown when the provider round trip cannot be completed
+ * `reason` is 'denied', 'state_mismatch' or 'expired'.
+ */
+export class OAuthError extends Error {
+  constructor(message, reason) {
+    super(message)
+    this.name = 'OAuthError'
+    this.reason = reason
+  }
+}
+
+const randomString = (bytes = 32) => bufferToBase64Url(crypto.getRandomValues(new Uint8Array(bytes)))
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ * @returns {Promise<{codeVerifier: string, codeChallenge: string}>}
+ */
+export const createPkcePair = async () => {
+  const codeVerifier = randomString(32)
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier))
+  return { codeVerifier, codeChallenge: bufferToBase64Url(digest) }
+}
+
+/**
+ * Prepare an authorization request and remember what the callback needs to verify it
+ * @param {Object} provider - Entry from getOAuthProviders
+ * @param {Object} options
+ * @param {boolean} options.rememberMe - Persistence mode for the resulting session
+ * @param {string} options.returnTo - Where to go once signed in
+ * @param {string} options.origin - App origin for the redirect URI
+ * @returns {Promise<string>} - Authorization URL to send the browser to
+ */
+export const createAuthorizationRequest = async (provider, {
+  rememberMe = false,
+  returnTo = '/dashboard',
+  origin = window.location.origin
+} = {}) => {
+  const state = randomString(16)
+  const nonce = randomString(16)
+  const redirectUri = `${origin}${OAUTH_CALLBACK_PATH}`
+  const { codeVerifier, codeChallenge } = await createPkcePair()
+
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({
+    provider: provider.id,
+    state,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    rememberMe,
+    returnTo,
+    expiresAt: Date.now() + PENDING_TTL
+  }))
+
+  const url = new URL(provider.authorizationEndpoint)
+  Object.entries({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).forEach(([name, value]) => url.searchParams.set(name, value))
+
+  return url.toString()
+}
+
+/**
+ * Read and discard the pending request matching a callback
+ * @param {URLSearchParams} params - Query string of the callback URL
+ * @returns {Object} - Pending request (provider, code, codeVerifier, nonce, redirectUri, rememberMe, returnTo)
+ * @throws {OAuthError}
+ */
+export const consumeAuthorizationResponse = (params) => {
+  let pending = null
+  try {
+    pending = JSON.parse(sessionStorage.getItem(PENDING_KEY))
+  } catch (error) {
+    // Treated as a missing request below
+  }
+  sessionStorage.removeItem(PENDING_KEY)
+
+  // A callback without our state may be a forged redirect (login CSRF)
+  if (!pending || !params.get('state') || params.get('state') !== pending.state) {
+    throw new OAuthError('This sign-in response could not be verified. Please try again.', 'state_mismatch')
+  }
+  if (pending.expiresAt <= Date.now()) {
+    throw new OAuthError('The sign-in request expired. Please try again.', 'expired')
+  }
+  if (params.get('error') || !params.get('code')) {
+    throw new OAuthError('Sign in was cancelled at the provider.', 'denied')
+  }
+
+  return { ...pending, code: params.get('code') }
+}
@@ -0,0 +1,76 @@
+import { translate } from './i18n'
+
+/**
+ * Social login providers
+ * Each entry drives a "Continue with ..." button and the authorization request.
+ * A provider is only offered when it has a client id, or when the in-process
+ * mock API stands in for it (see mocks/mockIdentityProvider).
+ */
+
+export const OAUTH_PROVIDERS = [
+  {
+    id: 'google',
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+    clientId: import.meta.env.VITE_OAUTH_GOOGLE_CLIENT_ID,
+    scope: 'openid email profile',
+    color: 'bg-red-500'
+  },
+  {
+    id: 'github',
+    name: 'GitHub',
+    issuer: 'https://github.com',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    clientId: import.meta.env.VITE_OAUTH_GITHUB_CLIENT_ID,
+    scope: 'read:user user:email',
+    color: 'bg-gray-900'
+  },
+  {
+    id: 'microsoft',
+    name: 'Microsoft',
+    issuer: 'https://login.microsoftonline.com/common/v2.0',
+    authorizationEndpoint: 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize',
+    clientId: import.meta.env.VITE_OAUTH_MICROSOFT_CLIENT_ID,
+    scope: 'openid email profile',
+    color: 'bg-blue-500'
+  }
+]
+
+/**
+ * Where mocked providers send the browser to sign in
+ */
+export const MOCK_IDP_PATH = '/mock-idp/authorize'
+
+/**
+ * Providers available in this build
+ * @param {Object} options
+ * @param {boolean} options.useMock - Point every provider at the in-app stand-in identity provider
+ * @param {string} options.origin - App origin, used for mocked issuer and endpoint URLs
+ * @returns {Object[]}
+ */
+export const getOAuthProviders = ({ useMock = false, origin = window.location.origin } = {}) => {
+  if (!useMock) {
+    return OAUTH_PROVIDERS.filter(provider => provider.clientId)
+  }
+
+  return OAUTH_PROVIDERS.map(provider => ({
+    ...provider,
+    issuer: `${origin}/mock-idp/${provider.id}`,
+    authorizationEndpoint: `${origin}${MOCK_IDP_PATH}?provider=${provider.id}`,
+    clientId: `mock-${provider.id}-client`,
+    scope: 'openid email profile'
+  }))
+}
+
+/**
+ * Human-readable name of the way a session was started, in the active language
+ * @param {string} loginMethod - 'password', 'passkey', 'magic_link' or a provider id
+ * @returns {string}
+ */
+export const getLoginMethodLabel = (loginMethod) => {
+  if (loginMethod === 'passkey') return translate('loginMethod.passkey')
+  if (loginMethod === 'magic_link') return translate('loginMethod.magicLink')
+  const provider = OAUTH_PROVIDERS.find(candidate => candidate.id === loginMethod)
+  return provider ? provider.name : translate('loginMethod.password')
+}
@@ -0,0 +1,43 @@
+import { constantTimeEqual, generateSalt, sha256Hex } from './passwordHasher'
+
+/**
+ * Single-use, expiring tokens for emailed links (password reset and similar)
+ * A token is `<subjectId>.<secret>`; only a SHA-256 hash of the secret is stored,
+ * next to the subject, so a leaked user store cannot be replayed.
+ */
+
+/**
+ * Create a token for a subject
+ * @param {string} subjectId - Id of the record the token belongs to (e.g. user id)
+ * @param {number} ttl - Lifetime in milliseconds
+ * @returns {Promise<{token: string, record: {tokenHash: string, expiresAt: number}}>}
+ */
+export const createOneTimeToken = async (subjectId, ttl) => {
+  const secret = generateSalt(32)
+  return {
+    token: `${subjectId}.${secret}`,
+    record: { tokenHash: await sha256Hex(secret), expiresAt: Date.now() + ttl }
+  }
+}
+
+/**
+ * Split a token into its subject and secret
+ * @param {string} token - Token from the link
+ * @returns {{subjectId: string, secret: string}|null}
+ */
+export const parseOneTimeToken = (token) => {
+  const separator = typeof token === 'string' ? token.lastIndexOf('.') : -1
+  if (separator <= 0 || separator === token.length - 1) return null
+  return { subjectId: token.slice(0, separator), secret: token.slice(separator + 1) }
+}
+
+/**
+ * Check a secret against the stored record
+ * @param {string} secret - Secret part of the token
+ * @param {{tokenHash: string, expiresAt: number}|undefined} record - Stored record
+ * @returns {Promise<boolean>}
+ */
+export const verifyOneTimeToken = async (secret, record) => {
+  if (!record?.tokenHash || record.expiresAt <= Date.now()) return false
+  return constantTimeEqual(await sha256Hex(secret), record.tokenHash)
+}
@@ -0,0 +1,254 @@
+import { constantTimeEqual } from './passwordHasher'
+import { base64UrlToBuffer, bufferToBase64Url } from './webauthn'
+
+/**
+ * Minimal WebAuthn relying party for the demo backend
+ * Issues challenges and verifies registration and assertion responses with WebCrypto.
+ * Attestation is not checked ('none'); public keys come from the browser's
+ * getPublicKey() so no CBOR parsing is needed. Supports ES256 and RS256 keys.
+ */
+
+const CHALLENGE_TTL = 5 * 60 * 1000 // 5 minutes
+
+const ALGORITHMS = {
+  [-7]: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+  },
+  [-257]: {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verifyParams: { name: 'RSASSA-PKCS1-v1_5' }
+  }
+}
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01
+const FLAG_USER_VERIFIED = 0x04
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+/**
+ * Thrown when a browser response does not verify
+ */
+export class PasskeyVerificationError extends Error {
+  constructor(message = 'Passkey could not be verified') {
+    super(message)
+    this.name = 'PasskeyVerificationError'
+  }
+}
+
+const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+
+/**
+ * Convert a DER-encoded ECDSA signature into the raw r||s form WebCrypto expects
+ */
+const derToRawSignature = (der) => {
+  const readInteger = (offset) => {
+    if (der[offset] !== 0x02) throw new PasskeyVerificationError('Malformed signature')
+    const length = der[offset + 1]
+    let value = der.slice(offset + 2, offset + 2 + length)
+    while (value.length > 32 && value[0] === 0) value = value.slice(1)
+    const padded = new Uint8Array(32)
+    padded.set(value, 32 - value.length)
+    return { value: padded, next: offset + 2 + length }
+  }
+
+  if (der[0] !== 0x30) throw new PasskeyVerificationError('Malformed signature')
+  const r = readInteger(2)
+  const s = readInteger(r.next)
+  const raw = new Uint8Array(64)
+  raw.set(r.value)
+  raw.set(s.value, 32)
+  return raw
+}
+
+/**
+ * Create a relying party
+ * @param {Object} options
+ * @param {string} options.rpId - Relying party id, normally the site's host name
+ * @param {string} options.rpName - Name shown by the browser's passkey prompt
+ * @param {string} options.origin - Expected origin in client data
+ */
+export const createPasskeyRelyingParty = ({
+  rpId = window.location.hostname,
+  rpName = 'Modern Login',
+  origin = window.location.origin
+} = {}) => {
+  // challenge -> { type, userId, expiresAt }; ceremonies finish within one page
+  const pendingChallenges = new Map()
+
+  const issueChallenge = (type, userId = null) => {
+    const challenge = bufferToBase64Url(crypto.getRandomValues(new Uint8Array(32)))
+    pendingChallenges.set(challenge, { type, userId, expiresAt: Date.now() + CHALLENGE_TTL })
+    return challenge
+  }
+
+  /**
+   * Check client data and use up its challenge
+   * @returns {Uint8Array} - Raw client data bytes
+   */
+  const verifyClientData = (encodedClientData, type, userId = null) => {
+    const bytes = base64UrlToBuffer(encodedClientData || '')
+    let clientData
+    try {
+      clientData = JSON.parse(decoder.decode(bytes))
+    } catch (error) {
+      throw new PasskeyVerificationError('Malformed client data')
+    }
+
+    const pending = pendingChallenges.get(clientData.challenge)
+    pendingChallenges.delete(clientData.challenge)
+
+    if (clientData.type !== type || !pending || pending.type !== type) {
+      throw new PasskeyVerificationError('Unexpected passkey response')
+    }
+    if (pending.expiresAt <= Date.now()) {
+      throw new PasskeyVerificationError('The passkey request expired. Please try again.')
+    }
+    if (pending.userId !== userId) {
+      throw new PasskeyVerificationError('This passkey request belongs to another account')
+    }
+    if (clientData.origin !== origin) {
+      throw new PasskeyVerificationError('Passkey response came from an unexpected origin')
+    }
+    return bytes
+  }
+
+  /**
+   * Check the relying party hash and user presence/verification flags
+   * @returns {Promise<{bytes: Uint8Array, signCount: number}>}
+   */
+  const verifyAuthenticatorData = async (encodedAuthData) => {
+    const bytes = base64UrlToBuffer(encodedAuthData || '')
+    if (bytes.length < 37) {
+      throw new PasskeyVerificationError('Malformed authenticator data')
+    }
+
+    const rpIdHash = bufferToBase64Url(await sha256(encoder.encode(rpId)))
+    if (!constantTimeEqual(bufferToBase64Url(bytes.slice(0, 32)), rpIdHash)) {
+      throw new PasskeyVerificationError('Passkey was created for another site')
+    }
+
+    const flags = bytes[32]
+    if (!(flags & FLAG_USER_PRESENT) || !(flags & FLAG_USER_VERIFIED)) {
+      throw new PasskeyVerificationError('The authenticator did not verify the user')
+    }
+
+    return { bytes, signCount: new DataView(bytes.buffer, bytes.byteOffset).getUint32(33) }
+  }
+
+  return {
+    /**
+     * Options for navigator.credentials.create
+     * @param {Object} user - Account registering the passkey
+     * @param {Object[]} existingCredentials - Stored passkeys, excluded so a device is not registered twice
+     */
+    registrationOptions(user, existingCredentials = []) {
+      return {
+        challenge: issueChallenge('webauthn.create', user.id),
+        rp: { id: rpId, name: rpName },
+        user: {
+          id: bufferToBase64Url(encoder.encode(user.id)),
+          name: user.email,
+          displayName: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email
+        },
+        pubKeyCredParams: Object.keys(ALGORITHMS).map(alg => ({ type: 'public-key', alg: Number(alg) })),
+        timeout: 60000,
+        attestation: 'none',
+        authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+        excludeCredentials: existingCredentials.map(({ id, transports }) => ({ type: 'public-key', id, transports }))
+      }
+    },
+
+    /**
+     * Verify a new passkey
+     * @param {string} userId - Account the registration options were issued to
+     * @param {Object} credential - Credential JSON from createPasskey
+     * @returns {Promise<Object>} - Credential record to store
+     * @throws {PasskeyVerificationError}
+     */
+    async verifyRegistration(userId, credential) {
+      const { response = {} } = credential || {}
+      verifyClientData(response.clientDataJSON, 'webauthn.create', userId)
+      const { signCount } = await verifyAuthenticatorData(response.authenticatorData)
+
+      if (!ALGORITHMS[response.publicKeyAlgorithm] || !response.publicKey) {
+        throw new PasskeyVerificationError('Unsupported passkey type')
+      }
+
+      return {
+        id: credential.id,
+        publicKey: response.publicKey,
+        algorithm: response.publicKeyAlgorithm,
+        transports: response.transports || [],
+        signCount
+      }
+    },
+
+    /**
+     * Options for navigator.credentials.get
+     * The list of allowed credentials is left empty so the browser offers any passkey for this site.
+     */
+    assertionOptions() {
+      return {
+        challenge: issueChallenge('webauthn.get'),
+        rpId,
+        timeout: 60000,
+        userVerification: 'required',
+        allowCredentials: []
+      }
+    },
+
+    /**
+     * Account id a discoverable passkey belongs to
+     * @param {Object} credential - Assertion JSON from getPasskeyAssertion
+     * @returns {string|null}
+     */
+    getUserId(credential) {
+      const userHandle = credential?.response?.userHandle
+      return userHandle ? decoder.decode(base64UrlToBuffer(userHandle)) : null
+    },
+
+    /**
+     * Verify a sign-in assertion against the stored passkey
+     * @param {Object} credential - Assertion JSON from getPasskeyAssertion
+     * @param {Object} storedCredential - Record returned by verifyRegistration
+     * @returns {Promise<number>} - New signature counter to store
+     * @throws {PasskeyVerificationError}
+     */
+    async verifyAssertion(credential, storedCredential) {
+      const { response = {} } = credential || {}
+      const clientData = verifyClientData(response.clientDataJSON, 'webauthn.get')
+      const { bytes: authData, signCount } = await verifyAuthenticatorData(response.authenticatorData)
+
+      const algorithm = ALGORITHMS[storedCredential.algorithm]
+      const key = await crypto.subtle.importKey(
+        'spki',
+        base64UrlToBuffer(storedCredential.publicKey),
+        algorithm.importParams,
+        false,
+        ['verify']
+      )
+
+      const signedData = new Uint8Array(authData.length + 32)
+      signedData.set(authData)
+      signedData.set(await sha256(clientData), authData.length)
+
+      let signature = base64UrlToBuffer(response.signature || '')
+      if (storedCredential.algorithm === -7) {
+        signature = derToRawSignature(signature)
+      }
+
+      if (!await crypto.subtle.verify(algorithm.verifyParams, key, signature, signedData)) {
+        throw new PasskeyVerificationError()
+      }
+
+      // A counter that goes backwards suggests a cloned authenticator
+      if (signCount !== 0 && signCount <= storedCredential.signCount) {
+        throw new PasskeyVerificationError('This passkey may have been copied and has been rejected')
+      }
+      return signCount
+    }
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Password hashing helpers backed by WebCrypto
+ * Passwords are stretched with PBKDF2 (SHA-256) using a per-user random salt
+ */
+
+const DEFAULT_ITERATIONS = 100000
+const KEY_LENGTH_BITS = 256
+
+const encoder = new TextEncoder()
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+
+const fromHex = (hex) =>
+  new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)))
+
+/**
+ * Compare two strings without short-circuiting on the first mismatch
+ */
+export const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) return false
+  let mismatch = 0
+  for (let i = 0; i < a.length; i++) {
+    mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return mismatch === 0
+}
+
+/**
+ * Generate a random hex-encoded salt
+ * @param {number} length - Salt length in bytes
+ * @returns {string}
+ */
+export const generateSalt = (length = 16) => {
+  return toHex(crypto.getRandomValues(new Uint8Array(length)))
+}
+
+/**
+ * SHA-256 digest of a string
+ * @param {string} value - Input
+ * @returns {Promise<string>} - Hex-encoded digest
+ */
+export const sha256Hex = async (value) => {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(value)))
+}
+
+/**
+ * Derive a password hash
+ * @param {string} password - Plain text password
+ * @param {string} salt - Hex-encoded salt (generated when omitted)
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<{hash: string, salt: string, iterations: number}>}
+ */
+export const hashPassword = async (password, salt = generateSalt(), iterations = DEFAULT_ITERATIONS) => {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  )
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: fromHex(salt), iterations, hash: 'SHA-256' },
+    keyMaterial,
+    KEY_LENGTH_BITS
+  )
+  return { hash: toHex(bits), salt, iterations }
+}
+
+/**
+ * Check a password against a stored hash record
+ * @param {string} password - Plain text password
+ * @param {{hash: string, salt: string, iterations: number}} record - Stored hash record
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, record) => {
+  if (!record || !record.hash || !record.salt) return false
+  const candidate = await hashPassword(password, record.salt, record.iterations)
+  return constantTimeEqual(candidate.hash, record.hash)
+}
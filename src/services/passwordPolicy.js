@@ -0,0 +1,101 @@
+import { estimatePasswordStrength } from './passwordStrength'
+import { translate } from './i18n'
+
+/**
+ * Password policy shared by every place a new password is set
+ * (signup, password reset, change password - in the forms and in the backend).
+ * Change PASSWORD_POLICY to change the rules everywhere.
+ *   minLength / maxLength - Length bounds
+ *   requiredClasses       - Character classes that must appear: 'lowercase', 'uppercase', 'digit', 'symbol'
+ *   bannedPasswords       - Site-specific words that may not appear in the password
+ *   disallowPersonalInfo  - Reject passwords containing the account's email or name
+ *   minScore              - Lowest accepted estimator score (0-4, see services/passwordStrength)
+ *   checkBreaches         - Reject passwords found in breach data (see services/breachedPasswords)
+ */
+
+export const PASSWORD_POLICY = {
+  minLength: 8,
+  maxLength: 128,
+  requiredClasses: [],
+  bannedPasswords: ['modernlogin', 'modern login', 'dashboard', 'changeme', 'welcome'],
+  disallowPersonalInfo: true,
+  minScore: 2,
+  checkBreaches: true
+}
+
+// Each class is named in messages by the id 'password.class.<name>'
+const CHARACTER_CLASSES = {
+  lowercase: /[a-z]/,
+  uppercase: /[A-Z]/,
+  digit: /[0-9]/,
+  symbol: /[^A-Za-z0-9]/
+}
+
+/**
+ * Lowercase letters only, with common substitutions undone
+ */
+const normalize = (value) => value
+  .toLowerCase()
+  .replace(/[@4]/g, 'a')
+  .replace(/3/g, 'e')
+  .replace(/[1!|]/g, 'i')
+  .replace(/0/g, 'o')
+  .replace(/[$5]/g, 's')
+  .replace(/[7+]/g, 't')
+  .replace(/[^a-z]/g, '')
+
+/**
+ * Personal details of the account, as given to the policy and the estimator
+ * @param {Object} userInputs - email, firstName, lastName (any may be missing)
+ * @returns {string[]}
+ */
+export const getPersonalInfo = ({ email = '', firstName = '', lastName = '' } = {}) =>
+  [email.split('@')[0], firstName, lastName]
+    .map(value => (value || '').trim())
+    .filter(value => value.length >= 3)
+
+/**
+ * Check a new password against the policy
+ * The breach check is asynchronous and lives in services/breachedPasswords.
+ * @param {string} password - Candidate password
+ * @param {Object} userInputs - email, firstName, lastName of the account
+ * @param {Object} policy - Policy (default: PASSWORD_POLICY)
+ * @returns {string} - Error message in the active language, or an empty string when the password is acceptable
+ */
+export const validateNewPassword = (password, userInputs = {}, policy = PASSWORD_POLICY) => {
+  if (!password) return translate('password.required')
+  if (password.length < policy.minLength) {
+    return translate('password.minLength', { min: policy.minLength })
+  }
+  if (password.length > policy.maxLength) {
+    return translate('password.maxLength', { max: policy.maxLength })
+  }
+
+  const missing = policy.requiredClasses.filter(name => !CHARACTER_CLASSES[name].test(password))
+  if (missing.length > 0) {
+    const classes = missing.map(name => translate(`password.class.${name}`)).join(', ')
+    return translate('password.missingClasses', { classes })
+  }
+
+  // "Welcome1!" is still "welcome"
+  const normalized = normalize(password)
+  if (policy.bannedPasswords.some(word => normalized.includes(normalize(word)))) {
+    return translate('password.tooCommon')
+  }
+
+  const personalInfo = getPersonalInfo(userInputs)
+  const containsPersonalInfo = personalInfo
+    .map(normalize)
+    .some(value => value.length >= 3 && normalized.includes(value))
+  if (policy.disallowPersonalInfo && containsPersonalInfo) {
+    return translate('password.personalInfo')
+  }
+
+  const { score, feedback } = estimatePasswordStrength(password, personalInfo)
+  if (score < policy.minScore) {
+    return feedback.warning
+      ? translate('password.tooWeakWithWarning', { warning: feedback.warning })
+      : translate('password.tooWeak')
+  }
+  return ''
+}
@@ -0,0 +1,315 @@
+import { COMMON_PASSWORDS } from './commonPasswords'
+import { translate } from './i18n'
+
+/**
+ * Password strength estimation
+ * Modelled on zxcvbn: the password is split into the patterns an attacker would try
+ * first (common passwords, personal details, keyboard rows, sequences, repeats, years),
+ * the cheapest way to cover it with those patterns gives an estimated guess count, and
+ * the guess count maps to a 0-4 score. Character-class counting is deliberately not
+ * used - "Password1!" has every class and is still one of the first guesses.
+ */
+
+const MAX_ANALYZED_LENGTH = 100
+const BRUTEFORCE_CARDINALITY = 10
+const REFERENCE_YEAR = new Date().getFullYear()
+const MIN_YEAR_SPACE = 20
+
+// Guess counts separating the scores 0|1|2|3|4
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10]
+
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'qazwsxedc', '1qaz2wsx3edc']
+
+const L33T_VARIANTS = [
+  { '4': 'a', '@': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't' },
+  { '4': 'a', '@': 'a', '3': 'e', '1': 'l', '|': 'l', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't' }
+]
+
+const COMMON_PASSWORD_RANKS = new Map(COMMON_PASSWORDS.map((password, index) => [password, index + 1]))
+
+const factorial = (n) => (n <= 1 ? 1 : n * factorial(n - 1))
+
+/**
+ * Extra guesses needed to cover the capitalisation of a dictionary word
+ */
+const uppercaseVariations = (token) => {
+  if (token === token.toLowerCase()) return 1
+  // Capitalised, all caps or last letter upper are tried first
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^a-z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token)) return 2
+  const upper = (token.match(/[A-Z]/g) || []).length
+  const lower = (token.match(/[a-z]/g) || []).length
+  return 2 ** Math.min(upper, lower) * 2
+}
+
+/**
+ * Ranked words for one check: common passwords plus the user's own details, which
+ * an attacker targeting the account tries before anything else
+ */
+const buildDictionary = (userInputs) => {
+  const dictionary = new Map(COMMON_PASSWORD_RANKS)
+  userInputs
+    .flatMap(input => String(input || '').toLowerCase().split(/[^a-z0-9]+/))
+    .filter(word => word.length >= 3)
+    .forEach(word => dictionary.set(word, 1))
+  return dictionary
+}
+
+const findDictionaryMatches = (password, dictionary) => {
+  const matches = []
+  const lower = password.toLowerCase()
+  const reversed = [...lower].reverse().join('')
+
+  for (let i = 0; i < lower.length; i++) {
+    for (let j = i + 2; j < lower.length; j++) {
+      const word = lower.slice(i, j + 1)
+      const rank = dictionary.get(word)
+      if (rank) {
+        const token = password.slice(i, j + 1)
+        matches.push({ pattern: 'dictionary', i, j, token, rank, userInput: rank === 1 && !COMMON_PASSWORD_RANKS.has(word), guesses: rank * uppercaseVariations(token) })
+      }
+
+      const reversedRank = dictionary.get(reversed.slice(lower.length - 1 - j, lower.length - i))
+      if (reversedRank && word.length >= 4) {
+        const token = password.slice(i, j + 1)
+        matches.push({ pattern: 'dictionary', i, j, token, rank: reversedRank, reversed: true, guesses: reversedRank * uppercaseVariations(token) * 2 })
+      }
+    }
+  }
+
+  // Words hidden behind substitutions such as p@ssw0rd
+  L33T_VARIANTS.forEach(table => {
+    const substituted = [...lower].map(char => table[char] || char).join('')
+    if (substituted === lower) return
+
+    for (let i = 0; i < substituted.length; i++) {
+      for (let j = i + 2; j < substituted.length; j++) {
+        const rank = dictionary.get(substituted.slice(i, j + 1))
+        const token = password.slice(i, j + 1)
+        const substitutions = [...lower.slice(i, j + 1)].filter(char => table[char]).length
+        if (rank && substitutions > 0) {
+          matches.push({ pattern: 'dictionary', i, j, token, rank, l33t: true, guesses: rank * uppercaseVariations(token) * 2 ** substitutions })
+        }
+      }
+    }
+  })
+
+  return matches
+}
+
+/**
+ * Runs of 3+ neighbouring keys along a keyboard row, either direction
+ */
+const findKeyboardMatches = (password) => {
+  const matches = []
+  const lower = password.toLowerCase()
+  const rows = KEYBOARD_ROWS.flatMap(row => [row, [...row].reverse().join('')])
+
+  let i = 0
+  while (i < lower.length - 2) {
+    let longest = 0
+    rows.forEach(row => {
+      let length = 0
+      let position = row.indexOf(lower[i])
+      while (position !== -1 && i + length < lower.length && row[position + length] === lower[i + length]) {
+        length += 1
+      }
+      longest = Math.max(longest, length)
+    })
+
+    if (longest >= 3) {
+      const token = password.slice(i, i + longest)
+      matches.push({ pattern: 'keyboard', i, j: i + longest - 1, token, guesses: 100 * longest * uppercaseVariations(token) })
+      i += longest
+    } else {
+      i += 1
+    }
+  }
+  return matches
+}
+
+/**
+ * The same character or chunk repeated, e.g. aaaa or abcabc
+ */
+const findRepeatMatches = (password) => {
+  const matches = []
+  const regex = /(.+?)\1+/g
+  let match
+  while ((match = regex.exec(password)) !== null) {
+    const [token, base] = match
+    if (token.length >= 3) {
+      const baseGuesses = base.length === 1 ? BRUTEFORCE_CARDINALITY : BRUTEFORCE_CARDINALITY ** base.length
+      matches.push({ pattern: 'repeat', i: match.index, j: match.index + token.length - 1, token, guesses: baseGuesses * (token.length / base.length) })
+    }
+  }
+  return matches
+}
+
+/**
+ * Runs with a constant step between character codes, e.g. abcd, 9753
+ */
+const findSequenceMatches = (password) => {
+  const matches = []
+  let start = 0
+
+  const flush = (end, delta) => {
+    const token = password.slice(start, end + 1)
+    if (token.length >= 3 && Math.abs(delta) <= 5 && delta !== 0) {
+      let base = /^[a-z]+$/i.test(token) ? 26 : /^\d+$/.test(token) ? 10 : 94
+      if ('aAzZ09'.includes(token[0])) base = 4
+      matches.push({ pattern: 'sequence', i: start, j: end, token, guesses: base * token.length * (delta < 0 ? 2 : 1) })
+    }
+  }
+
+  for (let k = 1; k < password.length; k++) {
+    const delta = password.charCodeAt(k) - password.charCodeAt(k - 1)
+    const previous = k > 1 ? password.charCodeAt(k - 1) - password.charCodeAt(k - 2) : delta
+    if (k - start >= 2 && delta !== previous) {
+      flush(k - 1, previous)
+      start = k - 1
+    }
+  }
+  if (password.length > 1) {
+    flush(password.length - 1, password.charCodeAt(password.length - 1) - password.charCodeAt(password.length - 2))
+  }
+  return matches
+}
+
+const findYearMatches = (password) => {
+  const matches = []
+  const regex = /(19|20)\d\d/g
+  let match
+  while ((match = regex.exec(password)) !== null) {
+    const year = Number(match[0])
+    matches.push({ pattern: 'year', i: match.index, j: match.index + 3, token: match[0], guesses: Math.max(Math.abs(year - REFERENCE_YEAR), MIN_YEAR_SPACE) })
+  }
+  return matches
+}
+
+/**
+ * Cheapest way to cover the password with matches and brute-forced gaps
+ * @returns {{ guesses: number, sequence: Object[] }}
+ */
+const findMostGuessableSequence = (password, matches) => {
+  const n = password.length
+  // best[k].get(l): cheapest cover of password[0..k] with l segments, as { guesses, match, previous }
+  const best = Array.from({ length: n }, () => new Map())
+
+  const consider = (k, length, guesses, match, previous) => {
+    const current = best[k].get(length)
+    if (!current || guesses < current.guesses) {
+      best[k].set(length, { guesses, match, previous })
+    }
+  }
+
+  const extend = (match) => {
+    if (match.i === 0) {
+      consider(match.j, 1, match.guesses, match, null)
+      return
+    }
+    best[match.i - 1].forEach((previous, length) => {
+      // Two brute-forced gaps next to each other are one longer gap
+      if (match.pattern === 'bruteforce' && previous.match.pattern === 'bruteforce') return
+      consider(match.j, length + 1, previous.guesses * match.guesses, match, previous)
+    })
+  }
+
+  for (let k = 0; k < n; k++) {
+    matches.filter(match => match.j === k).forEach(extend)
+    for (let i = 0; i <= k; i++) {
+      extend({ pattern: 'bruteforce', i, j: k, token: password.slice(i, k + 1), guesses: BRUTEFORCE_CARDINALITY ** (k - i + 1) })
+    }
+  }
+
+  let result = null
+  best[n - 1].forEach((entry, length) => {
+    // Attackers also have to guess how the patterns are combined
+    const total = factorial(length) * entry.guesses
+    if (!result || total < result.guesses) {
+      result = { guesses: total, entry }
+    }
+  })
+
+  const sequence = []
+  for (let entry = result.entry; entry; entry = entry.previous) {
+    sequence.unshift(entry.match)
+  }
+  return { guesses: result.guesses, sequence }
+}
+
+/**
+ * Warning and suggestions for the weakest part of a password, in the active language
+ */
+const getFeedback = (score, sequence) => {
+  if (score >= 3) return { warning: '', suggestions: [] }
+
+  const suggestions = [translate('passwordStrength.addWords')]
+  const longest = sequence
+    .filter(match => match.pattern !== 'bruteforce')
+    .sort((a, b) => b.token.length - a.token.length)[0]
+  if (!longest) return { warning: '', suggestions }
+
+  if (longest.pattern === 'dictionary') {
+    let warning = 'passwordStrength.similarToCommon'
+    if (longest.userInput) warning = 'passwordStrength.personalInfo'
+    else if (longest.rank <= 10 && !longest.l33t && !longest.reversed) warning = 'passwordStrength.top10'
+    else if (longest.rank <= 100 && !longest.l33t && !longest.reversed) warning = 'passwordStrength.top100'
+
+    if (/^[A-Z][^A-Z]+$/.test(longest.token)) suggestions.push(translate('passwordStrength.capitalization'))
+    else if (/^[^a-z]+$/.test(longest.token)) suggestions.push(translate('passwordStrength.allUppercase'))
+    if (longest.reversed) suggestions.push(translate('passwordStrength.reversed'))
+    if (longest.l33t) suggestions.push(translate('passwordStrength.substitutions'))
+    return { warning: translate(warning), suggestions }
+  }
+
+  // keyboard, repeat, sequence or year
+  return {
+    warning: translate(`passwordStrength.${longest.pattern}Warning`),
+    suggestions: [...suggestions, translate(`passwordStrength.${longest.pattern}Suggestion`)]
+  }
+}
+
+/**
+ * Estimate how hard a password is to guess
+ * @param {string} password - Candidate password
+ * @param {string[]} userInputs - Personal details that make guessing easier (email, names)
+ * @returns {{ score: number, guesses: number, feedback: { warning: string, suggestions: string[] } }}
+ */
+export const estimatePasswordStrength = (password, userInputs = []) => {
+  if (!password) {
+    return {
+      score: 0,
+      guesses: 0,
+      feedback: {
+        warning: '',
+        suggestions: [translate('passwordStrength.useFewWords'), translate('passwordStrength.noSymbolsNeeded')]
+      }
+    }
+  }
+
+  const analyzed = password.slice(0, MAX_ANALYZED_LENGTH)
+  const matches = [
+    ...findDictionaryMatches(analyzed, buildDictionary(userInputs)),
+    ...findKeyboardMatches(analyzed),
+    ...findRepeatMatches(analyzed),
+    ...findSequenceMatches(analyzed),
+    ...findYearMatches(analyzed)
+  ]
+  const { guesses, sequence } = findMostGuessableSequence(analyzed, matches)
+  const score = SCORE_THRESHOLDS.filter(threshold => guesses >= threshold).length
+
+  return { score, guesses, feedback: getFeedback(score, sequence) }
+}
+
+/**
+ * Get password strength text and color for a 0-4 score
+ */
+export const getPasswordStrengthInfo = (score) => {
+  const strengthLevels = [
+    { text: translate('passwordStrength.veryWeak'), color: 'text-danger', bgColor: 'bg-danger' },
+    { text: translate('passwordStrength.weak'), color: 'text-orange-500', bgColor: 'bg-orange-500' },
+    { text: translate('passwordStrength.fair'), color: 'text-warning', bgColor: 'bg-warning' },
+    { text: translate('passwordStrength.good'), color: 'text-info', bgColor: 'bg-info' },
+    { text: translate('passwordStrength.strong'), color: 'text-success', bgColor: 'bg-success' }
+  ]
+  return strengthLevels[score] || strengthLevels[0]
+}
@@ -0,0 +1,77 @@
+/**
+ * Role and permission model
+ * Users carry `roles` (and optionally extra `permissions`); a user's effective
+ * permissions are the union of their roles' permissions and any extras.
+ */
+
+export const ROLES = {
+  admin: 'admin',
+  member: 'member',
+  viewer: 'viewer'
+}
+
+export const DEFAULT_ROLE = ROLES.member
+
+export const PERMISSIONS = {
+  dashboardView: 'dashboard:view',
+  profileEdit: 'profile:edit',
+  securityManage: 'security:manage',
+  usersManage: 'users:manage',
+  rolesAssign: 'roles:assign'
+}
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.admin]: Object.values(PERMISSIONS),
+  [ROLES.member]: [
+    PERMISSIONS.dashboardView,
+    PERMISSIONS.profileEdit,
+    PERMISSIONS.securityManage
+  ],
+  [ROLES.viewer]: [PERMISSIONS.dashboardView]
+}
+
+/**
+ * Roles of a user, defaulting to the member role for accounts created before roles existed
+ * @param {Object|null} user - Signed-in user
+ * @returns {string[]}
+ */
+export const getRoles = (user) => {
+  if (!user) return []
+  return Array.isArray(user.roles) && user.roles.length > 0 ? user.roles : [DEFAULT_ROLE]
+}
+
+/**
+ * Effective permissions of a user
+ * @param {Object|null} user - Signed-in user
+ * @returns {string[]}
+ */
+export const getPermissions = (user) => {
+  const granted = new Set(Array.isArray(user?.permissions) ? user.permissions : [])
+  getRoles(user).forEach(role => {
+    (ROLE_PERMISSIONS[role] || []).forEach(permission => granted.add(permission))
+  })
+  return [...granted]
+}
+
+/**
+ * Check a user against role and permission requirements
+ * @param {Object|null} user - Signed-in user
+ * @param {Object} requirements
+ * @param {string|string[]} requirements.permission - Permission(s), all of which are required
+ * @param {string|string[]} requirements.role - Role(s), any of which is enough
+ * @returns {boolean}
+ */
+export const isAuthorized = (user, { permission, role } = {}) => {
+  if (!user) return false
+
+  const requiredPermissions = [].concat(permission || [])
+  const acceptedRoles = [].concat(role || [])
+
+  const permissions = getPermissions(user)
+  const roles = getRoles(user)
+
+  return (
+    requiredPermissions.every(required => permissions.includes(required)) &&
+    (acceptedRoles.length === 0 || acceptedRoles.some(accepted => roles.includes(accepted)))
+  )
+}
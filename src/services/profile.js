@@ -0,0 +1,109 @@
+import { LANGUAGES, getActiveLanguage, matchLanguage } from './i18n'
+
+/**
+ * Profile fields users can edit themselves, with their choices and defaults
+ * The avatar is stored with the account as a small data URL, so no file storage is needed.
+ */
+
+export const PROFILE_FIELDS = ['firstName', 'lastName', 'displayName', 'avatarUrl', 'timezone', 'locale']
+
+export const DISPLAY_NAME_MAX_LENGTH = 50
+
+// Cropped avatars are square images of this many pixels per side
+export const AVATAR_SIZE = 256
+
+// Upper bound on the stored data URL (JPEG at AVATAR_SIZE stays well below it)
+export const AVATAR_MAX_LENGTH = 200 * 1024
+
+// The profile language is the UI language of the account, so only languages with a catalog
+export const LOCALE_OPTIONS = LANGUAGES.map(({ code, label }) => ({ value: code, label }))
+
+// Used where Intl.supportedValuesOf is not available
+const FALLBACK_TIME_ZONES = [
+  'UTC',
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Paris',
+  'Europe/Berlin',
+  'Africa/Cairo',
+  'Asia/Dubai',
+  'Asia/Karachi',
+  'Asia/Kolkata',
+  'Asia/Shanghai',
+  'Asia/Tokyo',
+  'Australia/Sydney'
+]
+
+/**
+ * IANA time zones offered in the profile form
+ * @returns {string[]}
+ */
+export const getTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : FALLBACK_TIME_ZONES
+  // Some engines leave UTC out of the list
+  return zones.includes('UTC') ? zones : ['UTC', ...zones]
+}
+
+/**
+ * Whether a string names a time zone the browser knows
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+export const isSupportedLocale = (locale) => LOCALE_OPTIONS.some(option => option.value === locale)
+
+/**
+ * UI language chosen in a user's profile
+ * @returns {string|null} - Language code from LANGUAGES, or null when none is set
+ */
+export const getProfileLanguage = (user) => (user?.locale ? matchLanguage([user.locale]) : null)
+
+/**
+ * Profile values of a user, with the browser's time zone and the current UI language
+ * for anything not chosen yet
+ * @param {Object} user - Signed-in user
+ * @returns {Object} - One entry per PROFILE_FIELDS name
+ */
+export const getProfileValues = (user) => ({
+  firstName: user?.firstName || '',
+  lastName: user?.lastName || '',
+  displayName: user?.displayName || '',
+  avatarUrl: user?.avatarUrl || null,
+  timezone: user?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  // Older profiles hold region tags such as 'en-US'
+  locale: getProfileLanguage(user) || getActiveLanguage()
+})
+
+/**
+ * Name to greet a user by: display name, then first name, then email
+ */
+export const getDisplayName = (user) =>
+  user?.displayName || [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email || ''
+
+/**
+ * Crop a square region of an image and scale it to AVATAR_SIZE
+ * @param {HTMLImageElement} image - Loaded source image
+ * @param {{x: number, y: number, size: number}} crop - Region in source pixels
+ * @returns {string} - JPEG data URL
+ */
+export const cropAvatar = (image, { x, y, size }) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = AVATAR_SIZE
+  canvas.height = AVATAR_SIZE
+  const context = canvas.getContext('2d')
+  // Transparent PNGs would otherwise turn black in the JPEG
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, AVATAR_SIZE, AVATAR_SIZE)
+  context.drawImage(image, x, y, size, size, 0, 0, AVATAR_SIZE, AVATAR_SIZE)
+  return canvas.toDataURL('image/jpeg', 0.85)
+}
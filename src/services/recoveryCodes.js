@@ -0,0 +1,45 @@
+import { sha256Hex } from './passwordHasher'
+
+/**
+ * Single-use recovery codes for accounts with two-factor authentication
+ * Codes are shown once at enrollment; only SHA-256 hashes are stored.
+ */
+
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789' // no look-alike characters
+const CODE_COUNT = 10
+
+/**
+ * Normalize user input: case and separators do not matter
+ * @param {string} code - Code as typed
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '')
+
+const randomCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(10))
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`
+}
+
+/**
+ * Generate a fresh set of codes
+ * @param {number} count - How many codes to create
+ * @returns {Promise<{codes: string[], hashes: string[]}>} - Codes to show and hashes to store
+ */
+export const generateRecoveryCodes = async (count = CODE_COUNT) => {
+  const codes = Array.from({ length: count }, randomCode)
+  const hashes = await Promise.all(codes.map(code => sha256Hex(normalizeRecoveryCode(code))))
+  return { codes, hashes }
+}
+
+/**
+ * Use up a code
+ * @param {string} code - Code as typed
+ * @param {string[]} hashes - Stored hashes
+ * @returns {Promise<string[]|null>} - Remaining hashes, or null when the code does not match
+ */
+export const consumeRecoveryCode = async (code, hashes = []) => {
+  const hash = await sha256Hex(normalizeRecoveryCode(code))
+  if (!hashes.includes(hash)) return null
+  return hashes.filter(candidate => candidate !== hash)
+}
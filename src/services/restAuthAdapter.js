@@ -0,0 +1,253 @@
+import { ChallengeRequiredError, InvalidCredentialsError, InvalidTokenError, TooManyAttemptsError } from './authAdapter'
+import { ApiError, createApiClient } from './apiClient'
+import { DuplicateEmailError } from './userRepository'
+import { getDeviceId } from './loginThrottle'
+
+/**
+ * Default endpoint paths, relative to the API client's baseUrl
+ */
+export const DEFAULT_AUTH_ENDPOINTS = {
+  login: '/auth/login',
+  signup: '/auth/signup',
+  checkEmail: '/auth/check-email',
+  logout: '/auth/logout',
+  refresh: '/auth/refresh',
+  passwordReset: '/auth/password-reset',
+  magicLink: '/auth/magic-link',
+  emailVerification: '/auth/email-verification',
+  me: '/auth/me',
+  profile: '/auth/me/profile',
+  password: '/auth/me/password',
+  email: '/auth/me/email',
+  sessions: '/auth/sessions',
+  twoFactorVerify: '/auth/2fa/verify',
+  totpEnroll: '/auth/2fa/totp/enroll',
+  totpConfirm: '/auth/2fa/totp/confirm',
+  totpDisable: '/auth/2fa/totp/disable',
+  passkeyRegisterOptions: '/auth/passkeys/register/options',
+  passkeyRegister: '/auth/passkeys/register',
+  passkeyLoginOptions: '/auth/passkeys/login/options',
+  passkeyLogin: '/auth/passkeys/login',
+  oauthCallback: '/auth/oauth/callback'
+}
+
+/**
+ * Translate well-known API errors into the adapter contract's error classes
+ */
+const mapError = (error) => {
+  if (!(error instanceof ApiError)) return error
+
+  if (error.code === 'invalid_credentials') {
+    return new InvalidCredentialsError(error.message)
+  }
+  if (error.code === 'invalid_token') {
+    return new InvalidTokenError(error.message)
+  }
+  if (error.code === 'too_many_attempts') {
+    const { retryAfter = 0, locked = false } = error.payload?.error || {}
+    return new TooManyAttemptsError(retryAfter, locked, error.message)
+  }
+  if (error.code === 'challenge_required') {
+    return new ChallengeRequiredError(error.message)
+  }
+  if (error.code === 'email_taken') {
+    const duplicate = new DuplicateEmailError(error.payload?.error?.email || '')
+    if (Object.keys(error.fieldErrors).length > 0) {
+      duplicate.fieldErrors = error.fieldErrors
+    }
+    return duplicate
+  }
+  return error
+}
+
+/**
+ * Auth adapter backed by a REST/JSON API
+ * Login and signup responses must contain `{ user, accessToken, refreshToken }`;
+ * login may instead answer `{ twoFactorRequired: true, challengeToken }`.
+ * @param {Object} options
+ * @param {Object} options.client - API client (default: client for /api)
+ * @param {Object} options.endpoints - Endpoint overrides merged into DEFAULT_AUTH_ENDPOINTS
+ */
+export const createRestAuthAdapter = ({
+  client = createApiClient(),
+  endpoints = {}
+} = {}) => {
+  const paths = { ...DEFAULT_AUTH_ENDPOINTS, ...endpoints }
+
+  const call = async (operation) => {
+    try {
+      return await operation()
+    } catch (error) {
+      throw mapError(error)
+    }
+  }
+
+  const startSession = ({ user, accessToken, refreshToken }) => {
+    client.tokenStore.setTokens({ accessToken, refreshToken })
+    return user
+  }
+
+  // Accounts with 2FA answer with a challenge instead of tokens
+  const startSessionOrChallenge = (response) => {
+    if (response.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: response.challengeToken }
+    }
+    return startSession(response)
+  }
+
+  return {
+    login: ({ email, password, rememberMe, challengeResponse }) => call(async () =>
+      startSessionOrChallenge(await client.post(
+        paths.login,
+        { email, password, rememberMe, deviceId: getDeviceId(), challengeResponse },
+        { auth: false }
+      ))
+    ),
+
+    signup: (details) => call(async () =>
+      startSession(await client.post(paths.signup, details, { auth: false }))
+    ),
+
+    checkEmailAvailable: (email, { signal } = {}) => call(async () => {
+      const { available } = await client.post(paths.checkEmail, { email }, { auth: false, signal })
+      return available
+    }),
+
+    async logout() {
+      const refreshToken = client.tokenStore.getRefreshToken()
+      try {
+        if (refreshToken) {
+          await client.post(paths.logout, { refreshToken }, { retry: false })
+        }
+      } finally {
+        client.tokenStore.clear()
+      }
+    },
+
+    refresh: () => call(async () => {
+      await client.refreshTokens()
+      const { user } = await client.get(paths.me)
+      return user
+    }),
+
+    requestPasswordReset: (email) => call(() =>
+      client.post(paths.passwordReset, { email }, { auth: false })
+    ),
+
+    verifyPasswordResetToken: (token) => call(() =>
+      client.get(`${paths.passwordReset}/${encodeURIComponent(token)}`, { auth: false })
+    ),
+
+    resetPassword: ({ token, password }) => call(() =>
+      client.post(`${paths.passwordReset}/${encodeURIComponent(token)}`, { password }, { auth: false })
+    ),
+
+    verifyTwoFactorLogin: ({ challengeToken, code, rememberMe }) => call(async () =>
+      startSession(await client.post(paths.twoFactorVerify, { challengeToken, code, rememberMe }, { auth: false }))
+    ),
+
+    beginTotpEnrollment: () => call(() =>
+      client.post(paths.totpEnroll, {})
+    ),
+
+    confirmTotpEnrollment: (user, code) => call(() =>
+      client.post(paths.totpConfirm, { code })
+    ),
+
+    disableTotp: (user, password) => call(async () => {
+      const response = await client.post(paths.totpDisable, { password })
+      return response.user
+    }),
+
+    beginPasskeyRegistration: () => call(() =>
+      client.post(paths.passkeyRegisterOptions, {})
+    ),
+
+    finishPasskeyRegistration: (user, { credential, name }) => call(async () => {
+      const response = await client.post(paths.passkeyRegister, { credential, name })
+      return response.user
+    }),
+
+    beginPasskeyLogin: () => call(() =>
+      client.post(paths.passkeyLoginOptions, {}, { auth: false })
+    ),
+
+    finishPasskeyLogin: ({ credential, rememberMe }) => call(async () =>
+      startSession(await client.post(paths.passkeyLogin, { credential, rememberMe }, { auth: false }))
+    ),
+
+    finishOAuthLogin: (request) => call(async () =>
+      startSessionOrChallenge(await client.post(paths.oauthCallback, request, { auth: false }))
+    ),
+
+    requestMagicLink: ({ email, rememberMe }) => call(() =>
+      client.post(paths.magicLink, { email, rememberMe }, { auth: false })
+    ),
+
+    verifyMagicLink: ({ token, rememberMe }) => call(async () =>
+      startSessionOrChallenge(
+        await client.post(`${paths.magicLink}/${encodeURIComponent(token)}`, { rememberMe }, { auth: false })
+      )
+    ),
+
+    verifyEmail: ({ token }) => call(() =>
+      client.post(`${paths.emailVerification}/${encodeURIComponent(token)}`, {}, { auth: false })
+    ),
+
+    resendVerificationEmail: () => call(() =>
+      client.post(paths.emailVerification, {})
+    ),
+
+    updateProfile: (user, changes) => call(async () => {
+      const response = await client.put(paths.profile, changes)
+      return response.user
+    }),
+
+    changePassword: (user, { currentPassword, newPassword }) => call(async () => {
+      const response = await client.post(paths.password, { currentPassword, newPassword })
+      return response.user
+    }),
+
+    changeEmail: (user, { newEmail, password }) => call(async () => {
+      const response = await client.post(paths.email, { newEmail, password })
+      return response.user
+    }),
+
+    listSessions: () => call(async () => {
+      const { sessions } = await client.get(paths.sessions)
+      return sessions
+    }),
+
+    revokeSession: (user, sessionId) => call(() =>
+      client.delete(`${paths.sessions}/${encodeURIComponent(sessionId)}`)
+    ),
+
+    revokeOtherSessions: () => call(async () => {
+      const response = await client.post(`${paths.sessions}/revoke-others`, {})
+      return response.user
+    }),
+
+    getTokens() {
+      const accessToken = client.tokenStore.getAccessToken()
+      const refreshToken = client.tokenStore.getRefreshToken()
+      return accessToken || refreshToken ? { accessToken, refreshToken } : null
+    },
+
+    async getCurrentUser() {
+      if (!client.tokenStore.getAccessToken() && !client.tokenStore.getRefreshToken()) {
+        return null
+      }
+
+      try {
+        const { user } = await client.get(paths.me)
+        return user
+      } catch (error) {
+        if (error instanceof ApiError && error.status === 401) {
+          client.tokenStore.clear()
+          return null
+        }
+        throw error
+      }
+    }
+  }
+}
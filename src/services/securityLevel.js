@@ -0,0 +1,47 @@
+/**
+ * Account security rating shown on the dashboard
+ * Derived from the account's settings: verified email, two-factor authentication and
+ * how long ago the password was set. A missing second factor alone lowers the level to
+ * medium; an unverified email or an old password lower it to low.
+ * Levels and checks are returned as ids; the dashboard words them in the active language.
+ */
+
+export const PASSWORD_MAX_AGE = 365 * 24 * 60 * 60 * 1000 // 1 year
+
+export const SECURITY_LEVELS = {
+  high: { color: 'text-success' },
+  medium: { color: 'text-warning' },
+  low: { color: 'text-danger' }
+}
+
+/**
+ * Individual checks behind the security level
+ * The password age check is left out when the account has no known password date.
+ * @param {Object} user - Signed-in user
+ * @param {number} now - Current time in ms
+ * @returns {Array<{id: string, passed: boolean}>}
+ */
+export const getSecurityChecks = (user, now = Date.now()) => {
+  const passwordSetAt = user?.passwordChangedAt || user?.createdAt
+  return [
+    { id: 'emailVerified', passed: user?.emailVerified !== false },
+    { id: 'twoFactor', passed: !!user?.twoFactorEnabled },
+    passwordSetAt && {
+      id: 'passwordAge',
+      passed: now - new Date(passwordSetAt).getTime() < PASSWORD_MAX_AGE
+    }
+  ].filter(Boolean)
+}
+
+/**
+ * Security level of an account
+ * @returns {{level: 'high'|'medium'|'low', color: string, checks: Object[]}}
+ */
+export const getSecurityLevel = (user, now = Date.now()) => {
+  const checks = getSecurityChecks(user, now)
+  const failed = checks.filter(check => !check.passed)
+  const level = failed.length === 0
+    ? 'high'
+    : failed.every(check => check.id === 'twoFactor') ? 'medium' : 'low'
+  return { level, ...SECURITY_LEVELS[level], checks }
+}
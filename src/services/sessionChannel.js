@@ -0,0 +1,55 @@
+/**
+ * Cross-tab session events
+ * Uses BroadcastChannel where available and falls back to `storage` events,
+ * so logging out in one tab logs out every tab.
+ *
+ * Messages look like { type: 'login' | 'logout' | 'refresh', user }.
+ */
+
+const CHANNEL_NAME = 'auth-session'
+const STORAGE_KEY = 'authSessionEvent'
+
+/**
+ * Open a session channel
+ * @returns {{post: Function, subscribe: Function, close: Function}}
+ */
+export const createSessionChannel = () => {
+  const listeners = new Set()
+  const notify = (message) => listeners.forEach(listener => listener(message))
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = (event) => notify(event.data)
+
+    return {
+      post: (type, payload = {}) => channel.postMessage({ type, ...payload }),
+      subscribe(listener) {
+        listeners.add(listener)
+        return () => listeners.delete(listener)
+      },
+      close: () => channel.close()
+    }
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return
+    try {
+      notify(JSON.parse(event.newValue))
+    } catch (error) {
+      console.error('Invalid session event:', error)
+    }
+  }
+  window.addEventListener('storage', handleStorage)
+
+  return {
+    post(type, payload = {}) {
+      // The timestamp makes every write a change, so repeated events still fire
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ type, ...payload, sentAt: Date.now() }))
+    },
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    close: () => window.removeEventListener('storage', handleStorage)
+  }
+}
@@ -0,0 +1,62 @@
+import { getTokenExpiry } from './jwt'
+
+/**
+ * Session lifetime rules
+ * Token-based sessions end when the refresh token expires and are refreshed shortly
+ * before the access token does. Adapters without tokens fall back to a fixed
+ * maximum age counted from `user.loginTime`.
+ */
+
+export const DEFAULT_MAX_SESSION_AGE = 24 * 60 * 60 * 1000 // 24 hours
+export const REFRESH_MARGIN = 60 * 1000 // Refresh one minute before the access token expires
+
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1
+
+/**
+ * When the session ends for good
+ * @param {Object|null} tokens - { accessToken, refreshToken } from the adapter
+ * @param {Object|null} user - Signed-in user
+ * @returns {number|null} - Millisecond timestamp
+ */
+export const getSessionExpiry = (tokens, user) => {
+  if (tokens?.refreshToken) {
+    return getTokenExpiry(tokens.refreshToken)
+  }
+  if (user?.loginTime) {
+    return new Date(user.loginTime).getTime() + DEFAULT_MAX_SESSION_AGE
+  }
+  return null
+}
+
+/**
+ * When the access token should be refreshed
+ * @param {Object|null} tokens - { accessToken, refreshToken } from the adapter
+ * @returns {number|null} - Millisecond timestamp
+ */
+export const getRefreshTime = (tokens) => {
+  const accessExpiry = getTokenExpiry(tokens?.accessToken)
+  return accessExpiry && tokens.refreshToken ? accessExpiry - REFRESH_MARGIN : null
+}
+
+/**
+ * Decide what the session needs right now
+ * @returns {{type: 'expire'|'refresh'|'wait'|'idle', delay?: number}}
+ */
+export const getSessionAction = (tokens, user, now = Date.now()) => {
+  const expiresAt = getSessionExpiry(tokens, user)
+  if (expiresAt && expiresAt <= now) {
+    return { type: 'expire' }
+  }
+
+  const refreshAt = getRefreshTime(tokens)
+  if (refreshAt && refreshAt <= now) {
+    return { type: 'refresh' }
+  }
+
+  const upcoming = [expiresAt, refreshAt].filter(Boolean)
+  if (upcoming.length === 0) {
+    return { type: 'idle' }
+  }
+  return { type: 'wait', delay: Math.min(Math.min(...upcoming) - now, MAX_TIMER_DELAY) }
+}
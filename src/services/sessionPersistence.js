@@ -0,0 +1,192 @@
+import { DEFAULT_MAX_SESSION_AGE } from './sessionManager'
+
+/**
+ * Session persistence
+ * The signed-in user is stored as one versioned record, in localStorage for
+ * "remember me" sessions and in sessionStorage for tab-only sessions.
+ *
+ * Record shape (version 2):
+ *   { version: 2, mode: 'local' | 'session', user, expiresAt, savedAt }
+ */
+
+const STORAGE_KEY = 'authSession'
+const CURRENT_VERSION = 2
+
+// Version 1 stored the user under two loose keys
+const LEGACY_USER_KEY = 'user'
+const LEGACY_AUTH_KEY = 'isAuthenticated'
+
+export const PERSISTENCE_MODES = {
+  local: 'local',
+  session: 'session'
+}
+
+const storageFor = (mode) => (mode === PERSISTENCE_MODES.local ? localStorage : sessionStorage)
+
+const otherMode = (mode) =>
+  mode === PERSISTENCE_MODES.local ? PERSISTENCE_MODES.session : PERSISTENCE_MODES.local
+
+// Mode of the current session and keys stored alongside it (e.g. tokens)
+let activeMode = null
+const companionKeys = new Set()
+
+/**
+ * Check that a parsed record can be trusted
+ */
+const isValidRecord = (record) => {
+  return (
+    record?.version === CURRENT_VERSION &&
+    Object.values(PERSISTENCE_MODES).includes(record.mode) &&
+    typeof record.user?.id === 'string' &&
+    typeof record.user?.email === 'string' &&
+    (record.expiresAt === null || typeof record.expiresAt === 'number')
+  )
+}
+
+/**
+ * Convert a version 1 session (loose `user` / `isAuthenticated` keys) into a record
+ */
+const migrateLegacySession = (mode) => {
+  const storage = storageFor(mode)
+  const storedUser = storage.getItem(LEGACY_USER_KEY)
+  const storedAuth = storage.getItem(LEGACY_AUTH_KEY)
+
+  storage.removeItem(LEGACY_USER_KEY)
+  storage.removeItem(LEGACY_AUTH_KEY)
+
+  if (!storedUser || storedAuth !== 'true') return null
+
+  try {
+    const user = JSON.parse(storedUser)
+    const loginTime = user.loginTime ? new Date(user.loginTime).getTime() : Date.now()
+    const record = {
+      version: CURRENT_VERSION,
+      mode,
+      user,
+      expiresAt: loginTime + DEFAULT_MAX_SESSION_AGE,
+      savedAt: Date.now()
+    }
+    storage.setItem(STORAGE_KEY, JSON.stringify(record))
+    return record
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Read and validate the record kept in one storage
+ */
+const readRecord = (mode) => {
+  const storage = storageFor(mode)
+  const raw = storage.getItem(STORAGE_KEY)
+  if (!raw) return migrateLegacySession(mode)
+
+  try {
+    const record = JSON.parse(raw)
+    if (isValidRecord(record)) return record
+  } catch (error) {
+    // Fall through and discard the corrupted record
+  }
+
+  storage.removeItem(STORAGE_KEY)
+  return null
+}
+
+/**
+ * Which persistence mode the current session uses
+ * @returns {'local'|'session'|null}
+ */
+export const getPersistenceMode = () => activeMode
+
+/**
+ * Load the stored session from either storage
+ * Tab-only sessions win over remembered ones; expired records are discarded.
+ * @returns {Object|null} - The session record
+ */
+export const loadSession = () => {
+  for (const mode of [PERSISTENCE_MODES.session, PERSISTENCE_MODES.local]) {
+    const record = readRecord(mode)
+    if (!record) continue
+
+    if (record.expiresAt !== null && record.expiresAt <= Date.now()) {
+      storageFor(mode).removeItem(STORAGE_KEY)
+      continue
+    }
+
+    activeMode = mode
+    return record
+  }
+
+  activeMode = null
+  return null
+}
+
+/**
+ * Persist the signed-in user
+ * @param {Object} user - Signed-in user
+ * @param {Object} options
+ * @param {'local'|'session'} options.mode - Where to keep the session
+ * @param {number|null} options.expiresAt - When the session ends (ms timestamp)
+ */
+export const saveSession = (user, { mode, expiresAt = null }) => {
+  const record = { version: CURRENT_VERSION, mode, user, expiresAt, savedAt: Date.now() }
+  storageFor(mode).setItem(STORAGE_KEY, JSON.stringify(record))
+  storageFor(otherMode(mode)).removeItem(STORAGE_KEY)
+
+  // Move companion data (tokens) written before the mode was known
+  companionKeys.forEach(key => {
+    const value = storageFor(otherMode(mode)).getItem(key)
+    if (value !== null) {
+      storageFor(mode).setItem(key, value)
+      storageFor(otherMode(mode)).removeItem(key)
+    }
+  })
+
+  activeMode = mode
+}
+
+/**
+ * Update the stored user and expiry without changing the mode
+ * @param {Object} user - Updated user
+ * @param {number|null} expiresAt - When the session ends (ms timestamp)
+ */
+export const updateStoredSession = (user, expiresAt = null) => {
+  if (activeMode) {
+    saveSession(user, { mode: activeMode, expiresAt })
+  }
+}
+
+/**
+ * Remove the stored session and its companion data from both storages
+ */
+export const clearStoredSession = () => {
+  Object.values(PERSISTENCE_MODES).forEach(mode => {
+    const storage = storageFor(mode)
+    storage.removeItem(STORAGE_KEY)
+    storage.removeItem(LEGACY_USER_KEY)
+    storage.removeItem(LEGACY_AUTH_KEY)
+    companionKeys.forEach(key => storage.removeItem(key))
+  })
+  activeMode = null
+}
+
+/**
+ * Storage-like object for data that must live next to the session (e.g. tokens)
+ * Reads check the active storage first; writes follow the active persistence mode.
+ */
+export const activeSessionStorage = {
+  getItem(key) {
+    companionKeys.add(key)
+    const mode = activeMode || PERSISTENCE_MODES.local
+    return storageFor(mode).getItem(key) ?? storageFor(otherMode(mode)).getItem(key)
+  },
+  setItem(key, value) {
+    companionKeys.add(key)
+    storageFor(activeMode || PERSISTENCE_MODES.local).setItem(key, value)
+  },
+  removeItem(key) {
+    companionKeys.add(key)
+    localStorage.removeItem(key)
+    sessionStorage.removeItem(key)
+  }
+}
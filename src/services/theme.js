@@ -0,0 +1,79 @@
+/**
+ * Light and dark themes
+ * Colors come from the design tokens in theme.css; switching theme only toggles the
+ * `dark` class on <html>, so every component follows without extra props.
+ * The chosen mode is remembered per user, with a device-wide choice for guests.
+ */
+
+export const THEME_MODES = ['light', 'dark', 'system']
+
+export const DEFAULT_THEME_MODE = 'system'
+
+const STORAGE_KEY = 'theme'
+
+const DARK_QUERY = '(prefers-color-scheme: dark)'
+
+export const isThemeMode = (mode) => THEME_MODES.includes(mode)
+
+const getStorageKey = (userId) => (userId ? `${STORAGE_KEY}:${userId}` : STORAGE_KEY)
+
+/**
+ * Mode to start with: the user's own choice, else the one picked on this device, else system
+ * @param {string} userId - Signed-in user, or null for guests
+ * @param {Storage} storage - Where choices are remembered (default: localStorage)
+ * @returns {'light'|'dark'|'system'}
+ */
+export const getStoredThemeMode = (userId, storage = localStorage) => {
+  const candidates = userId ? [getStorageKey(userId), STORAGE_KEY] : [STORAGE_KEY]
+  for (const key of candidates) {
+    const mode = storage.getItem(key)
+    if (isThemeMode(mode)) return mode
+  }
+  return DEFAULT_THEME_MODE
+}
+
+/**
+ * Remember a mode picked in the toggle
+ * Guests' choices become the device default, which later sign-ins start from.
+ */
+export const storeThemeMode = (mode, userId, storage = localStorage) => {
+  storage.setItem(getStorageKey(userId), mode)
+}
+
+/**
+ * Whether the operating system asks for dark colors
+ */
+export const prefersDarkColorScheme = () =>
+  typeof window !== 'undefined' && !!window.matchMedia?.(DARK_QUERY).matches
+
+/**
+ * Follow changes of the operating system's color scheme
+ * @param {Function} callback - Called with true when dark colors are preferred
+ * @returns {Function} - Stops listening
+ */
+export const watchColorScheme = (callback) => {
+  const query = window.matchMedia?.(DARK_QUERY)
+  if (!query) return () => {}
+  const handleChange = (event) => callback(event.matches)
+  query.addEventListener('change', handleChange)
+  return () => query.removeEventListener('change', handleChange)
+}
+
+/**
+ * Theme a mode stands for
+ * @param {string} mode - 'light', 'dark' or 'system'
+ * @param {boolean} prefersDark - The operating system's preference, used for 'system'
+ * @returns {'light'|'dark'}
+ */
+export const resolveTheme = (mode, prefersDark = prefersDarkColorScheme()) =>
+  mode === 'system' ? (prefersDark ? 'dark' : 'light') : mode
+
+/**
+ * Switch the page to a theme; native controls and scrollbars follow color-scheme
+ * @param {'light'|'dark'} theme
+ * @param {HTMLElement} root - Element carrying the theme (default: <html>)
+ */
+export const applyTheme = (theme, root = document.documentElement) => {
+  root.classList.toggle('dark', theme === 'dark')
+  root.style.colorScheme = theme
+}
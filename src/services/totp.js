@@ -0,0 +1,167 @@
+import { constantTimeEqual } from './passwordHasher'
+
+/**
+ * Time-based one-time passwords (RFC 6238) computed with WebCrypto
+ * Compatible with authenticator apps: HMAC-SHA1, 30 second steps, 6 digits.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const DEFAULT_STEP = 30
+const DEFAULT_DIGITS = 6
+
+/**
+ * Encode bytes as unpadded base32
+ */
+const base32Encode = (bytes) => {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  bytes.forEach(byte => {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  })
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+/**
+ * Decode base32, ignoring spaces, padding and case
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Invalid base32 character')
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return new Uint8Array(bytes)
+}
+
+/**
+ * Generate a random base32 secret (160 bits by default)
+ * @param {number} length - Secret length in bytes
+ * @returns {string}
+ */
+export const generateTotpSecret = (length = 20) => {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(length)))
+}
+
+/**
+ * The time step a timestamp falls into
+ * @param {number} time - Millisecond timestamp
+ * @param {number} step - Step length in seconds
+ * @returns {number}
+ */
+export const getTotpStep = (time = Date.now(), step = DEFAULT_STEP) => {
+  return Math.floor(time / 1000 / step)
+}
+
+/**
+ * Compute the code for a given time step (HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @param {number} digits - Code length
+ * @returns {Promise<string>}
+ */
+export const generateHotp = async (secret, counter, digits = DEFAULT_DIGITS) => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base32Decode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  )
+
+  const counterBytes = new ArrayBuffer(8)
+  const view = new DataView(counterBytes)
+  view.setUint32(0, Math.floor(counter / 2 ** 32))
+  view.setUint32(4, counter >>> 0)
+
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counterBytes))
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3]
+
+  return String(binary % 10 ** digits).padStart(digits, '0')
+}
+
+/**
+ * Compute the current code
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Millisecond timestamp (default: now)
+ * @returns {Promise<string>}
+ */
+export const generateTotp = (secret, time = Date.now()) => {
+  return generateHotp(secret, getTotpStep(time))
+}
+
+/**
+ * Check a code, allowing for clock drift of `window` steps either way
+ * Passing the step of the last accepted code makes each code work only once, even
+ * within its validity window.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options
+ * @param {number} options.window - Accepted drift in steps
+ * @param {number} options.time - Millisecond timestamp (default: now)
+ * @param {number} options.lastUsedStep - Step of the last accepted code; it and earlier steps are rejected
+ * @returns {Promise<number|null>} - The matching time step, or null when invalid
+ */
+export const verifyTotp = async (secret, code, { window = 1, time = Date.now(), lastUsedStep = -1 } = {}) => {
+  const normalized = String(code).replace(/\s/g, '')
+  if (!/^\d{6}$/.test(normalized)) return null
+
+  const currentStep = getTotpStep(time)
+  for (let drift = -window; drift <= window; drift++) {
+    const step = currentStep + drift
+    if (step <= lastUsedStep) continue
+
+    const candidate = await generateHotp(secret, step)
+    if (constantTimeEqual(candidate, normalized)) {
+      return step
+    }
+  }
+  return null
+}
+
+/**
+ * Build the otpauth:// URI encoded in enrollment QR codes
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Usually the user's email
+ * @param {string} options.issuer - App name shown in authenticator apps
+ * @returns {string}
+ */
+export const buildOtpAuthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP)
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
@@ -0,0 +1,34 @@
+/**
+ * Human-readable device names for session lists
+ * Only a rough guess from the User-Agent string; good enough to tell a user's devices apart.
+ */
+
+// Checked in order: several browsers also claim to be Chrome or Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Safari', pattern: /Safari\// }
+]
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+]
+
+/**
+ * Describe a User-Agent string, e.g. "Chrome on macOS"
+ * @param {string} userAgent - User-Agent header or navigator.userAgent
+ * @returns {string}
+ */
+export const describeUserAgent = (userAgent = '') => {
+  const browser = BROWSERS.find(candidate => candidate.pattern.test(userAgent))?.name || 'Unknown browser'
+  const os = OPERATING_SYSTEMS.find(candidate => candidate.pattern.test(userAgent))?.name
+  return os ? `${browser} on ${os}` : browser
+}
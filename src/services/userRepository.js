@@ -0,0 +1,115 @@
+/**
+ * User repository abstraction
+ * Any object implementing the contract below can be passed to createLocalAuthAdapter as `userRepository`:
+ *   findByEmail(email) -> Promise<UserRecord|null>
+ *   findById(id)       -> Promise<UserRecord|null>
+ *   create(record)     -> Promise<UserRecord>   (rejects with DuplicateEmailError)
+ *   update(id, changes) -> Promise<UserRecord>
+ */
+
+/**
+ * Thrown when registering an email address that already has an account
+ */
+export class DuplicateEmailError extends Error {
+  constructor(email) {
+    super(`An account with ${email} already exists`)
+    this.name = 'DuplicateEmailError'
+    this.email = email
+    this.fieldErrors = { email: 'validation.emailTaken' }
+  }
+}
+
+/**
+ * Thrown when updating a user that does not exist
+ */
+export class UserNotFoundError extends Error {
+  constructor(id) {
+    super(`User ${id} was not found`)
+    this.name = 'UserNotFoundError'
+    this.id = id
+  }
+}
+
+/**
+ * Normalize email addresses so lookups are case-insensitive
+ */
+export const normalizeEmail = (email) => email.trim().toLowerCase()
+
+/**
+ * Strip credentials from a stored record before exposing it to the UI
+ * `password` holds the hash record; `secrets` holds pending tokens and other private state.
+ */
+export const toPublicUser = (record) => {
+  if (!record) return null
+  const { password, secrets, ...publicUser } = record
+  return publicUser
+}
+
+/**
+ * Create a repository that keeps users in Web Storage
+ * @param {Object} options
+ * @param {Storage} options.storage - Storage backend (default: localStorage)
+ * @param {string} options.key - Storage key holding the user list
+ */
+export const createLocalUserRepository = ({ storage = localStorage, key = 'users' } = {}) => {
+  const readAll = () => {
+    try {
+      const stored = storage.getItem(key)
+      return stored ? JSON.parse(stored) : []
+    } catch (error) {
+      console.error('Error reading user store:', error)
+      return []
+    }
+  }
+
+  const writeAll = (users) => {
+    storage.setItem(key, JSON.stringify(users))
+  }
+
+  return {
+    async findByEmail(email) {
+      const normalized = normalizeEmail(email)
+      return readAll().find(user => user.email === normalized) || null
+    },
+
+    async findById(id) {
+      return readAll().find(user => user.id === id) || null
+    },
+
+    async create(record) {
+      const users = readAll()
+      const email = normalizeEmail(record.email)
+
+      if (users.some(user => user.email === email)) {
+        throw new DuplicateEmailError(email)
+      }
+
+      const newUser = {
+        ...record,
+        email,
+        id: record.id || crypto.randomUUID(),
+        createdAt: new Date().toISOString()
+      }
+      writeAll([...users, newUser])
+      return newUser
+    },
+
+    async update(id, changes) {
+      const users = readAll()
+      const index = users.findIndex(user => user.id === id)
+      if (index === -1) {
+        throw new UserNotFoundError(id)
+      }
+
+      const updatedUser = { ...users[index], ...changes, id }
+      users[index] = updatedUser
+      writeAll(users)
+      return updatedUser
+    }
+  }
+}
+
+/**
+ * Default repository used by createLocalAuthAdapter when none is supplied
+ */
+export const defaultUserRepository = createLocalUserRepository()
@@ -0,0 +1,153 @@
+/**
+ * Browser side of passkey (WebAuthn) ceremonies
+ * Servers exchange options and credentials as JSON with binary fields encoded
+ * as base64url; these helpers convert both ways around navigator.credentials.
+ */
+
+/**
+ * Thrown when the browser cannot complete a passkey ceremony
+ * `reason` is 'unsupported', 'cancelled', 'exists' or 'failed'.
+ */
+export class PasskeyError extends Error {
+  constructor(message, reason = 'failed') {
+    super(message)
+    this.name = 'PasskeyError'
+    this.reason = reason
+  }
+}
+
+/**
+ * Message ids (services/locales) for the reasons a user can act on; 'failed' has none,
+ * so callers show their own fallback message
+ */
+export const PASSKEY_ERROR_MESSAGES = {
+  unsupported: 'passkeys.unsupported',
+  cancelled: 'passkeys.cancelled',
+  exists: 'passkeys.exists'
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string}
+ */
+export const bufferToBase64Url = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+  let binary = ''
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+/**
+ * Decode base64url into bytes
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+export const base64UrlToBuffer = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+/**
+ * Whether this browser can use passkeys at all
+ * @returns {boolean}
+ */
+export const isPasskeySupported = () => {
+  return typeof window !== 'undefined' && !!window.PublicKeyCredential && !!navigator.credentials?.create
+}
+
+/**
+ * Translate DOMExceptions from navigator.credentials into PasskeyErrors
+ */
+const toPasskeyError = (error) => {
+  if (error?.name === 'NotAllowedError' || error?.name === 'AbortError') {
+    return new PasskeyError('The passkey request was cancelled or timed out', 'cancelled')
+  }
+  if (error?.name === 'InvalidStateError') {
+    return new PasskeyError('This device already has a passkey for your account', 'exists')
+  }
+  return new PasskeyError(error?.message || 'Passkey request failed')
+}
+
+const decodeDescriptors = (descriptors = []) =>
+  descriptors.map(descriptor => ({ ...descriptor, id: base64UrlToBuffer(descriptor.id) }))
+
+/**
+ * Create a passkey from server-provided registration options
+ * @param {Object} options - PublicKeyCredentialCreationOptions with base64url challenge, user.id and excludeCredentials
+ * @returns {Promise<Object>} - Credential JSON for the server
+ * @throws {PasskeyError}
+ */
+export const createPasskey = async (options) => {
+  if (!isPasskeySupported()) {
+    throw new PasskeyError('This browser does not support passkeys', 'unsupported')
+  }
+
+  let credential
+  try {
+    credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: base64UrlToBuffer(options.challenge),
+        user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+        excludeCredentials: decodeDescriptors(options.excludeCredentials)
+      }
+    })
+  } catch (error) {
+    throw toPasskeyError(error)
+  }
+
+  const { response } = credential
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(response.clientDataJSON),
+      attestationObject: bufferToBase64Url(response.attestationObject),
+      authenticatorData: bufferToBase64Url(response.getAuthenticatorData()),
+      publicKey: bufferToBase64Url(response.getPublicKey()),
+      publicKeyAlgorithm: response.getPublicKeyAlgorithm(),
+      transports: response.getTransports?.() || []
+    }
+  }
+}
+
+/**
+ * Sign a server challenge with an existing passkey
+ * @param {Object} options - PublicKeyCredentialRequestOptions with base64url challenge and allowCredentials
+ * @returns {Promise<Object>} - Assertion JSON for the server
+ * @throws {PasskeyError}
+ */
+export const getPasskeyAssertion = async (options) => {
+  if (!isPasskeySupported()) {
+    throw new PasskeyError('This browser does not support passkeys', 'unsupported')
+  }
+
+  let credential
+  try {
+    credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: base64UrlToBuffer(options.challenge),
+        allowCredentials: decodeDescriptors(options.allowCredentials)
+      }
+    })
+  } catch (error) {
+    throw toPasskeyError(error)
+  }
+
+  const { response } = credential
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(response.clientDataJSON),
+      authenticatorData: bufferToBase64Url(response.authenticatorData),
+      signature: bufferToBase64Url(response.signature),
+      userHandle: response.userHandle ? bufferToBase64Url(response.userHandle) : null
+    }
+  }
+}
@@ -0,0 +1,140 @@
+// @vitest-environment jsdom
+import React from 'react'
+import { afterEach, describe, expect, it } from 'vitest'
+import { MemoryRouter } from 'react-router-dom'
+import { cleanup, fireEvent, render, screen, waitFor, within } from '@testing-library/react'
+import axe from 'axe-core'
+import App from '../App'
+import { createMockAuthAdapter } from '../services/mockAuthAdapter'
+import { saveSession } from '../services/sessionPersistence'
+
+// jsdom does no layout, so contrast cannot be measured here
+const AXE_OPTIONS = {
+  runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+  rules: { 'color-contrast': { enabled: false } }
+}
+
+/**
+ * Run axe on the rendered page and list what it found
+ */
+const checkA11y = async (container) => {
+  const { violations } = await axe.run(container, AXE_OPTIONS)
+  return violations.map(({ id, nodes }) => `${id}: ${nodes.map(node => node.target.join(' ')).join(', ')}`)
+}
+
+/**
+ * Render the whole app at a path, backed by the in-memory adapter
+ */
+const renderRoute = (path, adapter = createMockAuthAdapter()) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <App authAdapter={adapter} />
+  </MemoryRouter>
+)
+
+/**
+ * Submit the form a button belongs to
+ * The inputs are `required`, so clicking would stop at the browser's own check;
+ * this submits the form directly so the schema errors render.
+ */
+const submitForm = async (buttonName) => {
+  fireEvent.submit((await screen.findByRole('button', { name: buttonName })).form)
+}
+
+/**
+ * Every invalid input points at a visible error message, and focus is on the first one
+ */
+const expectLinkedErrors = (container, firstInvalid) => {
+  const invalid = container.querySelectorAll('[aria-invalid="true"]')
+  expect(invalid.length).toBeGreaterThan(0)
+  invalid.forEach(input => {
+    const message = document.getElementById(input.getAttribute('aria-describedby'))
+    expect(message?.textContent).toBeTruthy()
+  })
+  expect(document.activeElement).toBe(firstInvalid)
+}
+
+describe('accessibility', () => {
+  // Each test starts signed out, in the default language and theme
+  afterEach(() => {
+    cleanup()
+    localStorage.clear()
+    sessionStorage.clear()
+  })
+
+  describe('/login', () => {
+    it('has no violations', async () => {
+      const { container } = renderRoute('/login')
+      await screen.findByRole('heading', { name: 'Welcome Back' })
+
+      expect(await checkA11y(container)).toEqual([])
+    })
+
+    it('links field errors to their inputs after an invalid submit', async () => {
+      const { container } = renderRoute('/login')
+      await submitForm('Sign In')
+
+      await waitFor(() => expectLinkedErrors(container, screen.getByLabelText('Email Address')))
+      expect(await checkA11y(container)).toEqual([])
+    })
+
+    it('announces a failed sign in through the toast live region', async () => {
+      const { container } = renderRoute('/login')
+      fireEvent.change(await screen.findByLabelText('Email Address'), { target: { value: 'demo@example.com' } })
+      fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong-password' } })
+      fireEvent.click(screen.getByRole('button', { name: 'Sign In' }))
+
+      const region = screen.getByRole('region', { name: 'Notifications' })
+      expect(region.getAttribute('aria-live')).toBe('polite')
+      const toast = await within(region).findByRole('alert')
+      expect(toast.textContent).toContain('Login failed')
+      expect(await checkA11y(container)).toEqual([])
+    })
+  })
+
+  describe('/signup', () => {
+    it('has no violations', async () => {
+      const { container } = renderRoute('/signup')
+      await screen.findByRole('heading', { name: 'Create Account' })
+
+      expect(await checkA11y(container)).toEqual([])
+    })
+
+    it('links field errors to their inputs after an invalid submit', async () => {
+      const { container } = renderRoute('/signup')
+      await submitForm('Create Account')
+
+      await waitFor(() => expectLinkedErrors(container, screen.getByLabelText('First Name')))
+      expect(await checkA11y(container)).toEqual([])
+    })
+  })
+
+  describe('/forgot-password', () => {
+    it('has no violations', async () => {
+      const { container } = renderRoute('/forgot-password')
+      await screen.findByRole('heading', { name: 'Forgot Password?' })
+
+      expect(await checkA11y(container)).toEqual([])
+    })
+
+    it('links the email error to its input after an invalid submit', async () => {
+      const { container } = renderRoute('/forgot-password')
+      await submitForm('Send Reset Instructions')
+
+      await waitFor(() => expectLinkedErrors(container, screen.getByLabelText('Email Address')))
+      expect(await checkA11y(container)).toEqual([])
+    })
+  })
+
+  describe('/dashboard', () => {
+    it('has no violations when signed in', async () => {
+      const adapter = createMockAuthAdapter()
+      const user = await adapter.getCurrentUser({})
+      saveSession({ ...user, loginTime: new Date().toISOString() }, { mode: 'local' })
+
+      const { container } = renderRoute('/dashboard', adapter)
+      await screen.findByRole('heading', { name: 'Welcome to your Dashboard!' })
+
+      expect(await checkA11y(container)).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,44 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  FAKE_CHALLENGE_PREFIX,
+  createFakeChallengeResponse,
+  createFakeChallengeVerifier
+} from '../services/humanChallenge'
+
+describe('fake human challenge', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('accepts a fresh response once', async () => {
+    const verifier = createFakeChallengeVerifier()
+    const response = createFakeChallengeResponse()
+
+    expect(await verifier.verify(response)).toBe(true)
+    expect(await verifier.verify(response)).toBe(false)
+    expect(await verifier.verify(createFakeChallengeResponse())).toBe(true)
+  })
+
+  it('rejects missing and foreign responses', async () => {
+    const verifier = createFakeChallengeVerifier()
+
+    expect(await verifier.verify(undefined)).toBe(false)
+    expect(await verifier.verify('')).toBe(false)
+    expect(await verifier.verify('turnstile-token')).toBe(false)
+    expect(await verifier.verify(`${FAKE_CHALLENGE_PREFIX}not-a-time.abc`)).toBe(false)
+  })
+
+  it('rejects responses older than the time to live', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2024-01-01T00:00:00Z'))
+    const verifier = createFakeChallengeVerifier({ ttl: 60 * 1000 })
+    const fresh = createFakeChallengeResponse()
+    const stale = createFakeChallengeResponse()
+
+    vi.advanceTimersByTime(59 * 1000)
+    expect(await verifier.verify(fresh)).toBe(true)
+
+    vi.advanceTimersByTime(1000)
+    expect(await verifier.verify(stale)).toBe(false)
+  })
+})
@@ -0,0 +1,86 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import { createLoginThrottle, getThrottleKeys } from '../services/loginThrottle'
+import { createMemoryStorage } from './memoryStorage'
+
+const SECOND = 1000
+const MINUTE = 60 * SECOND
+
+describe('login throttle', () => {
+  const keys = getThrottleKeys('Jane@Example.com ', 'device-1')
+  let time
+  let throttle
+
+  const failTimes = (count) => {
+    for (let i = 0; i < count; i++) throttle.recordFailure(keys)
+  }
+
+  beforeEach(() => {
+    time = 1700000000000
+    throttle = createLoginThrottle({ storage: createMemoryStorage(), now: () => time })
+  })
+
+  it('counts failures per account and per device', () => {
+    expect(keys).toEqual(['account:jane@example.com', 'device:device-1'])
+    expect(getThrottleKeys('jane@example.com')).toEqual(['account:jane@example.com'])
+
+    failTimes(4)
+    expect(throttle.check(['account:jane@example.com']).retryAfter).toBeGreaterThan(0)
+    expect(throttle.check(getThrottleKeys('other@example.com', 'device-1')).retryAfter).toBeGreaterThan(0)
+    expect(throttle.check(getThrottleKeys('other@example.com', 'device-2')).retryAfter).toBe(0)
+  })
+
+  it('lets the free attempts through, then doubles the wait up to the maximum', () => {
+    failTimes(3)
+    expect(throttle.check(keys)).toMatchObject({ retryAfter: 0, locked: false })
+
+    const delays = []
+    for (let failures = 4; failures <= 9; failures++) {
+      throttle.recordFailure(keys)
+      delays.push(throttle.check(keys).retryAfter)
+    }
+    expect(delays).toEqual([2, 4, 8, 16, 32, 60].map(seconds => seconds * SECOND))
+  })
+
+  it('counts the wait from the last failure', () => {
+    failTimes(5)
+    time += 3 * SECOND
+    expect(throttle.check(keys).retryAfter).toBe(1 * SECOND)
+    time += 1 * SECOND
+    expect(throttle.check(keys).retryAfter).toBe(0)
+  })
+
+  it('requires a challenge from the threshold on', () => {
+    failTimes(2)
+    expect(throttle.check(keys).challengeRequired).toBe(false)
+    throttle.recordFailure(keys)
+    expect(throttle.check(keys).challengeRequired).toBe(true)
+  })
+
+  it('locks the keys out and lifts the lockout once it has run', () => {
+    failTimes(9)
+    expect(throttle.check(keys).locked).toBe(false)
+
+    throttle.recordFailure(keys)
+    expect(throttle.check(keys)).toMatchObject({ retryAfter: 15 * MINUTE, locked: true })
+
+    time += 15 * MINUTE - SECOND
+    expect(throttle.check(keys)).toMatchObject({ retryAfter: SECOND, locked: true })
+
+    time += SECOND
+    expect(throttle.check(keys)).toMatchObject({ retryAfter: 0, locked: false, challengeRequired: true })
+
+    // The next failure locks the keys again straight away
+    throttle.recordFailure(keys)
+    expect(throttle.check(keys)).toMatchObject({ retryAfter: 15 * MINUTE, locked: true })
+  })
+
+  it('forgets failures after a quiet period or a successful sign in', () => {
+    failTimes(5)
+    time += 60 * MINUTE
+    expect(throttle.check(keys)).toEqual({ retryAfter: 0, locked: false, challengeRequired: false })
+
+    failTimes(5)
+    throttle.recordSuccess(keys)
+    expect(throttle.check(keys)).toEqual({ retryAfter: 0, locked: false, challengeRequired: false })
+  })
+})
@@ -0,0 +1,14 @@
+/**
+ * In-memory stand-in for Web Storage, for services tested outside a browser
+ * @returns {Storage}
+ */
+export const createMemoryStorage = () => {
+  const items = new Map()
+
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  }
+}
@@ -0,0 +1,156 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  OAuthError,
+  consumeAuthorizationResponse,
+  createAuthorizationRequest,
+  createPkcePair
+} from '../services/oauth'
+import { bufferToBase64Url } from '../services/webauthn'
+import { decodeJwt } from '../services/jwt'
+import { OAuthGrantError, createMockIdentityProvider } from '../mocks/mockIdentityProvider'
+import { createMemoryStorage } from './memoryStorage'
+
+const ORIGIN = 'http://localhost:3000'
+const PROVIDER = {
+  id: 'example',
+  issuer: 'https://idp.example.com',
+  clientId: 'client-1',
+  authorizationEndpoint: 'https://idp.example.com/authorize',
+  scope: 'openid email profile'
+}
+const PROFILE = { email: 'Jane@Example.com', givenName: 'Jane', familyName: 'Doe' }
+
+const s256 = async (verifier) =>
+  bufferToBase64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)))
+
+/**
+ * Start a sign-in and return the query string the provider was sent
+ */
+const startSignIn = async (options = {}) => {
+  const url = new URL(await createAuthorizationRequest(PROVIDER, { origin: ORIGIN, ...options }))
+  return url.searchParams
+}
+
+/**
+ * Callback query string as the provider would send it back
+ */
+const callback = (params) => new URLSearchParams(params)
+
+describe('oauth', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    sessionStorage.clear()
+  })
+
+  it('creates a PKCE verifier with its S256 challenge', async () => {
+    const { codeVerifier, codeChallenge } = await createPkcePair()
+
+    expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/)
+    expect(codeChallenge).toBe(await s256(codeVerifier))
+    expect((await createPkcePair()).codeVerifier).not.toBe(codeVerifier)
+  })
+
+  it('sends the challenge and hands the matching verifier to the callback', async () => {
+    const request = await startSignIn({ rememberMe: true, returnTo: '/profile' })
+    expect(Object.fromEntries(request)).toMatchObject({
+      response_type: 'code',
+      client_id: 'client-1',
+      redirect_uri: `${ORIGIN}/auth/callback`,
+      code_challenge_method: 'S256'
+    })
+
+    const pending = consumeAuthorizationResponse(callback({ state: request.get('state'), code: 'abc' }))
+    expect(pending).toMatchObject({
+      provider: 'example',
+      code: 'abc',
+      nonce: request.get('nonce'),
+      redirectUri: `${ORIGIN}/auth/callback`,
+      rememberMe: true,
+      returnTo: '/profile'
+    })
+    expect(await s256(pending.codeVerifier)).toBe(request.get('code_challenge'))
+  })
+
+  it('rejects a callback whose state does not match, and forgets the request', async () => {
+    const request = await startSignIn()
+
+    expect(() => consumeAuthorizationResponse(callback({ state: 'forged', code: 'abc' })))
+      .toThrow(expect.objectContaining({ reason: 'state_mismatch' }))
+    // The real callback cannot be completed afterwards either
+    expect(() => consumeAuthorizationResponse(callback({ state: request.get('state'), code: 'abc' })))
+      .toThrow(OAuthError)
+  })
+
+  it('rejects a callback without a pending request', () => {
+    expect(() => consumeAuthorizationResponse(callback({ state: 'any', code: 'abc' })))
+      .toThrow(expect.objectContaining({ reason: 'state_mismatch' }))
+  })
+
+  it('rejects expired requests and provider errors', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    let request = await startSignIn()
+    vi.advanceTimersByTime(10 * 60 * 1000)
+    expect(() => consumeAuthorizationResponse(callback({ state: request.get('state'), code: 'abc' })))
+      .toThrow(expect.objectContaining({ reason: 'expired' }))
+
+    request = await startSignIn()
+    expect(() => consumeAuthorizationResponse(callback({ state: request.get('state'), error: 'access_denied' })))
+      .toThrow(expect.objectContaining({ reason: 'denied' }))
+  })
+
+  describe('mock identity provider', () => {
+    /**
+     * Consent at the provider and return the code and what the callback recovered
+     */
+    const authorize = async (identityProvider) => {
+      const request = await startSignIn()
+      const code = identityProvider.authorize({
+        issuer: PROVIDER.issuer,
+        clientId: request.get('client_id'),
+        redirectUri: request.get('redirect_uri'),
+        codeChallenge: request.get('code_challenge'),
+        codeChallengeMethod: request.get('code_challenge_method'),
+        nonce: request.get('nonce')
+      }, PROFILE)
+      return consumeAuthorizationResponse(callback({ state: request.get('state'), code }))
+    }
+
+    it('issues an ID token for the code and the matching verifier', async () => {
+      const identityProvider = createMockIdentityProvider({ storage: createMemoryStorage() })
+      const { code, codeVerifier, redirectUri, nonce } = await authorize(identityProvider)
+
+      const tokens = await identityProvider.exchangeCode({ code, codeVerifier, clientId: 'client-1', redirectUri })
+      expect(decodeJwt(tokens.id_token)).toMatchObject({
+        iss: PROVIDER.issuer,
+        aud: 'client-1',
+        email: PROFILE.email,
+        email_verified: true,
+        nonce
+      })
+    })
+
+    it('rejects a wrong verifier and codes that were already redeemed', async () => {
+      const identityProvider = createMockIdentityProvider({ storage: createMemoryStorage() })
+      const first = await authorize(identityProvider)
+      await expect(identityProvider.exchangeCode({
+        code: first.code,
+        codeVerifier: (await createPkcePair()).codeVerifier,
+        clientId: 'client-1',
+        redirectUri: first.redirectUri
+      })).rejects.toThrow('PKCE verification failed')
+
+      const second = await authorize(identityProvider)
+      const exchange = () => identityProvider.exchangeCode({ ...second, clientId: 'client-1' })
+      await exchange()
+      await expect(exchange()).rejects.toBeInstanceOf(OAuthGrantError)
+    })
+
+    it('requires S256 PKCE', () => {
+      const identityProvider = createMockIdentityProvider({ storage: createMemoryStorage() })
+
+      expect(() => identityProvider.authorize({ clientId: 'client-1', codeChallenge: 'abc', codeChallengeMethod: 'plain' }, PROFILE))
+        .toThrow(OAuthGrantError)
+    })
+  })
+})
@@ -0,0 +1,83 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import { PasskeyError, createPasskey, getPasskeyAssertion } from '../services/webauthn'
+import { PasskeyVerificationError, createPasskeyRelyingParty } from '../services/passkeyRelyingParty'
+import { createVirtualAuthenticator, installVirtualAuthenticator } from '../mocks/virtualAuthenticator'
+import { createMemoryStorage } from './memoryStorage'
+
+const USER = { id: 'user-1', email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' }
+
+describe('passkeys', () => {
+  let relyingParty
+  let restoreBrowser
+
+  /**
+   * Run a registration ceremony and return the record the server would store
+   */
+  const register = async (user = USER, existing = []) => {
+    const credential = await createPasskey(relyingParty.registrationOptions(user, existing))
+    return relyingParty.verifyRegistration(user.id, credential)
+  }
+
+  beforeEach(() => {
+    relyingParty = createPasskeyRelyingParty()
+    restoreBrowser = installVirtualAuthenticator(createVirtualAuthenticator({ storage: createMemoryStorage() }))
+  })
+
+  afterEach(() => {
+    restoreBrowser()
+  })
+
+  it('registers a passkey and signs in with it', async () => {
+    const stored = await register()
+    expect(stored).toMatchObject({ algorithm: -7, signCount: 0, transports: ['internal'] })
+
+    const assertion = await getPasskeyAssertion(relyingParty.assertionOptions())
+    expect(assertion.id).toBe(stored.id)
+    expect(relyingParty.getUserId(assertion)).toBe(USER.id)
+    expect(await relyingParty.verifyAssertion(assertion, stored)).toBe(1)
+  })
+
+  it('refuses to register the same device twice', async () => {
+    const stored = await register()
+
+    await expect(register(USER, [stored])).rejects.toMatchObject({ name: 'PasskeyError', reason: 'exists' })
+  })
+
+  it('rejects a registration for another account', async () => {
+    const credential = await createPasskey(relyingParty.registrationOptions(USER))
+
+    await expect(relyingParty.verifyRegistration('user-2', credential)).rejects.toBeInstanceOf(PasskeyVerificationError)
+  })
+
+  it('accepts each assertion once', async () => {
+    const stored = await register()
+    const assertion = await getPasskeyAssertion(relyingParty.assertionOptions())
+    const signCount = await relyingParty.verifyAssertion(assertion, stored)
+
+    await expect(relyingParty.verifyAssertion(assertion, { ...stored, signCount })).rejects.toBeInstanceOf(PasskeyVerificationError)
+  })
+
+  it('rejects a signature that does not match the stored key', async () => {
+    await register()
+    const assertion = await getPasskeyAssertion(relyingParty.assertionOptions())
+    const otherKey = await register({ ...USER, id: 'user-2' })
+
+    await expect(relyingParty.verifyAssertion(assertion, otherKey)).rejects.toBeInstanceOf(PasskeyVerificationError)
+  })
+
+  it('rejects a signature counter that goes backwards', async () => {
+    const stored = await register()
+    const assertion = await getPasskeyAssertion(relyingParty.assertionOptions())
+
+    await expect(relyingParty.verifyAssertion(assertion, { ...stored, signCount: 10 }))
+      .rejects.toThrow('This passkey may have been copied and has been rejected')
+  })
+
+  it('reports a cancelled prompt when there is no passkey for the site', async () => {
+    const error = await getPasskeyAssertion(relyingParty.assertionOptions()).catch(caught => caught)
+
+    expect(error).toBeInstanceOf(PasskeyError)
+    expect(error.reason).toBe('cancelled')
+  })
+})
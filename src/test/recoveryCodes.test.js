@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest'
+import { consumeRecoveryCode, generateRecoveryCodes } from '../services/recoveryCodes'
+
+describe('recovery codes', () => {
+  it('generates readable codes and stores only their hashes', async () => {
+    const { codes, hashes } = await generateRecoveryCodes()
+
+    expect(codes).toHaveLength(10)
+    expect(new Set(codes).size).toBe(10)
+    codes.forEach(code => expect(code).toMatch(/^[a-z2-9]{5}-[a-z2-9]{5}$/))
+    hashes.forEach(hash => expect(hash).toMatch(/^[0-9a-f]{64}$/))
+    expect(hashes.some(hash => codes.includes(hash))).toBe(false)
+  })
+
+  it('uses up a code so it works only once', async () => {
+    const { codes, hashes } = await generateRecoveryCodes(3)
+
+    const remaining = await consumeRecoveryCode(codes[1], hashes)
+    expect(remaining).toEqual([hashes[0], hashes[2]])
+    expect(await consumeRecoveryCode(codes[1], remaining)).toBeNull()
+    expect(await consumeRecoveryCode(codes[0], remaining)).toEqual([hashes[2]])
+  })
+
+  it('ignores case and separators in typed codes', async () => {
+    const { codes, hashes } = await generateRecoveryCodes(1)
+    const typed = ` ${codes[0].replace('-', ' ').toUpperCase()} `
+
+    expect(await consumeRecoveryCode(typed, hashes)).toEqual([])
+  })
+
+  it('rejects unknown codes', async () => {
+    const { hashes } = await generateRecoveryCodes(2)
+
+    expect(await consumeRecoveryCode('aaaaa-bbbbb', hashes)).toBeNull()
+    expect(await consumeRecoveryCode('aaaaa-bbbbb')).toBeNull()
+  })
+})
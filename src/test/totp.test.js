@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest'
+import { generateHotp, generateTotp, generateTotpSecret, getTotpStep, verifyTotp } from '../services/totp'
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", base32-encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+const RFC_VECTORS = [
+  { time: 59, code: '94287082' },
+  { time: 1111111109, code: '07081804' },
+  { time: 1111111111, code: '14050471' },
+  { time: 1234567890, code: '89005924' },
+  { time: 2000000000, code: '69279037' },
+  { time: 20000000000, code: '65353130' }
+]
+
+describe('totp', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', async () => {
+    for (const { time, code } of RFC_VECTORS) {
+      expect(await generateHotp(RFC_SECRET, getTotpStep(time * 1000), 8)).toBe(code)
+      // Authenticator apps show the last six digits
+      expect(await generateTotp(RFC_SECRET, time * 1000)).toBe(code.slice(-6))
+    }
+  })
+
+  it('returns the time step a valid code belongs to', async () => {
+    const time = 1111111111 * 1000
+    expect(await verifyTotp(RFC_SECRET, '050471', { time })).toBe(getTotpStep(time))
+    expect(await verifyTotp(RFC_SECRET, '050 471', { time })).toBe(getTotpStep(time))
+  })
+
+  it('accepts codes within the drift window only', async () => {
+    const time = 1234567890 * 1000
+    const step = getTotpStep(time)
+    const codeAt = (offset) => generateHotp(RFC_SECRET, step + offset)
+
+    expect(await verifyTotp(RFC_SECRET, await codeAt(-1), { time })).toBe(step - 1)
+    expect(await verifyTotp(RFC_SECRET, await codeAt(1), { time })).toBe(step + 1)
+    expect(await verifyTotp(RFC_SECRET, await codeAt(-2), { time })).toBeNull()
+    expect(await verifyTotp(RFC_SECRET, await codeAt(2), { time })).toBeNull()
+    expect(await verifyTotp(RFC_SECRET, await codeAt(-2), { time, window: 2 })).toBe(step - 2)
+    expect(await verifyTotp(RFC_SECRET, await codeAt(1), { time, window: 0 })).toBeNull()
+  })
+
+  it('rejects a code from a time step that was already used', async () => {
+    const time = 2000000000 * 1000
+    const step = getTotpStep(time)
+    const code = await generateTotp(RFC_SECRET, time)
+
+    expect(await verifyTotp(RFC_SECRET, code, { time, lastUsedStep: step - 1 })).toBe(step)
+    expect(await verifyTotp(RFC_SECRET, code, { time, lastUsedStep: step })).toBeNull()
+    // Still replayed when the clock has moved on to the next step
+    expect(await verifyTotp(RFC_SECRET, code, { time: time + 30 * 1000, lastUsedStep: step })).toBeNull()
+    expect(await verifyTotp(RFC_SECRET, await generateHotp(RFC_SECRET, step + 1), { time, lastUsedStep: step })).toBe(step + 1)
+  })
+
+  it('rejects malformed codes', async () => {
+    const time = 59 * 1000
+    expect(await verifyTotp(RFC_SECRET, '', { time })).toBeNull()
+    expect(await verifyTotp(RFC_SECRET, '28708', { time })).toBeNull()
+    expect(await verifyTotp(RFC_SECRET, '94287082', { time })).toBeNull()
+    expect(await verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull()
+  })
+
+  it('generates base32 secrets that produce codes', async () => {
+    const secret = generateTotpSecret()
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/)
+    expect(await generateTotp(secret)).toMatch(/^\d{6}$/)
+  })
+})